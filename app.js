@@ -1,170 +1,26 @@
-const express = require('express');
-const path = require('path');
-const applyMiddleware = require('./core/middleware');
-const Router = require('./core/router');
-const { port } = require('./config/app');
-const loadRoutes = require('./core/routeLoader');
+const cluster = require('cluster');
 const logger = require('./utils/logger');
-const { initializeDatabase, closeDatabase } = require('./core/database');
-const initializeModels = require('./models');
-const { activeORM } = require('./config/orm');
-
-const app = express();
-
-// Initialize logger
-app.locals.logger = logger;
-logger.info('Initializing GreyCodeJS application...');
-logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-logger.info(`Active ORM: ${activeORM.toUpperCase()}`);
-
-// Set up EJS view engine
-app.set('view engine', 'ejs');
-app.set('views', path.join(__dirname, 'templates'));
-logger.debug('View engine configured: EJS');
-
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
-logger.debug('Static files served from /public');
-
-// Apply middleware
-try {
-  applyMiddleware(app);
-  logger.debug('Middleware applied successfully');
-} catch (err) {
-  logger.error('Failed to apply middleware:', err);
-  process.exit(1);
-}
-
-// Custom router for homepage
-const router = new Router();
-router.get('/', (req, res) => {
-  logger.info('Homepage accessed');
-  res.render('home', {
-    title: 'GreyCodeJS - The Express.js Framework',
-    devs: [
-      { name: 'Kudzai Munyama', role: 'Lead Developer' },
-    ],
-  });
-});
-
-app.use(router.use());
-logger.debug('Homepage router mounted');
-
-// NOTE: Dynamic routes will be loaded AFTER database and models are initialized
-
-// 404 handler (will be added after routes)
-const notFoundHandler = (req, res) => {
-  logger.warn(`404 - Route not found: ${req.method} ${req.path}`);
-  res.status(404).json({
-    success: false,
-    error: 'Route not found',
-    path: req.path,
-    method: req.method
-  });
-};
-
-// Error handling middleware
-const errorHandler = (err, req, res, next) => {
-  logger.error({
-    message: err.message,
-    stack: err.stack,
-    path: req.path,
-    method: req.method,
-    statusCode: err.statusCode || 500
-  });
-
-  res.status(err.statusCode || 500).json({
-    success: false,
-    error: process.env.NODE_ENV === 'production' 
-      ? 'Internal Server Error' 
-      : err.message,
-    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
-  });
-};
+const { createApp } = require('./core/application');
 
 /**
  * Initialize database and start server
+ * Used when app.js is run directly and by `greycodejs run`.
+ * To build the app without starting it (tests, embedding), use createApp().
  */
 async function startApplication() {
-  let dbInstance = null;
+  let app = null;
 
   try {
-    // Initialize database connection
-    logger.info('Connecting to database...');
-    dbInstance = await initializeDatabase();
-    logger.info('✅ Database connection established successfully');
-    
-    // Initialize models based on active ORM
-    let models = null;
-    
-    switch (activeORM) {
-      case 'sequelize':
-        models = initializeModels(dbInstance);
-        logger.info('✅ Sequelize models initialized successfully');
-        
-        // Sync models in development (optional - use migrations in production)
-        if (process.env.NODE_ENV !== 'production' && process.env.DB_SYNC === 'true') {
-          logger.warn('Syncing database schema (development only)...');
-          await dbInstance.sync({ alter: false });
-          logger.info('Database schema synchronized');
-        }
-        break;
-        
-      case 'mongoose':
-        models = initializeModels(dbInstance);
-        logger.info('✅ Mongoose models initialized successfully');
-        // Mongoose doesn't need sync - schemas are applied automatically
-        break;
-        
-      case 'prisma':
-        models = initializeModels(dbInstance);
-        logger.info('✅ Prisma models initialized successfully');
-        // Prisma uses migrations via CLI
-        break;
-        
-      default:
-        throw new Error(`Unsupported ORM: ${activeORM}`);
-    }
-    
-    // Make models and database available throughout the app
-    app.locals.models = models;
-    app.locals.db = dbInstance;
-    global.models = models;
-    
-    logger.info('✅ Models are now globally accessible');
-    
-    // NOW load dynamic routes (after models are initialized)
-    const routesDir = path.resolve(__dirname, './routes');
-    try {
-      loadRoutes(app, routesDir);
-    } catch (err) {
-      logger.error('Failed to load routes:', err);
-      // Continue anyway - routes are optional
-    }
-    
-    // Add 404 handler AFTER all routes
-    app.use(notFoundHandler);
-    
-    // Add error handler LAST
-    app.use(errorHandler);
-    
-    // Start the HTTP server
-    const server = app.listen(port, () => {
-      logger.info('='.repeat(50));
-      logger.info(`🚀 GreyCodeJS Server Started Successfully!`);
-      logger.info(`📍 URL: http://localhost:${port}`);
-      logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-      logger.info(`💾 ORM: ${activeORM.toUpperCase()}`);
-      logger.info(`📊 Models loaded: ${Object.keys(models).filter(k => !['sequelize', 'Sequelize', 'mongoose', 'prisma'].includes(k)).length}`);
-      logger.info('='.repeat(50));
-    });
-
-    // Store server instance for graceful shutdown
-    app.locals.server = server;
-
+    app = await createApp();
+    await app.start();
   } catch (error) {
     logger.error('❌ Failed to start application:', error.message);
-    
+
+    if (error.name === 'ConfigError') {
+      logger.error(error.message);
+      logger.error('Check your .env file, or run: npm run cli -- config:show');
+    }
+
     // Provide helpful error messages
     if (error.name === 'SequelizeConnectionRefusedError') {
       logger.error('');
@@ -182,71 +38,88 @@ async function startApplication() {
       logger.error('3. Try running: npm run cli -- setup-db');
       logger.error('');
     }
-    
-    // Cleanup on failure
-    if (dbInstance) {
+
+    if (app) {
       try {
-        await closeDatabase(dbInstance);
+        await app.stop();
       } catch (cleanupError) {
         logger.error('Error during cleanup:', cleanupError);
       }
     }
-    
+
+    await logger.flush();
     process.exit(1);
   }
+
+  registerProcessHandlers(app);
+  return app;
 }
 
+let shuttingDown = false;
+
 /**
  * Graceful shutdown handler
+ * Drains the server and closes every resource (see app.stop()), then
+ * flushes the logs before exiting. A second signal forces the exit.
+ * @param {Express} app
+ * @param {string} signal - What triggered the shutdown
+ * @param {number} [exitCode] - Exit code when shutdown succeeds
  */
-async function gracefulShutdown(signal) {
+async function gracefulShutdown(app, signal, exitCode = 0) {
+  if (shuttingDown) {
+    logger.warn(`${signal} received during shutdown. Forcing exit.`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+
   logger.info(`${signal} received. Starting graceful shutdown...`);
-  
-  const server = app.locals.server;
-  const db = app.locals.db;
-  
+
   try {
-    // Stop accepting new connections
-    if (server) {
-      await new Promise((resolve, reject) => {
-        server.close((err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-      logger.info('HTTP server closed');
-    }
-    
-    // Close database connection
-    if (db) {
-      await closeDatabase(db);
-    }
-    
-    logger.info('Graceful shutdown completed');
-    process.exit(0);
+    const report = await app.stop();
+    logger.info(`Graceful shutdown completed in ${report.duration}ms`);
   } catch (error) {
     logger.error('Error during graceful shutdown:', error);
-    process.exit(1);
+    exitCode = 1;
   }
+
+  await logger.flush();
+  process.exit(exitCode);
 }
 
-// Handle graceful shutdown signals
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+/**
+ * Register process signal and error handlers for a running app
+ */
+function registerProcessHandlers(app) {
+  // Handle graceful shutdown signals
+  process.on('SIGTERM', () => gracefulShutdown(app, 'SIGTERM'));
+
+  // In cluster mode the primary forwards shutdown to workers as SIGTERM.
+  // Ctrl+C sends SIGINT to every process in the group, so workers ignore it.
+  process.on('SIGINT', () => {
+    if (!cluster.isWorker) {
+      gracefulShutdown(app, 'SIGINT');
+    }
+  });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught Exception:', error);
-  gracefulShutdown('uncaughtException');
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught Exception:', error);
+    gracefulShutdown(app, 'uncaughtException', 1);
+  });
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  gracefulShutdown('unhandledRejection');
-});
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled Rejection:', reason);
+    gracefulShutdown(app, 'unhandledRejection', 1);
+  });
+}
 
-// Start the application
-startApplication();
+// Start the application when run directly (node app.js, nodemon)
+if (require.main === module) {
+  startApplication();
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = {
+  createApp,
+  startApplication
+};
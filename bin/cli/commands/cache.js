@@ -0,0 +1,103 @@
+const chalk = require('chalk');
+
+/**
+ * Open the configured cache without booting the app
+ * @returns {Cache}
+ */
+const openCache = () => {
+  const { loadConfig } = require('../../../core/config');
+  const { Cache } = require('../../../core/cache');
+  const logger = require('../../../utils/logger');
+
+  logger.level = 'error';
+
+  const config = loadConfig().cache;
+
+  if (config.driver === 'memory') {
+    console.warn(chalk.yellow('⚠️  The memory driver keeps entries in the app process; this command cannot reach them.'));
+    console.warn(chalk.yellow('   Restart the app to clear them.'));
+  }
+
+  return new Cache({ config });
+};
+
+/**
+ * Format a byte count
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Register cache:clear and cache:stats commands
+ * Both open the configured cache store directly, without booting the app.
+ * @param {Command} program - Commander program instance
+ */
+module.exports = (program) => {
+  program
+    .command('cache:clear')
+    .description('Clear the cache, or the entries with some tags')
+    .option('-t, --tags <names>', 'Comma-separated tags to flush instead of everything')
+    .action(async (options) => {
+      try {
+        const cache = openCache();
+
+        if (options.tags) {
+          const tags = options.tags.split(',').map((name) => name.trim()).filter(Boolean);
+          await cache.flushTags(tags);
+          console.log(chalk.green(`\n✅ Flushed tag(s): ${tags.join(', ')}\n`));
+        } else {
+          await cache.clear();
+          console.log(chalk.green(`\n✅ Cleared the ${cache.config.driver} cache\n`));
+        }
+
+        await cache.close();
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to clear the cache:'), error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('cache:stats')
+    .description('Show the entries and size of the cache')
+    .option('--json', 'Output the stats as JSON')
+    .action(async (options) => {
+      try {
+        const cache = openCache();
+
+        // Hit and write counts are per process, always zero here
+        const { hits, misses, hitRate, writes, deletes, ...stats } = await cache.stats();
+        await cache.close();
+
+        if (options.json) {
+          console.log(JSON.stringify(stats, null, 2));
+          return;
+        }
+
+        console.log(chalk.bold('\nCache\n'));
+        console.log(`  Driver:   ${chalk.cyan(stats.driver)}`);
+        console.log(`  Entries:  ${stats.entries}`);
+
+        if (stats.bytes !== undefined) {
+          console.log(`  Size:     ${formatBytes(stats.bytes)}`);
+        }
+        if (stats.path) {
+          console.log(`  Path:     ${stats.path}`);
+        }
+        if (stats.prefix) {
+          console.log(`  Prefix:   ${stats.prefix}`);
+        }
+
+        console.log(chalk.gray('\nEntries include one per tag. Hit rates are in the cache_lookups_total metric.\n'));
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to read the cache stats:'), error.message);
+        process.exit(1);
+      }
+    });
+};
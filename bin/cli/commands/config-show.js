@@ -0,0 +1,49 @@
+const chalk = require('chalk');
+
+module.exports = (program) => {
+  program
+    .command('config:show [section]')
+    .description('Show the resolved configuration with secrets masked')
+    .option('-e, --env <env>', 'Environment to resolve (defaults to NODE_ENV or development)')
+    .option('--json', 'Output only the config as JSON (no validation report)')
+    .action((section, options) => {
+      const logger = require('../../../utils/logger');
+      const { loadConfig, validateConfig, maskSecrets } = require('../../../core/config');
+
+      logger.silent = true;
+
+      const config = loadConfig({ env: options.env, validate: false });
+
+      if (section && !(section in config)) {
+        console.error(chalk.red(`Unknown config section: ${section}`));
+        console.log(chalk.gray(`Available sections: ${Object.keys(config).filter(key => key !== 'env').join(', ')}`));
+        process.exit(1);
+      }
+
+      const output = maskSecrets(section ? config[section] : config);
+
+      if (options.json) {
+        console.log(JSON.stringify(output, null, 2));
+        return;
+      }
+
+      console.log(chalk.blue(`\nResolved configuration (${config.env})${section ? `: ${section}` : ''}\n`));
+      console.log(JSON.stringify(output, null, 2));
+
+      const { errors, warnings } = validateConfig(config);
+
+      if (warnings.length > 0) {
+        console.log(chalk.yellow('\nWarnings:'));
+        warnings.forEach(warning => console.log(chalk.yellow(`  - ${warning}`)));
+      }
+
+      if (errors.length > 0) {
+        console.log(chalk.red('\nValidation errors:'));
+        errors.forEach(error => console.log(chalk.red(`  - ${error}`)));
+        console.log();
+        process.exit(1);
+      }
+
+      console.log(chalk.green('\n✅ Configuration is valid\n'));
+    });
+};
@@ -33,174 +33,113 @@ module.exports = (program) => {
       let content;
       if (options.crud !== false) {
         // With CRUD operations
-        content = `const { ${modelName} } = require('../models/models');
+        content = `const { NotFoundError } = require('../core/errors');
+const { parsePagination } = require('../core/response');
+const { checkPreconditions } = require('../core/conditional');
 
 /**
  * ${controllerName}
  * Handles CRUD operations for ${modelName}
+ *
+ * Built from the app's container on each request (see action() in
+ * core/container.js), so tests can bind fake models.
+ *
+ * Handlers just throw: errors (including unique constraint and validation
+ * errors from the ORM) are turned into responses by the error handler.
+ *
+ * Responses carry the record's ETag; update and remove honour If-Match, so
+ * a client holding a stale copy gets a 412 instead of overwriting changes.
  */
+class ${controllerName} {
+  static inject = ['models'];
 
-// Create new ${modelName}
-const create = async (req, res) => {
-  try {
-    const data = await ${modelName}.create(req.body);
-    
-    return res.status(201).json({
-      success: true,
-      data,
-      message: '${modelName} created successfully'
-    });
-  } catch (error) {
-    req.logger?.error('Error creating ${modelName.toLowerCase()}:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
-  }
-};
-
-// Get all ${modelName}s
-const getAll = async (req, res) => {
-  try {
-    const data = await ${modelName}.findAll();
-    
-    return res.json({
-      success: true,
-      data,
-      count: data.length
-    });
-  } catch (error) {
-    req.logger?.error('Error fetching ${modelName.toLowerCase()}s:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
+  constructor({ models }) {
+    this.${modelName} = models.${modelName};
   }
-};
-
-// Get ${modelName} by ID
-const getById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const data = await ${modelName}.findByPk(id);
-    
+
+  /**
+   * Find a ${modelName.toLowerCase()} by the :id route param
+   * @throws {NotFoundError}
+   */
+  async find${modelName}OrFail(id) {
+    const data = await this.${modelName}.findByPk(id);
+
     if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: '${modelName} not found'
-      });
+      throw new NotFoundError('${modelName} not found');
     }
-    
-    return res.json({
-      success: true,
-      data
-    });
-  } catch (error) {
-    req.logger?.error('Error fetching ${modelName.toLowerCase()}:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
+
+    return data;
   }
-};
-
-// Update ${modelName}
-const update = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const data = await ${modelName}.findByPk(id);
-    
-    if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: '${modelName} not found'
-      });
-    }
-    
+
+  // Create new ${modelName}
+  async create(req, res) {
+    const data = await this.${modelName}.create(req.body);
+
+    return res.created(data, '${modelName} created successfully');
+  }
+
+  // Get all ${modelName}s, a page at a time (?page=2&limit=20)
+  async getAll(req, res) {
+    const { page, limit, offset } = parsePagination(req.query);
+    const { rows, count } = await this.${modelName}.findAndCountAll({ limit, offset });
+
+    return res.paginated(rows, { page, limit, total: count });
+  }
+
+  // Get ${modelName} by ID
+  async getById(req, res) {
+    const data = await this.find${modelName}OrFail(req.params.id);
+
+    return res.ok(data);
+  }
+
+  // Update ${modelName} (412 if If-Match no longer matches)
+  async update(req, res) {
+    const data = await this.find${modelName}OrFail(req.params.id);
+
+    checkPreconditions(req, data);
     await data.update(req.body);
-    
-    return res.json({
-      success: true,
-      data,
-      message: '${modelName} updated successfully'
-    });
-  } catch (error) {
-    req.logger?.error('Error updating ${modelName.toLowerCase()}:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
+
+    return res.ok(data, '${modelName} updated successfully');
   }
-};
-
-// Delete ${modelName}
-const remove = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const data = await ${modelName}.findByPk(id);
-    
-    if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: '${modelName} not found'
-      });
-    }
-    
+
+  // Delete ${modelName} (412 if If-Match no longer matches)
+  async remove(req, res) {
+    const data = await this.find${modelName}OrFail(req.params.id);
+
+    checkPreconditions(req, data);
     await data.destroy();
-    
-    return res.json({
-      success: true,
-      message: '${modelName} deleted successfully'
-    });
-  } catch (error) {
-    req.logger?.error('Error deleting ${modelName.toLowerCase()}:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
+
+    return res.noContent();
   }
-};
-
-module.exports = {
-  create,
-  getAll,
-  getById,
-  update,
-  remove,
-};`;
+}
+
+module.exports = ${controllerName};
+`;
       } else {
         // Without CRUD operations
         content = `/**
  * ${controllerName}
  * Add your controller methods here
+ *
+ * Built from the app's container on each request: list what it needs in
+ * \`inject\` (e.g. ['models', 'logger']) and take it in the constructor.
+ *
+ * Throw errors from core/errors.js (NotFoundError, ConflictError...) and
+ * the error handler turns them into responses.
  */
+class ${controllerName} {
+  static inject = [];
 
-// Example method
-const index = async (req, res) => {
-  try {
+  // Example method, routed with action(${controllerName}, 'index')
+  async index(req, res) {
     // Your logic here
-    return res.json({
-      success: true,
-      message: 'Controller is working!'
-    });
-  } catch (error) {
-    req.logger?.error('Error in ${controllerName}:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
+    return res.ok(undefined, 'Controller is working!');
   }
-};
+}
 
-module.exports = {
-  index,
-};`;
+module.exports = ${controllerName};
+`;
       }
 
       // Write the controller file
@@ -214,6 +153,9 @@ module.exports = {
         console.log(chalk.gray(`   1. Create the ${modelName} model if it doesn't exist`));
         console.log(chalk.gray(`   2. Create routes: npm run cli -- create-route ${name.toLowerCase()}`));
         console.log(chalk.gray(`   3. Register the routes in your app`));
+      } else {
+        console.log(chalk.blue('\n📝 Route it with action() from core/container.js:'));
+        console.log(chalk.gray(`   router.get('/', action(${controllerName}, 'index'));`));
       }
     });
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { pluralize } = require('../../../core/utils');
 
 module.exports = (program) => {
   program
@@ -51,126 +52,64 @@ return ${modelName};
 
       const controllerName = `${modelName}Controller`;
       const controllerContent = `
-const { ${modelName} } = require('../models');
-
-// Create
-const create = async (req, res) => {
-try {
-  const data = await ${modelName}.create(req.body);
-  return res.json({
-    success: true,
-    data,
-  });
-} catch (error) {
-  return res.status(500).json({
-    success: false,
-    message: error.message,
-    error: 'Internal server error',
-  });
-}
-};
+const { NotFoundError } = require('../core/errors');
+const { parsePagination } = require('../core/response');
+const { checkPreconditions } = require('../core/conditional');
 
-// Get All
-const getAll = async (req, res) => {
-try {
-  const data = await ${modelName}.findAll();
-  return res.json({
-    success: true,
-    data,
-  });
-} catch (error) {
-  return res.status(500).json({
-    success: false,
-    message: error.message,
-    error: 'Internal server error',
-  });
-}
-};
+// Built from the app's container on each request (see action() in core/container.js)
+// Errors thrown here (and by the ORM) are turned into responses by the error handler
+class ${controllerName} {
+  static inject = ['models'];
 
-// Get By ID
-const getById = async (req, res) => {
-try {
-  const { id } = req.params;
-  const data = await ${modelName}.findByPk(id);
-  if (!data) {
-    return res.status(404).json({
-      success: false,
-      message: '${modelName} not found',
-    });
+  constructor({ models }) {
+    this.${modelName} = models.${modelName};
   }
-  return res.json({
-    success: true,
-    data,
-  });
-} catch (error) {
-  return res.status(500).json({
-    success: false,
-    message: error.message,
-    error: 'Internal server error',
-  });
-}
-};
 
-// Update
-const update = async (req, res) => {
-try {
-  const { id } = req.params;
-  const [updated] = await ${modelName}.update(req.body, {
-    where: { id },
-  });
-  if (updated) {
-    const updatedData = await ${modelName}.findByPk(id);
-    return res.json({
-      success: true,
-      data: updatedData,
-    });
+  async findOrFail(id) {
+    const data = await this.${modelName}.findByPk(id);
+    if (!data) {
+      throw new NotFoundError('${modelName} not found');
+    }
+    return data;
   }
-  return res.status(404).json({
-    success: false,
-    message: '${modelName} not found',
-  });
-} catch (error) {
-  return res.status(500).json({
-    success: false,
-    message: error.message,
-    error: 'Internal server error',
-  });
-}
-};
 
-// Delete
-const remove = async (req, res) => {
-try {
-  const { id } = req.params;
-  const deleted = await ${modelName}.destroy({
-    where: { id },
-  });
-  if (deleted) {
-    return res.json({
-      success: true,
-      message: '${modelName} deleted',
-    });
+  // Create
+  async create(req, res) {
+    const data = await this.${modelName}.create(req.body);
+    return res.created(data);
+  }
+
+  // Get All (?page=2&limit=20)
+  async getAll(req, res) {
+    const { page, limit, offset } = parsePagination(req.query);
+    const { rows, count } = await this.${modelName}.findAndCountAll({ limit, offset });
+    return res.paginated(rows, { page, limit, total: count });
+  }
+
+  // Get By ID
+  async getById(req, res) {
+    const data = await this.findOrFail(req.params.id);
+    return res.ok(data);
+  }
+
+  // Update (412 if If-Match no longer matches)
+  async update(req, res) {
+    const data = await this.findOrFail(req.params.id);
+    checkPreconditions(req, data);
+    await data.update(req.body);
+    return res.ok(data);
+  }
+
+  // Delete (412 if If-Match no longer matches)
+  async remove(req, res) {
+    const data = await this.findOrFail(req.params.id);
+    checkPreconditions(req, data);
+    await data.destroy();
+    return res.noContent();
   }
-  return res.status(404).json({
-    success: false,
-    message: '${modelName} not found',
-  });
-} catch (error) {
-  return res.status(500).json({
-    success: false,
-    message: error.message,
-    error: 'Internal server error',
-  });
 }
-};
 
-module.exports = {
-create,
-getAll,
-getById,
-update,
-remove,
-};
+module.exports = ${controllerName};
 `;
 
       const controllersPath = path.resolve(process.cwd(), 'controllers');
@@ -183,16 +122,17 @@ remove,
 
       const routeContent = `
 const router = require('express').Router();
+const { action } = require('../core/container');
 const ${controllerName} = require('../controllers/${controllerName}');
 
 // ${modelName} routes
-router.get('/', ${controllerName}.getAll);
-router.get('/:id', ${controllerName}.getById);
-router.post('/', ${controllerName}.create);
-router.put('/:id', ${controllerName}.update);
-router.delete('/:id', ${controllerName}.remove);
+router.get('/', action(${controllerName}, 'getAll'));
+router.get('/:id', action(${controllerName}, 'getById'));
+router.post('/', action(${controllerName}, 'create'));
+router.put('/:id', action(${controllerName}, 'update'));
+router.delete('/:id', action(${controllerName}, 'remove'));
 
-module.exports = router;
+module.exports = { router };
 `;
 
       const routesPath = path.resolve(process.cwd(), 'routes');
@@ -205,9 +145,7 @@ module.exports = router;
 
       console.log(chalk.bold.green(`\nAll resources for ${modelName} created successfully!`));
       console.log(chalk.blue(`\nNext steps:`));
-      console.log(chalk.blue(`1. Add the route to your app.js or main router file:`));
-      console.log(chalk.gray(`   const ${name.toLowerCase()}Router = require('./routes/${name.toLowerCase()}');`));
-      console.log(chalk.gray(`   app.use('/api/${name.toLowerCase()}s', ${name.toLowerCase()}Router);`));
-      console.log(chalk.blue(`2. Run 'greycodejs migrate' to create the database table`));
+      console.log(chalk.blue(`1. Run 'greycodejs migrate' to create the database table`));
+      console.log(chalk.blue(`2. Start the app: the routes are mounted at /${pluralize(name.toLowerCase())} automatically`));
     });
 };
\ No newline at end of file
@@ -12,14 +12,16 @@ module.exports = (program) => {
 
       const content = `
 const router = require('express').Router();
-const { ${routeName}Controller } = require('../controllers/${routeName}Controller');
+const { action } = require('../core/container');
+const ${routeName}Controller = require('../controllers/${routeName}Controller');
 
 // Define routes for ${routeName}
-router.get('/', ${routeName}Controller.getAll);
-router.get('/:id', ${routeName}Controller.getById);
-router.post('/', ${routeName}Controller.create);
-router.put('/:id', ${routeName}Controller.update);
-router.delete('/:id', ${routeName}Controller.remove);
+// action() builds the controller from the app's container on each request
+router.get('/', action(${routeName}Controller, 'getAll'));
+router.get('/:id', action(${routeName}Controller, 'getById'));
+router.post('/', action(${routeName}Controller, 'create'));
+router.put('/:id', action(${routeName}Controller, 'update'));
+router.delete('/:id', action(${routeName}Controller, 'remove'));
 
 module.exports = { router };
 `;
@@ -0,0 +1,96 @@
+const chalk = require('chalk');
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Open the maintenance flag of the configured app
+ * @returns {MaintenanceMode}
+ */
+const openMaintenance = () => {
+  const { loadConfig } = require('../../../core/config');
+  const { MaintenanceMode } = require('../../../core/maintenance');
+  const logger = require('../../../utils/logger');
+
+  logger.level = 'error';
+
+  return new MaintenanceMode(loadConfig().maintenance);
+};
+
+/**
+ * Register the down and up commands
+ * They only write or delete the flag file; running apps pick the change
+ * up within a second, without a restart.
+ * @param {Command} program - Commander program instance
+ */
+module.exports = (program) => {
+  program
+    .command('down')
+    .description('Put the app in maintenance mode (503 for everyone but allowed IPs and the bypass cookie)')
+    .option('-m, --message <text>', 'Message shown to users (default: MAINTENANCE_MESSAGE)')
+    .option('-r, --retry <seconds>', 'Retry-After sent with the 503 (default: MAINTENANCE_RETRY_AFTER)')
+    .option('-a, --allow <ips>', 'Comma-separated IPs or CIDR ranges let through, besides MAINTENANCE_ALLOWED_IPS')
+    .option('-s, --secret [secret]', 'Visiting /<secret> sets a bypass cookie (generated when no value is given)')
+    .action(async (options) => {
+      try {
+        const maintenance = openMaintenance();
+        const retryAfter = options.retry !== undefined ? Number(options.retry) : undefined;
+
+        if (retryAfter !== undefined && (!Number.isInteger(retryAfter) || retryAfter < 0)) {
+          throw new Error(`--retry must be a number of seconds, got "${options.retry}"`);
+        }
+
+        const secret = options.secret === true ? crypto.randomBytes(16).toString('hex') : options.secret;
+
+        // It becomes a path segment
+        if (secret && !/^[\w-]+$/.test(secret)) {
+          throw new Error('--secret may only contain letters, digits, "-" and "_"');
+        }
+
+        const wasDown = await maintenance.read();
+        const state = await maintenance.down({
+          message: options.message,
+          retryAfter,
+          allowed: options.allow ? options.allow.split(',').map((ip) => ip.trim()).filter(Boolean) : [],
+          secret
+        });
+
+        console.log(chalk.yellow(`\n🚧 ${wasDown ? 'Maintenance mode updated' : 'The app is now in maintenance mode'}\n`));
+        console.log(`  Message:      ${state.message}`);
+        console.log(`  Retry-After:  ${state.retryAfter}s`);
+
+        const allowed = [...maintenance.allowedIps, ...state.allowed];
+        console.log(`  Allowed IPs:  ${allowed.length > 0 ? allowed.join(', ') : chalk.gray('none')}`);
+
+        if (secret) {
+          console.log(`  Bypass:       visit ${chalk.cyan(`/${secret}`)} to get a cookie that lets your browser through`);
+        }
+        if (wasDown && wasDown.secretHash) {
+          console.log(chalk.gray('\nBypass cookies from the previous `down` no longer work.'));
+        }
+
+        console.log(chalk.gray(`\nFlag file: ${path.relative(process.cwd(), maintenance.file)}`));
+        console.log(chalk.gray('Run `npm run cli -- up` to bring the app back.\n'));
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to enter maintenance mode:'), error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('up')
+    .description('Bring the app out of maintenance mode')
+    .action(async () => {
+      try {
+        const maintenance = openMaintenance();
+
+        if (await maintenance.up()) {
+          console.log(chalk.green('\n✅ The app is live again\n'));
+        } else {
+          console.log(chalk.gray('\nThe app was not in maintenance mode\n'));
+        }
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to leave maintenance mode:'), error.message);
+        process.exit(1);
+      }
+    });
+};
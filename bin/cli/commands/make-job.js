@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+module.exports = (program) => {
+  program
+    .command('make-job <name>')
+    .description('Create a background job in jobs/ (loaded automatically)')
+    .option('-q, --queue <queue>', 'Queue the job is dispatched to', 'default')
+    .action((name, options) => {
+      const jobName = name.charAt(0).toUpperCase() + name.slice(1);
+      const jobContent = `// jobs/${jobName}.js
+
+/**
+ * ${jobName}
+ * Dispatch with app.queue.dispatch(${jobName}, payload). Dependencies listed
+ * in \`inject\` are passed to the constructor by the container.
+ */
+class ${jobName} {
+  static queue = '${options.queue}';
+  static attempts = 3;
+  static backoff = { type: 'exponential', delay: 1000 };
+  static inject = ['logger'];
+
+  constructor({ logger }) {
+    this.logger = logger;
+  }
+
+  async handle(payload, job) {
+    this.logger.info(\`Running ${jobName} (attempt \${job.attempt}/\${job.maxAttempts})\`);
+  }
+
+  // Called once the last attempt failed
+  async failed(payload, error, job) {
+    this.logger.error(\`${jobName} \${job.id} gave up: \${error.message}\`);
+  }
+}
+
+module.exports = ${jobName};
+`;
+
+      const jobsPath = path.resolve(process.cwd(), 'jobs');
+      const filePath = path.join(jobsPath, `${jobName}.js`);
+
+      if (!fs.existsSync(jobsPath)) {
+        fs.mkdirSync(jobsPath, { recursive: true });
+      }
+
+      if (fs.existsSync(filePath)) {
+        console.error(chalk.red(`Job ${jobName}.js already exists.`));
+        return;
+      }
+
+      fs.writeFileSync(filePath, jobContent);
+      console.log(chalk.green(`Job created at ${filePath}`));
+      console.log(chalk.gray(`Dispatch it with: await req.app.queue.dispatch('${jobName}', { ... });`));
+    });
+};
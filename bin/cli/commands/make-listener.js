@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+module.exports = (program) => {
+  program
+    .command('make-listener <name>')
+    .description('Create an event listener in listeners/ (loaded automatically)')
+    .option('-e, --event <event>', 'Event to listen to, e.g. user.created', 'user.created')
+    .option('-q, --queued', 'Run the listener in the background after the event is emitted')
+    .action((name, options) => {
+      const listenerName = name.charAt(0).toUpperCase() + name.slice(1);
+      const listenerContent = `// listeners/${listenerName}.js
+
+/**
+ * ${listenerName}
+ * Runs on ${options.event}. Dependencies listed in \`inject\` are passed to
+ * the constructor by the container.
+ */
+class ${listenerName} {
+  static event = '${options.event}';
+  static queued = ${Boolean(options.queued)};
+  static inject = ['logger'];
+
+  constructor({ logger }) {
+    this.logger = logger;
+  }
+
+  async handle(payload, eventName) {
+    this.logger.info(\`Handling \${eventName}\`);
+  }
+}
+
+module.exports = ${listenerName};
+`;
+
+      const listenersPath = path.resolve(process.cwd(), 'listeners');
+      const filePath = path.join(listenersPath, `${listenerName}.js`);
+
+      if (!fs.existsSync(listenersPath)) {
+        fs.mkdirSync(listenersPath, { recursive: true });
+      }
+
+      if (fs.existsSync(filePath)) {
+        console.error(chalk.red(`Listener ${listenerName}.js already exists.`));
+        return;
+      }
+
+      fs.writeFileSync(filePath, listenerContent);
+      console.log(chalk.green(`Listener created at ${filePath}`));
+    });
+};
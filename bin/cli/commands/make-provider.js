@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+module.exports = (program) => {
+  program
+    .command('make-provider <name>')
+    .description('Create a new provider that hooks into the application lifecycle')
+    .action((name) => {
+      const providerName = `${name.charAt(0).toUpperCase() + name.slice(1)}Provider`;
+      const providerContent = `/**
+ * ${providerName}
+ * Hooks into application startup and shutdown.
+ * Remove the hooks you don't need.
+ */
+class ${providerName} {
+  constructor() {
+    this.name = '${name.toLowerCase()}';
+  }
+
+  // App created, before the middleware stack is applied
+  async register({ app, logger }) {
+  }
+
+  // Middleware applied, before connecting to the database
+  async beforeDatabase({ app }) {
+  }
+
+  // Database connected and models loaded
+  async afterModels({ app, db, models }) {
+  }
+
+  // Routes loaded, before the 404 and error handlers
+  async afterRoutes({ app }) {
+  }
+
+  // Right before the server starts listening
+  async beforeListen({ app }) {
+  }
+
+  // Server closed, before the database connection is closed
+  async onShutdown({ app }) {
+  }
+}
+
+module.exports = ${providerName};
+`;
+
+      const providersPath = path.resolve(process.cwd(), 'providers');
+      const filePath = path.join(providersPath, `${name.toLowerCase()}.js`);
+
+      if (!fs.existsSync(providersPath)) {
+        fs.mkdirSync(providersPath, { recursive: true });
+      }
+
+      if (fs.existsSync(filePath)) {
+        console.error(chalk.red(`Provider ${name.toLowerCase()}.js already exists.`));
+        return;
+      }
+
+      fs.writeFileSync(filePath, providerContent);
+      console.log(chalk.green(`Provider created at ${filePath}`));
+    });
+};
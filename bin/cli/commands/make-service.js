@@ -5,29 +5,54 @@ const chalk = require('chalk');
 module.exports = (program) => {
   program
     .command('make-service <name>')
-    .description('Create a new service layer file')
+    .description('Create a new service class resolved from the container')
     .action((name) => {
-      const serviceName = `${name.charAt(0).toUpperCase() + name.slice(1)}Service`;
-      const serviceContent = `const { ${serviceName.replace('Service', '')} } = require('../models');
+      const modelName = name.charAt(0).toUpperCase() + name.slice(1);
+      const serviceName = `${modelName}Service`;
+      const bindingName = `${name.charAt(0).toLowerCase() + name.slice(1)}Service`;
+      const serviceContent = `// services/${serviceName}.js
 
+/**
+ * ${serviceName}
+ * Dependencies listed in \`inject\` are passed to the constructor by the
+ * container. Bind it in providers/services.js:
+ *
+ *   container.singleton('${bindingName}', ${serviceName});
+ */
 class ${serviceName} {
-  static async getAll() {
-    return await ${serviceName.replace('Service', '')}.findAll();
+  static inject = ['models', 'logger'];
+
+  constructor({ models, logger }) {
+    this.models = models;
+    this.logger = logger;
+  }
+
+  async getAll() {
+    return await this.models.${modelName}.findAll();
   }
 
   // Add other service methods here
 }
 
-module.exports = ${serviceName};`;
-      
+module.exports = ${serviceName};
+`;
+
       const servicesPath = path.resolve(process.cwd(), 'services');
       const filePath = path.join(servicesPath, `${serviceName}.js`);
-      
+
       if (!fs.existsSync(servicesPath)) {
         fs.mkdirSync(servicesPath, { recursive: true });
       }
-      
+
+      if (fs.existsSync(filePath)) {
+        console.error(chalk.red(`Service ${serviceName}.js already exists.`));
+        return;
+      }
+
       fs.writeFileSync(filePath, serviceContent);
       console.log(chalk.green(`Service created at ${filePath}`));
+      console.log(chalk.gray('\nBind it in providers/services.js:'));
+      console.log(chalk.cyan(`  const ${serviceName} = require('../services/${serviceName}');`));
+      console.log(chalk.cyan(`  container.singleton('${bindingName}', ${serviceName});\n`));
     });
-};
\ No newline at end of file
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Register openapi:generate command
+ * Writes the OpenAPI document served at /openapi.json to a file, e.g. to
+ * publish API docs or generate clients in CI.
+ * @param {Command} program - Commander program instance
+ */
+module.exports = (program) => {
+  program
+    .command('openapi:generate')
+    .description('Write the OpenAPI 3 document of the app routes to a file')
+    .option('-o, --output <file>', 'Output file', 'openapi.json')
+    .option('-s, --server <url...>', 'Server URLs to list in the document')
+    .option('--stdout', 'Print the document instead of writing a file')
+    .action(async (options) => {
+      const logger = require('../../../utils/logger');
+      const { createApp } = require('../../../core/application');
+      const { buildOpenApiDocument } = require('../../../core/openapi');
+
+      // Keep stdout parseable
+      logger.silent = true;
+
+      try {
+        // Boot the app without a database connection or listening
+        const routesDir = path.resolve(process.cwd(), 'routes');
+        const app = await createApp({ models: {}, rootDir: process.cwd(), routesDir });
+        const config = app.locals.config.openapi;
+
+        const document = buildOpenApiDocument(app, {
+          ...config,
+          servers: options.server || config.servers
+        });
+        const json = JSON.stringify(document, null, 2);
+
+        if (options.stdout) {
+          console.log(json);
+          return;
+        }
+
+        const outputPath = path.resolve(process.cwd(), options.output);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, `${json}\n`);
+
+        const operations = Object.values(document.paths)
+          .reduce((count, methods) => count + Object.keys(methods).length, 0);
+
+        console.log(chalk.green(`\n✅ OpenAPI document written to ${path.relative(process.cwd(), outputPath)}`));
+        console.log(chalk.gray(`   ${Object.keys(document.paths).length} path(s), ${operations} operation(s)\n`));
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to generate the OpenAPI document:'), error.message);
+        process.exit(1);
+      }
+    });
+};
@@ -0,0 +1,119 @@
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Boot the app for inspecting the queue
+ * Only the database driver needs a database connection.
+ * @returns {Promise<Express>}
+ */
+const bootForQueue = async () => {
+  const { loadConfig } = require('../../../core/config');
+  const { createApp } = require('../../../core/application');
+  const logger = require('../../../utils/logger');
+
+  logger.level = 'error';
+
+  const routesDir = path.resolve(process.cwd(), 'routes');
+  const { driver } = loadConfig().queue;
+
+  if (driver === 'memory') {
+    console.warn(chalk.yellow('⚠️  The memory driver keeps failed jobs in the app process; this command cannot see them.'));
+  }
+
+  return driver === 'database'
+    ? createApp({ rootDir: process.cwd(), routesDir })
+    : createApp({ models: {}, rootDir: process.cwd(), routesDir });
+};
+
+/**
+ * Register queue:failed and queue:retry commands
+ * The failed list holds jobs whose last attempt failed (dead letters).
+ * @param {Command} program - Commander program instance
+ */
+module.exports = (program) => {
+  program
+    .command('queue:failed')
+    .description('List background jobs that failed every attempt')
+    .option('-l, --limit <n>', 'Number of jobs to show', '50')
+    .option('--json', 'Output the failed jobs as JSON')
+    .option('--forget <id>', 'Delete one failed job')
+    .option('--flush', 'Delete every failed job')
+    .action(async (options) => {
+      let app;
+
+      try {
+        app = await bootForQueue();
+
+        if (options.flush) {
+          const count = await app.queue.flushFailed();
+          console.log(chalk.green(`\n✅ Deleted ${count} failed job(s)\n`));
+        } else if (options.forget) {
+          const deleted = await app.queue.forget(options.forget);
+          console.log(deleted
+            ? chalk.green(`\n✅ Deleted failed job ${options.forget}\n`)
+            : chalk.yellow(`\nNo failed job with id ${options.forget}\n`));
+        } else {
+          const failed = await app.queue.failed({ limit: parseInt(options.limit, 10) });
+
+          if (options.json) {
+            console.log(JSON.stringify(failed, null, 2));
+          } else if (failed.length === 0) {
+            console.log(chalk.green('\nNo failed jobs.\n'));
+          } else {
+            console.log(chalk.bold(`\nFailed jobs (${failed.length}):\n`));
+            failed.forEach((job) => {
+              console.log(`${chalk.red('✗')} ${chalk.bold(job.name)} ${chalk.gray(job.id)}`);
+              console.log(chalk.gray(`   queue: ${job.queue}, attempts: ${job.attempts}, failed: ${new Date(job.failedAt).toISOString()}`));
+              console.log(`   ${job.error}`);
+            });
+            console.log(chalk.gray('\nRetry with: npm run cli -- queue:retry <id> (or --all)\n'));
+          }
+        }
+
+        await app.stop();
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to read the failed jobs:'), error.message);
+        if (app) {
+          await app.stop();
+        }
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('queue:retry [ids...]')
+    .description('Move failed background jobs back to their queue')
+    .option('--all', 'Retry every failed job')
+    .action(async (ids, options) => {
+      if (!options.all && ids.length === 0) {
+        console.error(chalk.red('Pass one or more job ids, or --all.'));
+        process.exit(1);
+      }
+
+      let app;
+
+      try {
+        app = await bootForQueue();
+
+        if (options.all) {
+          const count = await app.queue.retryAll();
+          console.log(chalk.green(`\n✅ ${count} failed job(s) queued again\n`));
+        } else {
+          for (const id of ids) {
+            const retried = await app.queue.retry(id);
+            console.log(retried
+              ? chalk.green(`✅ Job ${id} queued again`)
+              : chalk.yellow(`No failed job with id ${id}`));
+          }
+        }
+
+        await app.stop();
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to retry the jobs:'), error.message);
+        if (app) {
+          await app.stop();
+        }
+        process.exit(1);
+      }
+    });
+};
@@ -0,0 +1,87 @@
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Register queue:work command
+ * Boots the app (database and models, no HTTP server) and processes
+ * background jobs until SIGINT/SIGTERM. Running jobs are allowed to finish
+ * before the database is closed.
+ * @param {Command} program - Commander program instance
+ */
+module.exports = (program) => {
+  program
+    .command('queue:work')
+    .description('Process background jobs until stopped')
+    .option('-q, --queue <names>', 'Comma-separated queues in priority order (default: QUEUE_WORKER_QUEUES)')
+    .option('-c, --concurrency <n>', 'Jobs run at the same time (default: QUEUE_CONCURRENCY)')
+    .option('--stop-when-empty', 'Run the jobs that are due, then exit (memory and database drivers)')
+    .action(async (options) => {
+      const { createApp } = require('../../../core/application');
+      const concurrency = options.concurrency !== undefined ? Number(options.concurrency) : undefined;
+
+      if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+        console.error(chalk.red('\n❌ Invalid option:'), `--concurrency must be a positive integer, got "${options.concurrency}"`);
+        process.exit(1);
+      }
+
+      let app;
+
+      try {
+        app = await createApp({ rootDir: process.cwd(), routesDir: path.resolve(process.cwd(), 'routes') });
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to boot the application:'), error.message);
+        process.exit(1);
+      }
+
+      const config = app.locals.config.queue;
+      const queues = options.queue
+        ? options.queue.split(',').map((name) => name.trim()).filter(Boolean)
+        : config.worker.queues;
+
+      if (config.driver === 'memory') {
+        console.warn(chalk.yellow('⚠️  The memory driver only sees jobs dispatched by this process.'));
+        console.warn(chalk.yellow('   Set QUEUE_DRIVER=database or QUEUE_DRIVER=redis to process jobs dispatched by the app.'));
+      }
+
+      if (options.stopWhenEmpty) {
+        try {
+          const count = await app.queue.runPending({ queues });
+          console.log(chalk.green(`\n✅ Ran ${count} job attempt(s) from ${queues.join(', ')}`));
+          await app.stop();
+          process.exit(0);
+        } catch (error) {
+          console.error(chalk.red('\n❌ Failed to run the pending jobs:'), error.message);
+          await app.stop();
+          process.exit(1);
+        }
+      }
+
+      const worker = app.queue.work({ queues, concurrency });
+
+      console.log(chalk.blue(`\nProcessing jobs from ${queues.join(', ')} (${config.driver} driver). Press Ctrl+C to stop.`));
+
+      let stopping = false;
+
+      const shutdown = async (signal) => {
+        if (stopping) {
+          console.warn(chalk.yellow(`${signal} received again. Forcing exit.`));
+          process.exit(1);
+        }
+        stopping = true;
+
+        console.log(chalk.blue(`\n${signal} received. Waiting for running jobs to finish...`));
+
+        try {
+          await worker.stop();
+          await app.stop();
+          process.exit(0);
+        } catch (error) {
+          console.error(chalk.red('❌ Error during shutdown:'), error.message);
+          process.exit(1);
+        }
+      };
+
+      process.on('SIGINT', () => shutdown('SIGINT'));
+      process.on('SIGTERM', () => shutdown('SIGTERM'));
+    });
+};
@@ -0,0 +1,70 @@
+const path = require('path');
+const chalk = require('chalk');
+
+const METHOD_COLORS = {
+  GET: chalk.green,
+  POST: chalk.yellow,
+  PUT: chalk.blue,
+  PATCH: chalk.cyan,
+  DELETE: chalk.red,
+  ALL: chalk.magenta
+};
+
+module.exports = (program) => {
+  program
+    .command('routes:list')
+    .description('List all mounted routes with their middleware chain')
+    .option('--json', 'Output the route table as JSON')
+    .option('-m, --method <method>', 'Only show routes for the given HTTP method')
+    .option('-p, --path <text>', 'Only show routes whose path contains the given text')
+    .action(async (options) => {
+      const { createApp } = require('../../../core/application');
+      const { listRoutes } = require('../../../core/routeInspector');
+
+      // Keep the output clean: JSON must be parseable, the table readable
+      const logging = options.json ? { console: false } : { level: 'error' };
+
+      // Boot the app without a database connection or listening
+      const routesDir = path.resolve(process.cwd(), 'routes');
+      const app = await createApp({ models: {}, rootDir: process.cwd(), routesDir, config: { logging } });
+
+      let routes = listRoutes(app, { routesDir });
+
+      if (options.method) {
+        const method = options.method.toUpperCase();
+        routes = routes.filter((route) => route.method === method || route.method === 'ALL');
+      }
+
+      if (options.path) {
+        routes = routes.filter((route) => route.path.includes(options.path));
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(routes, null, 2));
+        return;
+      }
+
+      if (routes.length === 0) {
+        console.log(chalk.yellow('\nNo routes found.\n'));
+        return;
+      }
+
+      const methodWidth = Math.max(6, ...routes.map((route) => route.method.length)) + 2;
+      const pathWidth = Math.max(4, ...routes.map((route) => route.path.length)) + 2;
+
+      console.log(chalk.blue(`\nRegistered Routes (${routes.length}):\n`));
+      console.log(chalk.bold(`${'METHOD'.padEnd(methodWidth)}${'PATH'.padEnd(pathWidth)}HANDLER`));
+
+      routes.forEach((route) => {
+        const color = METHOD_COLORS[route.method] || chalk.white;
+        const chain = [...route.middleware, route.handler].join(chalk.gray(' → '));
+
+        console.log(`${color(route.method.padEnd(methodWidth))}${route.path.padEnd(pathWidth)}${chain}`);
+        if (route.file) {
+          console.log(chalk.gray(`${' '.repeat(methodWidth + pathWidth)}${route.file}`));
+        }
+      });
+
+      console.log();
+    });
+};
@@ -6,8 +6,32 @@ module.exports = (program) => {
     .command('run')
     .description('Start the GreyCode.js application')
     .option('--watch', 'Run the application with nodemon for live reloading')
+    .option('--cluster [workers]', 'Run <workers> processes sharing the port (number or "auto", default auto)')
     .action((options) => {
-      if (options.watch) {
+      if (options.cluster && options.watch) {
+        console.error(chalk.red('--cluster and --watch cannot be used together'));
+        process.exit(1);
+      }
+
+      if (options.cluster) {
+        const { ClusterManager } = require('../../../core/cluster');
+        const appConfig = require('../../../config/app');
+
+        try {
+          const manager = new ClusterManager({
+            workers: options.cluster,
+            exec: path.resolve(process.cwd(), 'app.js'),
+            killTimeout: appConfig.clusterKillTimeout
+          });
+
+          console.log(chalk.blue(`Running the application in cluster mode with ${manager.size} worker(s)...`));
+          console.log(chalk.gray(`Send SIGHUP to ${process.pid} for a zero-downtime restart.`));
+          manager.start();
+        } catch (error) {
+          console.error(chalk.red(error.message));
+          process.exit(1);
+        }
+      } else if (options.watch) {
         const nodemon = require('nodemon');
         const appPath = path.resolve(process.cwd(), 'app.js');
 
@@ -33,7 +57,12 @@ module.exports = (program) => {
           });
       } else {
         console.log(chalk.blue('Running the application...'));
-        require(path.resolve(process.cwd(), 'app.js'));
+        const appModule = require(path.resolve(process.cwd(), 'app.js'));
+
+        // app.js only starts itself when run directly
+        if (typeof appModule.startApplication === 'function') {
+          appModule.startApplication();
+        }
       }
     });
 };
\ No newline at end of file
@@ -0,0 +1,71 @@
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Register schedule:list command
+ * Shows the tasks registered by providers with their next run.
+ * @param {Command} program - Commander program instance
+ */
+module.exports = (program) => {
+  program
+    .command('schedule:list')
+    .description('List scheduled tasks and when they run next')
+    .option('--json', 'Output the tasks as JSON')
+    .action(async (options) => {
+      const logger = require('../../../utils/logger');
+      const { createApp } = require('../../../core/application');
+
+      // Keep the output clean: JSON must be parseable, the table readable
+      if (options.json) {
+        logger.silent = true;
+      } else {
+        logger.level = 'error';
+      }
+
+      let app;
+
+      try {
+        // Boot the app without a database connection or listening
+        const routesDir = path.resolve(process.cwd(), 'routes');
+        app = await createApp({ models: {}, rootDir: process.cwd(), routesDir });
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to boot the application:'), error.message);
+        process.exit(1);
+      }
+
+      const tasks = app.scheduler.list();
+      await app.stop();
+
+      if (options.json) {
+        console.log(JSON.stringify(tasks, null, 2));
+        return;
+      }
+
+      if (tasks.length === 0) {
+        console.log(chalk.yellow('\nNo scheduled tasks. Register them in providers/schedule.js.\n'));
+        return;
+      }
+
+      const nameWidth = Math.max(4, ...tasks.map((task) => task.name.length));
+      const cronWidth = Math.max(4, ...tasks.map((task) => task.expression.length));
+
+      console.log(chalk.bold(`\n${'Task'.padEnd(nameWidth)}  ${'Cron'.padEnd(cronWidth)}  Next run`));
+
+      tasks.forEach((task) => {
+        const nextRun = task.nextRunAt.toLocaleString('sv-SE', { timeZone: task.timezone });
+        const flags = [
+          task.timezone,
+          !task.onOneServer && 'every server',
+          !task.withoutOverlapping && 'may overlap'
+        ].filter(Boolean).join(', ');
+
+        console.log(`${chalk.cyan(task.name.padEnd(nameWidth))}  ${task.expression.padEnd(cronWidth)}  ${nextRun} ${chalk.gray(`(${flags})`)}`);
+
+        if (task.description) {
+          console.log(chalk.gray(`${' '.repeat(nameWidth + 2)}${task.description}`));
+        }
+      });
+
+      console.log('');
+    });
+};
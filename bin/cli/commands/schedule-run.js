@@ -0,0 +1,83 @@
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Register schedule:run command
+ * Boots the app (database and models, no HTTP server) and runs scheduled
+ * tasks when they are due, until SIGINT/SIGTERM. With --once it runs the
+ * tasks of the current minute and exits, for a system crontab.
+ * @param {Command} program - Commander program instance
+ */
+module.exports = (program) => {
+  program
+    .command('schedule:run')
+    .description('Run scheduled tasks when they are due')
+    .option('--once', 'Run the tasks due this minute, then exit (for a system crontab)')
+    .option('-t, --task <name>', 'Run one task now, whatever its schedule, then exit')
+    .action(async (options) => {
+      const { createApp } = require('../../../core/application');
+
+      let app;
+
+      try {
+        app = await createApp({ rootDir: process.cwd(), routesDir: path.resolve(process.cwd(), 'routes') });
+      } catch (error) {
+        console.error(chalk.red('\n❌ Failed to boot the application:'), error.message);
+        process.exit(1);
+      }
+
+      const { scheduler } = app;
+
+      if (options.task || options.once) {
+        try {
+          const outcomes = options.task
+            ? [await scheduler.run(options.task)]
+            : await scheduler.runMinute();
+
+          outcomes.forEach((outcome) => {
+            const color = { completed: chalk.green, failed: chalk.red, skipped: chalk.yellow }[outcome.status];
+            console.log(color(`${outcome.name}: ${outcome.status}`) + chalk.gray(` (${outcome.duration}ms)`));
+          });
+
+          await app.stop();
+          process.exit(outcomes.some((outcome) => outcome.status === 'failed') ? 1 : 0);
+        } catch (error) {
+          console.error(chalk.red('\n❌'), error.message);
+          await app.stop();
+          process.exit(1);
+        }
+      }
+
+      if (app.locals.config.schedule.inProcess) {
+        console.warn(chalk.yellow('⚠️  SCHEDULE_IN_PROCESS is on, so app servers run these tasks too.'));
+        console.warn(chalk.yellow('   Set SCHEDULE_IN_PROCESS=false for the app when running schedule:run.'));
+      }
+
+      scheduler.start();
+      console.log(chalk.blue(`\nRunning ${scheduler.tasks.size} scheduled task(s). Press Ctrl+C to stop.`));
+
+      let stopping = false;
+
+      const shutdown = async (signal) => {
+        if (stopping) {
+          console.warn(chalk.yellow(`${signal} received again. Forcing exit.`));
+          process.exit(1);
+        }
+        stopping = true;
+
+        console.log(chalk.blue(`\n${signal} received. Waiting for running tasks to finish...`));
+
+        try {
+          await scheduler.stop();
+          await app.stop();
+          process.exit(0);
+        } catch (error) {
+          console.error(chalk.red('❌ Error during shutdown:'), error.message);
+          process.exit(1);
+        }
+      };
+
+      process.on('SIGINT', () => shutdown('SIGINT'));
+      process.on('SIGTERM', () => shutdown('SIGTERM'));
+    });
+};
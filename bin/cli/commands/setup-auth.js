@@ -402,6 +402,7 @@ function updateUserModel() {
 function generateAuthService(components) {
   return `const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ValidationError, UnauthorizedError, NotFoundError, ConflictError } = require('../core/errors');
 
 /**
  * AuthService
@@ -465,9 +466,9 @@ class AuthService {
       return jwt.verify(token, secret);
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
-        throw new Error('Token has expired');
+        throw new UnauthorizedError('Token has expired', { code: 'TOKEN_EXPIRED' });
       } else if (error.name === 'JsonWebTokenError') {
-        throw new Error('Invalid token');
+        throw new UnauthorizedError('Invalid token', { code: 'INVALID_TOKEN' });
       } else {
         throw error;
       }
@@ -482,12 +483,12 @@ class AuthService {
       const { email, password, username, ...otherData } = userData;
 
       if (!email || !password) {
-        throw new Error('Email and password are required');
+        throw new ValidationError('Email and password are required');
       }
 
       const existingUser = await this.findUserByEmail(User, email);
       if (existingUser) {
-        throw new Error('User with this email already exists');
+        throw new ConflictError('User with this email already exists', { code: 'EMAIL_TAKEN' });
       }
 
       const hashedPassword = await this.hashPassword(password);
@@ -520,17 +521,17 @@ class AuthService {
   static async login(User, email, password) {
     try {
       if (!email || !password) {
-        throw new Error('Email and password are required');
+        throw new ValidationError('Email and password are required');
       }
 
       const user = await this.findUserByEmail(User, email);
       if (!user) {
-        throw new Error('Invalid credentials');
+        throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
       }
 
       const isValidPassword = await this.comparePassword(password, user.password);
       if (!isValidPassword) {
-        throw new Error('Invalid credentials');
+        throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
       }
 
       const accessToken = this.generateAccessToken({ 
@@ -556,7 +557,7 @@ class AuthService {
       const decoded = this.verifyToken(refreshToken, true);
       const user = await this.findUserById(User, decoded.userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new UnauthorizedError('User no longer exists', { code: 'INVALID_TOKEN' });
       }
 
       const accessToken = this.generateAccessToken({ 
@@ -569,6 +570,9 @@ class AuthService {
         user: this.sanitizeUser(user)
       };
     } catch (error) {
+      if (error.code === 'TOKEN_EXPIRED') {
+        throw new UnauthorizedError('Refresh token has expired. Please login again.', { code: 'REFRESH_TOKEN_EXPIRED' });
+      }
       throw error;
     }
   }` : ''}
@@ -628,12 +632,14 @@ class AuthService {
     try {
       const user = await this.findUserById(User, userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new NotFoundError('User not found');
       }
 
       const isValidPassword = await this.comparePassword(oldPassword, user.password);
       if (!isValidPassword) {
-        throw new Error('Current password is incorrect');
+        throw new ValidationError('Current password is incorrect', [
+          { field: 'oldPassword', message: 'Current password is incorrect', type: 'password' }
+        ]);
       }
 
       const hashedPassword = await this.hashPassword(newPassword);
@@ -664,162 +670,83 @@ module.exports = AuthService;
  */
 function generateAuthController(components) {
   return `const AuthService = require('../services/AuthService');
+const { asyncHandler, HttpError, ValidationError, UnauthorizedError } = require('../core/errors');
+
+// Errors thrown here and by AuthService are turned into responses by the error handler
 
 /**
- * Register new user
+ * User model of the active ORM
+ * @throws {HttpError} 500 when no User model is loaded
  */
-const register = async (req, res) => {
-  try {
-    const { User } = req.models || req.app.locals?.models || {};
-    
-    if (!User) {
-      return res.status(500).json({
-        success: false,
-        message: 'User model not found'
-      });
-    }
+const getUserModel = (req) => {
+  const { User } = req.models || req.app.locals?.models || {};
 
-    const { email, password, username } = req.body;
+  if (!User) {
+    throw new HttpError(500, 'User model not found');
+  }
 
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and password are required'
-      });
-    }
+  return User;
+};
 
-    const emailRegex = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format'
-      });
-    }
+/**
+ * Register new user
+ */
+const register = async (req, res) => {
+  const User = getUserModel(req);
+  const { email, password, username } = req.body;
 
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters long'
-      });
-    }
+  if (!email || !password) {
+    throw new ValidationError('Email and password are required');
+  }
 
-    const result = await AuthService.register(User, { email, password, username });
+  const emailRegex = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
+  if (!emailRegex.test(email)) {
+    throw new ValidationError('Invalid email format', [
+      { field: 'email', message: 'Invalid email format', type: 'string.email' }
+    ]);
+  }
 
-    return res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      data: result
-    });
+  if (password.length < 6) {
+    throw new ValidationError('Password must be at least 6 characters long', [
+      { field: 'password', message: 'Password must be at least 6 characters long', type: 'string.min' }
+    ]);
+  }
 
-  } catch (error) {
-    if (error.message.includes('already exists')) {
-      return res.status(409).json({
-        success: false,
-        message: error.message
-      });
-    }
+  const result = await AuthService.register(User, { email, password, username });
 
-    return res.status(500).json({
-      success: false,
-      message: 'Registration failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
+  return res.created(result, 'User registered successfully');
 };
 
 /**
  * Login user
  */
 const login = async (req, res) => {
-  try {
-    const { User } = req.models || req.app.locals?.models || {};
-    
-    if (!User) {
-      return res.status(500).json({
-        success: false,
-        message: 'User model not found'
-      });
-    }
+  const User = getUserModel(req);
+  const { email, password } = req.body;
 
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and password are required'
-      });
-    }
-
-    const result = await AuthService.login(User, email, password);
-
-    return res.json({
-      success: true,
-      message: 'Login successful',
-      data: result
-    });
+  if (!email || !password) {
+    throw new ValidationError('Email and password are required');
+  }
 
-  } catch (error) {
-    if (error.message === 'Invalid credentials') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+  const result = await AuthService.login(User, email, password);
 
-    return res.status(500).json({
-      success: false,
-      message: 'Login failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
+  return res.ok(result, 'Login successful');
 };
 
 ${components.refreshToken ? `/**
  * Refresh access token
  */
 const refresh = async (req, res) => {
-  try {
-    const { User } = req.models || req.app.locals?.models || {};
-    
-    if (!User) {
-      return res.status(500).json({
-        success: false,
-        message: 'User model not found'
-      });
-    }
-
-    const { refreshToken } = req.body;
-
-    if (!refreshToken) {
-      return res.status(400).json({
-        success: false,
-        message: 'Refresh token is required'
-      });
-    }
+  const User = getUserModel(req);
+  const { refreshToken } = req.body;
 
-    const result = await AuthService.refreshAccessToken(User, refreshToken);
-
-    return res.json({
-      success: true,
-      message: 'Token refreshed successfully',
-      data: result
-    });
+  if (!refreshToken) {
+    throw new ValidationError('Refresh token is required');
+  }
 
-  } catch (error) {
-    if (error.message === 'Token has expired') {
-      return res.status(401).json({
-        success: false,
-        message: 'Refresh token has expired. Please login again.',
-        code: 'REFRESH_TOKEN_EXPIRED'
-      });
-    }
+  const result = await AuthService.refreshAccessToken(User, refreshToken);
 
-    return res.status(500).json({
-      success: false,
-      message: 'Token refresh failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
+  return res.ok(result, 'Token refreshed successfully');
 };
 ` : ''}
 
@@ -827,86 +754,38 @@ const refresh = async (req, res) => {
  * Get current user profile
  */
 const getProfile = async (req, res) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not authenticated'
-      });
-    }
-
-    return res.json({
-      success: true,
-      data: req.user.data || req.user
-    });
-
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to get profile',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (!req.user) {
+    throw new UnauthorizedError('User not authenticated');
   }
+
+  return res.ok(req.user.data || req.user);
 };
 
 ${components.changePassword ? `/**
  * Change password
  */
 const changePassword = async (req, res) => {
-  try {
-    const { User } = req.models || req.app.locals?.models || {};
-    
-    if (!User) {
-      return res.status(500).json({
-        success: false,
-        message: 'User model not found'
-      });
-    }
+  const User = getUserModel(req);
 
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
-
-    const { oldPassword, newPassword } = req.body;
-
-    if (!oldPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Old password and new password are required'
-      });
-    }
+  if (!req.user) {
+    throw new UnauthorizedError();
+  }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 6 characters long'
-      });
-    }
+  const { oldPassword, newPassword } = req.body;
 
-    await AuthService.changePassword(User, req.user.userId || req.user.id, oldPassword, newPassword);
+  if (!oldPassword || !newPassword) {
+    throw new ValidationError('Old password and new password are required');
+  }
 
-    return res.json({
-      success: true,
-      message: 'Password changed successfully'
-    });
+  if (newPassword.length < 6) {
+    throw new ValidationError('New password must be at least 6 characters long', [
+      { field: 'newPassword', message: 'New password must be at least 6 characters long', type: 'string.min' }
+    ]);
+  }
 
-  } catch (error) {
-    if (error.message === 'Current password is incorrect') {
-      return res.status(400).json({
-        success: false,
-        message: error.message
-      });
-    }
+  await AuthService.changePassword(User, req.user.userId || req.user.id, oldPassword, newPassword);
 
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to change password',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
+  return res.ok(undefined, 'Password changed successfully');
 };
 ` : ''}
 
@@ -914,19 +793,16 @@ const changePassword = async (req, res) => {
  * Logout
  */
 const logout = async (req, res) => {
-  return res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+  return res.ok(undefined, 'Logged out successfully');
 };
 
 module.exports = {
-  register,
-  login,
-  ${components.refreshToken ? 'refresh,' : ''}
-  getProfile,
-  ${components.changePassword ? 'changePassword,' : ''}
-  logout
+  register: asyncHandler(register),
+  login: asyncHandler(login),
+  ${components.refreshToken ? 'refresh: asyncHandler(refresh),' : ''}
+  getProfile: asyncHandler(getProfile),
+  ${components.changePassword ? 'changePassword: asyncHandler(changePassword),' : ''}
+  logout: asyncHandler(logout)
 };
 `;
 }
@@ -936,35 +812,30 @@ module.exports = {
  */
 function generateAuthMiddleware(components) {
   return `const AuthService = require('../services/AuthService');
+const { setContext } = require('../core/context');
+const { HttpError, UnauthorizedError, ForbiddenError } = require('../core/errors');
 
 /**
  * Authentication middleware
+ * Failures are passed to the error handler as 401s with a stable code
+ * (TOKEN_EXPIRED, INVALID_TOKEN...).
  */
 const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
     if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        message: 'No authorization token provided'
-      });
+      throw new UnauthorizedError('No authorization token provided', { code: 'TOKEN_MISSING' });
     }
 
     if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid authorization format. Use: Bearer <token>'
-      });
+      throw new UnauthorizedError('Invalid authorization format. Use: Bearer <token>', { code: 'INVALID_TOKEN' });
     }
 
     const token = authHeader.split(' ')[1];
 
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided'
-      });
+      throw new UnauthorizedError('No token provided', { code: 'TOKEN_MISSING' });
     }
 
     const decoded = AuthService.verifyToken(token);
@@ -974,6 +845,9 @@ const authenticate = async (req, res, next) => {
       email: decoded.email
     };
 
+    // Tag the request's log lines with the user (and tenant, if in the token)
+    setContext({ userId: decoded.userId, tenantId: decoded.tenantId });
+
     // Try to load full user data if User model is available
     const { User } = req.models || req.app.locals?.models || {};
     if (User) {
@@ -989,27 +863,7 @@ const authenticate = async (req, res, next) => {
 
     next();
   } catch (error) {
-    if (error.message === 'Token has expired') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token has expired',
-        code: 'TOKEN_EXPIRED'
-      });
-    }
-
-    if (error.message === 'Invalid token') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token',
-        code: 'INVALID_TOKEN'
-      });
-    }
-
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    next(error instanceof HttpError ? error : new UnauthorizedError('Authentication failed', { cause: error }));
   }
 };
 
@@ -1017,28 +871,19 @@ ${components.roleAuth ? `/**
  * Role-based authorization middleware
  */
 const authorize = (...allowedRoles) => {
-  return (req, res, next) => {
+  return function authorize(req, res, next) {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
+      return next(new UnauthorizedError());
     }
 
     const userRole = req.user.data?.role || req.user.role;
     
     if (!userRole) {
-      return res.status(403).json({
-        success: false,
-        message: 'User role not found'
-      });
+      return next(new ForbiddenError('User role not found'));
     }
 
     if (!allowedRoles.includes(userRole)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions'
-      });
+      return next(new ForbiddenError());
     }
 
     next();
@@ -1049,22 +894,16 @@ const authorize = (...allowedRoles) => {
  * Check if user owns the resource
  */
 const checkOwnership = (userIdParam = 'id') => {
-  return (req, res, next) => {
+  return function checkOwnership(req, res, next) {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
+      return next(new UnauthorizedError());
     }
 
     const resourceUserId = req.params[userIdParam];
     const currentUserId = req.user.userId || req.user.id;
     
     if (resourceUserId !== currentUserId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only access your own resources'
-      });
+      return next(new ForbiddenError('You can only access your own resources'));
     }
 
     next();
@@ -1192,7 +1031,7 @@ Authorization: Bearer <token>
 const { authenticate } = require('../middlewares/auth');
 
 router.get('/protected', authenticate, (req, res) => {
-  res.json({ user: req.user });
+  res.ok(req.user);
 });
 \`\`\`
 
@@ -160,18 +160,18 @@ module.exports = (program) => {
 function getValidateMiddlewareContent() {
   return `// middlewares/validate.js
 const Joi = require('joi');
+const { BadRequestError, ValidationError } = require('../core/errors');
 const logger = require('../utils/logger');
 
+// Invalid requests reach the error handler as a 400 problem response.
+// The schema is attached to the middleware for the OpenAPI document.
 const validate = (schema, source = 'body') => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     const dataToValidate = req[source];
 
     if (!dataToValidate) {
       logger.warn(\`Validation attempted on undefined req.\${source}\`);
-      return res.status(400).json({
-        success: false,
-        message: \`No \${source} data provided for validation\`
-      });
+      return next(new BadRequestError(\`No \${source} data provided for validation\`));
     }
 
     const { error, value } = schema.validate(dataToValidate, {
@@ -186,18 +186,15 @@ const validate = (schema, source = 'body') => {
         type: detail.type
       }));
 
-      logger.warn('Validation failed:', { source, errors, path: req.path, method: req.method });
-
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors
-      });
+      return next(new ValidationError('Validation error', errors));
     }
 
     req[source] = value;
     next();
   };
+
+  middleware.schemas = { [source]: schema };
+  return middleware;
 };
 
 const commonSchemas = {
@@ -3,4 +3,24 @@ require('dotenv').config();
 
 module.exports = {
   port: process.env.PORT || 3000,
+
+  // Incoming header reused as the request id when valid (otherwise one is generated)
+  requestIdHeader: process.env.REQUEST_ID_HEADER || 'X-Request-ID',
+
+  // Header identifying the tenant in multi-tenant apps, e.g. X-Tenant-ID (optional)
+  tenantHeader: process.env.TENANT_HEADER || undefined,
+
+  // Base URL of the error documentation; problem responses then get
+  // type: <url>/<code>, e.g. https://docs.example.com/errors/validation-error
+  // (default: about:blank)
+  errorTypeBaseUrl: process.env.ERROR_TYPE_BASE_URL || undefined,
+
+  // Graceful shutdown: time allowed for in-flight requests to finish (ms)
+  shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT || '10000'),
+
+  // Time allowed for each resource (queue, timers, providers, database) to close (ms)
+  shutdownCloseTimeout: parseInt(process.env.SHUTDOWN_CLOSE_TIMEOUT || '5000'),
+
+  // Cluster mode (run --cluster): time a stopping worker gets before SIGKILL (ms)
+  clusterKillTimeout: parseInt(process.env.CLUSTER_KILL_TIMEOUT || '30000'),
 };
@@ -0,0 +1,14 @@
+// config/auth.js
+require('dotenv').config();
+
+/**
+ * Authentication Configuration
+ * Secrets are validated at startup (see config/schema.js)
+ */
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET,
+  jwtRefreshSecret: process.env.JWT_REFRESH_SECRET,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h',
+  jwtRefreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '10')
+};
@@ -0,0 +1,47 @@
+// config/cache.js
+
+/**
+ * Cache Configuration
+ * app.cache (see core/cache/) and the response cache middleware
+ * (middlewares/cache.js).
+ *
+ * Drivers:
+ *   memory  entries live in the app process (dev, tests, one process)
+ *   file    one file per entry on the local disk (one server)
+ *   redis   shared by every process and server (scale)
+ */
+module.exports = {
+  driver: process.env.CACHE_DRIVER || 'memory',
+
+  // Time to live of entries that don't set their own, in ms (0 = until flushed)
+  ttl: parseInt(process.env.CACHE_TTL || '3600000'),
+
+  memory: {
+    // Least recently used entries are dropped past this many
+    maxItems: parseInt(process.env.CACHE_MEMORY_MAX_ITEMS || '10000')
+  },
+
+  file: {
+    path: process.env.CACHE_FILE_PATH || './tmp/cache'
+  },
+
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT || '6379'),
+    password: process.env.REDIS_PASSWORD || undefined,
+    // Keys are stored as <prefix>:cache:<key>
+    prefix: process.env.CACHE_REDIS_PREFIX || 'greycode'
+  },
+
+  responses: {
+    // Turns every cacheResponse() middleware on or off
+    enabled: process.env.CACHE_RESPONSES !== 'false',
+
+    // Time a cached GET response is served, in ms
+    ttl: parseInt(process.env.CACHE_RESPONSE_TTL || '60000')
+  },
+
+  // Flush the tag named after a model (user, blogPost) when one of its
+  // records is created, updated or deleted
+  invalidateOnModelEvents: process.env.CACHE_INVALIDATE_ON_MODEL_EVENTS !== 'false'
+};
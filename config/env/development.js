@@ -0,0 +1,15 @@
+// config/env/development.js
+
+/**
+ * Development overrides
+ * Deep-merged over the base config files when NODE_ENV=development
+ */
+module.exports = {
+  // Local MySQL login when neither DB_USER/DB_PASSWORD nor DATABASE_URL is set
+  database: {
+    ...(!process.env.DATABASE_URL && {
+      username: process.env.DB_USER || 'root',
+      password: process.env.DB_PASSWORD || ''
+    })
+  }
+};
@@ -0,0 +1,11 @@
+// config/env/production.js
+
+/**
+ * Production overrides
+ * Deep-merged over the base config files when NODE_ENV=production
+ */
+module.exports = {
+  email: {
+    development: { logOnly: false }
+  }
+};
@@ -0,0 +1,26 @@
+// config/env/test.js
+
+/**
+ * Test overrides
+ * Deep-merged over the base config files when NODE_ENV=test
+ */
+module.exports = {
+  auth: {
+    jwtSecret: process.env.JWT_SECRET || 'test-jwt-secret-not-for-production-use',
+    bcryptRounds: 4
+  },
+
+  database: {
+    database: process.env.DB_NAME || 'greycode_test',
+    // Local MySQL login when neither DB_USER/DB_PASSWORD nor DATABASE_URL is set
+    ...(!process.env.DATABASE_URL && {
+      username: process.env.DB_USER || 'root',
+      password: process.env.DB_PASSWORD || ''
+    })
+  },
+
+  email: {
+    queue: { enabled: false },
+    development: { logOnly: true }
+  }
+};
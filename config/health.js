@@ -0,0 +1,24 @@
+// config/health.js
+
+/**
+ * Health Check Configuration
+ * Liveness and readiness endpoints for load balancers and orchestrators.
+ */
+module.exports = {
+  // Mount the health endpoints
+  enabled: process.env.HEALTH_ENABLED !== 'false',
+
+  // Liveness: is the process up and able to serve requests?
+  livenessPath: process.env.HEALTH_PATH || '/health',
+
+  // Readiness: can the app handle traffic (database, queue, storage...)?
+  readinessPath: process.env.READY_PATH || '/ready',
+
+  // Per-check timeout in milliseconds
+  timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '5000'),
+
+  // Check names to skip, e.g. ['email', 'uploads']
+  disabled: process.env.HEALTH_CHECKS_DISABLED
+    ? process.env.HEALTH_CHECKS_DISABLED.split(',').map(name => name.trim())
+    : []
+};
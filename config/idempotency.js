@@ -0,0 +1,41 @@
+// config/idempotency.js
+
+/**
+ * Idempotency Configuration
+ * Idempotency-Key support for unsafe requests: app.idempotency (see
+ * core/idempotency/) and the idempotent() middleware
+ * (middlewares/idempotency.js).
+ *
+ * Drivers:
+ *   memory    keys live in the app process (dev, tests, one process)
+ *   database  idempotency_keys table/collection of the active ORM
+ *   redis     shared by every process and server (scale)
+ */
+module.exports = {
+  // Turns every idempotent() middleware on or off
+  enabled: process.env.IDEMPOTENCY_ENABLED !== 'false',
+
+  driver: process.env.IDEMPOTENCY_DRIVER || 'memory',
+
+  // Time a response is replayed for its key, in ms (24 hours)
+  ttl: parseInt(process.env.IDEMPOTENCY_TTL || '86400000'),
+
+  // A request still running after this many ms is assumed abandoned by a
+  // crashed process, and its key can be used again. Keep it above the
+  // slowest idempotent route.
+  lockTimeout: parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT || '60000'),
+
+  database: {
+    // Table (Sequelize) or collection (Mongoose) holding the keys.
+    // Prisma needs the IdempotencyKey model from docs/IDEMPOTENCY_GUIDE.md.
+    table: process.env.IDEMPOTENCY_TABLE || 'idempotency_keys'
+  },
+
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT || '6379'),
+    password: process.env.REDIS_PASSWORD || undefined,
+    // Keys are stored as <prefix>:idempotency:<key>
+    prefix: process.env.IDEMPOTENCY_REDIS_PREFIX || 'greycode'
+  }
+};
@@ -0,0 +1,95 @@
+// config/logging.js
+require('dotenv').config();
+
+/**
+ * Parse per-module levels, e.g. "database:debug,http:warn"
+ * @param {string} [value]
+ * @returns {Object} module -> level
+ */
+const parseModuleLevels = (value) => {
+  if (!value) return {};
+
+  return Object.fromEntries(
+    value.split(',')
+      .map((entry) => entry.split(':').map((part) => part.trim()))
+      .filter(([name, level]) => name && level)
+  );
+};
+
+/**
+ * Split a comma-separated list
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+const parseList = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : []);
+
+/**
+ * Logging Configuration
+ * Console and file output of utils/logger.js and the HTTP access log.
+ */
+module.exports = {
+  // Minimum level for modules without a level of their own
+  level: process.env.LOG_LEVEL || 'info',
+
+  // 'text' (human readable) or 'json' (one JSON object per line, for log shippers)
+  format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'text'),
+
+  // Write to stdout
+  console: process.env.LOG_CONSOLE !== 'false',
+
+  // Directory of error.log, combined.log and access.log (empty to disable file logging)
+  dir: process.env.LOG_DIR !== undefined ? process.env.LOG_DIR : 'logs',
+
+  // Files are rotated by date and, within a day, by size
+  rotation: {
+    enabled: process.env.LOG_ROTATION !== 'false',
+
+    // One file per period (moment.js tokens), e.g. 'YYYY-MM-DD-HH' for hourly files
+    datePattern: process.env.LOG_DATE_PATTERN || 'YYYY-MM-DD',
+
+    // Start a new file once the current one reaches this size (k, m or g suffix)
+    maxSize: process.env.LOG_MAX_SIZE || '20m',
+
+    // Retention: number of files to keep, or days with a 'd' suffix
+    maxFiles: process.env.LOG_MAX_FILES || '14d',
+
+    // Gzip rotated files
+    compress: process.env.LOG_COMPRESS === 'true'
+  },
+
+  // Levels for single modules, overriding `level` in both directions
+  // Env: LOG_LEVELS=database:debug,http:warn
+  modules: parseModuleLevels(process.env.LOG_LEVELS),
+
+  // Secrets masked in every log entry and error report (see utils/redact.js)
+  redaction: {
+    enabled: process.env.LOG_REDACT !== 'false',
+
+    // Keys whose values are masked at any depth; matches keys containing them,
+    // ignoring case, '-' and '_' (so 'apikey' also masks X-Api-Key)
+    // Env: LOG_REDACT_KEYS=ssn,iban (added to these)
+    keys: [
+      'password', 'passwd', 'secret', 'token', 'authorization', 'cookie',
+      'apikey', 'accesskey', 'privatekey', 'cardnumber', 'creditcard', 'cvv', 'cvc',
+      ...parseList(process.env.LOG_REDACT_KEYS)
+    ],
+
+    // Exact paths in a log entry, '*' matching one level, e.g. body.user.ssn
+    // Env: LOG_REDACT_PATHS=body.user.ssn,query.email
+    paths: parseList(process.env.LOG_REDACT_PATHS),
+
+    // Regular expressions masked inside strings, in addition to card numbers,
+    // bearer/basic credentials and JWTs
+    patterns: [],
+
+    replacement: '[REDACTED]'
+  },
+
+  access: {
+    // Log one line per HTTP request (module 'http')
+    enabled: process.env.LOG_ACCESS !== 'false',
+
+    // Also write access lines to their own file in `dir`
+    file: process.env.LOG_ACCESS_FILE !== 'false'
+  }
+};
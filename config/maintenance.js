@@ -0,0 +1,24 @@
+// config/maintenance.js
+
+/**
+ * Maintenance Mode Configuration
+ * `npm run cli -- down` / `up` and the maintenance middleware, see
+ * core/maintenance.js.
+ */
+module.exports = {
+  // Flag file written by `down`. Put it on shared storage to take every
+  // server down at once.
+  file: process.env.MAINTENANCE_FILE || './tmp/maintenance.json',
+
+  // IPs or CIDR ranges always let through, in addition to `down --allow`
+  allowedIps: process.env.MAINTENANCE_ALLOWED_IPS
+    ? process.env.MAINTENANCE_ALLOWED_IPS.split(',').map(ip => ip.trim()).filter(Boolean)
+    : [],
+
+  // Defaults of `down` (--retry and --message)
+  retryAfter: parseInt(process.env.MAINTENANCE_RETRY_AFTER || '60'),
+  message: process.env.MAINTENANCE_MESSAGE || 'We are performing scheduled maintenance. Please check back soon.',
+
+  // Lifetime of the cookie set by visiting /<secret>, in ms (12 hours)
+  bypassTtl: parseInt(process.env.MAINTENANCE_BYPASS_TTL || '43200000')
+};
@@ -0,0 +1,19 @@
+// config/metrics.js
+
+/**
+ * Metrics Configuration
+ * Prometheus metrics endpoint.
+ */
+module.exports = {
+  // Mount the metrics endpoint
+  enabled: process.env.METRICS_ENABLED !== 'false',
+
+  // Path scraped by Prometheus
+  path: process.env.METRICS_PATH || '/metrics',
+
+  // Require "Authorization: Bearer <token>" when set
+  token: process.env.METRICS_TOKEN || undefined,
+
+  // Collect Node.js process metrics (CPU, memory, event loop lag, GC)
+  defaultMetrics: process.env.METRICS_DEFAULT !== 'false'
+};
@@ -0,0 +1,45 @@
+// config/openapi.js
+const { version } = require('../package.json');
+
+/**
+ * OpenAPI Configuration
+ * OpenAPI 3 document generated from the routes in routes/ and the Joi
+ * schemas passed to validate(), see core/openapi.js.
+ */
+module.exports = {
+  // Serve the document
+  enabled: process.env.OPENAPI_ENABLED !== 'false',
+
+  // Path of the JSON document
+  path: process.env.OPENAPI_PATH || '/openapi.json',
+
+  // Swagger UI page (loaded from a CDN), off in production by default
+  ui: {
+    enabled: process.env.OPENAPI_UI
+      ? process.env.OPENAPI_UI === 'true'
+      : process.env.NODE_ENV !== 'production',
+    path: process.env.OPENAPI_UI_PATH || '/docs',
+    // Base URL of the swagger-ui-dist files
+    cdn: process.env.OPENAPI_UI_CDN || 'https://unpkg.com/swagger-ui-dist@5'
+  },
+
+  info: {
+    title: process.env.OPENAPI_TITLE || 'GreyCodeJS API',
+    version: process.env.OPENAPI_VERSION || version,
+    description: process.env.OPENAPI_DESCRIPTION || undefined
+  },
+
+  // Server URLs, e.g. ['https://api.example.com'] (default: the current host)
+  servers: process.env.OPENAPI_SERVERS
+    ? process.env.OPENAPI_SERVERS.split(',').map(url => url.trim()).filter(Boolean)
+    : [],
+
+  // Path prefixes left out of the document, e.g. ['/internal']
+  exclude: [],
+
+  // Middleware names marking a route as authenticated (bearer token, 401)
+  authMiddleware: ['authenticate'],
+
+  // Middleware names that can reject an authenticated user (403)
+  permissionMiddleware: ['authorize', 'checkOwnership']
+};
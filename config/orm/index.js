@@ -1,6 +1,6 @@
 // core/orm/index.js
 const { activeORM } = require('../../config/orm');
-const logger = require('../../utils/logger');
+const logger = require('../../utils/logger').forModule('database');
 
 class ORMFactory {
   static async initialize() {
@@ -1,7 +1,7 @@
 // core/orm/mongoose.js
 const mongoose = require('mongoose');
 const mongooseConfig = require('../../config/orm').mongoose;
-const logger = require('../../utils/logger');
+const logger = require('../../utils/logger').forModule('database');
 
 
 module.exports = {
@@ -1,7 +1,7 @@
 // core/orm/prisma.js
 const { PrismaClient } = require('@prisma/client');
 const prismaConfig = require('../../config/orm').prisma;
-const logger = require('../../utils/logger');
+const logger = require('../../utils/logger').forModule('database');
 
 
 module.exports = {
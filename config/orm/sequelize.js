@@ -1,6 +1,6 @@
 // core/orm/sequelize.js
 const { Sequelize } = require('sequelize');
-const logger = require('../../utils/logger');
+const logger = require('../../utils/logger').forModule('database');
 const { database, username, password, host, port, dialect } = require("../database");
 
 module.exports = {
@@ -0,0 +1,16 @@
+// config/providers.js
+
+/**
+ * Provider Configuration
+ * Providers in the providers/ folder are loaded automatically.
+ * List npm packages that export a provider here.
+ */
+module.exports = {
+  // npm packages exporting a provider (loaded before providers/ files)
+  packages: [],
+
+  // Provider names to skip, e.g. ['reports']
+  disabled: process.env.PROVIDERS_DISABLED
+    ? process.env.PROVIDERS_DISABLED.split(',').map(name => name.trim())
+    : []
+};
@@ -0,0 +1,65 @@
+// config/queue.js
+
+/**
+ * Queue Configuration
+ * Background jobs dispatched with app.queue.dispatch(), see core/queue/.
+ *
+ * Drivers:
+ *   memory    jobs live in the app process and are lost on restart (dev, tests)
+ *   database  jobs table/collection of the active ORM (small deployments)
+ *   redis     Bull queues on Redis (scale)
+ */
+module.exports = {
+  driver: process.env.QUEUE_DRIVER || 'memory',
+
+  // Queue used when neither the job nor dispatch() names one
+  defaultQueue: process.env.QUEUE_DEFAULT || 'default',
+
+  // Defaults for jobs that don't set their own
+  attempts: parseInt(process.env.QUEUE_ATTEMPTS || '3'),
+  backoff: {
+    // fixed: wait `delay` between attempts; exponential: delay, 2x delay, 4x delay...
+    type: process.env.QUEUE_BACKOFF || 'exponential',
+    delay: parseInt(process.env.QUEUE_BACKOFF_DELAY || '1000')
+  },
+
+  // Time a job may run before it counts as a failed attempt, in ms (0 = no limit)
+  timeout: parseInt(process.env.QUEUE_TIMEOUT || '60000'),
+
+  worker: {
+    // Queues processed by queue:work, in priority order
+    queues: (process.env.QUEUE_WORKER_QUEUES || 'default').split(',').map(name => name.trim()).filter(Boolean),
+
+    // Jobs run at the same time by one worker
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY || '1'),
+
+    // How often the memory and database drivers look for new jobs, in ms
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL || '1000'),
+
+    // Run a worker inside the app process (app.start() to app.stop()).
+    // On by default for the memory driver, whose jobs no other process can see.
+    inProcess: process.env.QUEUE_WORK_IN_PROCESS
+      ? process.env.QUEUE_WORK_IN_PROCESS === 'true'
+      : (process.env.QUEUE_DRIVER || 'memory') === 'memory'
+  },
+
+  // Failed jobs kept in the dead-letter list (oldest are dropped first)
+  failedLimit: parseInt(process.env.QUEUE_FAILED_LIMIT || '1000'),
+
+  database: {
+    // Table (Sequelize) or collection (Mongoose) holding the jobs.
+    // Prisma needs the Job and FailedJob models from docs/QUEUE_GUIDE.md.
+    table: process.env.QUEUE_TABLE || 'jobs',
+    failedTable: process.env.QUEUE_FAILED_TABLE || 'failed_jobs',
+    // A job reserved longer than this (ms) is assumed abandoned by a crashed worker and runs again
+    retryAfter: parseInt(process.env.QUEUE_RETRY_AFTER || '90000')
+  },
+
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT || '6379'),
+    password: process.env.REDIS_PASSWORD || undefined,
+    // Key prefix of the Bull queues
+    prefix: process.env.QUEUE_REDIS_PREFIX || 'greycode'
+  }
+};
@@ -0,0 +1,40 @@
+// config/response.js
+
+/**
+ * Response Configuration
+ * Envelope used by the response helpers (res.ok, res.created,
+ * res.paginated...), see core/response.js.
+ */
+module.exports = {
+  // Wrap data in an envelope: { success: true, data, message, meta }.
+  // When false the data is sent as is and pagination only uses headers.
+  envelope: process.env.RESPONSE_ENVELOPE !== 'false',
+
+  // Envelope key names, e.g. { data: 'result' }
+  keys: {
+    success: 'success',
+    data: 'data',
+    message: 'message',
+    meta: 'meta'
+  },
+
+  // Custom envelope, replaces the default shape when set:
+  //   format: ({ status, data, message, meta }) => ({ ok: true, result: data, ...meta })
+  format: undefined,
+
+  // ETag of responses that don't set their own: 'weak' (hash of the body),
+  // 'strong' or false. Matching If-None-Match GETs get a 304.
+  etag: process.env.RESPONSE_ETAG === 'false' ? false : process.env.RESPONSE_ETAG || 'weak',
+
+  // res.ok() and res.created() with a single record set a strong ETag and
+  // Last-Modified from its updatedAt/version (see core/conditional.js)
+  recordValidators: process.env.RESPONSE_RECORD_VALIDATORS !== 'false',
+
+  pagination: {
+    // Page size when the request has no ?limit=
+    defaultLimit: parseInt(process.env.PAGINATION_DEFAULT_LIMIT || '20'),
+
+    // Largest ?limit= accepted
+    maxLimit: parseInt(process.env.PAGINATION_MAX_LIMIT || '100')
+  }
+};
@@ -0,0 +1,30 @@
+// config/schedule.js
+
+/**
+ * Scheduler Configuration
+ * Tasks registered with app.scheduler.task() in providers/schedule.js,
+ * see core/scheduler.js.
+ */
+module.exports = {
+  // Run due tasks inside the app process (app.start() to app.stop()).
+  // Set to false when a separate `schedule:run` process runs them.
+  inProcess: process.env.SCHEDULE_IN_PROCESS !== 'false',
+
+  // Time zone of the cron expressions (IANA name, e.g. Europe/Berlin)
+  timezone: process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+
+  // Where tasks take their locks so they run once:
+  //   local  this process, or every worker of `run --cluster`
+  //   redis  every process on every server using the same Redis
+  lock: process.env.SCHEDULE_LOCK || 'local',
+
+  // A run that crashed without releasing its lock blocks the task for this long, in ms
+  lockTtl: parseInt(process.env.SCHEDULE_LOCK_TTL || '86400000'),
+
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT || '6379'),
+    password: process.env.REDIS_PASSWORD || undefined,
+    prefix: process.env.SCHEDULE_REDIS_PREFIX || 'greycode'
+  }
+};
@@ -0,0 +1,209 @@
+// config/schema.js
+const Joi = require('joi');
+
+/**
+ * Configuration Schema
+ * The resolved config is validated against this schema when the app
+ * starts. Validation is done with { env } as context, so rules can be
+ * stricter in production, e.g. Joi.when('$env', { is: 'production', ... }).
+ *
+ * Unknown keys are allowed so new options don't need a schema change.
+ */
+
+// Placeholder values from .env.example that must never reach production
+const PLACEHOLDER_SECRETS = [
+  'your_jwt_secret_change_this_in_production',
+  'your_jwt_refresh_secret_change_this_in_production',
+  'your-signing-secret'
+];
+
+// Winston (npm) log levels
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+/**
+ * A secret string: any value in development and test, but at least
+ * 32 characters and not a placeholder in production
+ * @param {string} label - Environment variable name used in error messages
+ * @param {boolean} [required] - Whether a value is required, in every environment
+ */
+const secret = (label, required = false) => Joi.string().label(label).presence(required ? 'required' : 'optional').when('$env', {
+  is: 'production',
+  then: Joi.string()
+    .min(32)
+    .invalid(...PLACEHOLDER_SECRETS)
+    .messages({
+      'any.invalid': '{{#label}} is still set to the .env.example placeholder',
+      'string.min': '{{#label}} must be at least {{#limit}} characters long'
+    })
+});
+
+module.exports = Joi.object({
+  env: Joi.string().valid('development', 'test', 'production').required(),
+
+  app: Joi.object({
+    port: Joi.number().port().required(),
+    errorTypeBaseUrl: Joi.string().uri(),
+    shutdownTimeout: Joi.number().integer().min(0),
+    shutdownCloseTimeout: Joi.number().integer().min(1),
+    clusterKillTimeout: Joi.number().integer().min(1)
+  }).unknown(),
+
+  auth: Joi.object({
+    jwtSecret: secret('JWT_SECRET', true),
+    jwtRefreshSecret: secret('JWT_REFRESH_SECRET'),
+    bcryptRounds: Joi.number().integer().min(4).max(15)
+  }).unknown(),
+
+  openapi: Joi.object({
+    path: Joi.string().pattern(/^\//),
+    ui: Joi.object({
+      path: Joi.string().pattern(/^\//),
+      cdn: Joi.string()
+    }).unknown(),
+    info: Joi.object({
+      title: Joi.string().required(),
+      version: Joi.string().required()
+    }).unknown(),
+    servers: Joi.array().items(Joi.string().uri()),
+    exclude: Joi.array().items(Joi.string())
+  }).unknown(),
+
+  orm: Joi.object({
+    activeORM: Joi.string().valid('sequelize', 'mongoose', 'prisma').required()
+  }).unknown(),
+
+  database: Joi.object({
+    dialect: Joi.string().valid('mysql', 'mariadb', 'postgres', 'mssql', 'sqlite'),
+    host: Joi.string(),
+    port: Joi.alternatives(Joi.number().port(), Joi.string().pattern(/^\d+$/)),
+    database: Joi.string(),
+    // Sequelize logs in with it; SQLite has no users
+    username: Joi.string().label('DB_USER').when('/orm.activeORM', {
+      is: 'sequelize',
+      then: Joi.when('dialect', { not: 'sqlite', then: Joi.required() })
+    }),
+    password: Joi.when('$env', {
+      is: 'production',
+      then: Joi.when('dialect', {
+        not: 'sqlite',
+        then: Joi.string().required().messages({ 'string.empty': '{{#label}} must be set in production' }),
+        otherwise: Joi.string().allow('')
+      }),
+      otherwise: Joi.string().allow('')
+    }).label('DB_PASSWORD'),
+    uri: Joi.string().uri({ scheme: ['mongodb', 'mongodb+srv'] })
+  }).unknown(),
+
+  email: Joi.object({
+    provider: Joi.string().valid('smtp', 'sendgrid', 'ses', 'mailgun')
+  }).unknown(),
+
+  health: Joi.object({
+    livenessPath: Joi.string().pattern(/^\//),
+    readinessPath: Joi.string().pattern(/^\//),
+    timeout: Joi.number().integer().min(1)
+  }).unknown(),
+
+  logging: Joi.object({
+    level: Joi.string().valid(...LOG_LEVELS),
+    format: Joi.string().valid('text', 'json'),
+    rotation: Joi.object({
+      maxSize: Joi.alternatives(Joi.number().integer().min(1), Joi.string().pattern(/^\d+[kmg]$/i)),
+      maxFiles: Joi.alternatives(Joi.number().integer().min(1), Joi.string().pattern(/^\d+d?$/))
+    }).unknown(),
+    modules: Joi.object().pattern(Joi.string(), Joi.string().valid(...LOG_LEVELS).label('LOG_LEVELS level')),
+    redaction: Joi.object({
+      keys: Joi.array().items(Joi.string()),
+      paths: Joi.array().items(Joi.string()),
+      patterns: Joi.array().items(Joi.alternatives(Joi.string(), Joi.object().instance(RegExp)))
+    }).unknown()
+  }).unknown(),
+
+  metrics: Joi.object({
+    path: Joi.string().pattern(/^\//),
+    token: secret('METRICS_TOKEN')
+  }).unknown(),
+
+  cache: Joi.object({
+    driver: Joi.string().valid('memory', 'file', 'redis'),
+    ttl: Joi.number().integer().min(0),
+    memory: Joi.object({
+      maxItems: Joi.number().integer().min(1)
+    }).unknown(),
+    responses: Joi.object({
+      enabled: Joi.boolean(),
+      ttl: Joi.number().integer().min(1)
+    }).unknown()
+  }).unknown(),
+
+  idempotency: Joi.object({
+    enabled: Joi.boolean(),
+    driver: Joi.string().valid('memory', 'database', 'redis'),
+    ttl: Joi.number().integer().min(1),
+    lockTimeout: Joi.number().integer().min(1000)
+  }).unknown(),
+
+  maintenance: Joi.object({
+    file: Joi.string(),
+    allowedIps: Joi.array().items(Joi.string().ip({ cidr: 'optional' }).label('MAINTENANCE_ALLOWED_IPS entry')),
+    retryAfter: Joi.number().integer().min(0),
+    bypassTtl: Joi.number().integer().min(1000)
+  }).unknown(),
+
+  queue: Joi.object({
+    driver: Joi.string().valid('memory', 'database', 'redis'),
+    defaultQueue: Joi.string(),
+    attempts: Joi.number().integer().min(1),
+    backoff: Joi.object({
+      type: Joi.string().valid('fixed', 'exponential'),
+      delay: Joi.number().integer().min(0)
+    }),
+    timeout: Joi.number().integer().min(0),
+    worker: Joi.object({
+      queues: Joi.array().items(Joi.string()).min(1),
+      concurrency: Joi.number().integer().min(1),
+      pollInterval: Joi.number().integer().min(10)
+    }).unknown(),
+    failedLimit: Joi.number().integer().min(1)
+  }).unknown(),
+
+  response: Joi.object({
+    envelope: Joi.boolean(),
+    etag: Joi.valid('weak', 'strong', false),
+    recordValidators: Joi.boolean(),
+    keys: Joi.object({
+      success: Joi.string(),
+      data: Joi.string(),
+      message: Joi.string(),
+      meta: Joi.string()
+    }),
+    format: Joi.func(),
+    pagination: Joi.object({
+      defaultLimit: Joi.number().integer().min(1),
+      maxLimit: Joi.number().integer().min(1)
+    })
+  }).unknown(),
+
+  schedule: Joi.object({
+    timezone: Joi.string().custom((value, helpers) => {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return value;
+      } catch (error) {
+        return helpers.message('{{#label}} must be an IANA time zone such as Europe/Berlin');
+      }
+    }).label('SCHEDULE_TIMEZONE'),
+    lock: Joi.string().valid('local', 'redis'),
+    lockTtl: Joi.number().integer().min(1000)
+  }).unknown(),
+
+  upload: Joi.object({
+    provider: Joi.string().valid('local', 's3', 'cloudinary'),
+    urlSigning: Joi.object({
+      secret: Joi.when('enabled', {
+        is: true,
+        then: secret('UPLOAD_URL_SIGNING_SECRET').required()
+      })
+    }).unknown()
+  }).unknown()
+}).unknown();
@@ -188,7 +188,7 @@ module.exports = {
     sanitizeFilenames: process.env.UPLOAD_SANITIZE_FILENAMES !== 'false'
   },
 
-  // Cleanup old files
+  // Cleanup old files (daily upload:clean-old task, local storage only)
   cleanup: {
     enabled: process.env.UPLOAD_CLEANUP_ENABLED === 'true',
     
@@ -202,7 +202,8 @@ module.exports = {
   // Temporary upload directory
   temp: {
     dir: process.env.UPLOAD_TEMP_DIR || './tmp/uploads',
-    cleanupInterval: 3600000 // 1 hour
+    // Temp files older than this are deleted by the hourly upload:clean-temp task (ms)
+    maxAge: parseInt(process.env.UPLOAD_TEMP_MAX_AGE || '3600000')
   },
 
   // URL signing (for private files)
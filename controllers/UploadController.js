@@ -1,70 +1,86 @@
 // controllers/UploadController.js
+const fs = require('fs').promises;
+const path = require('path');
 const UploadService = require('../services/UploadService');
 const logger = require('../utils/logger');
 const { validateFileType, validateImageDimensions } = require('../utils/file-validator');
+const { asyncHandler, BadRequestError, NotFoundError, ValidationError } = require('../core/errors');
 
 /**
  * UploadController
  * Handles file upload operations with validation and processing
+ *
+ * Rejected files are deleted and reported as a ValidationError; other
+ * errors reach the error handler. Stored files are announced on the event
+ * bus as file.uploaded ({ file, userId }) and file.deleted ({ filename, userId }).
  */
 
+/**
+ * Delete a rejected upload from the temporary directory
+ * @param {Object} file - Multer file
+ */
+const discardFile = async (file) => {
+  if (file && file.path) {
+    await fs.unlink(file.path).catch(() => {});
+  }
+};
+
+/**
+ * Discard a file and throw a validation error for it
+ * @param {Object} file - Multer file
+ * @param {string} message - e.g. 'Image validation failed'
+ * @param {string} reason - Validator error
+ * @throws {ValidationError}
+ */
+const rejectFile = async (file, message, reason) => {
+  await discardFile(file);
+  throw new ValidationError(message, [{ field: file.fieldname, message: reason, type: 'file' }]);
+};
+
+/**
+ * Emit file.uploaded for each stored file
+ * @param {Object} req
+ * @param {Object|Object[]} files - UploadService results
+ */
+const announceUploads = async (req, files) => {
+  for (const file of [].concat(files)) {
+    await req.app.events.emit('file.uploaded', { file, userId: req.user?.userId || req.user?.id });
+  }
+};
+
 /**
  * Upload single file
  * POST /uploads/single
  */
 const uploadSingle = async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No file uploaded'
-      });
-    }
+  if (!req.file) {
+    throw new BadRequestError('No file uploaded');
+  }
 
-    // Determine file type from request or auto-detect
-    const fileType = req.body.fileType || 'document';
-
-    // Validate file
-    const validation = await validateFileType(req.file, fileType);
-    if (!validation.valid) {
-      // Clean up uploaded file
-      if (req.file.path) {
-        const fs = require('fs').promises;
-        await fs.unlink(req.file.path).catch(() => {});
-      }
-
-      return res.status(400).json({
-        success: false,
-        message: 'File validation failed',
-        error: validation.error
-      });
-    }
+  // Determine file type from request or auto-detect
+  const fileType = req.body.fileType || 'document';
 
-    // Upload file
-    const result = await UploadService.upload(req.file, {
-      fileType,
-      userId: req.user?.userId || req.user?.id,
-      metadata: req.body.metadata ? JSON.parse(req.body.metadata) : {}
-    });
+  // Validate file
+  const validation = await validateFileType(req.file, fileType);
+  if (!validation.valid) {
+    await rejectFile(req.file, 'File validation failed', validation.error);
+  }
 
-    logger.info('File uploaded successfully', {
-      filename: result.filename,
-      userId: req.user?.userId
-    });
+  // Upload file
+  const result = await UploadService.upload(req.file, {
+    fileType,
+    userId: req.user?.userId || req.user?.id,
+    metadata: req.body.metadata ? JSON.parse(req.body.metadata) : {}
+  });
 
-    return res.status(201).json({
-      success: true,
-      message: 'File uploaded successfully',
-      data: result
-    });
-  } catch (error) {
-    logger.error('Single file upload failed:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'File upload failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
+  logger.info('File uploaded successfully', {
+    filename: result.filename,
+    userId: req.user?.userId
+  });
+
+  await announceUploads(req, result);
+
+  return res.created(result, 'File uploaded successfully');
 };
 
 /**
@@ -72,73 +88,49 @@ const uploadSingle = async (req, res) => {
  * POST /uploads/multiple
  */
 const uploadMultiple = async (req, res) => {
-  try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No files uploaded'
-      });
-    }
+  if (!req.files || req.files.length === 0) {
+    throw new BadRequestError('No files uploaded');
+  }
 
-    const fileType = req.body.fileType || 'document';
-
-    // Validate all files first
-    const validationResults = [];
-    const validFiles = [];
-
-    for (const file of req.files) {
-      const validation = await validateFileType(file, fileType);
-      
-      if (validation.valid) {
-        validFiles.push(file);
-      } else {
-        validationResults.push({
-          filename: file.originalname,
-          error: validation.error
-        });
-        
-        // Clean up invalid file
-        if (file.path) {
-          const fs = require('fs').promises;
-          await fs.unlink(file.path).catch(() => {});
-        }
-      }
-    }
+  const fileType = req.body.fileType || 'document';
 
-    if (validFiles.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'All files failed validation',
-        errors: validationResults
-      });
-    }
+  // Validate all files first
+  const rejected = [];
+  const validFiles = [];
 
-    // Upload valid files
-    const result = await UploadService.uploadMultiple(validFiles, {
-      fileType,
-      userId: req.user?.userId || req.user?.id
-    });
+  for (const file of req.files) {
+    const validation = await validateFileType(file, fileType);
 
-    logger.info('Multiple files uploaded', {
-      totalUploaded: result.totalUploaded,
-      totalFailed: result.totalFailed,
-      userId: req.user?.userId
-    });
+    if (validation.valid) {
+      validFiles.push(file);
+    } else {
+      rejected.push({ field: file.originalname, message: validation.error, type: 'file' });
+      await discardFile(file);
+    }
+  }
 
-    return res.status(201).json({
-      success: true,
-      message: `Uploaded ${result.totalUploaded} file(s)`,
-      data: result,
-      validationErrors: validationResults.length > 0 ? validationResults : undefined
-    });
-  } catch (error) {
-    logger.error('Multiple file upload failed:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'File upload failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+  if (validFiles.length === 0) {
+    throw new ValidationError('All files failed validation', rejected);
   }
+
+  // Upload valid files
+  const result = await UploadService.uploadMultiple(validFiles, {
+    fileType,
+    userId: req.user?.userId || req.user?.id
+  });
+
+  logger.info('Multiple files uploaded', {
+    totalUploaded: result.totalUploaded,
+    totalFailed: result.totalFailed,
+    userId: req.user?.userId
+  });
+
+  await announceUploads(req, result.success);
+
+  return res.created(result, {
+    message: `Uploaded ${result.totalUploaded} file(s)`,
+    meta: rejected.length > 0 ? { rejected } : undefined
+  });
 };
 
 /**
@@ -146,79 +138,45 @@ const uploadMultiple = async (req, res) => {
  * POST /uploads/image
  */
 const uploadImage = async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No image uploaded'
-      });
-    }
+  if (!req.file) {
+    throw new BadRequestError('No image uploaded');
+  }
 
-    // Validate as image
-    const validation = await validateFileType(req.file, 'image');
-    if (!validation.valid) {
-      // Clean up
-      if (req.file.path) {
-        const fs = require('fs').promises;
-        await fs.unlink(req.file.path).catch(() => {});
-      }
-
-      return res.status(400).json({
-        success: false,
-        message: 'Image validation failed',
-        error: validation.error
-      });
-    }
+  // Validate as image
+  const validation = await validateFileType(req.file, 'image');
+  if (!validation.valid) {
+    await rejectFile(req.file, 'Image validation failed', validation.error);
+  }
 
-    // Validate dimensions if constraints provided
-    if (req.body.minWidth || req.body.maxWidth || req.body.minHeight || req.body.maxHeight) {
-      const dimensionValidation = await validateImageDimensions(req.file, {
-        minWidth: req.body.minWidth ? parseInt(req.body.minWidth) : undefined,
-        maxWidth: req.body.maxWidth ? parseInt(req.body.maxWidth) : undefined,
-        minHeight: req.body.minHeight ? parseInt(req.body.minHeight) : undefined,
-        maxHeight: req.body.maxHeight ? parseInt(req.body.maxHeight) : undefined
-      });
-
-      if (!dimensionValidation.valid) {
-        // Clean up
-        if (req.file.path) {
-          const fs = require('fs').promises;
-          await fs.unlink(req.file.path).catch(() => {});
-        }
-
-        return res.status(400).json({
-          success: false,
-          message: 'Image dimension validation failed',
-          error: dimensionValidation.error
-        });
-      }
+  // Validate dimensions if constraints provided
+  if (req.body.minWidth || req.body.maxWidth || req.body.minHeight || req.body.maxHeight) {
+    const dimensionValidation = await validateImageDimensions(req.file, {
+      minWidth: req.body.minWidth ? parseInt(req.body.minWidth) : undefined,
+      maxWidth: req.body.maxWidth ? parseInt(req.body.maxWidth) : undefined,
+      minHeight: req.body.minHeight ? parseInt(req.body.minHeight) : undefined,
+      maxHeight: req.body.maxHeight ? parseInt(req.body.maxHeight) : undefined
+    });
+
+    if (!dimensionValidation.valid) {
+      await rejectFile(req.file, 'Image dimension validation failed', dimensionValidation.error);
     }
+  }
 
-    // Upload image
-    const result = await UploadService.upload(req.file, {
-      fileType: 'image',
-      userId: req.user?.userId || req.user?.id,
-      generateThumbnails: req.body.generateThumbnails !== 'false'
-    });
+  // Upload image
+  const result = await UploadService.upload(req.file, {
+    fileType: 'image',
+    userId: req.user?.userId || req.user?.id,
+    generateThumbnails: req.body.generateThumbnails !== 'false'
+  });
 
-    logger.info('Image uploaded successfully', {
-      filename: result.filename,
-      userId: req.user?.userId
-    });
+  logger.info('Image uploaded successfully', {
+    filename: result.filename,
+    userId: req.user?.userId
+  });
 
-    return res.status(201).json({
-      success: true,
-      message: 'Image uploaded successfully',
-      data: result
-    });
-  } catch (error) {
-    logger.error('Image upload failed:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Image upload failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
+  await announceUploads(req, result);
+
+  return res.created(result, 'Image uploaded successfully');
 };
 
 /**
@@ -226,55 +184,41 @@ const uploadImage = async (req, res) => {
  * DELETE /uploads/:filename
  */
 const deleteFile = async (req, res) => {
-  try {
-    const { filename } = req.params;
+  const { filename } = req.params;
 
-    if (!filename) {
-      return res.status(400).json({
-        success: false,
-        message: 'Filename is required'
-      });
-    }
+  if (!filename) {
+    throw new BadRequestError('Filename is required');
+  }
 
-    // In production, you should verify that the user owns this file
-    // or has permission to delete it
-    // Example: Check database for file ownership
+  // In production, you should verify that the user owns this file
+  // or has permission to delete it
+  // Example: Check database for file ownership
 
-    // For this example, we'll construct basic file data
-    // In production, fetch this from your database
-    const fileData = {
-      filename,
-      provider: process.env.UPLOAD_PROVIDER || 'local',
-      // Add other necessary fields based on provider
-    };
+  // For this example, we'll construct basic file data
+  // In production, fetch this from your database
+  const fileData = {
+    filename,
+    provider: process.env.UPLOAD_PROVIDER || 'local',
+    // Add other necessary fields based on provider
+  };
 
+  try {
     await UploadService.delete(fileData);
-
-    logger.info('File deleted successfully', {
-      filename,
-      userId: req.user?.userId
-    });
-
-    return res.json({
-      success: true,
-      message: 'File deleted successfully'
-    });
   } catch (error) {
-    logger.error('File deletion failed:', error);
-    
     if (error.code === 'ENOENT') {
-      return res.status(404).json({
-        success: false,
-        message: 'File not found'
-      });
+      throw new NotFoundError('File not found');
     }
-
-    return res.status(500).json({
-      success: false,
-      message: 'File deletion failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    throw error;
   }
+
+  logger.info('File deleted successfully', {
+    filename,
+    userId: req.user?.userId
+  });
+
+  await req.app.events.emit('file.deleted', { filename, userId: req.user?.userId || req.user?.id });
+
+  return res.noContent();
 };
 
 /**
@@ -282,21 +226,9 @@ const deleteFile = async (req, res) => {
  * GET /uploads/stats
  */
 const getStats = async (req, res) => {
-  try {
-    const stats = await UploadService.getStats();
+  const stats = await UploadService.getStats();
 
-    return res.json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    logger.error('Failed to get upload stats:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to get statistics',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
+  return res.ok(stats);
 };
 
 /**
@@ -304,81 +236,47 @@ const getStats = async (req, res) => {
  * POST /uploads/avatar
  */
 const uploadAvatar = async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No avatar image uploaded'
-      });
-    }
+  if (!req.file) {
+    throw new BadRequestError('No avatar image uploaded');
+  }
 
-    // Validate as image
-    const validation = await validateFileType(req.file, 'image');
-    if (!validation.valid) {
-      // Clean up
-      if (req.file.path) {
-        const fs = require('fs').promises;
-        await fs.unlink(req.file.path).catch(() => {});
-      }
-
-      return res.status(400).json({
-        success: false,
-        message: 'Avatar validation failed',
-        error: validation.error
-      });
-    }
+  // Validate as image
+  const validation = await validateFileType(req.file, 'image');
+  if (!validation.valid) {
+    await rejectFile(req.file, 'Avatar validation failed', validation.error);
+  }
 
-    // Validate dimensions (avatars should be square-ish)
-    const dimensionValidation = await validateImageDimensions(req.file, {
-      minWidth: 100,
-      maxWidth: 2000,
-      minHeight: 100,
-      maxHeight: 2000
-    });
+  // Validate dimensions (avatars should be square-ish)
+  const dimensionValidation = await validateImageDimensions(req.file, {
+    minWidth: 100,
+    maxWidth: 2000,
+    minHeight: 100,
+    maxHeight: 2000
+  });
 
-    if (!dimensionValidation.valid) {
-      // Clean up
-      if (req.file.path) {
-        const fs = require('fs').promises;
-        await fs.unlink(req.file.path).catch(() => {});
-      }
-
-      return res.status(400).json({
-        success: false,
-        message: 'Avatar dimension validation failed',
-        error: dimensionValidation.error
-      });
-    }
+  if (!dimensionValidation.valid) {
+    await rejectFile(req.file, 'Avatar dimension validation failed', dimensionValidation.error);
+  }
 
-    // Upload avatar
-    const result = await UploadService.upload(req.file, {
-      fileType: 'image',
-      userId: req.user?.userId || req.user?.id,
-      generateThumbnails: true,
-      folder: 'avatars'
-    });
+  // Upload avatar
+  const result = await UploadService.upload(req.file, {
+    fileType: 'image',
+    userId: req.user?.userId || req.user?.id,
+    generateThumbnails: true,
+    folder: 'avatars'
+  });
 
-    // In production, update user's avatar field in database here
-    // Example: await User.update({ avatar: result.url }, { where: { id: req.user.userId } });
+  // In production, update user's avatar field in database here
+  // Example: await User.update({ avatar: result.url }, { where: { id: req.user.userId } });
 
-    logger.info('Avatar uploaded successfully', {
-      filename: result.filename,
-      userId: req.user?.userId
-    });
+  logger.info('Avatar uploaded successfully', {
+    filename: result.filename,
+    userId: req.user?.userId
+  });
 
-    return res.status(201).json({
-      success: true,
-      message: 'Avatar uploaded successfully',
-      data: result
-    });
-  } catch (error) {
-    logger.error('Avatar upload failed:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Avatar upload failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
+  await announceUploads(req, result);
+
+  return res.created(result, 'Avatar uploaded successfully');
 };
 
 /**
@@ -386,59 +284,35 @@ const uploadAvatar = async (req, res) => {
  * POST /uploads/document
  */
 const uploadDocument = async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No document uploaded'
-      });
-    }
+  if (!req.file) {
+    throw new BadRequestError('No document uploaded');
+  }
+
+  // Validate as document
+  const validation = await validateFileType(req.file, 'document');
+  if (!validation.valid) {
+    await rejectFile(req.file, 'Document validation failed', validation.error);
+  }
 
-    // Validate as document
-    const validation = await validateFileType(req.file, 'document');
-    if (!validation.valid) {
-      // Clean up
-      if (req.file.path) {
-        const fs = require('fs').promises;
-        await fs.unlink(req.file.path).catch(() => {});
-      }
-
-      return res.status(400).json({
-        success: false,
-        message: 'Document validation failed',
-        error: validation.error
-      });
+  // Upload document
+  const result = await UploadService.upload(req.file, {
+    fileType: 'document',
+    userId: req.user?.userId || req.user?.id,
+    metadata: {
+      title: req.body.title,
+      description: req.body.description,
+      category: req.body.category
     }
+  });
 
-    // Upload document
-    const result = await UploadService.upload(req.file, {
-      fileType: 'document',
-      userId: req.user?.userId || req.user?.id,
-      metadata: {
-        title: req.body.title,
-        description: req.body.description,
-        category: req.body.category
-      }
-    });
+  logger.info('Document uploaded successfully', {
+    filename: result.filename,
+    userId: req.user?.userId
+  });
 
-    logger.info('Document uploaded successfully', {
-      filename: result.filename,
-      userId: req.user?.userId
-    });
+  await announceUploads(req, result);
 
-    return res.status(201).json({
-      success: true,
-      message: 'Document uploaded successfully',
-      data: result
-    });
-  } catch (error) {
-    logger.error('Document upload failed:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Document upload failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
+  return res.created(result, 'Document uploaded successfully');
 };
 
 /**
@@ -446,63 +320,44 @@ const uploadDocument = async (req, res) => {
  * GET /uploads/info/:filename
  */
 const getFileInfo = async (req, res) => {
-  try {
-    const { filename } = req.params;
+  const { filename } = req.params;
 
-    if (!filename) {
-      return res.status(400).json({
-        success: false,
-        message: 'Filename is required'
-      });
-    }
+  if (!filename) {
+    throw new BadRequestError('Filename is required');
+  }
 
-    // In production, fetch file metadata from database
-    // For now, we'll return basic info
-    
-    const fs = require('fs').promises;
-    const path = require('path');
-    const uploadDir = path.resolve(process.cwd(), process.env.UPLOAD_DIR || './public/uploads');
-    const filePath = path.join(uploadDir, filename);
-
-    try {
-      const stats = await fs.stat(filePath);
-      
-      return res.json({
-        success: true,
-        data: {
-          filename,
-          size: stats.size,
-          created: stats.birthtime,
-          modified: stats.mtime,
-          url: `${process.env.UPLOAD_PUBLIC_PATH || '/uploads'}/${filename}`
-        }
-      });
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return res.status(404).json({
-          success: false,
-          message: 'File not found'
-        });
-      }
-      throw error;
-    }
+  // In production, fetch file metadata from database
+  // For now, we'll return basic info
+  const uploadDir = path.resolve(process.cwd(), process.env.UPLOAD_DIR || './public/uploads');
+  const filePath = path.join(uploadDir, filename);
+
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
   } catch (error) {
-    logger.error('Failed to get file info:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to get file information',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    if (error.code === 'ENOENT') {
+      throw new NotFoundError('File not found');
+    }
+    throw error;
   }
+
+  // Pollers send If-Modified-Since and get a 304 until the file changes
+  return res.ok({
+    filename,
+    size: stats.size,
+    created: stats.birthtime,
+    modified: stats.mtime,
+    url: `${process.env.UPLOAD_PUBLIC_PATH || '/uploads'}/${filename}`
+  }, { lastModified: stats.mtime });
 };
 
 module.exports = {
-  uploadSingle,
-  uploadMultiple,
-  uploadImage,
-  uploadAvatar,
-  uploadDocument,
-  deleteFile,
-  getStats,
-  getFileInfo
-};
\ No newline at end of file
+  uploadSingle: asyncHandler(uploadSingle),
+  uploadMultiple: asyncHandler(uploadMultiple),
+  uploadImage: asyncHandler(uploadImage),
+  uploadAvatar: asyncHandler(uploadAvatar),
+  uploadDocument: asyncHandler(uploadDocument),
+  deleteFile: asyncHandler(deleteFile),
+  getStats: asyncHandler(getStats),
+  getFileInfo: asyncHandler(getFileInfo)
+};
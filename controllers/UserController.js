@@ -1,140 +1,82 @@
-const { User } = require('../models/models');
+const { NotFoundError } = require('../core/errors');
+const { parsePagination } = require('../core/response');
+const { checkPreconditions } = require('../core/conditional');
 
 /**
  * UserController
  * Handles CRUD operations for User
+ *
+ * Built from the app's container on each request (see action() in
+ * core/container.js), so tests can bind fake models.
+ *
+ * Handlers just throw: errors (including unique constraint and validation
+ * errors from the ORM) are turned into responses by the error handler.
+ *
+ * Responses carry the user's ETag; update and remove honour If-Match, so
+ * a client holding a stale copy gets a 412 instead of overwriting changes.
  */
+class UserController {
+  static inject = ['models'];
 
-// Create new User
-const create = async (req, res) => {
-  try {
-    const data = await User.create(req.body);
-    
-    return res.status(201).json({
-      success: true,
-      data,
-      message: 'User created successfully'
-    });
-  } catch (error) {
-    req.logger?.error('Error creating user:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
+  constructor({ models }) {
+    this.User = models.User;
   }
-};
-
-// Get all Users
-const getAll = async (req, res) => {
-  try {
-    const data = await User.findAll();
-    
-    return res.json({
-      success: true,
-      data,
-      count: data.length
-    });
-  } catch (error) {
-    req.logger?.error('Error fetching users:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
-  }
-};
-
-// Get User by ID
-const getById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const data = await User.findByPk(id);
-    
+
+  /**
+   * Find a user by the :id route param
+   * @throws {NotFoundError}
+   */
+  async findUserOrFail(id) {
+    const data = await this.User.findByPk(id);
+
     if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+      throw new NotFoundError('User not found');
     }
-    
-    return res.json({
-      success: true,
-      data
-    });
-  } catch (error) {
-    req.logger?.error('Error fetching user:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
+
+    return data;
   }
-};
-
-// Update User
-const update = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const data = await User.findByPk(id);
-    
-    if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
+
+  // Create new User
+  async create(req, res) {
+    const data = await this.User.create(req.body);
+
+    return res.created(data, 'User created successfully');
+  }
+
+  // Get all Users, a page at a time (?page=2&limit=20)
+  async getAll(req, res) {
+    const { page, limit, offset } = parsePagination(req.query);
+    const { rows, count } = await this.User.findAndCountAll({ limit, offset });
+
+    return res.paginated(rows, { page, limit, total: count });
+  }
+
+  // Get User by ID
+  async getById(req, res) {
+    const data = await this.findUserOrFail(req.params.id);
+
+    return res.ok(data);
+  }
+
+  // Update User (412 if If-Match no longer matches)
+  async update(req, res) {
+    const data = await this.findUserOrFail(req.params.id);
+
+    checkPreconditions(req, data);
     await data.update(req.body);
-    
-    return res.json({
-      success: true,
-      data,
-      message: 'User updated successfully'
-    });
-  } catch (error) {
-    req.logger?.error('Error updating user:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
+
+    return res.ok(data, 'User updated successfully');
   }
-};
-
-// Delete User
-const remove = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const data = await User.findByPk(id);
-    
-    if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
+
+  // Delete User (412 if If-Match no longer matches)
+  async remove(req, res) {
+    const data = await this.findUserOrFail(req.params.id);
+
+    checkPreconditions(req, data);
     await data.destroy();
-    
-    return res.json({
-      success: true,
-      message: 'User deleted successfully'
-    });
-  } catch (error) {
-    req.logger?.error('Error deleting user:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message,
-      error: 'Internal server error',
-    });
+
+    return res.noContent();
   }
-};
-
-module.exports = {
-  create,
-  getAll,
-  getById,
-  update,
-  remove,
-};
\ No newline at end of file
+}
+
+module.exports = UserController;
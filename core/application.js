@@ -0,0 +1,547 @@
+// core/application.js
+const express = require('express');
+const path = require('path');
+const applyMiddleware = require('./middleware');
+const Router = require('./router');
+const { route } = require('./router');
+const loadRoutes = require('./routeLoader');
+const { ProviderManager } = require('./providers');
+const { Container, ContainerError } = require('./container');
+const { EventBus, loadListeners } = require('./events');
+const { JobQueue, loadJobs } = require('./queue');
+const { Scheduler } = require('./scheduler');
+const { Cache, invalidateOnModelEvents } = require('./cache');
+const { IdempotencyStore } = require('./idempotency');
+const { MaintenanceMode } = require('./maintenance');
+const { createLocalLock, RedisLock } = require('./locks');
+const { HealthRegistry, registerDefaultChecks, createHealthRouter } = require('./health');
+const { collectDefaultMetrics, createMetricsRouter } = require('./metrics');
+const { createOpenApiRouter } = require('./openapi');
+const { trackConnections, runShutdownTasks, withTimeout } = require('./shutdown');
+const { loadConfig } = require('./config');
+const { NotFoundError } = require('./errors');
+const { installResponseHelpers } = require('./response');
+const errorHandler = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { initializeDatabase, closeDatabase } = require('./database');
+const initializeModels = require('../models');
+const { activeORM } = require('../config/orm');
+
+/**
+ * Application Factory
+ * Builds a fully configured Express app without starting the server,
+ * connecting process signal handlers or exiting the process. This keeps
+ * the app importable from tests and embeddable in another server.
+ *
+ * Usage:
+ *   const { createApp } = require('./core/application');
+ *
+ *   const app = await createApp();
+ *   await app.start();
+ *   ...
+ *   await app.stop();
+ */
+
+/**
+ * Build the homepage router
+ * @returns {Router}
+ */
+const createHomeRouter = () => {
+  const router = new Router();
+
+  router.get('/', (req, res) => {
+    logger.info('Homepage accessed');
+    res.render('home', {
+      title: 'GreyCodeJS - The Express.js Framework',
+      devs: [
+        { name: 'Kudzai Munyama', role: 'Lead Developer' },
+      ],
+    });
+  }).name('home');
+
+  return router;
+};
+
+// 404 handler (added after routes)
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+/**
+ * Bind the framework's shared objects in a new container
+ * Models and the database are bound once they are loaded; the email and
+ * upload services and the email queue are bound to their shared instances
+ * and only required when first resolved. The job queue is bound as 'queue'
+ * once created.
+ * @param {Object} options
+ * @param {Express} options.app
+ * @param {Object} options.config - Resolved configuration
+ * @returns {Container}
+ */
+const createContainer = ({ app, config }) => {
+  const container = new Container();
+  const notLoaded = (name) => () => {
+    throw new ContainerError(`"${name}" is not available until the database is connected and models are loaded (afterModels)`);
+  };
+
+  return container
+    .instance('container', container)
+    .instance('app', app)
+    .instance('config', config)
+    .instance('logger', logger)
+    .singleton('models', notLoaded('models'))
+    .singleton('db', notLoaded('db'))
+    .singleton('emailService', () => require('../services/EmailService'))
+    .singleton('uploadService', () => require('../services/UploadService'))
+    .singleton('emailQueue', () => require('../middlewares/email-queue'));
+};
+
+/**
+ * Initialize models for the active ORM
+ * @param {Object} dbInstance - Sequelize/Mongoose/Prisma instance
+ * @param {EventBus} events - Bus receiving model lifecycle events
+ * @returns {Promise<Object>}
+ */
+const setupModels = async (dbInstance, events) => {
+  let models = null;
+
+  switch (activeORM) {
+    case 'sequelize':
+      models = initializeModels(dbInstance, { events });
+      logger.info('✅ Sequelize models initialized successfully');
+
+      // Sync models in development (optional - use migrations in production)
+      if (process.env.NODE_ENV !== 'production' && process.env.DB_SYNC === 'true') {
+        logger.warn('Syncing database schema (development only)...');
+        await dbInstance.sync({ alter: false });
+        logger.info('Database schema synchronized');
+      }
+      break;
+
+    case 'mongoose':
+      models = initializeModels(dbInstance, { events });
+      logger.info('✅ Mongoose models initialized successfully');
+      // Mongoose doesn't need sync - schemas are applied automatically
+      break;
+
+    case 'prisma':
+      models = initializeModels(dbInstance, { events });
+      logger.info('✅ Prisma models initialized successfully');
+      // Prisma uses migrations via CLI
+      break;
+
+    default:
+      throw new Error(`Unsupported ORM: ${activeORM}`);
+  }
+
+  return models;
+};
+
+/**
+ * Create a configured GreyCodeJS application
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Existing database instance to use instead of connecting
+ * @param {Object} [options.models] - Model set to use instead of loading models/
+ *   (no database connection is made when models are injected without a db)
+ * @param {string} [options.rootDir] - Project root containing routes/, templates/ and public/
+ * @param {string} [options.routesDir] - Routes directory (defaults to <rootDir>/routes)
+ * @param {number|string} [options.port] - Port used by app.start() (defaults to config/app.js)
+ * @param {Object} [options.config] - Config values merged over config/env/<env>.js before
+ *   validation, e.g. { logging: { level: 'error' } }
+ * @param {Array<Object|Function>} [options.providers] - Extra providers, run after discovered ones
+ * @param {boolean} [options.loadProviders] - Set to false to skip providers/ and config/providers.js
+ * @param {boolean} [options.loadListeners] - Set to false to skip the event listeners in listeners/
+ * @param {boolean} [options.loadJobs] - Set to false to skip the jobs in jobs/
+ * @param {Object} [options.bindings] - Container values by name, e.g. { emailService: fakeMailer },
+ *   bound after the providers' register hooks so they replace any binding
+ *   (use the models and db options for models and the database)
+ * @returns {Promise<Express>} Express app with start() and stop() methods
+ * @throws {ConfigError} When the configuration is invalid
+ */
+async function createApp(options = {}) {
+  const rootDir = options.rootDir || path.resolve(__dirname, '..');
+
+  // Resolve and validate config first so missing secrets fail fast
+  const config = loadConfig({ overrides: options.config });
+
+  // Pick up logging overrides from config/env/<env>.js
+  logger.applyConfig(config.logging);
+
+  const app = express();
+  app.locals.config = config;
+
+  // Initialize logger
+  app.locals.logger = logger;
+  logger.info('Initializing GreyCodeJS application...');
+  logger.info(`Environment: ${config.env}`);
+  logger.info(`Active ORM: ${activeORM.toUpperCase()}`);
+
+  // Set up EJS view engine
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(rootDir, 'templates'));
+  logger.debug('View engine configured: EJS');
+
+  // res.ok(), res.created(), res.paginated()... (see core/response.js)
+  installResponseHelpers(app, config.response);
+
+  // Body ETags for responses without one of their own (see core/conditional.js)
+  app.set('etag', config.response.etag);
+
+  // Named route URL generator, available in templates as route('name', params)
+  app.locals.route = route;
+
+  // Config, logger, models and services by name (see core/container.js)
+  const container = createContainer({ app, config });
+  app.container = container;
+
+  // Domain and model lifecycle events (see core/events.js)
+  const events = new EventBus();
+  app.events = events;
+  container.instance('events', events);
+
+  // Key/value and response cache (see core/cache/)
+  const cache = new Cache({ config: config.cache });
+  app.cache = cache;
+  container.instance('cache', cache);
+
+  if (config.cache.invalidateOnModelEvents) {
+    invalidateOnModelEvents(cache, events);
+  }
+
+  // Responses replayed to retried unsafe requests (see core/idempotency/)
+  const idempotency = new IdempotencyStore({
+    config: config.idempotency,
+    orm: activeORM,
+    getDb: () => app.locals.db
+  });
+  app.idempotency = idempotency;
+  container.instance('idempotency', idempotency);
+
+  // Background jobs (see core/queue/)
+  const queue = new JobQueue({
+    config: config.queue,
+    container,
+    events,
+    orm: activeORM,
+    getDb: () => app.locals.db
+  });
+  app.queue = queue;
+  container.instance('queue', queue);
+
+  // Cron tasks, registered by providers (see core/scheduler.js)
+  const localLock = createLocalLock();
+  const scheduler = new Scheduler({
+    config: config.schedule,
+    container,
+    locks: {
+      local: localLock,
+      shared: config.schedule.lock === 'redis' ? new RedisLock(config.schedule.redis) : localLock
+    }
+  });
+  app.scheduler = scheduler;
+  container.instance('scheduler', scheduler);
+
+  // `down` / `up` flag, checked by the maintenance middleware (see core/maintenance.js)
+  const maintenance = new MaintenanceMode(config.maintenance);
+  app.maintenance = maintenance;
+  container.instance('maintenance', maintenance);
+
+  // Load providers and give them a shared context for every lifecycle hook
+  const providers = new ProviderManager();
+  if (options.loadProviders !== false) {
+    providers.load({ rootDir, ...config.providers });
+  }
+  (options.providers || []).forEach((provider) => providers.add(provider));
+
+  app.providers = providers;
+
+  // Built-in health checks are registered first so providers can replace them
+  const health = new HealthRegistry(config.health);
+  registerDefaultChecks(health, {
+    getDb: options.models && !options.db ? null : () => app.locals.db
+  });
+  app.health = health;
+
+  const context = { app, logger, db: null, models: null, server: null, providers, health, container, events, cache, idempotency, queue, scheduler };
+
+  await providers.run('register', context);
+
+  Object.entries(options.bindings || {}).forEach(([name, value]) => container.instance(name, value));
+
+  // Listeners are registered before models load so no model event is missed
+  if (options.loadListeners !== false) {
+    loadListeners(events, path.join(rootDir, 'listeners'), { container });
+  }
+
+  if (options.loadJobs !== false) {
+    loadJobs(queue, path.join(rootDir, 'jobs'));
+  }
+
+  // Serve static files
+  app.use(express.static(path.join(rootDir, 'public')));
+  logger.debug('Static files served from /public');
+
+  // Health and metrics endpoints go before the middleware stack so probes
+  // and scrapes are not rate limited, counted as application traffic or
+  // turned away in maintenance mode
+  if (config.health.enabled) {
+    app.use(createHealthRouter(health, config.health, { maintenance }).use());
+    logger.debug(`Health endpoints mounted at ${config.health.livenessPath} and ${config.health.readinessPath}`);
+  }
+
+  if (config.metrics.enabled) {
+    if (config.metrics.defaultMetrics) {
+      collectDefaultMetrics();
+    }
+    app.use(createMetricsRouter(config.metrics).use());
+    logger.debug(`Metrics endpoint mounted at ${config.metrics.path}`);
+  }
+
+  // Apply middleware
+  applyMiddleware(app, config);
+  logger.debug('Middleware applied successfully');
+
+  // Custom router for homepage
+  app.use(createHomeRouter().use());
+  logger.debug('Homepage router mounted');
+
+  // OpenAPI document of the routes loaded below, built on first request
+  if (config.openapi.enabled) {
+    app.use(createOpenApiRouter(app, config.openapi).use());
+    logger.debug(`OpenAPI document mounted at ${config.openapi.path}`);
+  }
+
+  await providers.run('beforeDatabase', context);
+
+  // Only connections opened here are closed by app.stop()
+  let dbInstance = options.db || null;
+  const ownsDatabase = !options.db && !options.models;
+
+  try {
+    if (ownsDatabase) {
+      logger.info('Connecting to database...');
+      dbInstance = await initializeDatabase();
+      logger.info('✅ Database connection established successfully');
+    }
+
+    // Initialize models based on active ORM
+    const models = options.models || await setupModels(dbInstance, events);
+
+    // Make models and database available throughout the app
+    app.locals.models = models;
+    app.locals.db = dbInstance;
+    global.models = models;
+    container.instance('models', models).instance('db', dbInstance);
+
+    logger.info('✅ Models are now globally accessible');
+
+    context.db = dbInstance;
+    context.models = models;
+    await providers.run('afterModels', context);
+
+    // NOW load dynamic routes (after models are initialized)
+    const routesDir = options.routesDir || path.join(rootDir, 'routes');
+    app.locals.routes = loadRoutes(app, routesDir);
+
+    await providers.run('afterRoutes', context);
+  } catch (error) {
+    if (ownsDatabase && dbInstance) {
+      try {
+        await closeDatabase(dbInstance);
+      } catch (cleanupError) {
+        logger.error('Error during cleanup:', cleanupError);
+      }
+    }
+    throw error;
+  }
+
+  // Add 404 handler AFTER all routes
+  app.use(notFoundHandler);
+
+  // Add error handler LAST
+  app.use(errorHandler);
+
+  /**
+   * Start the HTTP server
+   * @param {number|string} [listenPort] - Overrides the configured port
+   * @returns {Promise<http.Server>}
+   */
+  let connections = null;
+
+  app.start = async (listenPort = options.port || config.app.port) => {
+    if (app.locals.server) {
+      return app.locals.server;
+    }
+
+    await providers.run('beforeListen', context);
+
+    // The memory driver's jobs are only visible to this process
+    if (config.queue.worker.inProcess && queue.workers.size === 0) {
+      queue.work();
+    }
+
+    if (config.schedule.inProcess) {
+      scheduler.start();
+    }
+
+    return new Promise((resolve, reject) => {
+      const server = app.listen(listenPort, () => {
+        const models = app.locals.models || {};
+        const address = server.address();
+        const actualPort = address && typeof address === 'object' ? address.port : listenPort;
+
+        logger.info('='.repeat(50));
+        logger.info(`🚀 GreyCodeJS Server Started Successfully!`);
+        logger.info(`📍 URL: http://localhost:${actualPort}`);
+        logger.info(`🌍 Environment: ${config.env}`);
+        logger.info(`💾 ORM: ${activeORM.toUpperCase()}`);
+        logger.info(`📊 Models loaded: ${Object.keys(models).filter(k => !['sequelize', 'Sequelize', 'mongoose', 'prisma'].includes(k)).length}`);
+        logger.info('='.repeat(50));
+
+        resolve(server);
+      });
+
+      server.once('error', reject);
+
+      // Store server instance for graceful shutdown
+      connections = trackConnections(server);
+      app.locals.server = server;
+      context.server = server;
+    });
+  };
+
+  /**
+   * Shut the app down in order:
+   *   1. stop accepting connections and close idle keep-alive sockets
+   *   2. wait up to shutdownTimeout for in-flight requests, then destroy
+   *      the connections that are left
+   *   3. stop the scheduler and wait for running tasks, wait for queued
+   *      event listeners, stop the job workers (letting running jobs
+   *      finish), then run shutdown tasks (email queue) and provider
+   *      onShutdown hooks, then close the cache and the idempotency store
+   *   4. close the database connection (injected instances are left open
+   *      for their owner to close)
+   * Every step is bounded by a timeout, so stop() always settles.
+   * @param {Object} [stopOptions]
+   * @param {number} [stopOptions.timeout] - Overrides config.app.shutdownTimeout
+   * @returns {Promise<Object>} Shutdown report: drained requests, force-closed
+   *   connections and the outcome of every resource
+   */
+  app.stop = async (stopOptions = {}) => {
+    const start = Date.now();
+    const timeout = stopOptions.timeout !== undefined ? stopOptions.timeout : config.app.shutdownTimeout;
+    const closeTimeout = config.app.shutdownCloseTimeout;
+    const report = { server: null, resources: [] };
+
+    // Stop accepting new connections and drain in-flight requests
+    if (app.locals.server) {
+      report.server = await connections.drain(timeout);
+      app.locals.server = null;
+      context.server = null;
+      connections = null;
+
+      if (report.server.forcedConnections > 0) {
+        logger.warn(
+          `Force-closed ${report.server.forcedConnections} connection(s) with ` +
+          `${report.server.forcedRequests} request(s) still in flight after ${timeout}ms`
+        );
+      }
+      logger.info(`HTTP server closed (${report.server.inFlight - report.server.forcedRequests}/${report.server.inFlight} in-flight request(s) completed)`);
+    }
+
+    // Scheduled tasks can emit events and dispatch jobs, so they stop first
+    try {
+      await withTimeout(scheduler.close(), closeTimeout, 'Scheduler');
+      report.resources.push({ name: 'scheduler', status: 'closed' });
+    } catch (error) {
+      report.resources.push({
+        name: 'scheduler',
+        status: error.code === 'ETIMEDOUT' ? 'timeout' : 'failed',
+        error: error.message
+      });
+    }
+
+    // Let queued event listeners finish before the queues and database close
+    try {
+      await withTimeout(events.drain(), closeTimeout, 'Event listeners');
+      report.resources.push({ name: 'event listeners', status: 'closed' });
+    } catch (error) {
+      report.resources.push({ name: 'event listeners', status: 'timeout', error: error.message });
+    }
+
+    // Listeners may dispatch jobs, so the job queue closes after them
+    try {
+      await withTimeout(queue.close(), closeTimeout, 'Job queue');
+      report.resources.push({ name: 'job queue', status: 'closed' });
+    } catch (error) {
+      report.resources.push({
+        name: 'job queue',
+        status: error.code === 'ETIMEDOUT' ? 'timeout' : 'failed',
+        error: error.message
+      });
+    }
+
+    // Queues, timers and other module-level resources
+    report.resources.push(...await runShutdownTasks(closeTimeout));
+
+    const providerResults = await providers.run('onShutdown', context, { timeout: closeTimeout });
+    report.resources.push(...providerResults.map((result) => ({
+      ...result,
+      name: `provider:${result.name}`,
+      status: result.status === 'ok' ? 'closed' : result.status
+    })));
+
+    // Providers may still use the cache while they shut down
+    try {
+      await withTimeout(cache.close(), closeTimeout, 'Cache');
+      report.resources.push({ name: 'cache', status: 'closed' });
+    } catch (error) {
+      report.resources.push({
+        name: 'cache',
+        status: error.code === 'ETIMEDOUT' ? 'timeout' : 'failed',
+        error: error.message
+      });
+    }
+
+    try {
+      await withTimeout(idempotency.close(), closeTimeout, 'Idempotency store');
+      report.resources.push({ name: 'idempotency store', status: 'closed' });
+    } catch (error) {
+      report.resources.push({
+        name: 'idempotency store',
+        status: error.code === 'ETIMEDOUT' ? 'timeout' : 'failed',
+        error: error.message
+      });
+    }
+
+    // Close database connection
+    if (ownsDatabase && app.locals.db) {
+      try {
+        await withTimeout(closeDatabase(app.locals.db), closeTimeout, 'Database connection');
+        report.resources.push({ name: 'database', status: 'closed' });
+      } catch (error) {
+        report.resources.push({
+          name: 'database',
+          status: error.code === 'ETIMEDOUT' ? 'timeout' : 'failed',
+          error: error.message
+        });
+      }
+      app.locals.db = null;
+    }
+
+    report.duration = Date.now() - start;
+
+    const unclosed = report.resources.filter((resource) => resource.status !== 'closed');
+    if (unclosed.length > 0) {
+      logger.warn(`Shutdown left ${unclosed.length} resource(s) unclosed: ${unclosed.map((resource) => `${resource.name} (${resource.status})`).join(', ')}`);
+    }
+
+    return report;
+  };
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
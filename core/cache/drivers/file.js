@@ -0,0 +1,152 @@
+// core/cache/drivers/file.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File Driver
+ * One JSON file per entry, named after a hash of the key and spread over
+ * 256 sub-directories. Survives restarts and is shared by the processes
+ * of one server. Expired files are deleted when read or by prune().
+ */
+class FileDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Cache directory
+   */
+  constructor({ path: directory }) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * @private
+   */
+  file(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, hash.slice(0, 2), `${hash}.json`);
+  }
+
+  /**
+   * Read an entry file, deleting it when it has expired
+   * @returns {Promise<Object|null>} { key, value, expiresAt }
+   * @private
+   */
+  async read(file) {
+    let entry;
+
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      // Missing, or being replaced by another process
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await fs.rm(file, { force: true });
+      return null;
+    }
+
+    return entry;
+  }
+
+  async get(key) {
+    const entry = await this.read(this.file(key));
+    return entry && entry.key === key ? entry.value : null;
+  }
+
+  async set(key, value, ttl) {
+    const file = this.file(key);
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    // Write then rename, so readers never see half a file
+    await fs.writeFile(temp, JSON.stringify({ key, value, expiresAt: ttl > 0 ? Date.now() + ttl : null }));
+    await fs.rename(temp, file);
+  }
+
+  async delete(key) {
+    const file = this.file(key);
+
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Entry files, with their size
+   * @returns {Promise<Array<{ file: string, size: number }>>}
+   * @private
+   */
+  async files() {
+    let directories;
+
+    try {
+      directories = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const files = [];
+
+    for (const directory of directories) {
+      const names = await fs.readdir(path.join(this.directory, directory)).catch(() => []);
+
+      for (const name of names.filter((entry) => entry.endsWith('.json'))) {
+        const file = path.join(this.directory, directory, name);
+        const stat = await fs.stat(file).catch(() => null);
+
+        if (stat) {
+          files.push({ file, size: stat.size });
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Delete expired entry files
+   * @returns {Promise<number>} Entries deleted
+   */
+  async prune() {
+    let pruned = 0;
+
+    for (const { file } of await this.files()) {
+      if (!(await this.read(file))) {
+        pruned++;
+      }
+    }
+
+    return pruned;
+  }
+
+  async stats() {
+    await this.prune();
+
+    const files = await this.files();
+
+    return {
+      entries: files.length,
+      bytes: files.reduce((total, { size }) => total + size, 0),
+      path: this.directory
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = FileDriver;
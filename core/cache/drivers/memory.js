@@ -0,0 +1,85 @@
+// core/cache/drivers/memory.js
+
+/**
+ * Memory Driver
+ * Keeps entries in the app process, dropping the least recently used past
+ * maxItems. Other processes (cluster workers, the CLI) have their own.
+ */
+class MemoryDriver {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxItems=10000]
+   */
+  constructor({ maxItems = 10000 } = {}) {
+    this.entries = new Map();
+    this.maxItems = maxItems;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Map keeps insertion order: move the entry to the end (most recently used)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: ttl > 0 ? Date.now() + ttl : null });
+
+    if (this.entries.size > this.maxItems) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {Promise<number>} Entries dropped
+   */
+  async prune() {
+    const now = Date.now();
+    let pruned = 0;
+
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        pruned++;
+      }
+    });
+
+    return pruned;
+  }
+
+  async stats() {
+    await this.prune();
+
+    let bytes = 0;
+    this.entries.forEach((entry, key) => {
+      bytes += Buffer.byteLength(key) + Buffer.byteLength(entry.value);
+    });
+
+    return { entries: this.entries.size, bytes, maxItems: this.maxItems };
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,96 @@
+// core/cache/drivers/redis.js
+const logger = require('../../../utils/logger').forModule('cache');
+
+/**
+ * Redis Driver
+ * Stores entries under <prefix>:cache:<key> with Redis expiry, shared by
+ * every process and server using the same Redis. clear() only deletes
+ * keys under the prefix.
+ */
+class RedisDriver {
+  /**
+   * @param {Object} options
+   * @param {Object} options.redis - { host, port, password }
+   * @param {string} [options.prefix='greycode']
+   */
+  constructor({ redis, prefix = 'greycode' }) {
+    this.options = { host: redis.host, port: redis.port, password: redis.password, maxRetriesPerRequest: 1 };
+    this.prefix = `${prefix}:cache:`;
+    this.client = null;
+  }
+
+  /**
+   * Connect on first use
+   * @returns {Redis}
+   * @private
+   */
+  connection() {
+    if (!this.client) {
+      const Redis = require('ioredis');
+
+      this.client = new Redis(this.options);
+      this.client.on('error', (error) => logger.error(`Redis cache connection error: ${error.message}`));
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    return this.connection().get(this.prefix + key);
+  }
+
+  async set(key, value, ttl) {
+    if (ttl > 0) {
+      await this.connection().set(this.prefix + key, value, 'PX', ttl);
+    } else {
+      await this.connection().set(this.prefix + key, value);
+    }
+  }
+
+  async delete(key) {
+    return (await this.connection().del(this.prefix + key)) > 0;
+  }
+
+  /**
+   * Call fn with every batch of keys under the prefix
+   * @private
+   */
+  async scan(fn) {
+    let cursor = '0';
+
+    do {
+      const [next, keys] = await this.connection().scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 500);
+      cursor = next;
+
+      if (keys.length > 0) {
+        await fn(keys);
+      }
+    } while (cursor !== '0');
+  }
+
+  async clear() {
+    await this.scan((keys) => this.connection().del(...keys));
+  }
+
+  // Redis expires keys itself
+  async prune() {
+    return 0;
+  }
+
+  async stats() {
+    let entries = 0;
+    await this.scan(async (keys) => {
+      entries += keys.length;
+    });
+
+    return { entries, prefix: this.prefix };
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = RedisDriver;
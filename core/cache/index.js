@@ -0,0 +1,323 @@
+// core/cache/index.js
+const crypto = require('crypto');
+const logger = require('../../utils/logger').forModule('cache');
+const { cacheLookups } = require('../metrics');
+
+/**
+ * Cache
+ * Key/value cache with expiry and tags:
+ *
+ *   const stats = await app.cache.remember('dashboard:stats', 60000, () => computeStats());
+ *
+ *   await cache.set('rates', rates, 5 * 60 * 1000);
+ *   await cache.get('rates');              // undefined once expired
+ *   await cache.forget('rates');
+ *
+ *   await cache.tags(['user']).remember(`users:page:${page}`, 60000, () => User.findAll(...));
+ *   await cache.tags(['user']).flush();    // drops every entry tagged 'user'
+ *
+ * Values are stored as JSON, so model instances come back as plain
+ * objects and dates as strings. TTLs are in ms (0 = until flushed).
+ *
+ * Tags work by versioning: every tag has a version stored in the cache,
+ * tagged keys include the versions of their tags, and flushing a tag
+ * gives it a new version. Old entries are no longer reachable and expire
+ * on their own, so flushing is one write whatever the driver.
+ *
+ * Where entries are stored depends on config.cache.driver, see drivers/.
+ * Every app has its own cache at app.cache, also bound in the container
+ * as 'cache'.
+ */
+
+class CacheError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CacheError';
+  }
+}
+
+/**
+ * Create the storage driver of a cache configuration
+ * @param {Object} config - config.cache
+ * @returns {Object} Driver
+ */
+const createDriver = (config) => {
+  switch (config.driver) {
+    case 'memory': {
+      const MemoryDriver = require('./drivers/memory');
+      return new MemoryDriver(config.memory);
+    }
+    case 'file': {
+      const FileDriver = require('./drivers/file');
+      return new FileDriver(config.file);
+    }
+    case 'redis': {
+      const RedisDriver = require('./drivers/redis');
+      return new RedisDriver({ redis: config.redis, prefix: config.redis.prefix });
+    }
+    default:
+      throw new CacheError(`Unknown cache driver "${config.driver}". Use memory, file or redis`);
+  }
+};
+
+class Cache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - config.cache
+   * @param {Object} [options.driver] - Storage driver (defaults to config.driver)
+   */
+  constructor({ config, driver = null }) {
+    this.config = config;
+    this.driver = driver || createDriver(config);
+    this.pending = new Map();
+    this.counts = { hits: 0, misses: 0, writes: 0, deletes: 0 };
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} [fallback] - Returned when the key is missing or expired
+   * @returns {Promise<*>}
+   */
+  async get(key, fallback = undefined) {
+    const value = await this.driver.get(key);
+
+    if (value === null || value === undefined) {
+      this.counts.misses++;
+      cacheLookups.inc({ result: 'miss' });
+      return fallback;
+    }
+
+    this.counts.hits++;
+    cacheLookups.inc({ result: 'hit' });
+    return JSON.parse(value);
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value - Anything JSON can store
+   * @param {number} [ttl=config.ttl] - ms, 0 = until flushed
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl = this.config.ttl) {
+    if (value === undefined) {
+      throw new CacheError(`Cannot cache undefined for "${key}"`);
+    }
+
+    this.counts.writes++;
+    await this.driver.set(key, JSON.stringify(value), ttl);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>}
+   */
+  async has(key) {
+    return (await this.driver.get(key)) !== null;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>} Whether the key existed
+   */
+  async forget(key) {
+    this.counts.deletes++;
+    return this.driver.delete(key);
+  }
+
+  /**
+   * Get a value, or compute, store and return it
+   * Concurrent calls for the same key in this process share one computation.
+   * Results that are undefined are not stored.
+   * @param {string} key
+   * @param {number} ttl - ms, 0 = until flushed
+   * @param {Function} fn - async () => value
+   * @returns {Promise<*>}
+   */
+  async remember(key, ttl, fn) {
+    const cached = await this.get(key);
+
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    if (!this.pending.has(key)) {
+      const computation = (async () => {
+        const value = await fn();
+
+        if (value !== undefined) {
+          await this.set(key, value, ttl);
+        }
+        return value;
+      })().finally(() => this.pending.delete(key));
+
+      this.pending.set(key, computation);
+    }
+
+    return this.pending.get(key);
+  }
+
+  /**
+   * Entries tagged with every one of these tags
+   * @param {string|string[]} names
+   * @returns {TaggedCache}
+   */
+  tags(names) {
+    return new TaggedCache(this, [].concat(names));
+  }
+
+  /**
+   * Current version of a tag, created on first use
+   * @param {string} name
+   * @returns {Promise<string>}
+   * @private
+   */
+  async tagVersion(name) {
+    const key = `tag:${name}`;
+    const version = await this.driver.get(key);
+
+    if (version !== null && version !== undefined) {
+      return version;
+    }
+
+    const created = crypto.randomBytes(8).toString('hex');
+    await this.driver.set(key, created, 0);
+    return created;
+  }
+
+  /**
+   * Drop every entry with one of these tags
+   * @param {string|string[]} names
+   * @returns {Promise<void>}
+   */
+  async flushTags(names) {
+    await Promise.all([].concat(names).map((name) =>
+      this.driver.set(`tag:${name}`, crypto.randomBytes(8).toString('hex'), 0)));
+
+    logger.debug(`Flushed cache tag(s): ${[].concat(names).join(', ')}`);
+  }
+
+  /**
+   * Drop every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.driver.clear();
+    logger.info(`Cleared the ${this.config.driver} cache`);
+  }
+
+  /**
+   * Delete expired entries (the file driver keeps them until read otherwise)
+   * @returns {Promise<number>} Entries deleted
+   */
+  prune() {
+    return this.driver.prune();
+  }
+
+  /**
+   * Counts of this process plus what the driver knows about its storage
+   * @returns {Promise<Object>} { driver, hits, misses, hitRate, writes, deletes, entries, ... }
+   */
+  async stats() {
+    const { hits, misses } = this.counts;
+
+    return {
+      driver: this.config.driver,
+      ...this.counts,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+      ...await this.driver.stats()
+    };
+  }
+
+  /**
+   * Close the driver's connection
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.driver.close();
+  }
+}
+
+/**
+ * A view of the cache whose keys include the versions of its tags
+ */
+class TaggedCache {
+  /**
+   * @param {Cache} cache
+   * @param {string[]} names
+   */
+  constructor(cache, names) {
+    if (names.length === 0) {
+      throw new CacheError('tags() needs at least one tag');
+    }
+
+    this.cache = cache;
+    this.names = names;
+  }
+
+  /**
+   * Key of an entry in the cache, under the current versions of the tags
+   * Resolve it once to read and later write the same entry: if a tag is
+   * flushed in between, the write lands under the old versions and is
+   * never read.
+   * @param {string} key
+   * @returns {Promise<string>}
+   */
+  async key(key) {
+    const versions = await Promise.all(this.names.map((name) => this.cache.tagVersion(name)));
+    const namespace = crypto.createHash('sha1').update(versions.join('|')).digest('hex');
+
+    return `tagged:${namespace}:${key}`;
+  }
+
+  async get(key, fallback) {
+    return this.cache.get(await this.key(key), fallback);
+  }
+
+  async set(key, value, ttl) {
+    return this.cache.set(await this.key(key), value, ttl);
+  }
+
+  async has(key) {
+    return this.cache.has(await this.key(key));
+  }
+
+  async forget(key) {
+    return this.cache.forget(await this.key(key));
+  }
+
+  async remember(key, ttl, fn) {
+    return this.cache.remember(await this.key(key), ttl, fn);
+  }
+
+  /**
+   * Drop every entry with one of these tags
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.cache.flushTags(this.names);
+  }
+}
+
+/**
+ * Flush the tag named after a model when one of its records changes
+ * The tag is the first part of the model's event name: 'user' for User,
+ * 'blogPost' for BlogPost (see modelEventName() in core/events.js).
+ * Listeners are sync, so the tag is flushed before the write returns.
+ * @param {Cache} cache
+ * @param {EventBus} events
+ */
+const invalidateOnModelEvents = (cache, events) => {
+  const flush = (payload, eventName) => cache.flushTags(eventName.split('.')[0]);
+
+  ['created', 'updated', 'deleted'].forEach((action) => {
+    events.on(`*.${action}`, flush, { name: 'cacheInvalidation' });
+  });
+};
+
+module.exports = {
+  Cache,
+  TaggedCache,
+  CacheError,
+  createDriver,
+  invalidateOnModelEvents
+};
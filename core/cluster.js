@@ -0,0 +1,274 @@
+// core/cluster.js
+const cluster = require('cluster');
+const os = require('os');
+const logger = require('../utils/logger').forModule('cluster');
+const { CLUSTER_ENV, serveClusterLocks } = require('./locks');
+
+/**
+ * Cluster Mode
+ * Runs the app in several worker processes that share the HTTP port, so
+ * one server uses every CPU core without an external process manager.
+ *
+ * The primary process only supervises:
+ *   - crashed workers are restarted with exponential backoff
+ *   - SIGHUP replaces workers one at a time (zero-downtime restart):
+ *     a new worker must be listening before the old one is stopped
+ *   - SIGTERM / SIGINT stop every worker gracefully (see app.stop())
+ *   - it holds the locks workers take for scheduled tasks (see core/locks.js)
+ *
+ * Usage:
+ *   const { ClusterManager } = require('./core/cluster');
+ *
+ *   new ClusterManager({ workers: 'auto', exec: 'app.js' }).start();
+ */
+
+/**
+ * Resolve a --cluster value to a worker count
+ * @param {string|number|boolean} value - Number of workers, 'auto' or true (one per CPU)
+ * @returns {number}
+ * @throws {Error} When the value is not a positive integer or 'auto'
+ */
+const resolveWorkerCount = (value) => {
+  if (value === true || value === 'auto') {
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  }
+
+  const count = Number(value);
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid worker count "${value}": use a positive number or "auto"`);
+  }
+
+  return count;
+};
+
+class ClusterManager {
+  /**
+   * @param {Object} options
+   * @param {string|number} options.workers - Worker count or 'auto'
+   * @param {string} options.exec - Script each worker runs (app.js)
+   * @param {number} [options.restartDelay] - Initial restart backoff in ms
+   * @param {number} [options.maxRestartDelay] - Backoff ceiling in ms
+   * @param {number} [options.stableAfter] - Uptime in ms after which a worker
+   *   counts as healthy and the backoff resets
+   * @param {number} [options.readyTimeout] - Time a new worker has to start listening in ms
+   * @param {number} [options.killTimeout] - Time a stopping worker gets before SIGKILL in ms
+   */
+  constructor(options) {
+    this.size = resolveWorkerCount(options.workers);
+    this.exec = options.exec;
+    this.restartDelay = options.restartDelay || 1000;
+    this.maxRestartDelay = options.maxRestartDelay || 30000;
+    this.stableAfter = options.stableAfter || 10000;
+    this.readyTimeout = options.readyTimeout || 30000;
+    this.killTimeout = options.killTimeout || 30000;
+
+    this.crashes = 0;
+    this.shuttingDown = false;
+    this.restarting = false;
+    // Workers being stopped on purpose; they are not restarted on exit
+    this.retiring = new Set();
+  }
+
+  /**
+   * Fork the workers and install the signal handlers
+   * @returns {ClusterManager}
+   */
+  start() {
+    if (!cluster.isPrimary && !cluster.isMaster) {
+      throw new Error('ClusterManager must be started from the primary process');
+    }
+
+    (cluster.setupPrimary || cluster.setupMaster).call(cluster, { exec: this.exec });
+
+    cluster.on('listening', (worker, address) => {
+      logger.info(`Worker ${worker.id} (pid ${worker.process.pid}) listening on port ${address.port}`);
+    });
+
+    cluster.on('exit', (worker, code, signal) => this.handleExit(worker, code, signal));
+
+    serveClusterLocks(cluster);
+
+    process.on('SIGHUP', () => this.rollingRestart());
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+
+    logger.info(`Primary ${process.pid} starting ${this.size} worker(s)`);
+
+    for (let i = 0; i < this.size; i++) {
+      this.fork();
+    }
+
+    return this;
+  }
+
+  /**
+   * Fork a worker and remember when it started
+   * @returns {Worker}
+   */
+  fork() {
+    const worker = cluster.fork({ [CLUSTER_ENV]: 'true' });
+    worker.startedAt = Date.now();
+    return worker;
+  }
+
+  /**
+   * Restart crashed workers with exponential backoff
+   * @param {Worker} worker
+   * @param {number} code
+   * @param {string} signal
+   */
+  handleExit(worker, code, signal) {
+    if (this.retiring.delete(worker)) {
+      logger.info(`Worker ${worker.id} (pid ${worker.process.pid}) stopped`);
+      return;
+    }
+
+    if (this.shuttingDown) {
+      return;
+    }
+
+    // A worker that ran for a while was healthy; start the backoff over
+    if (Date.now() - worker.startedAt >= this.stableAfter) {
+      this.crashes = 0;
+    }
+
+    const delay = Math.min(this.restartDelay * 2 ** this.crashes, this.maxRestartDelay);
+    this.crashes += 1;
+
+    logger.error(
+      `Worker ${worker.id} (pid ${worker.process.pid}) died (${signal || `code ${code}`}). ` +
+      `Restarting in ${delay}ms...`
+    );
+
+    setTimeout(() => {
+      if (!this.shuttingDown) {
+        this.fork();
+      }
+    }, delay);
+  }
+
+  /**
+   * Ask a worker to shut down gracefully, killing it after killTimeout
+   * @param {Worker} worker
+   * @returns {Promise<void>} Resolves when the worker has exited
+   */
+  stopWorker(worker) {
+    return new Promise((resolve) => {
+      if (worker.isDead()) {
+        resolve();
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        logger.warn(`Worker ${worker.id} did not stop within ${this.killTimeout}ms, killing it`);
+        worker.process.kill('SIGKILL');
+      }, this.killTimeout);
+
+      worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+
+      this.retiring.add(worker);
+      worker.process.kill('SIGTERM');
+    });
+  }
+
+  /**
+   * Fork a worker and wait until it is listening
+   * @returns {Promise<Worker>}
+   * @throws {Error} When the worker exits or times out before listening
+   */
+  forkAndWait() {
+    return new Promise((resolve, reject) => {
+      const worker = this.fork();
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        worker.removeListener('listening', onListening);
+        worker.removeListener('exit', onExit);
+      };
+      const onListening = () => {
+        cleanup();
+        resolve(worker);
+      };
+      const onExit = (code) => {
+        cleanup();
+        // Not a crash to restart: the rolling restart reports it and stops
+        this.retiring.add(worker);
+        reject(new Error(`worker ${worker.id} exited with code ${code} before listening`));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        this.stopWorker(worker);
+        reject(new Error(`worker ${worker.id} was not listening after ${this.readyTimeout}ms`));
+      }, this.readyTimeout);
+
+      worker.once('listening', onListening);
+      worker.once('exit', onExit);
+    });
+  }
+
+  /**
+   * Replace every worker, one at a time, without dropping requests
+   * Stops at the first replacement that fails to start, leaving the
+   * remaining old workers running.
+   * @returns {Promise<void>}
+   */
+  async rollingRestart() {
+    if (this.restarting || this.shuttingDown) {
+      logger.warn('Rolling restart already in progress or shutting down, ignoring SIGHUP');
+      return;
+    }
+
+    this.restarting = true;
+    const oldWorkers = Object.values(cluster.workers).filter((worker) => !this.retiring.has(worker));
+
+    logger.info(`Rolling restart of ${oldWorkers.length} worker(s)...`);
+
+    try {
+      for (const oldWorker of oldWorkers) {
+        if (this.shuttingDown) break;
+
+        const newWorker = await this.forkAndWait();
+        logger.info(`Worker ${newWorker.id} replaces worker ${oldWorker.id}`);
+        await this.stopWorker(oldWorker);
+      }
+
+      logger.info('Rolling restart completed');
+    } catch (error) {
+      logger.error(`Rolling restart aborted: ${error.message}`);
+    } finally {
+      this.restarting = false;
+    }
+  }
+
+  /**
+   * Stop every worker gracefully and exit
+   * A second signal kills the workers immediately.
+   * @param {string} signal
+   * @returns {Promise<void>}
+   */
+  async shutdown(signal) {
+    if (this.shuttingDown) {
+      logger.warn(`${signal} received during shutdown. Killing workers.`);
+      Object.values(cluster.workers).forEach((worker) => worker.process.kill('SIGKILL'));
+      process.exit(1);
+    }
+
+    this.shuttingDown = true;
+    logger.info(`${signal} received. Stopping ${Object.keys(cluster.workers).length} worker(s)...`);
+
+    await Promise.all(Object.values(cluster.workers).map((worker) => this.stopWorker(worker)));
+
+    logger.info('All workers stopped');
+    await logger.flush();
+    process.exit(0);
+  }
+}
+
+module.exports = {
+  ClusterManager,
+  resolveWorkerCount
+};
@@ -0,0 +1,191 @@
+// core/conditional.js
+const crypto = require('crypto');
+const { PreconditionFailedError } = require('./errors');
+
+/**
+ * Conditional Requests
+ * Validators let clients skip downloads and avoid lost updates:
+ *
+ *   - Every GET response gets a weak ETag, a hash of its body (Express's
+ *     'etag' setting, config.response.etag).
+ *   - res.ok() and res.created() with a single record also set a strong
+ *     ETag and Last-Modified from its updatedAt and version fields. The
+ *     ETag has two parts, "<record>.<representation>": the record's state
+ *     and a hash of how it is rendered (envelope, message, meta), so
+ *     responses that differ byte for byte never share a tag.
+ *   - A GET whose If-None-Match or If-Modified-Since still matches is
+ *     answered 304 Not Modified without a body (Express's req.fresh).
+ *   - checkPreconditions() rejects a PUT or DELETE whose If-Match or
+ *     If-Unmodified-Since no longer matches the record with a 412. If-Match
+ *     compares the record part only, so a tag from any representation of
+ *     the current version (the GET, or the last PUT's response) matches:
+ *
+ *   const update = async (req, res) => {
+ *     const post = await findPostOrFail(req.params.id);
+ *     checkPreconditions(req, post);
+ *     await post.update(req.body);
+ *     return res.ok(post);            // new ETag for the next update
+ *   };
+ *
+ * Record ETags work the same for Sequelize instances, Mongoose documents
+ * and Prisma records. They only change with updatedAt or the version
+ * (Sequelize `version: true`, Mongoose __v), so a response that embeds
+ * associations should opt out with res.ok(data, { etag: false }).
+ */
+
+/**
+ * Read a field of a Sequelize instance, Mongoose document or plain record
+ * @param {Object} record
+ * @param {string} field
+ * @returns {*}
+ */
+const readField = (record, field) => {
+  const value = typeof record.get === 'function' ? record.get(field) : record[field];
+  return value === null ? undefined : value;
+};
+
+/**
+ * Whether data is a single record (not a list, a string or a Buffer)
+ * @param {*} data
+ * @returns {boolean}
+ */
+const isRecord = (data) =>
+  Boolean(data) && typeof data === 'object' && !Array.isArray(data) && !Buffer.isBuffer(data);
+
+/**
+ * Last modification time of a record, from its updatedAt field
+ * @param {Object} record
+ * @returns {Date|null}
+ */
+const lastModified = (record) => {
+  if (!isRecord(record)) {
+    return null;
+  }
+
+  const updatedAt = readField(record, 'updatedAt');
+  const date = updatedAt !== undefined ? new Date(updatedAt) : null;
+
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Short hash used in ETags
+ * @param {*} value
+ * @param {number} length
+ * @returns {string} base64url
+ */
+const shortHash = (value, length) => crypto.createHash('sha1')
+  .update(JSON.stringify(value))
+  .digest('base64url')
+  .slice(0, length);
+
+/**
+ * Version of a record, from its id, updatedAt and version
+ * @param {Object} record
+ * @returns {string|null} Hash, or null when the record has neither updatedAt nor a version
+ */
+const recordVersion = (record) => {
+  if (!isRecord(record)) {
+    return null;
+  }
+
+  const updatedAt = lastModified(record);
+  const version = readField(record, 'version') !== undefined ? readField(record, 'version') : readField(record, '__v');
+
+  if (!updatedAt && version === undefined) {
+    return null;
+  }
+
+  const id = readField(record, 'id') !== undefined ? readField(record, 'id') : readField(record, '_id');
+
+  return shortHash([id !== undefined ? String(id) : null, updatedAt && updatedAt.getTime(), version], 27);
+};
+
+/**
+ * Strong ETag of a record as rendered in one representation
+ * @param {Object} record
+ * @param {*} [representation] - What else shapes the body (envelope, message...), hashed into the tag
+ * @returns {string|null} Quoted ETag, or null when the record has neither updatedAt nor a version
+ */
+const entityTag = (record, representation = null) => {
+  const version = recordVersion(record);
+
+  return version ? `"${version}.${shortHash(representation, 11)}"` : null;
+};
+
+/**
+ * Quote an ETag value unless it already is
+ * @param {string} tag
+ * @returns {string}
+ */
+const quoteETag = (tag) => (/^(W\/)?".*"$/.test(tag) ? tag : `"${tag}"`);
+
+/**
+ * Parse an If-Match / If-None-Match header
+ * @param {string} header
+ * @returns {string[]} Tags as sent (weak ones keep their W/ prefix), or ['*']
+ */
+const parseETags = (header) =>
+  (header.match(/\*|(?:W\/)?"[^"]*"/g) || []);
+
+/**
+ * Set ETag and Last-Modified on a response from the data it sends
+ * @param {Response} res
+ * @param {*} data
+ * @param {Object} [options]
+ * @param {string|boolean} [options.etag] - An ETag, or false for none (default: the record's)
+ * @param {Date|string|number} [options.lastModified] - Defaults to the record's updatedAt
+ * @param {*} [options.representation] - See entityTag()
+ */
+const setValidators = (res, data, { etag, lastModified: modified, representation } = {}) => {
+  const tag = typeof etag === 'string' ? quoteETag(etag) : etag !== false && entityTag(data, representation);
+  const date = modified !== undefined ? new Date(modified) : etag !== false && lastModified(data);
+
+  if (tag) {
+    res.set('ETag', tag);
+  }
+  if (date && !Number.isNaN(date.getTime())) {
+    res.set('Last-Modified', date.toUTCString());
+  }
+};
+
+/**
+ * Check If-Match and If-Unmodified-Since against the current record
+ * If-Match only accepts strong ETags (weak ones, hashes of response
+ * bodies, never match) whose record part is the record's current version.
+ * If-Unmodified-Since is ignored when If-Match is sent.
+ * @param {Request} req
+ * @param {Object} record - The record as stored now
+ * @throws {PreconditionFailedError} When the record changed since the client fetched it
+ */
+const checkPreconditions = (req, record) => {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch) {
+    const current = recordVersion(record);
+    const tags = parseETags(ifMatch);
+    const matches = (tag) => current !== null && tag.startsWith(`"${current}.`);
+
+    if (!tags.includes('*') && !tags.some(matches)) {
+      throw new PreconditionFailedError();
+    }
+    return;
+  }
+
+  const ifUnmodifiedSince = Date.parse(req.get('If-Unmodified-Since') || '');
+  const modified = lastModified(record);
+
+  // HTTP dates have second precision
+  if (!Number.isNaN(ifUnmodifiedSince) && modified && Math.floor(modified.getTime() / 1000) * 1000 > ifUnmodifiedSince) {
+    throw new PreconditionFailedError(undefined, { headers: { 'Last-Modified': modified.toUTCString() } });
+  }
+};
+
+module.exports = {
+  entityTag,
+  recordVersion,
+  lastModified,
+  parseETags,
+  setValidators,
+  checkPreconditions
+};
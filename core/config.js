@@ -0,0 +1,188 @@
+// core/config.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Configuration Loader
+ * Resolves the application config from the section files in config/,
+ * applies the overrides for the current environment from
+ * config/env/<env>.js and validates the result against config/schema.js.
+ *
+ * Overrides are merged into the section objects in place, so modules that
+ * require a config file directly (e.g. require('../config/upload')) see
+ * the same values as getConfig().upload.
+ *
+ * Usage:
+ *   const { loadConfig, getConfig } = require('./core/config');
+ *
+ *   loadConfig();                    // once at startup, throws ConfigError if invalid
+ *   getConfig().database.host;
+ */
+
+const CONFIG_DIR = path.resolve(__dirname, '..', 'config');
+
+// Config sections: name -> file in config/
+const SECTIONS = {
+  app: 'app',
+  auth: 'auth',
+  cache: 'cache',
+  database: 'database',
+  email: 'email',
+  health: 'health',
+  idempotency: 'idempotency',
+  logging: 'logging',
+  maintenance: 'maintenance',
+  metrics: 'metrics',
+  openapi: 'openapi',
+  orm: 'orm',
+  providers: 'providers',
+  queue: 'queue',
+  response: 'response',
+  schedule: 'schedule',
+  upload: 'upload'
+};
+
+// Keys whose values are masked by maskSecrets()
+const SECRET_KEY_PATTERN = /(password|secret|token|apikey|api_key|accesskey|privatekey|pass)$/i;
+
+/**
+ * Raised when the resolved config fails validation
+ */
+class ConfigError extends Error {
+  constructor(details) {
+    super(`Invalid configuration:\n${details.map(detail => `  - ${detail}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.details = details;
+  }
+}
+
+let currentConfig = null;
+
+/**
+ * Whether a value is a plain object that should be merged key by key
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Deep-merge source into target in place (arrays and scalars are replaced)
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object} target
+ */
+const deepMerge = (target, source) => {
+  Object.keys(source).forEach((key) => {
+    if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+      deepMerge(target[key], source[key]);
+    } else if (source[key] !== undefined) {
+      target[key] = source[key];
+    }
+  });
+  return target;
+};
+
+/**
+ * Validate a resolved config object
+ * @param {Object} config - Resolved config (including `env`)
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+const validateConfig = (config) => {
+  const schema = require(path.join(CONFIG_DIR, 'schema'));
+  const { error } = schema.validate(config, {
+    abortEarly: false,
+    context: { env: config.env }
+  });
+
+  const errors = error ? error.details.map(detail => detail.message) : [];
+
+  return { errors, warnings: [] };
+};
+
+/**
+ * Load, merge and validate the application config
+ * @param {Object} [options]
+ * @param {string} [options.env] - Environment name (defaults to NODE_ENV or 'development')
+ * @param {Object} [options.overrides] - Values merged over the environment overrides,
+ *   e.g. { logging: { level: 'error' } }
+ * @param {boolean} [options.validate] - Set to false to skip validation
+ * @returns {Object} Resolved config
+ * @throws {ConfigError} When validation fails
+ */
+const loadConfig = (options = {}) => {
+  const env = options.env || process.env.NODE_ENV || 'development';
+  const config = { env };
+
+  Object.entries(SECTIONS).forEach(([section, file]) => {
+    config[section] = require(path.join(CONFIG_DIR, file));
+  });
+
+  const overridesPath = path.join(CONFIG_DIR, 'env', `${env}.js`);
+  if (fs.existsSync(overridesPath)) {
+    deepMerge(config, require(overridesPath));
+    logger.debug(`Applied config overrides for environment: ${env}`);
+  }
+
+  if (options.overrides) {
+    deepMerge(config, options.overrides);
+  }
+
+  if (options.validate !== false) {
+    const { errors, warnings } = validateConfig(config);
+
+    warnings.forEach(warning => logger.warn(`Config: ${warning}`));
+
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+  }
+
+  currentConfig = config;
+  return config;
+};
+
+/**
+ * Get the resolved config, loading it without validation on first use
+ * @returns {Object}
+ */
+const getConfig = () => currentConfig || loadConfig({ validate: false });
+
+/**
+ * Return a deep copy of the config with secret values masked
+ * Connection strings keep their shape with the password hidden.
+ * @param {*} value
+ * @param {string} [key]
+ * @returns {*}
+ */
+const maskSecrets = (value, key = '') => {
+  if (Array.isArray(value)) {
+    return value.map(item => maskSecrets(item));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([childKey, childValue]) => [childKey, maskSecrets(childValue, childKey)])
+    );
+  }
+
+  if (typeof value === 'string' && value && SECRET_KEY_PATTERN.test(key)) {
+    return '********';
+  }
+
+  if (typeof value === 'string' && /^[a-z][a-z0-9+.-]*:\/\/[^/\s:@]*:[^/\s@]+@/i.test(value)) {
+    return value.replace(/(:\/\/[^/\s:@]*:)[^/\s@]+@/, '$1********@');
+  }
+
+  return value;
+};
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  validateConfig,
+  maskSecrets,
+  ConfigError
+};
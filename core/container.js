@@ -0,0 +1,227 @@
+// core/container.js
+
+/**
+ * Service Container
+ * Holds the app's shared objects (config, logger, models, services...)
+ * under names, so classes ask for what they need instead of requiring
+ * module singletons or reading globals, and tests can swap in fakes.
+ *
+ * Every app built by createApp() has its own container at app.container,
+ * also passed to providers as `container`:
+ *
+ *   container.singleton('reportService', ReportService);   // one instance
+ *   container.transient('reportBuilder', ReportBuilder);   // new every time
+ *   container.instance('clock', () => Date.now());         // existing value
+ *   container.singleton('mailer', (c) => new Mailer(c.make('config').email));
+ *
+ *   container.make('reportService');
+ *
+ * Classes list their dependencies in a static `inject` array and receive
+ * them as one object (constructor injection):
+ *
+ *   class ReportService {
+ *     static inject = ['models', 'logger'];
+ *
+ *     constructor({ models, logger }) { ... }
+ *   }
+ *
+ * Anything else registered with singleton()/transient() is a factory,
+ * called with the container.
+ */
+
+const SCOPES = ['singleton', 'transient'];
+
+class ContainerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContainerError';
+  }
+}
+
+/**
+ * Whether a function is a class (constructed with new) rather than a factory
+ * @param {Function} fn
+ * @returns {boolean}
+ */
+const isClass = (fn) =>
+  typeof fn === 'function' && /^class[\s{]/.test(Function.prototype.toString.call(fn));
+
+class Container {
+  constructor() {
+    this.bindings = new Map();
+    this.resolving = [];
+  }
+
+  /**
+   * Register a class or factory
+   * @param {string} name - Binding name, e.g. 'emailService'
+   * @param {Function} target - Class (uses static inject) or factory (receives the container)
+   * @param {Object} [options]
+   * @param {string} [options.scope='singleton'] - 'singleton' or 'transient'
+   * @returns {Container}
+   * @throws {ContainerError} When the target is not a function or the scope is unknown
+   */
+  bind(name, target, { scope = 'singleton' } = {}) {
+    if (typeof target !== 'function') {
+      throw new ContainerError(`Binding "${name}" must be a class or factory function, use instance() for values`);
+    }
+    if (!SCOPES.includes(scope)) {
+      throw new ContainerError(`Unknown scope "${scope}" for binding "${name}", expected one of: ${SCOPES.join(', ')}`);
+    }
+
+    this.bindings.set(name, { target, scope, resolved: false, value: undefined });
+    return this;
+  }
+
+  /**
+   * Register a class or factory that is built once, on first use
+   * @param {string} name
+   * @param {Function} target
+   * @returns {Container}
+   */
+  singleton(name, target) {
+    return this.bind(name, target, { scope: 'singleton' });
+  }
+
+  /**
+   * Register a class or factory that is built on every make()
+   * @param {string} name
+   * @param {Function} target
+   * @returns {Container}
+   */
+  transient(name, target) {
+    return this.bind(name, target, { scope: 'transient' });
+  }
+
+  /**
+   * Register an existing value, replacing any binding with the same name
+   * @param {string} name
+   * @param {*} value
+   * @returns {Container}
+   */
+  instance(name, value) {
+    this.bindings.set(name, { target: null, scope: 'singleton', resolved: true, value });
+    return this;
+  }
+
+  /**
+   * Whether a name is bound
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.bindings.has(name);
+  }
+
+  /**
+   * Resolve a binding by name, or build an unbound class with its injections
+   * @param {string|Function} name - Binding name or class
+   * @returns {*}
+   * @throws {ContainerError} When the name is not bound or dependencies are circular
+   */
+  make(name) {
+    if (typeof name === 'function') {
+      return this.build(name);
+    }
+
+    const binding = this.bindings.get(name);
+
+    if (!binding) {
+      const available = [...this.bindings.keys()].sort().join(', ');
+      throw new ContainerError(`Nothing bound as "${name}". Available bindings: ${available || 'none'}`);
+    }
+
+    if (binding.resolved) {
+      return binding.value;
+    }
+
+    if (this.resolving.includes(name)) {
+      throw new ContainerError(`Circular dependency: ${[...this.resolving, name].join(' -> ')}`);
+    }
+
+    this.resolving.push(name);
+
+    try {
+      const value = this.build(binding.target);
+
+      if (binding.scope === 'singleton') {
+        binding.resolved = true;
+        binding.value = value;
+      }
+
+      return value;
+    } finally {
+      this.resolving.pop();
+    }
+  }
+
+  /**
+   * Instantiate a class with its static inject dependencies, or call a factory
+   * @param {Function} target
+   * @returns {*}
+   */
+  build(target) {
+    if (!isClass(target)) {
+      return target(this);
+    }
+
+    const dependencies = {};
+    (target.inject || []).forEach((dependency) => {
+      dependencies[dependency] = this.make(dependency);
+    });
+
+    return new target(dependencies);
+  }
+
+  /**
+   * Forget resolved singletons so they are built again on next use
+   * (values registered with instance() are kept)
+   * @returns {Container}
+   */
+  reset() {
+    this.bindings.forEach((binding) => {
+      if (binding.target) {
+        binding.resolved = false;
+        binding.value = undefined;
+      }
+    });
+    return this;
+  }
+}
+
+/**
+ * Route handler that builds a controller class from the app's container
+ * on each request and calls one of its methods. Rejected promises reach
+ * the error handler, like asyncHandler().
+ *
+ *   router.get('/:id', action(UserController, 'getById'));
+ *
+ * @param {Function} Controller - Controller class (may declare static inject)
+ * @param {string} method - Method name
+ * @returns {Function} Express handler
+ */
+const action = (Controller, method) => {
+  if (typeof Controller.prototype[method] !== 'function') {
+    throw new ContainerError(`${Controller.name} has no method "${method}"`);
+  }
+
+  const handler = function(req, res, next) {
+    try {
+      const controller = req.app.container.make(Controller);
+      return Promise.resolve(controller[method](req, res, next)).catch(next);
+    } catch (error) {
+      return next(error);
+    }
+  };
+
+  // Named after the action so stack traces and route listings show it
+  Object.defineProperty(handler, 'name', { value: `${Controller.name}.${method}` });
+
+  return handler;
+};
+
+module.exports = {
+  Container,
+  ContainerError,
+  action
+};
@@ -0,0 +1,147 @@
+// core/context.js
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const crypto = require('crypto');
+
+/**
+ * Request Context
+ * Carries request-scoped values (request id, user, tenant) through the
+ * whole async call chain of a request, so services, ORM hooks and the
+ * logger can read them without passing `req` around.
+ *
+ * Usage:
+ *   const { getContext, setContext } = require('../core/context');
+ *
+ *   setContext({ userId: user.id });      // e.g. in auth middleware
+ *   getContext().requestId;               // anywhere during the request
+ *
+ * Background work runs in a context of its own:
+ *   runWithContext({ jobId: job.id, ...job.data.context }, () => handle(job));
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Incoming request ids are reused only if they look safe to log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Current context, or undefined outside a request or job
+ * @returns {Object|undefined}
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * Add values to the current context (undefined values are skipped)
+ * @param {Object} values
+ * @returns {boolean} false when called outside a context
+ */
+const setContext = (values) => {
+  const context = getContext();
+
+  if (!context) {
+    return false;
+  }
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== undefined) {
+      context[key] = value;
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Run a function inside a new context
+ * @param {Object} context - Initial values
+ * @param {Function} fn
+ * @returns {*} Result of fn
+ */
+const runWithContext = (context, fn) => storage.run({ ...context }, fn);
+
+/**
+ * Values worth passing on to background work started by the request
+ * @returns {Object} { requestId, userId, tenantId } (only those set)
+ */
+const getPropagatedContext = () => {
+  const context = getContext() || {};
+
+  return Object.fromEntries(
+    ['requestId', 'userId', 'tenantId']
+      .filter((key) => context[key] !== undefined)
+      .map((key) => [key, context[key]])
+  );
+};
+
+/**
+ * The user a request is made by: the context's userId, else req.user
+ * @param {Request} req
+ * @returns {string|null} null for guests
+ */
+const getUserId = (req) => {
+  const context = getContext() || {};
+  const userId = context.userId !== undefined
+    ? context.userId
+    : req.user && (req.user.userId !== undefined ? req.user.userId : req.user.id);
+
+  return userId !== undefined && userId !== null ? String(userId) : null;
+};
+
+/**
+ * Make listeners of an emitter run in the current context
+ * Stream events (body parsers, multer, 'finish') are emitted from the
+ * socket's async context, which would otherwise lose the request context.
+ * @param {EventEmitter} emitter
+ */
+const bindEmitter = (emitter) => {
+  const emit = emitter.emit;
+  emitter.emit = AsyncResource.bind(function boundEmit(...args) {
+    return emit.apply(emitter, args);
+  });
+};
+
+/**
+ * Middleware creating the request context
+ * Reuses a valid incoming request id header (so ids can be traced across
+ * services) or generates one, and exposes it as req.id and X-Request-ID.
+ * @param {Object} [options]
+ * @param {string} [options.requestIdHeader] - Incoming request id header
+ * @param {string} [options.tenantHeader] - Header identifying the tenant
+ * @returns {Function}
+ */
+const requestContext = (options = {}) => {
+  const requestIdHeader = options.requestIdHeader || 'X-Request-ID';
+  const tenantHeader = options.tenantHeader;
+
+  return function requestContext(req, res, next) {
+    if (req.context) {
+      return next();
+    }
+
+    const incomingId = req.get(requestIdHeader);
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.setHeader('X-Request-ID', req.id);
+
+    const context = { requestId: req.id, method: req.method, path: req.path };
+
+    if (tenantHeader && req.get(tenantHeader)) {
+      context.tenantId = req.get(tenantHeader);
+    }
+
+    req.context = context;
+
+    storage.run(context, () => {
+      bindEmitter(req);
+      bindEmitter(res);
+      next();
+    });
+  };
+};
+
+module.exports = {
+  getContext,
+  setContext,
+  runWithContext,
+  getPropagatedContext,
+  getUserId,
+  requestContext
+};
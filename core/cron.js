@@ -0,0 +1,263 @@
+// core/cron.js
+
+/**
+ * Cron Expressions
+ * Five fields, evaluated in a time zone:
+ *
+ *   ┌───────── minute        0-59
+ *   │ ┌─────── hour          0-23
+ *   │ │ ┌───── day of month  1-31
+ *   │ │ │ ┌─── month         1-12 or jan-dec
+ *   │ │ │ │ ┌─ day of week   0-7 or sun-sat (0 and 7 are Sunday)
+ *   * * * * *
+ *
+ * Fields accept lists (1,15), ranges (1-5), steps (*\/15, 8-18/2) and the
+ * macros @yearly, @monthly, @weekly, @daily and @hourly. Like classic cron,
+ * when both day fields are restricted a day matching either one counts; a
+ * field starting with * (*, *\/2) is unrestricted, so `0 0 *\/2 * 1` runs on
+ * Mondays that are odd days of the month.
+ *
+ * Times that don't exist because of a daylight saving jump are skipped;
+ * times that happen twice run once.
+ */
+
+class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronError';
+  }
+}
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Searches stop after this long without a match (e.g. '0 0 30 2 *')
+const SEARCH_LIMIT = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse one value of a field: a number or a name
+ * @private
+ */
+const parseValue = (text, field) => {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = index >= 0 ? index + field.min : Number(text);
+
+  if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new CronError(`Invalid ${field.name} "${text}" (allowed ${field.min}-${field.max})`);
+  }
+
+  return value;
+};
+
+/**
+ * Parse a field into the set of values it matches
+ * @private
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(`Invalid step "${stepText}" in ${field.name} "${text}"`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      // 'a/n' runs from a to the end of the range
+      to = end !== undefined ? parseValue(end, field) : (stepText === undefined ? from : field.max);
+    }
+
+    if (from > to) {
+      throw new CronError(`Invalid range "${range}" in ${field.name}`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. '*\/5 * * * *' or '@daily'
+ * @returns {Object} Parsed expression, used by matches() and nextRun()
+ * @throws {CronError} When the expression is invalid
+ */
+const parseCron = (expression) => {
+  const source = String(expression).trim();
+  const parts = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new CronError(`Invalid cron expression "${expression}": expected 5 fields, got ${parts.length}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is Sunday too
+  if (dayOfWeek.delete(7)) {
+    dayOfWeek.add(0);
+  }
+
+  return {
+    expression: source,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*')
+  };
+};
+
+/**
+ * Whether a day matches the day-of-month and day-of-week fields
+ * @private
+ */
+const dayMatches = (cron, day, weekday) => {
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return cron.dayOfMonth.has(day) || cron.dayOfWeek.has(weekday);
+  }
+  return cron.dayOfMonth.has(day) && cron.dayOfWeek.has(weekday);
+};
+
+const formatters = new Map();
+
+/**
+ * Wall clock time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone - IANA name, e.g. 'Europe/Berlin'
+ * @returns {{ year, month, day, hour, minute }}
+ * @throws {RangeError} When the time zone is unknown
+ */
+const wallClock = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date)
+    .filter((part) => part.type !== 'literal')
+    .map((part) => [part.type, Number(part.value)]));
+
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+};
+
+/**
+ * Wall clock time as if it were UTC, in ms, so calendar arithmetic can use Date.UTC
+ * @private
+ */
+const wallClockMs = (date, timeZone) => {
+  const { year, month, day, hour, minute } = wallClock(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute);
+};
+
+/**
+ * Instant at which a time zone shows a wall clock time
+ * @param {number} wallMs - Wall clock time from wallClockMs()
+ * @param {string} timeZone
+ * @returns {number|null} ms, or null when the time does not exist (DST jump)
+ * @private
+ */
+const toInstant = (wallMs, timeZone) => {
+  const offsetAt = (instant) => wallClockMs(new Date(instant), timeZone) - instant;
+
+  let instant = wallMs - offsetAt(wallMs);
+  instant = wallMs - offsetAt(instant);
+
+  return wallClockMs(new Date(instant), timeZone) === wallMs ? instant : null;
+};
+
+/**
+ * Whether an instant matches an expression (to the minute)
+ * @param {Object} cron - From parseCron()
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const matches = (cron, date, timeZone) => {
+  const wall = new Date(wallClockMs(date, timeZone));
+
+  return cron.minute.has(wall.getUTCMinutes()) &&
+    cron.hour.has(wall.getUTCHours()) &&
+    cron.month.has(wall.getUTCMonth() + 1) &&
+    dayMatches(cron, wall.getUTCDate(), wall.getUTCDay());
+};
+
+/**
+ * First matching minute after a date
+ * @param {Object} cron - From parseCron()
+ * @param {string} timeZone
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ * @throws {CronError} When the expression never matches (e.g. February 30)
+ */
+const nextRun = (cron, timeZone, from = new Date()) => {
+  const nextMinute = new Date(Math.floor(from.getTime() / 60000) * 60000 + 60000);
+  const start = wallClockMs(nextMinute, timeZone);
+  let time = start;
+
+  // Walk the wall clock, skipping whole months, days and hours that can't match
+  while (time - start <= SEARCH_LIMIT) {
+    const wall = new Date(time);
+    const [year, month, day, hour] = [wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours()];
+
+    if (!cron.month.has(month + 1)) {
+      time = Date.UTC(year, month + 1, 1);
+    } else if (!dayMatches(cron, day, wall.getUTCDay())) {
+      time = Date.UTC(year, month, day + 1);
+    } else if (!cron.hour.has(hour)) {
+      time = Date.UTC(year, month, day, hour + 1);
+    } else if (!cron.minute.has(wall.getUTCMinutes())) {
+      time += 60000;
+    } else {
+      const instant = toInstant(time, timeZone);
+
+      if (instant !== null && instant >= nextMinute.getTime()) {
+        return new Date(instant);
+      }
+      time += 60000;
+    }
+  }
+
+  throw new CronError(`Cron expression "${cron.expression}" never matches`);
+};
+
+module.exports = {
+  CronError,
+  parseCron,
+  matches,
+  nextRun,
+  wallClock
+};
@@ -1,6 +1,7 @@
 // core/database.js
 const { activeORM } = require('../config/orm');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('database');
+const { observeQuery, getSqlOperation } = require('./metrics');
 
 async function initializeDatabase() {
   try {
@@ -22,6 +23,17 @@ async function initializeDatabase() {
   }
 }
 
+/**
+ * Sequelize logging hook: records the query duration and logs the SQL
+ * @param {string} msg - Executed SQL
+ * @param {number} timing - Duration in ms (benchmark: true)
+ */
+function logSequelizeQuery(msg, timing) {
+  if (typeof timing === 'number') {
+    observeQuery('sequelize', getSqlOperation(msg), timing);
+  }
+  logger.debug(msg);
+}
 
 async function initializeSequelize() {
   const { Sequelize } = require('sequelize');
@@ -33,7 +45,9 @@ async function initializeSequelize() {
       host: config.host,
       port: config.port,
       dialect: config.dialect,
-      logging: (msg) => logger.debug(msg),
+      storage: config.storage,
+      benchmark: true,
+      logging: logSequelizeQuery,
       pool: config.pool || {
         max: 5,
         min: 0,
@@ -92,7 +106,9 @@ async function createDatabaseAndConnect(config) {
     host: config.host,
     port: config.port,
     dialect: config.dialect,
-    logging: (msg) => logger.debug(msg),
+    storage: config.storage,
+    benchmark: true,
+    logging: logSequelizeQuery,
     pool: config.pool || {
       max: 5,
       min: 0,
@@ -109,6 +125,9 @@ async function initializeMongoose() {
   const mongoose = require('mongoose');
   const config = require('../config/database');
   
+  // Time every query for the db_query_duration_seconds metric
+  mongoose.plugin(mongooseQueryTimer);
+
   mongoose.connection.on('connected', () => {
     logger.debug('Mongoose connected to DB');
   });
@@ -129,17 +148,41 @@ async function initializeMongoose() {
   return mongoose;
 }
 
+/**
+ * Mongoose plugin timing queries and aggregations
+ * @param {Schema} schema
+ */
+function mongooseQueryTimer(schema) {
+  const operations = [
+    'find', 'findOne', 'countDocuments', 'updateOne', 'updateMany', 'deleteOne',
+    'deleteMany', 'findOneAndUpdate', 'findOneAndDelete', 'aggregate'
+  ];
+
+  schema.pre(operations, function startTimer() {
+    this._greycodeStart = Date.now();
+  });
+
+  schema.post(operations, function stopTimer() {
+    if (this._greycodeStart) {
+      const operation = typeof this.op === 'string' ? this.op : 'aggregate';
+      observeQuery('mongoose', operation, Date.now() - this._greycodeStart);
+    }
+  });
+}
+
 async function initializePrisma() {
   const { PrismaClient } = require('@prisma/client');
   
   const prisma = new PrismaClient({
     log: [
+      { level: 'query', emit: 'event' },
       { level: 'warn', emit: 'event' },
       { level: 'info', emit: 'event' },
       { level: 'error', emit: 'event' }
     ]
   });
-  
+
+  prisma.$on('query', (e) => observeQuery('prisma', getSqlOperation(e.query), e.duration));
   prisma.$on('warn', (e) => logger.warn(e.message));
   prisma.$on('info', (e) => logger.info(e.message));
   prisma.$on('error', (e) => logger.error(e.message));
@@ -217,33 +260,38 @@ async function closePrisma(prisma) {
 
 /**
  * Health check for database connection
+ * @param {Object} [dbInstance] - Sequelize/Mongoose/Prisma instance
+ *   (defaults to the connection exposed on global.models)
  */
-async function checkDatabaseHealth() {
+async function checkDatabaseHealth(dbInstance = null) {
   try {
     switch (activeORM) {
-      case 'sequelize':
-        const sequelize = require('./models').sequelize || global.models?.sequelize;
+      case 'sequelize': {
+        const sequelize = dbInstance || global.models?.sequelize;
         if (sequelize) {
           await sequelize.authenticate();
           return { status: 'healthy', orm: 'sequelize' };
         }
         break;
-      case 'mongoose':
-        const mongoose = require('mongoose');
-        if (mongoose.connection.readyState === 1) {
+      }
+      case 'mongoose': {
+        const mongoose = dbInstance || require('mongoose');
+        if (mongoose.connection && mongoose.connection.readyState === 1) {
           return { status: 'healthy', orm: 'mongoose' };
         }
         break;
-      case 'prisma':
+      }
+      case 'prisma': {
         // Prisma doesn't have a built-in health check, but we can run a simple query
-        const prisma = require('./models').prisma || global.models?.prisma;
+        const prisma = dbInstance || global.models?.prisma;
         if (prisma) {
           await prisma.$queryRaw`SELECT 1`;
           return { status: 'healthy', orm: 'prisma' };
         }
         break;
+      }
     }
-    return { status: 'unhealthy', orm: activeORM };
+    return { status: 'unhealthy', orm: activeORM, error: 'No active database connection' };
   } catch (error) {
     logger.error('Database health check failed:', error);
     return { status: 'unhealthy', orm: activeORM, error: error.message };
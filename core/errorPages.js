@@ -0,0 +1,192 @@
+// core/errorPages.js
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const logger = require('../utils/logger');
+const { PROBLEM_CONTENT_TYPE } = require('./problem');
+
+/**
+ * Error Pages
+ * Renders HTML error responses for browsers. Each status can have its own
+ * template in templates/errors/ (404.ejs, 403.ejs, 500.ejs and 503.ejs, the
+ * maintenance page, ship with the framework); other statuses use
+ * templates/errors/error.ejs.
+ *
+ * Outside production, server errors render templates/errors/development.ejs
+ * instead, showing the stack with the source lines around each frame.
+ */
+
+// Source lines shown above and below the failing line
+const CONTEXT_LINES = 5;
+
+// Stack frames shown on the development page
+const MAX_FRAMES = 20;
+
+// "    at fn (/app/file.js:10:5)" or "    at /app/file.js:10:5"
+const FRAME_PATTERN = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+
+/**
+ * Parse the frames of a V8 stack trace
+ * @param {string} stack
+ * @returns {Array<Object>} { fn, file, line, column, isApp }
+ */
+const parseStack = (stack) => {
+  if (!stack) return [];
+
+  return stack.split('\n')
+    .map((line) => FRAME_PATTERN.exec(line))
+    .filter(Boolean)
+    .slice(0, MAX_FRAMES)
+    .map(([, fn, location, line, column]) => {
+      const file = location.startsWith('file://') ? location.slice('file://'.length) : location;
+
+      return {
+        fn: fn || '<anonymous>',
+        file,
+        line: Number(line),
+        column: Number(column),
+        isApp: path.isAbsolute(file) && !file.includes(`${path.sep}node_modules${path.sep}`)
+      };
+    });
+};
+
+/**
+ * Source lines around a line of a file
+ * @param {string} file
+ * @param {number} line - 1-based
+ * @param {Map} cache - File contents already read for this page
+ * @returns {Array<Object>|null} { number, code, highlight }
+ */
+const readSourceContext = (file, line, cache) => {
+  if (!cache.has(file)) {
+    try {
+      cache.set(file, fs.readFileSync(file, 'utf8').split(/\r?\n/));
+    } catch (error) {
+      cache.set(file, null);
+    }
+  }
+
+  const lines = cache.get(file);
+
+  if (!lines || line > lines.length) {
+    return null;
+  }
+
+  const start = Math.max(1, line - CONTEXT_LINES);
+  const end = Math.min(lines.length, line + CONTEXT_LINES);
+  const source = [];
+
+  for (let number = start; number <= end; number++) {
+    source.push({ number, code: lines[number - 1], highlight: number === line });
+  }
+
+  return source;
+};
+
+/**
+ * Stack frames with the source context of application frames
+ * @param {string} stack
+ * @param {string} [rootDir] - Paths are shown relative to it
+ * @returns {Array<Object>} { fn, file, relativeFile, line, column, isApp, source }
+ */
+const getStackFrames = (stack, rootDir = process.cwd()) => {
+  const cache = new Map();
+
+  return parseStack(stack).map((frame) => ({
+    ...frame,
+    relativeFile: frame.isApp ? path.relative(rootDir, frame.file) : frame.file,
+    source: frame.isApp ? readSourceContext(frame.file, frame.line, cache) : null
+  }));
+};
+
+/**
+ * Whether the client prefers HTML over JSON
+ * AJAX requests always get JSON.
+ * @param {Object} req
+ * @returns {boolean}
+ */
+const wantsHtml = (req) => {
+  if (req.xhr) return false;
+  return req.accepts(['application/json', PROBLEM_CONTENT_TYPE, 'html']) === 'html';
+};
+
+/**
+ * Template for a status: errors/<status> if it exists, else errors/error
+ * @param {Object} app - Express app
+ * @param {number} status
+ * @returns {string}
+ */
+const resolveView = (app, status) => {
+  const extension = app.get('view engine') || 'ejs';
+  const viewDirs = [].concat(app.get('views') || []);
+  const exists = viewDirs.some((dir) => fs.existsSync(path.join(dir, 'errors', `${status}.${extension}`)));
+
+  return exists ? `errors/${status}` : 'errors/error';
+};
+
+/**
+ * Minimal page used when the error template itself fails to render
+ * @param {number} status
+ * @returns {string}
+ */
+const fallbackPage = (status) => {
+  const title = `${status} ${http.STATUS_CODES[status] || 'Error'}`;
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${title}</title></head><body><h1>${title}</h1></body></html>`;
+};
+
+/**
+ * Render the HTML error page for an error
+ * @param {Object} req
+ * @param {Object} res
+ * @param {HttpError} error - Translated error (see core/errors.js)
+ * @param {Object} options
+ * @param {string} options.message - Message safe to show
+ * @param {boolean} options.development - Render the development page for 5xx
+ * @param {Error} [options.original] - Untranslated error, for its stack
+ */
+const renderErrorPage = (req, res, error, options) => {
+  const showDevelopmentPage = options.development && error.status >= 500;
+  const view = showDevelopmentPage ? 'errors/development' : resolveView(req.app, error.status);
+
+  const locals = {
+    status: error.status,
+    title: http.STATUS_CODES[error.status] || 'Error',
+    message: options.message,
+    code: error.code,
+    details: error.details,
+    requestId: req.id
+  };
+
+  if (showDevelopmentPage) {
+    const original = options.original || error;
+
+    Object.assign(locals, {
+      errorName: original.name,
+      stack: logger.redact(original.stack || ''),
+      frames: getStackFrames(original.stack),
+      request: {
+        method: req.method,
+        url: logger.redact(req.originalUrl),
+        headers: logger.redact(req.headers),
+        query: logger.redact(req.query),
+        body: logger.redact(req.body)
+      }
+    });
+  }
+
+  res.render(view, locals, (renderError, html) => {
+    if (renderError) {
+      logger.error(`Failed to render error page ${view}: ${renderError.message}`);
+      return res.type('html').send(fallbackPage(error.status));
+    }
+
+    res.type('html').send(html);
+  });
+};
+
+module.exports = {
+  parseStack,
+  getStackFrames,
+  wantsHtml,
+  renderErrorPage
+};
@@ -0,0 +1,360 @@
+// core/errors.js
+const http = require('http');
+
+/**
+ * HTTP Errors
+ * Error classes carrying an HTTP status and a stable, machine-readable
+ * code. Throw them from controllers, services and middleware; the error
+ * handler (middlewares/errorHandler.js) turns them into responses.
+ *
+ * Errors from Sequelize, Mongoose, Prisma and the body parsers are
+ * translated by translateError(), so a duplicate email becomes a 409
+ * instead of a 500 leaking the SQL error.
+ *
+ * Usage:
+ *   const { asyncHandler, NotFoundError } = require('../core/errors');
+ *
+ *   const getById = asyncHandler(async (req, res) => {
+ *     const user = await User.findByPk(req.params.id);
+ *     if (!user) throw new NotFoundError('User not found');
+ *     res.ok(user);
+ *   });
+ */
+
+/**
+ * Default code for a status, e.g. 404 -> 'NOT_FOUND'
+ * @param {number} status
+ * @returns {string}
+ */
+const codeForStatus = (status) =>
+  (http.STATUS_CODES[status] || 'Error').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} [message] - Defaults to the status text
+   * @param {Object} [options]
+   * @param {string} [options.code] - Stable error code, defaults to the status text (NOT_FOUND)
+   * @param {Array<Object>} [options.details] - Per-field problems: { field, message, type }
+   * @param {Object} [options.headers] - Response headers, e.g. { 'Retry-After': 60 }
+   * @param {boolean} [options.expose] - Send the message to the client (default: status < 500)
+   * @param {Error} [options.cause] - Original error, logged but never sent
+   */
+  constructor(status, message, options = {}) {
+    super(message || http.STATUS_CODES[status] || 'Error');
+    this.name = this.constructor.name;
+    this.status = status;
+    this.statusCode = status;
+    this.code = options.code || codeForStatus(status);
+    this.details = options.details;
+    this.headers = options.headers;
+    this.expose = options.expose !== undefined ? options.expose : status < 500;
+
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message = 'Bad request', options = {}) {
+    super(400, message, options);
+  }
+}
+
+class ValidationError extends HttpError {
+  /**
+   * @param {string} [message]
+   * @param {Array<Object>} [details] - { field, message, type } per invalid field
+   * @param {Object} [options]
+   */
+  constructor(message = 'Validation error', details, options = {}) {
+    super(400, message, { code: 'VALIDATION_ERROR', details, ...options });
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(401, message, options);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Insufficient permissions', options = {}) {
+    super(403, message, options);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Resource not found', options = {}) {
+    super(404, message, options);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = 'Resource already exists', options = {}) {
+    super(409, message, options);
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(message = 'The resource has changed since it was fetched', options = {}) {
+    super(412, message, options);
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  /**
+   * @param {string} [message]
+   * @param {Object} [options]
+   * @param {number} [options.retryAfter] - Seconds, sent as Retry-After
+   */
+  constructor(message = 'Too many requests, please try again later', options = {}) {
+    const headers = options.retryAfter !== undefined
+      ? { 'Retry-After': String(options.retryAfter), ...options.headers }
+      : options.headers;
+    super(429, message, { ...options, headers });
+  }
+}
+
+class ServiceUnavailableError extends HttpError {
+  constructor(message = 'Service temporarily unavailable', options = {}) {
+    super(503, message, options);
+  }
+}
+
+/**
+ * Normalize a list of field names from ORM error metadata
+ * @param {string|string[]|Object} fields
+ * @returns {string[]}
+ */
+const toFieldList = (fields) => {
+  if (!fields) return [];
+  if (Array.isArray(fields)) return fields;
+  if (typeof fields === 'string') return [fields];
+  return Object.keys(fields);
+};
+
+/**
+ * Conflict for a unique constraint on the given fields
+ * @param {string[]} fields
+ * @param {Error} cause
+ * @returns {ConflictError}
+ */
+const uniqueConflict = (fields, cause) => new ConflictError(
+  fields.length > 0 ? `A record with this ${fields.join(', ')} already exists` : 'Resource already exists',
+  {
+    code: 'UNIQUE_CONSTRAINT',
+    details: fields.map((field) => ({ field, message: `${field} must be unique`, type: 'unique' })),
+    cause
+  }
+);
+
+/**
+ * Conflict for a foreign key constraint
+ * @param {string[]} fields
+ * @param {Error} cause
+ * @returns {ConflictError}
+ */
+const foreignKeyConflict = (fields, cause) => new ConflictError(
+  'The operation conflicts with a related record',
+  {
+    code: 'FOREIGN_KEY_CONSTRAINT',
+    details: fields.length > 0 ? fields.map((field) => ({ field, message: `${field} references a missing or dependent record`, type: 'foreign_key' })) : undefined,
+    cause
+  }
+);
+
+// The generic message is safe to send, unlike the driver's
+const databaseUnavailable = (cause) => new ServiceUnavailableError(undefined, { code: 'DATABASE_UNAVAILABLE', expose: true, cause });
+
+/**
+ * Sequelize errors (matched by name, so Sequelize needn't be installed)
+ * @param {Error} err
+ * @returns {HttpError|null}
+ */
+const translateSequelizeError = (err) => {
+  switch (err.name) {
+    case 'SequelizeUniqueConstraintError': {
+      const fields = err.errors && err.errors.length > 0 ? err.errors.map((item) => item.path) : toFieldList(err.fields);
+      return uniqueConflict(fields, err);
+    }
+    case 'SequelizeValidationError':
+      return new ValidationError('Validation error', (err.errors || []).map((item) => ({
+        field: item.path,
+        message: item.message,
+        type: item.validatorKey || item.type
+      })), { cause: err });
+    case 'SequelizeForeignKeyConstraintError':
+      return foreignKeyConflict(toFieldList(err.fields || err.index), err);
+    case 'SequelizeEmptyResultError':
+      return new NotFoundError(undefined, { cause: err });
+    default:
+      break;
+  }
+
+  if (/^Sequelize(Connection|AccessDenied|HostNot|InvalidConnection|ConnectionTimedOut)/.test(err.name)) {
+    return databaseUnavailable(err);
+  }
+
+  return null;
+};
+
+/**
+ * Mongoose and MongoDB driver errors
+ * @param {Error} err
+ * @returns {HttpError|null}
+ */
+const translateMongooseError = (err) => {
+  if (err.name === 'CastError') {
+    return new BadRequestError(`Invalid ${err.path}`, {
+      code: err.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE',
+      details: [{ field: err.path, message: `${err.path} must be a valid ${err.kind}`, type: 'cast' }],
+      cause: err
+    });
+  }
+
+  // Mongoose's ValidationError has a map of errors; ours never reaches here
+  if (err.name === 'ValidationError' && err.errors && !Array.isArray(err.errors)) {
+    return new ValidationError('Validation error', Object.values(err.errors).map((item) => ({
+      field: item.path,
+      message: item.message,
+      type: item.kind
+    })), { cause: err });
+  }
+
+  if (err.name === 'DocumentNotFoundError') {
+    return new NotFoundError(undefined, { cause: err });
+  }
+
+  if (err.code === 11000 && /^Mongo|BulkWriteError/.test(err.name)) {
+    return uniqueConflict(toFieldList(err.keyValue || err.keyPattern), err);
+  }
+
+  if (/^Mongo(ServerSelection|Network|NotConnected)/.test(err.name)) {
+    return databaseUnavailable(err);
+  }
+
+  return null;
+};
+
+/**
+ * Prisma client errors
+ * @param {Error} err
+ * @returns {HttpError|null}
+ */
+const translatePrismaError = (err) => {
+  if (err.name === 'PrismaClientKnownRequestError') {
+    const meta = err.meta || {};
+
+    switch (err.code) {
+      case 'P2002':
+        return uniqueConflict(toFieldList(meta.target), err);
+      case 'P2025':
+      case 'P2001':
+        return new NotFoundError(undefined, { cause: err });
+      case 'P2003':
+        return foreignKeyConflict(toFieldList(meta.field_name), err);
+      case 'P2000':
+        return new ValidationError('Validation error', [{
+          field: meta.column_name,
+          message: `${meta.column_name || 'Value'} is too long`,
+          type: 'max'
+        }], { cause: err });
+      default:
+        return null;
+    }
+  }
+
+  if (err.name === 'PrismaClientValidationError') {
+    return new ValidationError('Invalid data', undefined, { cause: err });
+  }
+
+  if (err.name === 'PrismaClientInitializationError') {
+    return databaseUnavailable(err);
+  }
+
+  return null;
+};
+
+/**
+ * Translate any error into an HttpError
+ * HttpErrors are returned as they are. ORM, Joi and body parser errors get
+ * their matching status and code. Errors with a status or statusCode
+ * (http-errors, express) keep it. Anything else becomes a 500 whose
+ * message is not exposed.
+ * @param {Error} err
+ * @returns {HttpError}
+ */
+const translateError = (err) => {
+  if (err instanceof HttpError) {
+    return err;
+  }
+
+  if (!(err instanceof Error)) {
+    return new HttpError(500, String(err), { code: 'INTERNAL_SERVER_ERROR' });
+  }
+
+  const translated = translateSequelizeError(err) || translateMongooseError(err) || translatePrismaError(err);
+
+  if (translated) {
+    return translated;
+  }
+
+  // Joi errors thrown by schema.validateAsync() or Joi.assert()
+  if (err.isJoi && Array.isArray(err.details)) {
+    return new ValidationError('Validation error', err.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      type: detail.type
+    })), { cause: err });
+  }
+
+  // body-parser
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed JSON in request body', { code: 'INVALID_JSON', cause: err });
+  }
+
+  const status = err.statusCode || err.status;
+
+  if (Number.isInteger(status) && status >= 400 && status < 600) {
+    return new HttpError(status, err.message, {
+      expose: err.expose !== undefined ? err.expose : status < 500,
+      headers: err.headers,
+      cause: err
+    });
+  }
+
+  return new HttpError(500, err.message, { cause: err });
+};
+
+/**
+ * Wrap an async route handler or middleware so that rejected promises
+ * reach the error handler (Express 4 doesn't catch them)
+ * The wrapper keeps the handler's name for routes:list.
+ * @param {Function} fn - async (req, res, next) => {}
+ * @returns {Function}
+ */
+const asyncHandler = (fn) => {
+  const wrapped = function(req, res, next) {
+    return Promise.resolve(fn(req, res, next)).catch(next);
+  };
+
+  Object.defineProperty(wrapped, 'name', { value: fn.name || 'asyncHandler' });
+  return wrapped;
+};
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  translateError,
+  asyncHandler
+};
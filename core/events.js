@@ -0,0 +1,282 @@
+// core/events.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger').forModule('events');
+const { runWithContext, getPropagatedContext } = require('./context');
+
+/**
+ * Event Bus
+ * In-process domain events, so features can react to "user created" or
+ * "file uploaded" without editing the code that made it happen.
+ *
+ *   events.on('user.created', async ({ model }) => { ... });
+ *   events.on('user.created', sendWelcomeEmail, { queued: true });
+ *
+ *   await events.emit('upload.completed', { file, userId });
+ *
+ * Sync listeners are awaited by emit(), one at a time. Queued listeners
+ * run in the background after emit() returns, in the context (request id,
+ * user) of the code that emitted the event. A failing listener is logged
+ * and never fails the emitter or the other listeners.
+ *
+ * Names are dot separated and listeners can use "*" for one segment:
+ * 'user.*' or '*.created'. Every app has its own bus at app.events, also
+ * bound in the container as 'events'.
+ */
+
+/**
+ * Event name for a model lifecycle event, e.g. ('BlogPost', 'created') -> 'blogPost.created'
+ * @param {string} modelName
+ * @param {string} action - created, updated or deleted
+ * @returns {string}
+ */
+const modelEventName = (modelName, action) =>
+  `${modelName.charAt(0).toLowerCase()}${modelName.slice(1)}.${action}`;
+
+/**
+ * Whether an event name matches a listener pattern
+ * @param {string} pattern - e.g. 'user.*'
+ * @param {string} name - e.g. 'user.created'
+ * @returns {boolean}
+ */
+const matches = (pattern, name) => {
+  if (pattern === name || pattern === '*') {
+    return true;
+  }
+
+  const patternParts = pattern.split('.');
+  const nameParts = name.split('.');
+
+  return patternParts.length === nameParts.length &&
+    patternParts.every((part, index) => part === '*' || part === nameParts[index]);
+};
+
+class EventBus {
+  constructor() {
+    this.listeners = [];
+    this.pending = new Set();
+  }
+
+  /**
+   * Listen to an event
+   * @param {string} pattern - Event name, may contain '*' segments
+   * @param {Function} listener - (payload, eventName) => {}
+   * @param {Object} [options]
+   * @param {boolean} [options.queued=false] - Run in the background after emit() returns
+   * @param {boolean} [options.once=false] - Remove after the first call
+   * @param {string} [options.name] - Name used in logs (defaults to the function name)
+   * @returns {Function} Removes the listener
+   */
+  on(pattern, listener, { queued = false, once = false, name } = {}) {
+    if (typeof listener !== 'function') {
+      throw new TypeError(`Listener for "${pattern}" must be a function`);
+    }
+
+    const entry = { pattern, listener, queued, once, name: name || listener.name || 'anonymous' };
+    this.listeners.push(entry);
+
+    return () => this.remove(entry);
+  }
+
+  /**
+   * Listen to the next occurrence of an event only
+   * @param {string} pattern
+   * @param {Function} listener
+   * @param {Object} [options] - Same as on()
+   * @returns {Function} Removes the listener
+   */
+  once(pattern, listener, options = {}) {
+    return this.on(pattern, listener, { ...options, once: true });
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} pattern
+   * @param {Function} listener
+   * @returns {EventBus}
+   */
+  off(pattern, listener) {
+    this.listeners
+      .filter((entry) => entry.pattern === pattern && entry.listener === listener)
+      .forEach((entry) => this.remove(entry));
+    return this;
+  }
+
+  /**
+   * @param {Object} entry
+   * @private
+   */
+  remove(entry) {
+    const index = this.listeners.indexOf(entry);
+    if (index !== -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Listeners for an event name
+   * @param {string} name
+   * @returns {Object[]}
+   */
+  listenersFor(name) {
+    return this.listeners.filter((entry) => matches(entry.pattern, name));
+  }
+
+  /**
+   * Emit an event
+   * @param {string} name - e.g. 'user.created'
+   * @param {*} [payload]
+   * @returns {Promise<{ listeners: number, failed: number, queued: number }>}
+   *   Resolves once the sync listeners ran
+   */
+  async emit(name, payload) {
+    const entries = this.listenersFor(name);
+    const result = { listeners: entries.length, failed: 0, queued: 0 };
+
+    entries.filter((entry) => entry.once).forEach((entry) => this.remove(entry));
+
+    if (entries.length > 0) {
+      logger.debug(`Event: ${name} (${entries.length} listener(s))`);
+    }
+
+    for (const entry of entries) {
+      if (entry.queued) {
+        this.defer(name, payload, entry);
+        result.queued++;
+      } else if (!await this.call(name, payload, entry)) {
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a listener, logging its error instead of throwing
+   * @param {string} name
+   * @param {*} payload
+   * @param {Object} entry
+   * @returns {Promise<boolean>} false if the listener failed
+   * @private
+   */
+  async call(name, payload, entry) {
+    try {
+      await entry.listener(payload, name);
+      return true;
+    } catch (error) {
+      logger.error(`Listener "${entry.name}" failed for event ${name}: ${error.message}`, { stack: error.stack });
+      return false;
+    }
+  }
+
+  /**
+   * Run a queued listener once the emitter has moved on
+   * @param {string} name
+   * @param {*} payload
+   * @param {Object} entry
+   * @private
+   */
+  defer(name, payload, entry) {
+    const context = getPropagatedContext();
+
+    const task = new Promise((resolve) => setImmediate(resolve))
+      .then(() => runWithContext(context, () => this.call(name, payload, entry)))
+      .finally(() => this.pending.delete(task));
+
+    this.pending.add(task);
+  }
+
+  /**
+   * Wait for queued listeners that are still running (used by app.stop())
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+}
+
+/**
+ * Register a listener module with a bus
+ *
+ * A listener file exports a class or an object:
+ *
+ *   class SendWelcomeEmail {
+ *     static event = 'user.created';       // or an array of names
+ *     static queued = true;
+ *     static inject = ['emailService'];
+ *
+ *     constructor({ emailService }) { ... }
+ *     async handle(payload, eventName) { ... }
+ *   }
+ *
+ * Classes are built from the container for every event, so they get their
+ * dependencies like services and controllers do (see core/container.js).
+ * @param {EventBus} events
+ * @param {Function|Object} listener - Listener class or { event, queued, handle }
+ * @param {Object} options
+ * @param {Container} options.container
+ * @param {string} [options.source] - Where the listener came from (for errors)
+ * @returns {Function} Removes the listener
+ */
+const registerListener = (events, listener, { container, source = 'inline' }) => {
+  const isClass = typeof listener === 'function';
+  const name = listener.name || source;
+  const patterns = [].concat(listener.event || []);
+
+  if (patterns.length === 0) {
+    throw new Error(`Listener ${source} does not declare an event`);
+  }
+  if (typeof (isClass ? listener.prototype.handle : listener.handle) !== 'function') {
+    throw new Error(`Listener ${source} does not have a handle() method`);
+  }
+
+  const handle = isClass
+    ? (payload, eventName) => container.make(listener).handle(payload, eventName)
+    : (payload, eventName) => listener.handle(payload, eventName);
+
+  const removers = patterns.map((pattern) =>
+    events.on(pattern, handle, { queued: Boolean(listener.queued), name }));
+
+  return () => removers.forEach((remove) => remove());
+};
+
+/**
+ * Register every listener in a directory
+ * Files and folders starting with "_" or "." are ignored.
+ * @param {EventBus} events
+ * @param {string} listenersDir
+ * @param {Object} options
+ * @param {Container} options.container
+ * @returns {string[]} Loaded listener files, relative to the directory
+ */
+const loadListeners = (events, listenersDir, { container }) => {
+  if (!fs.existsSync(listenersDir)) {
+    return [];
+  }
+
+  const files = fs.readdirSync(listenersDir)
+    .filter((file) => file.endsWith('.js') && !file.startsWith('_') && !file.startsWith('.'))
+    .sort();
+
+  files.forEach((file) => {
+    registerListener(events, require(path.join(listenersDir, file)), {
+      container,
+      source: `listeners/${file}`
+    });
+  });
+
+  if (files.length > 0) {
+    logger.info(`Loaded ${files.length} event listener(s)`);
+  }
+
+  return files;
+};
+
+module.exports = {
+  EventBus,
+  modelEventName,
+  registerListener,
+  loadListeners
+};
@@ -0,0 +1,306 @@
+// core/health.js
+const fs = require('fs');
+const path = require('path');
+const Router = require('./router');
+const { checkDatabaseHealth } = require('./database');
+const logger = require('../utils/logger').forModule('health');
+
+/**
+ * Health Checks
+ * Aggregates the health of every subsystem behind two endpoints:
+ *
+ *   GET /health  liveness  - the process is up; runs only checks registered
+ *                            with { liveness: true }, so a database outage
+ *                            does not get the container restarted
+ *   GET /ready   readiness - runs every check (database, email, queue,
+ *                            upload storage and provider checks)
+ *
+ * Both respond 200 when healthy or degraded and 503 when a critical check
+ * fails. A check is a function that resolves (optionally with details),
+ * throws, or returns false / { status: 'unhealthy' } to fail.
+ *
+ * Usage (in a provider):
+ *   register({ health }) {
+ *     health.register('redis', async () => ({ latency: await ping() }), { critical: false });
+ *   }
+ */
+
+class HealthRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Default per-check timeout in ms
+   * @param {string[]} [options.disabled] - Check names to ignore
+   */
+  constructor({ timeout = 5000, disabled = [] } = {}) {
+    this.timeout = timeout;
+    this.disabled = disabled;
+    this.checks = new Map();
+  }
+
+  /**
+   * Register (or replace) a health check
+   * @param {string} name - Check name, used as the key in the report
+   * @param {Function} check - Sync or async check function
+   * @param {Object} [options]
+   * @param {boolean} [options.critical] - A failure makes the app unhealthy (503); default true
+   * @param {boolean} [options.liveness] - Also run for the liveness endpoint; default false
+   * @param {number} [options.timeout] - Overrides the default timeout
+   * @returns {HealthRegistry}
+   */
+  register(name, check, options = {}) {
+    if (typeof check !== 'function') {
+      throw new Error(`Health check "${name}" must be a function`);
+    }
+
+    if (this.disabled.includes(name)) {
+      logger.debug(`Health check disabled: ${name}`);
+      return this;
+    }
+
+    this.checks.set(name, {
+      check,
+      critical: options.critical !== false,
+      liveness: options.liveness === true,
+      timeout: options.timeout || this.timeout
+    });
+
+    return this;
+  }
+
+  /**
+   * Whether a check is registered
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.checks.has(name);
+  }
+
+  /**
+   * Names of all registered checks
+   * @returns {string[]}
+   */
+  names() {
+    return [...this.checks.keys()];
+  }
+
+  /**
+   * Run a single check with its timeout
+   * @param {Object} entry - Registered check
+   * @returns {Promise<Object>} Check result with status, critical and duration
+   */
+  async runCheck(entry) {
+    const start = Date.now();
+    let timer = null;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${entry.timeout}ms`)), entry.timeout);
+      });
+      const result = await Promise.race([Promise.resolve().then(() => entry.check()), timeout]);
+      const details = result && typeof result === 'object' ? result : {};
+      const healthy = result !== false && details.status !== 'unhealthy';
+
+      return {
+        ...details,
+        status: healthy ? 'healthy' : 'unhealthy',
+        critical: entry.critical,
+        duration: Date.now() - start
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        critical: entry.critical,
+        duration: Date.now() - start,
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run checks in parallel and aggregate the result
+   * @param {Object} [options]
+   * @param {boolean} [options.liveness] - Only run liveness checks
+   * @returns {Promise<Object>} { status, timestamp, duration, checks }
+   */
+  async run({ liveness = false } = {}) {
+    const start = Date.now();
+    const entries = [...this.checks].filter(([, entry]) => !liveness || entry.liveness);
+
+    const results = await Promise.all(
+      entries.map(async ([name, entry]) => [name, await this.runCheck(entry)])
+    );
+
+    const failed = results.filter(([, result]) => result.status === 'unhealthy');
+    let status = 'healthy';
+
+    if (failed.some(([, result]) => result.critical)) {
+      status = 'unhealthy';
+    } else if (failed.length > 0) {
+      status = 'degraded';
+    }
+
+    if (failed.length > 0) {
+      logger.warn(`Health checks failing: ${failed.map(([name, result]) => `${name} (${result.error || 'unhealthy'})`).join(', ')}`);
+    }
+
+    return {
+      status,
+      timestamp: new Date().toISOString(),
+      duration: Date.now() - start,
+      checks: Object.fromEntries(results)
+    };
+  }
+}
+
+/**
+ * Check the email transport (SMTP connections are verified)
+ * @returns {Promise<Object>}
+ */
+const checkEmail = async () => {
+  const EmailService = require('../services/EmailService');
+
+  await EmailService.initialize();
+
+  if (EmailService.provider === 'smtp') {
+    await EmailService.transporter.verify();
+  }
+
+  return { provider: EmailService.provider };
+};
+
+/**
+ * Check the Bull email queue and report its job counts
+ * @returns {Promise<Object>}
+ */
+const checkQueue = async () => {
+  const EmailQueue = require('../middlewares/email-queue');
+  const stats = await EmailQueue.getStats();
+
+  if (stats.error) {
+    throw new Error(stats.error);
+  }
+
+  return { waiting: stats.waiting, active: stats.active, failed: stats.failed, delayed: stats.delayed };
+};
+
+/**
+ * Check that upload storage is reachable (local directories writable,
+ * S3 bucket accessible, Cloudinary API responding)
+ * @returns {Promise<Object>}
+ */
+const checkUploadStorage = async () => {
+  const uploadConfig = require('../config/upload');
+
+  if (uploadConfig.provider === 'local') {
+    const dirs = [uploadConfig.local.uploadDir, uploadConfig.temp.dir]
+      .map(dir => path.resolve(process.cwd(), dir));
+
+    for (const dir of dirs) {
+      try {
+        await fs.promises.access(dir, fs.constants.W_OK);
+      } catch (error) {
+        throw new Error(`Directory not writable: ${path.relative(process.cwd(), dir)}`);
+      }
+    }
+
+    return { provider: 'local' };
+  }
+
+  const UploadService = require('../services/UploadService');
+  await UploadService.initialize();
+
+  if (uploadConfig.provider === 's3') {
+    await UploadService.s3Client.headBucket({ Bucket: uploadConfig.s3.bucket }).promise();
+  } else if (uploadConfig.provider === 'cloudinary') {
+    await UploadService.cloudinaryClient.api.ping();
+  }
+
+  return { provider: uploadConfig.provider };
+};
+
+/**
+ * Register the built-in subsystem checks
+ * Only the database check is critical; email, queue and upload failures
+ * report the app as degraded. Providers can replace any of them by
+ * registering a check with the same name.
+ * @param {HealthRegistry} health
+ * @param {Object} options
+ * @param {Function} [options.getDb] - Returns the current database instance; omit to skip the database check
+ * @returns {HealthRegistry}
+ */
+const registerDefaultChecks = (health, { getDb } = {}) => {
+  const emailConfig = require('../config/email');
+
+  if (getDb) {
+    health.register('database', () => checkDatabaseHealth(getDb()));
+  }
+
+  health.register('email', checkEmail, { critical: false });
+
+  if (emailConfig.queue.enabled) {
+    health.register('queue', checkQueue, { critical: false });
+  }
+
+  health.register('uploads', checkUploadStorage, { critical: false });
+
+  return health;
+};
+
+/**
+ * Maintenance state shown in health reports
+ * @param {MaintenanceMode} [maintenance]
+ * @returns {Promise<Object>} { down, since, message, retryAfter }
+ */
+const maintenanceStatus = async (maintenance) => {
+  if (!maintenance) {
+    return { down: false };
+  }
+
+  try {
+    const state = await maintenance.read();
+    return state
+      ? { down: true, since: state.since, message: state.message, retryAfter: state.retryAfter }
+      : { down: false };
+  } catch (error) {
+    return { down: false, error: error.message };
+  }
+};
+
+/**
+ * Build the router serving the liveness and readiness endpoints
+ * Both stay up in maintenance mode and report it, without changing their
+ * status: the instances are fine and should keep serving the 503 page.
+ * @param {HealthRegistry} health
+ * @param {Object} config - config/health.js
+ * @param {Object} [options]
+ * @param {MaintenanceMode} [options.maintenance] - app.maintenance (see core/maintenance.js)
+ * @returns {Router}
+ */
+const createHealthRouter = (health, config, { maintenance } = {}) => {
+  const router = new Router();
+
+  const respond = (liveness) => async (req, res) => {
+    const [report, maintenanceState] = await Promise.all([health.run({ liveness }), maintenanceStatus(maintenance)]);
+
+    res.set('Cache-Control', 'no-store');
+    res.status(report.status === 'unhealthy' ? 503 : 200).json({
+      ...report,
+      maintenance: maintenanceState,
+      uptime: Math.round(process.uptime())
+    });
+  };
+
+  router.get(config.livenessPath, respond(true)).name('health');
+  router.get(config.readinessPath, respond(false)).name('ready');
+
+  return router;
+};
+
+module.exports = {
+  HealthRegistry,
+  registerDefaultChecks,
+  createHealthRouter
+};
@@ -0,0 +1,240 @@
+// core/idempotency/drivers/database.js
+
+/**
+ * Database Driver
+ * Stores keys in the database of the active ORM so every process sharing
+ * the database sees them.
+ *
+ * Keys are rows of an idempotency_keys table. Sequelize creates the table
+ * and Mongoose the collection on first use; Prisma needs the
+ * IdempotencyKey model from docs/IDEMPOTENCY_GUIDE.md in schema.prisma.
+ *
+ * A key is claimed by inserting its row, so the primary key decides
+ * between two processes claiming it at once. An expired row is taken over
+ * with an update guarded by the expiry that was read. Expired rows are
+ * deleted by the idempotency:prune scheduled task.
+ */
+
+/**
+ * Table adapters
+ * Each one reads and writes rows shaped
+ *   { id, fingerprint, state, response, expiresAt }
+ * where response is the JSON encoded response and expiresAt is epoch ms.
+ * insert() resolves false when the id is taken.
+ */
+const adapters = {
+  sequelize(sequelize, { table }) {
+    const { DataTypes, Op } = require('sequelize');
+
+    const IdempotencyKey = sequelize.define('IdempotencyKey', {
+      id: { type: DataTypes.STRING(64), primaryKey: true },
+      fingerprint: { type: DataTypes.STRING(64), allowNull: false },
+      state: { type: DataTypes.STRING(16), allowNull: false },
+      response: { type: DataTypes.TEXT, allowNull: true },
+      expiresAt: { type: DataTypes.BIGINT, allowNull: false }
+    }, { tableName: table, timestamps: false, underscored: true, indexes: [{ fields: ['expires_at'] }] });
+
+    // BIGINT columns come back as strings on some dialects
+    const toRow = (instance) => {
+      if (!instance) {
+        return null;
+      }
+
+      const row = instance.get({ plain: true });
+      row.expiresAt = Number(row.expiresAt);
+      return row;
+    };
+
+    return {
+      init: () => IdempotencyKey.sync(),
+      insert: async (row) => {
+        try {
+          await IdempotencyKey.create(row);
+          return true;
+        } catch (error) {
+          if (error.name === 'SequelizeUniqueConstraintError') {
+            return false;
+          }
+          throw error;
+        }
+      },
+      find: async (id) => toRow(await IdempotencyKey.findByPk(id)),
+      takeOver: async (existing, row) => {
+        const [count] = await IdempotencyKey.update(row, { where: { id: existing.id, expiresAt: existing.expiresAt } });
+        return count === 1;
+      },
+      update: (id, fields) => IdempotencyKey.update(fields, { where: { id } }),
+      remove: (id) => IdempotencyKey.destroy({ where: { id } }),
+      prune: (now) => IdempotencyKey.destroy({ where: { expiresAt: { [Op.lte]: now } } })
+    };
+  },
+
+  mongoose(mongoose, { table }) {
+    const { Schema } = mongoose;
+
+    // modelEvents: false keeps the store's own writes off the event bus
+    const IdempotencyKey = mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', new Schema({
+      _id: String,
+      fingerprint: String,
+      state: String,
+      response: { type: String, default: null },
+      expiresAt: { type: Number, index: true }
+    }, { versionKey: false, modelEvents: false, collection: table }));
+
+    const toRow = (doc) => {
+      if (!doc) {
+        return null;
+      }
+
+      const { _id, ...row } = doc;
+      return { id: _id, ...row };
+    };
+
+    return {
+      init: async () => {},
+      insert: async ({ id, ...row }) => {
+        try {
+          await IdempotencyKey.create({ _id: id, ...row });
+          return true;
+        } catch (error) {
+          if (error.code === 11000) {
+            return false;
+          }
+          throw error;
+        }
+      },
+      find: async (id) => toRow(await IdempotencyKey.findById(id).lean()),
+      takeOver: async (existing, { id, ...row }) => {
+        const result = await IdempotencyKey.updateOne({ _id: existing.id, expiresAt: existing.expiresAt }, { $set: row });
+        return result.modifiedCount === 1;
+      },
+      update: (id, fields) => IdempotencyKey.updateOne({ _id: id }, { $set: fields }),
+      remove: (id) => IdempotencyKey.deleteOne({ _id: id }),
+      prune: async (now) => (await IdempotencyKey.deleteMany({ expiresAt: { $lte: now } })).deletedCount
+    };
+  },
+
+  prisma(prisma) {
+    if (!prisma.idempotencyKey) {
+      throw new Error('The database idempotency driver needs the IdempotencyKey model in schema.prisma (see docs/IDEMPOTENCY_GUIDE.md)');
+    }
+
+    // BigInt columns come back as BigInt
+    const toRow = (record) => (record ? { ...record, expiresAt: Number(record.expiresAt) } : null);
+
+    return {
+      init: async () => {},
+      insert: async (row) => {
+        try {
+          await prisma.idempotencyKey.create({ data: row });
+          return true;
+        } catch (error) {
+          if (error.code === 'P2002') {
+            return false;
+          }
+          throw error;
+        }
+      },
+      find: async (id) => toRow(await prisma.idempotencyKey.findUnique({ where: { id } })),
+      takeOver: async (existing, { id, ...row }) => {
+        const { count } = await prisma.idempotencyKey.updateMany({ where: { id: existing.id, expiresAt: existing.expiresAt }, data: row });
+        return count === 1;
+      },
+      update: (id, fields) => prisma.idempotencyKey.updateMany({ where: { id }, data: fields }),
+      remove: (id) => prisma.idempotencyKey.deleteMany({ where: { id } }),
+      prune: async (now) => (await prisma.idempotencyKey.deleteMany({ where: { expiresAt: { lte: now } } })).count
+    };
+  }
+};
+
+class DatabaseDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.orm - sequelize, mongoose or prisma
+   * @param {Function} options.getDb - Returns the connected database instance
+   * @param {string} [options.table='idempotency_keys']
+   */
+  constructor({ orm, getDb, table = 'idempotency_keys' }) {
+    if (!adapters[orm]) {
+      throw new Error(`The database idempotency driver does not support the "${orm}" ORM`);
+    }
+
+    this.orm = orm;
+    this.getDb = getDb;
+    this.tables = { table };
+    this.adapter = null;
+  }
+
+  /**
+   * Build the adapter on first use, once the database is connected
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async table() {
+    if (!this.adapter) {
+      const db = this.getDb();
+
+      if (!db) {
+        throw new Error('The database idempotency driver needs a database connection');
+      }
+
+      this.adapter = (async () => {
+        const adapter = adapters[this.orm](db, this.tables);
+        await adapter.init();
+        return adapter;
+      })();
+
+      // Let a failed setup (e.g. missing Prisma model) be retried
+      this.adapter.catch(() => {
+        this.adapter = null;
+      });
+    }
+
+    return this.adapter;
+  }
+
+  async begin(key, fingerprint, lockTimeout) {
+    const table = await this.table();
+
+    // Another process may insert, expire or take over the row in between, then look again
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const now = Date.now();
+      const row = { id: key, fingerprint, state: 'processing', response: null, expiresAt: now + lockTimeout };
+
+      if (await table.insert(row)) {
+        return null;
+      }
+
+      const existing = await table.find(key);
+
+      if (existing && existing.expiresAt > now) {
+        return existing;
+      }
+      if (existing && await table.takeOver(existing, row)) {
+        return null;
+      }
+    }
+
+    throw new Error(`Could not claim idempotency key ${key}`);
+  }
+
+  async complete(key, response, ttl) {
+    const table = await this.table();
+    await table.update(key, { state: 'completed', response, expiresAt: Date.now() + ttl });
+  }
+
+  async release(key) {
+    const table = await this.table();
+    await table.remove(key);
+  }
+
+  async prune() {
+    const table = await this.table();
+    return table.prune(Date.now());
+  }
+
+  // The connection belongs to the app
+  async close() {}
+}
+
+module.exports = DatabaseDriver;
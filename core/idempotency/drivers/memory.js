@@ -0,0 +1,65 @@
+// core/idempotency/drivers/memory.js
+
+/**
+ * Memory Driver
+ * Keeps keys in the app process. Other processes (cluster workers, other
+ * servers) have their own, so a retry reaching another process runs again.
+ */
+class MemoryDriver {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Claim a key, or return the record already holding it
+   * @param {string} key
+   * @param {string} fingerprint - Hash of the request payload
+   * @param {number} lockTimeout - ms before an unfinished claim is abandoned
+   * @returns {Promise<Object|null>} null when claimed, else { fingerprint, state, response, expiresAt }
+   */
+  async begin(key, fingerprint, lockTimeout) {
+    const now = Date.now();
+    const record = this.records.get(key);
+
+    if (record && record.expiresAt > now) {
+      return record;
+    }
+
+    this.records.set(key, { fingerprint, state: 'processing', response: null, expiresAt: now + lockTimeout });
+    return null;
+  }
+
+  async complete(key, response, ttl) {
+    const record = this.records.get(key);
+
+    if (record) {
+      this.records.set(key, { ...record, state: 'completed', response, expiresAt: Date.now() + ttl });
+    }
+  }
+
+  async release(key) {
+    this.records.delete(key);
+  }
+
+  /**
+   * Drop expired keys
+   * @returns {Promise<number>} Keys dropped
+   */
+  async prune() {
+    const now = Date.now();
+    let pruned = 0;
+
+    this.records.forEach((record, key) => {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+        pruned++;
+      }
+    });
+
+    return pruned;
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryDriver;
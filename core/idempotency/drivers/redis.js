@@ -0,0 +1,81 @@
+// core/idempotency/drivers/redis.js
+const logger = require('../../../utils/logger').forModule('idempotency');
+
+/**
+ * Redis Driver
+ * Stores keys under <prefix>:idempotency:<key> with Redis expiry, shared by
+ * every process and server using the same Redis. A key is claimed with
+ * SET NX, so two processes never both run the same request.
+ */
+class RedisDriver {
+  /**
+   * @param {Object} options
+   * @param {Object} options.redis - { host, port, password }
+   * @param {string} [options.prefix='greycode']
+   */
+  constructor({ redis, prefix = 'greycode' }) {
+    this.options = { host: redis.host, port: redis.port, password: redis.password, maxRetriesPerRequest: 1 };
+    this.prefix = `${prefix}:idempotency:`;
+    this.client = null;
+  }
+
+  /**
+   * Connect on first use
+   * @returns {Redis}
+   * @private
+   */
+  connection() {
+    if (!this.client) {
+      const Redis = require('ioredis');
+
+      this.client = new Redis(this.options);
+      this.client.on('error', (error) => logger.error(`Redis idempotency connection error: ${error.message}`));
+    }
+    return this.client;
+  }
+
+  async begin(key, fingerprint, lockTimeout) {
+    const record = JSON.stringify({ fingerprint, state: 'processing', response: null, expiresAt: Date.now() + lockTimeout });
+
+    // The holder may expire between SET and GET, then try again
+    for (let attempt = 0; attempt < 3; attempt++) {
+      if ((await this.connection().set(this.prefix + key, record, 'PX', lockTimeout, 'NX')) === 'OK') {
+        return null;
+      }
+
+      const existing = await this.connection().get(this.prefix + key);
+      if (existing) {
+        return JSON.parse(existing);
+      }
+    }
+
+    throw new Error(`Could not claim idempotency key ${key}`);
+  }
+
+  async complete(key, response, ttl) {
+    const existing = await this.connection().get(this.prefix + key);
+
+    if (existing) {
+      const record = { ...JSON.parse(existing), state: 'completed', response, expiresAt: Date.now() + ttl };
+      await this.connection().set(this.prefix + key, JSON.stringify(record), 'PX', ttl);
+    }
+  }
+
+  async release(key) {
+    await this.connection().del(this.prefix + key);
+  }
+
+  // Redis expires keys itself
+  async prune() {
+    return 0;
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = RedisDriver;
@@ -0,0 +1,130 @@
+// core/idempotency/index.js
+
+/**
+ * Idempotency Store
+ * Remembers the first response to each idempotency key, so a client
+ * retrying an unsafe request gets that response again instead of a second
+ * record (see middlewares/idempotency.js):
+ *
+ *   const existing = await store.begin(key, fingerprint);
+ *   if (!existing) {
+ *     // claimed: handle the request, then
+ *     await store.complete(key, { status, headers, body });   // or store.release(key)
+ *   }
+ *
+ * A claimed key is 'processing' until completed. A claim that is neither
+ * completed nor released (the process died) is abandoned after
+ * config.lockTimeout ms and the key can be claimed again. Completed keys
+ * are kept for config.ttl ms.
+ *
+ * Where keys are stored depends on config.idempotency.driver, see
+ * drivers/. Every app has its own store at app.idempotency, also bound in
+ * the container as 'idempotency'.
+ */
+
+class IdempotencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdempotencyError';
+  }
+}
+
+/**
+ * Create the storage driver of an idempotency configuration
+ * @param {Object} config - config.idempotency
+ * @param {Object} options
+ * @param {string} options.orm - Active ORM (database driver)
+ * @param {Function} options.getDb - Returns the database instance (database driver)
+ * @returns {Object} Driver
+ */
+const createDriver = (config, { orm, getDb }) => {
+  switch (config.driver) {
+    case 'memory': {
+      const MemoryDriver = require('./drivers/memory');
+      return new MemoryDriver();
+    }
+    case 'database': {
+      const DatabaseDriver = require('./drivers/database');
+      return new DatabaseDriver({ orm, getDb, ...config.database });
+    }
+    case 'redis': {
+      const RedisDriver = require('./drivers/redis');
+      return new RedisDriver({ redis: config.redis, prefix: config.redis.prefix });
+    }
+    default:
+      throw new IdempotencyError(`Unknown idempotency driver "${config.driver}". Use memory, database or redis`);
+  }
+};
+
+class IdempotencyStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - config.idempotency
+   * @param {Object} [options.driver] - Storage driver (defaults to config.driver)
+   * @param {string} [options.orm] - Active ORM, for the database driver
+   * @param {Function} [options.getDb] - Returns the database instance, for the database driver
+   */
+  constructor({ config, driver = null, orm = null, getDb = () => null }) {
+    this.config = config;
+    this.driver = driver || createDriver(config, { orm, getDb });
+  }
+
+  /**
+   * Claim a key, or get the record already holding it
+   * @param {string} key
+   * @param {string} fingerprint - Hash of the request payload
+   * @returns {Promise<Object|null>} null when claimed, else { fingerprint, state, response }
+   *   where state is 'processing' or 'completed' and response is what complete() stored
+   */
+  async begin(key, fingerprint) {
+    const record = await this.driver.begin(key, fingerprint, this.config.lockTimeout);
+
+    if (!record) {
+      return null;
+    }
+
+    return {
+      fingerprint: record.fingerprint,
+      state: record.state,
+      response: record.response ? JSON.parse(record.response) : null
+    };
+  }
+
+  /**
+   * Store the response of a claimed key
+   * @param {string} key
+   * @param {Object} response - { status, headers, body }
+   * @param {number} [ttl=config.ttl] - ms
+   * @returns {Promise<void>}
+   */
+  async complete(key, response, ttl = this.config.ttl) {
+    await this.driver.complete(key, JSON.stringify(response), ttl);
+  }
+
+  /**
+   * Give up a claimed key, so the next request with it runs again
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async release(key) {
+    await this.driver.release(key);
+  }
+
+  /**
+   * Delete expired keys (memory and database drivers)
+   * @returns {Promise<number>} Keys deleted
+   */
+  async prune() {
+    return this.driver.prune();
+  }
+
+  async close() {
+    await this.driver.close();
+  }
+}
+
+module.exports = {
+  IdempotencyStore,
+  IdempotencyError,
+  createDriver
+};
@@ -0,0 +1,225 @@
+// core/locks.js
+const cluster = require('cluster');
+const crypto = require('crypto');
+const logger = require('../utils/logger').forModule('locks');
+
+/**
+ * Locks
+ * Short-lived named locks with an expiry, used by the scheduler so a task
+ * doesn't overlap itself and runs on one process only:
+ *
+ *   if (await lock.acquire('reports:nightly', 60000)) {
+ *     try { ... } finally { await lock.release('reports:nightly'); }
+ *   }
+ *
+ * Stores:
+ *   MemoryLock   one process
+ *   ClusterLock  every worker of `run --cluster`, held by the primary
+ *   RedisLock    every process on every server sharing the Redis
+ *
+ * A lock that is never released expires after its ttl, so a crashed
+ * process can't hold it forever.
+ */
+
+const MESSAGE_TYPE = 'greycode:lock';
+
+// Set by ClusterManager on the workers it forks, see serveClusterLocks()
+const CLUSTER_ENV = 'GREYCODE_CLUSTER';
+
+class MemoryLock {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} ttl - ms
+   * @param {string} [owner] - Only the owner can release the lock
+   * @returns {Promise<boolean>} Whether the lock was free and is now held
+   */
+  async acquire(key, ttl, owner = null) {
+    const now = Date.now();
+
+    // Drop expired locks while we are here
+    this.locks.forEach((lock, name) => lock.expiresAt <= now && this.locks.delete(name));
+
+    if (this.locks.has(key)) {
+      return false;
+    }
+
+    this.locks.set(key, { expiresAt: now + ttl, owner });
+    return true;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} [owner]
+   * @returns {Promise<boolean>} Whether a lock was released
+   */
+  async release(key, owner = null) {
+    const lock = this.locks.get(key);
+
+    if (!lock || lock.owner !== owner) {
+      return false;
+    }
+
+    return this.locks.delete(key);
+  }
+
+  /**
+   * Release every lock of an owner
+   * @param {string} owner
+   */
+  releaseOwner(owner) {
+    this.locks.forEach((lock, name) => lock.owner === owner && this.locks.delete(name));
+  }
+
+  async close() {}
+}
+
+/**
+ * Worker side of the cluster lock: asks the primary over IPC
+ */
+class ClusterLock {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout=5000] - Time the primary has to answer, in ms
+   */
+  constructor({ timeout = 5000 } = {}) {
+    this.timeout = timeout;
+    this.pending = new Map();
+    this.onMessage = (message) => {
+      if (message && message.type === `${MESSAGE_TYPE}:result` && this.pending.has(message.id)) {
+        this.pending.get(message.id)(message.result);
+      }
+    };
+    process.on('message', this.onMessage);
+  }
+
+  /**
+   * @private
+   */
+  request(action, key, ttl) {
+    return new Promise((resolve, reject) => {
+      const id = crypto.randomUUID();
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`The cluster primary did not answer the lock request for "${key}" within ${this.timeout}ms`));
+      }, this.timeout);
+
+      this.pending.set(id, (result) => {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        resolve(result);
+      });
+
+      process.send({ type: MESSAGE_TYPE, action, key, ttl, id });
+    });
+  }
+
+  acquire(key, ttl) {
+    return this.request('acquire', key, ttl);
+  }
+
+  release(key) {
+    return this.request('release', key);
+  }
+
+  async close() {
+    process.removeListener('message', this.onMessage);
+  }
+}
+
+class RedisLock {
+  /**
+   * @param {Object} options
+   * @param {Object} options.redis - { host, port, password }
+   * @param {string} [options.prefix='greycode'] - Key prefix
+   */
+  constructor({ redis, prefix = 'greycode' }) {
+    this.options = { ...redis, keyPrefix: `${prefix}:lock:`, maxRetriesPerRequest: 1 };
+    this.client = null;
+
+    // Identifies this process, so it only releases its own locks
+    this.owner = crypto.randomUUID();
+  }
+
+  /**
+   * Connect on first use
+   * @returns {Redis}
+   * @private
+   */
+  connection() {
+    if (!this.client) {
+      const Redis = require('ioredis');
+
+      this.client = new Redis(this.options);
+      this.client.on('error', (error) => logger.error(`Redis lock connection error: ${error.message}`));
+    }
+    return this.client;
+  }
+
+  async acquire(key, ttl) {
+    return (await this.connection().set(key, this.owner, 'PX', ttl, 'NX')) === 'OK';
+  }
+
+  async release(key) {
+    const script = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+    return (await this.connection().eval(script, 1, key, this.owner)) === 1;
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Answer the lock requests of cluster workers (primary side)
+ * Locks of a worker that exits are released.
+ * @param {Cluster} clusterModule - Node's cluster module
+ * @returns {MemoryLock} The store holding the workers' locks
+ */
+const serveClusterLocks = (clusterModule = cluster) => {
+  const store = new MemoryLock();
+
+  clusterModule.on('message', async (worker, message) => {
+    if (!message || message.type !== MESSAGE_TYPE) {
+      return;
+    }
+
+    const owner = String(worker.id);
+    const result = message.action === 'acquire'
+      ? await store.acquire(message.key, message.ttl, owner)
+      : await store.release(message.key, owner);
+
+    if (worker.isConnected()) {
+      worker.send({ type: `${MESSAGE_TYPE}:result`, id: message.id, result });
+    }
+  });
+
+  clusterModule.on('exit', (worker) => store.releaseOwner(String(worker.id)));
+
+  return store;
+};
+
+/**
+ * Lock store of this process: the cluster primary's when it runs as a
+ * worker of `run --cluster`, its own otherwise
+ * @returns {MemoryLock|ClusterLock}
+ */
+const createLocalLock = () =>
+  cluster.isWorker && process.env[CLUSTER_ENV] === 'true' && typeof process.send === 'function'
+    ? new ClusterLock()
+    : new MemoryLock();
+
+module.exports = {
+  MemoryLock,
+  ClusterLock,
+  RedisLock,
+  CLUSTER_ENV,
+  serveClusterLocks,
+  createLocalLock
+};
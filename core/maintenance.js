@@ -0,0 +1,265 @@
+// core/maintenance.js
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+/**
+ * Maintenance Mode
+ * `npm run cli -- down` writes a flag file and `up` deletes it. While the
+ * file exists, the maintenance middleware (middlewares/maintenance.js)
+ * answers requests with a 503 and Retry-After, except:
+ *
+ *   - health, metrics and static files, which are served before it
+ *   - clients whose IP is allowed (MAINTENANCE_ALLOWED_IPS, down --allow)
+ *   - browsers that visited /<secret> (down --secret) and got the bypass cookie
+ *
+ * The file is read at most once per checkInterval, so every process on
+ * the server (cluster workers included) follows it within a second. Other
+ * servers need their own `down`, or a MAINTENANCE_FILE on shared storage.
+ *
+ * The secret is stored as a hash. Bypass cookies are signed with it and
+ * the time `down` ran, so running `down` again invalidates them.
+ */
+
+// Cookie set by visiting /<secret>
+const BYPASS_COOKIE = 'greycode_maintenance';
+
+/**
+ * @param {string} value
+ * @returns {string} sha256 hex
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Whether a string is an IP address or a CIDR range (10.0.0.0/8)
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isIpOrRange = (value) => {
+  const [address, prefix, ...rest] = value.split('/');
+  const version = net.isIP(address);
+
+  if (!version || rest.length > 0) {
+    return false;
+  }
+  if (prefix === undefined) {
+    return true;
+  }
+
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (version === 4 ? 32 : 128);
+};
+
+/**
+ * Build a block list matching addresses and CIDR ranges
+ * @param {string[]} entries
+ * @returns {net.BlockList}
+ */
+const createAllowList = (entries) => {
+  const list = new net.BlockList();
+
+  entries.filter(isIpOrRange).forEach((entry) => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, Number(prefix), type);
+    }
+  });
+
+  return list;
+};
+
+class MaintenanceMode {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Flag file, relative to the working directory
+   * @param {string[]} [options.allowedIps] - Always allowed, in addition to those of `down --allow`
+   * @param {number} [options.retryAfter=60] - Default Retry-After, in seconds
+   * @param {string} [options.message] - Default message
+   * @param {number} [options.bypassTtl] - Lifetime of the bypass cookie, in ms
+   * @param {number} [options.checkInterval=1000] - Time the flag file is cached, in ms
+   */
+  constructor({ file, allowedIps = [], retryAfter = 60, message, bypassTtl = 12 * 60 * 60 * 1000, checkInterval = 1000 }) {
+    this.file = path.resolve(process.cwd(), file);
+    this.allowedIps = allowedIps;
+    this.defaults = { retryAfter, message };
+    this.bypassTtl = bypassTtl;
+    this.checkInterval = checkInterval;
+    this.cached = null;
+  }
+
+  /**
+   * Current state, or null when the app is up
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh] - Read the file even if the cached state is recent
+   * @returns {Promise<Object|null>} { since, message, retryAfter, allowed, secretHash }
+   */
+  async read({ fresh = false } = {}) {
+    const now = Date.now();
+
+    if (!fresh && this.cached && now - this.cached.readAt < this.checkInterval) {
+      return this.cached.state;
+    }
+
+    let state = null;
+
+    try {
+      state = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // Rebuild the allow-list only when the file changed
+    const previous = this.cached;
+    const changed = !previous || JSON.stringify(previous.state) !== JSON.stringify(state);
+
+    this.cached = {
+      state,
+      readAt: now,
+      allowList: changed ? createAllowList([...this.allowedIps, ...(state ? state.allowed : [])]) : previous.allowList
+    };
+
+    return state;
+  }
+
+  /**
+   * Put the app in maintenance mode
+   * @param {Object} [options]
+   * @param {string} [options.message]
+   * @param {number} [options.retryAfter] - Seconds
+   * @param {string[]} [options.allowed] - IPs or CIDR ranges allowed through
+   * @param {string} [options.secret] - Visiting /<secret> sets the bypass cookie
+   * @returns {Promise<Object>} The state written
+   */
+  async down({ message = this.defaults.message, retryAfter = this.defaults.retryAfter, allowed = [], secret = null } = {}) {
+    const invalid = allowed.filter((entry) => !isIpOrRange(entry));
+
+    if (invalid.length > 0) {
+      throw new Error(`Not an IP address or CIDR range: ${invalid.join(', ')}`);
+    }
+
+    const state = {
+      since: new Date().toISOString(),
+      message,
+      retryAfter,
+      allowed,
+      secretHash: secret ? sha256(secret) : null
+    };
+
+    // Write then rename, so a request never reads half a file
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(state, null, 2));
+    await fs.promises.rename(temp, this.file);
+
+    this.cached = null;
+    return state;
+  }
+
+  /**
+   * Bring the app back up
+   * @returns {Promise<boolean>} Whether it was down
+   */
+  async up() {
+    this.cached = null;
+
+    try {
+      await fs.promises.unlink(this.file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether an IP is allowed through (call after read())
+   * @param {string} ip - req.ip
+   * @returns {boolean}
+   */
+  allows(ip) {
+    if (!ip || !this.cached) {
+      return false;
+    }
+
+    // IPv4 clients of a dual-stack server show up as ::ffff:1.2.3.4
+    const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+    const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+
+    return net.isIP(address) !== 0 && this.cached.allowList.check(address, type);
+  }
+
+  /**
+   * Whether a value is the bypass secret of a state
+   * @param {Object} state
+   * @param {string} value
+   * @returns {boolean}
+   */
+  matchesSecret(state, value) {
+    return Boolean(state.secretHash && value) && safeEqual(sha256(value), state.secretHash);
+  }
+
+  /**
+   * Signature of a bypass cookie expiring at a time
+   * @param {Object} state
+   * @param {number} expiresAt - Epoch ms
+   * @returns {string}
+   * @private
+   */
+  sign(state, expiresAt) {
+    return crypto.createHmac('sha256', state.secretHash).update(`${state.since}|${expiresAt}`).digest('base64url');
+  }
+
+  /**
+   * Create a bypass cookie value
+   * @param {Object} state
+   * @returns {{ value: string, maxAge: number }}
+   */
+  createBypassToken(state) {
+    const expiresAt = Date.now() + this.bypassTtl;
+    return { value: `${expiresAt}.${this.sign(state, expiresAt)}`, maxAge: this.bypassTtl };
+  }
+
+  /**
+   * Whether a bypass cookie value is valid for a state
+   * @param {Object} state
+   * @param {string} [token]
+   * @returns {boolean}
+   */
+  verifyBypassToken(state, token) {
+    if (!state.secretHash || !token) {
+      return false;
+    }
+
+    const [expiresAt, signature = ''] = token.split('.');
+
+    return Number(expiresAt) > Date.now() && safeEqual(signature, this.sign(state, Number(expiresAt)));
+  }
+}
+
+module.exports = {
+  MaintenanceMode,
+  BYPASS_COOKIE,
+  isIpOrRange
+};
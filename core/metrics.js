@@ -0,0 +1,206 @@
+// core/metrics.js
+const client = require('prom-client');
+const Router = require('./router');
+
+/**
+ * Metrics
+ * Prometheus instrumentation for the framework. The metrics live in one
+ * registry shared by the whole process, so services can record values
+ * without access to the app:
+ *
+ *   http_request_duration_seconds{method, route, status}  histogram
+ *   email_jobs_total{type, status}                        counter
+ *   uploads_total{provider, status}                       counter
+ *   upload_bytes_total{provider}                          counter
+ *   db_query_duration_seconds{orm, operation}             histogram
+ *
+ * Custom metrics:
+ *   const { client, registry } = require('./core/metrics');
+ *
+ *   const signups = new client.Counter({
+ *     name: 'signups_total',
+ *     help: 'Completed signups',
+ *     registers: [registry]
+ *   });
+ */
+
+const registry = new client.Registry();
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds',
+  labelNames: ['method', 'route', 'status'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+});
+
+const emailJobs = new client.Counter({
+  name: 'email_jobs_total',
+  help: 'Email queue jobs processed',
+  labelNames: ['type', 'status'],
+  registers: [registry]
+});
+
+const jobs = new client.Counter({
+  name: 'jobs_total',
+  help: 'Background job attempts by outcome',
+  labelNames: ['queue', 'job', 'status'],
+  registers: [registry]
+});
+
+const jobDuration = new client.Histogram({
+  name: 'job_duration_seconds',
+  help: 'Background job attempt duration in seconds',
+  labelNames: ['queue', 'job'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+});
+
+const scheduledTasks = new client.Counter({
+  name: 'scheduled_tasks_total',
+  help: 'Scheduled task runs by outcome',
+  labelNames: ['task', 'status'],
+  registers: [registry]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'cache_lookups_total',
+  help: 'Cache reads by result',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const uploads = new client.Counter({
+  name: 'uploads_total',
+  help: 'File uploads handled by the upload service',
+  labelNames: ['provider', 'status'],
+  registers: [registry]
+});
+
+const uploadBytes = new client.Counter({
+  name: 'upload_bytes_total',
+  help: 'Bytes stored by successful uploads',
+  labelNames: ['provider'],
+  registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Database query duration in seconds',
+  labelNames: ['orm', 'operation'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+});
+
+let defaultMetricsCollected = false;
+
+/**
+ * Route pattern used as the `route` label, e.g. /users/:id
+ * Unmatched requests share one label so 404 scans cannot create
+ * unbounded label values.
+ * @param {Request} req
+ * @returns {string}
+ */
+const getRouteLabel = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  // Set by the route loader, so param mounts report /users/:userId/posts
+  // rather than the matched /users/42/posts
+  const base = req.routeMountPath !== undefined ? req.routeMountPath : req.baseUrl;
+  const joined = `${base || ''}/${String(req.route.path)}`.replace(/\/+/g, '/');
+
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+};
+
+/**
+ * Record the duration of a finished request
+ * @param {Request} req
+ * @param {Response} res
+ * @param {number} seconds
+ */
+const observeRequest = (req, res, seconds) => {
+  httpRequestDuration.observe({
+    method: req.method,
+    route: getRouteLabel(req),
+    status: res.statusCode
+  }, seconds);
+};
+
+/**
+ * Record a database query duration
+ * @param {string} orm - sequelize, mongoose or prisma
+ * @param {string} operation - select, insert, update, delete, find...
+ * @param {number} ms - Duration in milliseconds
+ */
+const observeQuery = (orm, operation, ms) => {
+  dbQueryDuration.observe({ orm, operation: operation.toLowerCase() }, ms / 1000);
+};
+
+/**
+ * Statement type of a SQL query, e.g. "SELECT * FROM ..." -> select
+ * @param {string} sql
+ * @returns {string}
+ */
+const getSqlOperation = (sql) => {
+  const match = /^\s*(?:Execut(?:ed|ing) \([^)]*\):\s*)?(\w+)/i.exec(sql || '');
+  const operation = match ? match[1].toLowerCase() : 'other';
+
+  return ['select', 'insert', 'update', 'delete'].includes(operation) ? operation : 'other';
+};
+
+/**
+ * Start collecting Node.js process metrics (once per process)
+ */
+const collectDefaultMetrics = () => {
+  if (!defaultMetricsCollected) {
+    client.collectDefaultMetrics({ register: registry });
+    defaultMetricsCollected = true;
+  }
+};
+
+/**
+ * Build the router serving the metrics endpoint
+ * @param {Object} config - config/metrics.js
+ * @returns {Router}
+ */
+const createMetricsRouter = (config) => {
+  const router = new Router();
+
+  router.get(config.path, async (req, res) => {
+    if (config.token && req.get('Authorization') !== `Bearer ${config.token}`) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized'
+      });
+    }
+
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  }).name('metrics');
+
+  return router;
+};
+
+module.exports = {
+  client,
+  registry,
+  httpRequestDuration,
+  emailJobs,
+  jobs,
+  jobDuration,
+  scheduledTasks,
+  cacheLookups,
+  uploads,
+  uploadBytes,
+  dbQueryDuration,
+  getRouteLabel,
+  observeRequest,
+  observeQuery,
+  getSqlOperation,
+  collectDefaultMetrics,
+  createMetricsRouter
+};
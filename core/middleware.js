@@ -1,20 +1,47 @@
 // core/middleware.js
 const express = require('express');
 const { applySecurityMiddleware } = require('../middlewares/security');
+const requestLogger = require('../middlewares/requestLogger');
 const logger = require('../utils/logger');
+const { getConfig } = require('./config');
+const { observeRequest } = require('./metrics');
+const { maintenanceMode } = require('../middlewares/maintenance');
 
 /**
  * Apply all application middleware
  * @param {Express} app - Express application instance
+ * @param {Object} [config] - Resolved configuration (defaults to app.locals.config)
  */
-const applyMiddleware = (app) => {
+const applyMiddleware = (app, config = app.locals.config || getConfig()) => {
   try {
     logger.info('Initializing middleware stack...');
 
-    // 1. Security middleware (should be first)
+    // 1. Request context (request id, user, tenant) and req.logger, first so
+    //    that every later log line can be traced to its request
+    logger.addRequestLogger(app, {
+      requestIdHeader: config.app.requestIdHeader,
+      tenantHeader: config.app.tenantHeader
+    });
+    logger.debug('Request context middleware configured');
+
+    // 2. HTTP access log, before security middleware so rate-limited and
+    //    rejected requests are logged too
+    if (config.logging.access.enabled) {
+      app.use(requestLogger);
+      logger.debug('Access log configured');
+    }
+
+    // 3. Security middleware
     applySecurityMiddleware(app);
 
-    // 2. Body parsing middleware
+    // 4. Maintenance mode (npm run cli -- down), after security so 503s
+    //    carry CORS headers, before the body is parsed for nothing
+    if (app.maintenance) {
+      app.use(maintenanceMode(app.maintenance));
+      logger.debug('Maintenance mode middleware configured');
+    }
+
+    // 5. Body parsing middleware
     app.use(express.json({ 
       limit: process.env.JSON_LIMIT || '10mb',
       verify: (req, res, buf) => {
@@ -30,19 +57,13 @@ const applyMiddleware = (app) => {
     
     logger.debug('Body parsing middleware configured');
 
-    // 3. Request ID middleware (for tracking requests)
-    app.use((req, res, next) => {
-      req.id = require('crypto').randomUUID();
-      res.setHeader('X-Request-ID', req.id);
-      next();
-    });
-    logger.debug('Request ID middleware configured');
-
-    // 4. Response time tracking
+    // 6. Response time tracking (also feeds the request duration histogram)
     app.use((req, res, next) => {
-      const start = Date.now();
+      const start = process.hrtime.bigint();
       res.on('finish', () => {
-        const duration = Date.now() - start;
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        const duration = Math.round(seconds * 1000);
+        observeRequest(req, res, seconds);
         if (duration > 1000) {
           logger.warn(`Slow request: ${req.method} ${req.path} - ${duration}ms`);
         }
@@ -0,0 +1,134 @@
+// core/modelEvents.js
+const { modelEventName } = require('./events');
+
+/**
+ * Model Lifecycle Events
+ * Emits <model>.created, <model>.updated and <model>.deleted on the event
+ * bus with the same payload for every ORM:
+ *
+ *   { model, modelName, changed }
+ *
+ * where model is the Sequelize instance, Mongoose document or Prisma
+ * record and changed lists the updated fields (created and updated only).
+ *
+ * Only single-record operations emit events. Bulk operations (Sequelize
+ * update/destroy with a where clause, Mongoose updateMany/deleteMany,
+ * Prisma createMany/updateMany/deleteMany) do not, since the affected
+ * records are not loaded.
+ */
+
+/**
+ * Emit a model event
+ * @param {EventBus} events
+ * @param {string} modelName - e.g. 'User'
+ * @param {string} action - created, updated or deleted
+ * @param {Object} model - Instance, document or record
+ * @param {string[]} [changed]
+ * @returns {Promise}
+ */
+const emitModelEvent = (events, modelName, action, model, changed) =>
+  events.emit(modelEventName(modelName, action), { model, modelName, changed });
+
+/**
+ * Add lifecycle hooks to Sequelize models
+ * Inside a transaction, events are emitted once it commits.
+ * @param {Object} models - Loaded models by name
+ * @param {EventBus} events
+ */
+const attachSequelizeEvents = (models, events) => {
+  const hook = (model, action, getChanged) => (instance, options = {}) => {
+    const emit = () => emitModelEvent(events, model.name, action, instance, getChanged && getChanged(instance, options));
+
+    if (options.transaction) {
+      options.transaction.afterCommit(emit);
+      return undefined;
+    }
+
+    return emit();
+  };
+
+  Object.values(models).forEach((model) => {
+    model.addHook('afterCreate', 'modelEvents', hook(model, 'created', (instance) => Object.keys(instance.dataValues)));
+    model.addHook('afterUpdate', 'modelEvents', hook(model, 'updated', (instance, options) => options.fields || []));
+    model.addHook('afterDestroy', 'modelEvents', hook(model, 'deleted'));
+  });
+};
+
+/**
+ * Mongoose plugin adding lifecycle hooks to every schema
+ * Register it with mongoose.plugin() before models are compiled: models
+ * compiled earlier do not get the hooks. Schemas created with the
+ * modelEvents: false option are skipped.
+ * @param {EventBus} events
+ * @returns {Function} Mongoose plugin
+ */
+const mongooseEventsPlugin = (events) => (schema) => {
+  if (schema.options.modelEvents === false) {
+    return;
+  }
+
+  schema.pre('save', function() {
+    this.$locals.wasNew = this.isNew;
+    this.$locals.changed = this.isNew ? Object.keys(this.toObject()) : this.modifiedPaths();
+  });
+
+  schema.post('save', function(doc) {
+    return emitModelEvent(events, doc.constructor.modelName, doc.$locals.wasNew ? 'created' : 'updated', doc, doc.$locals.changed);
+  });
+
+  schema.post('findOneAndUpdate', function(doc) {
+    if (!doc) {
+      return undefined;
+    }
+
+    const update = this.getUpdate() || {};
+    const changed = Object.keys({ ...update, ...update.$set })
+      .filter((field) => !field.startsWith('$'));
+
+    return emitModelEvent(events, this.model.modelName, 'updated', doc, changed);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function(doc) {
+    return emitModelEvent(events, doc.constructor.modelName, 'deleted', doc);
+  });
+
+  schema.post('findOneAndDelete', function(doc) {
+    return doc ? emitModelEvent(events, this.model.modelName, 'deleted', doc) : undefined;
+  });
+};
+
+/**
+ * Extend a Prisma client so create, update and delete emit events
+ * @param {PrismaClient} prisma
+ * @param {EventBus} events
+ * @returns {PrismaClient} Extended client (shares the original's connection)
+ */
+const extendPrismaClient = (prisma, events) => prisma.$extends({
+  name: 'modelEvents',
+  query: {
+    $allModels: {
+      async create({ model, args, query }) {
+        const record = await query(args);
+        await emitModelEvent(events, model, 'created', record, Object.keys(args.data || {}));
+        return record;
+      },
+      async update({ model, args, query }) {
+        const record = await query(args);
+        await emitModelEvent(events, model, 'updated', record, Object.keys(args.data || {}));
+        return record;
+      },
+      async delete({ model, args, query }) {
+        const record = await query(args);
+        await emitModelEvent(events, model, 'deleted', record);
+        return record;
+      }
+    }
+  }
+});
+
+module.exports = {
+  emitModelEvent,
+  attachSequelizeEvents,
+  mongooseEventsPlugin,
+  extendPrismaClient
+};
@@ -0,0 +1,555 @@
+// core/openapi.js
+const crypto = require('crypto');
+const http = require('http');
+const Router = require('./router');
+const { listRoutes } = require('./routeInspector');
+const { PROBLEM_CONTENT_TYPE } = require('./problem');
+const responseConfig = require('../config/response');
+
+/**
+ * OpenAPI
+ * Generates an OpenAPI 3 document from the routes loaded from routes/.
+ * Each route's middleware chain is inspected:
+ *
+ *   - validate(schema, source) and validateMultiple() attach their Joi
+ *     schemas, which become the request body, query, header and path
+ *     parameters (see middlewares/validate.js)
+ *   - authenticate adds bearer security and a 401 response, authorize and
+ *     checkOwnership a 403 (names configured in config/openapi.js)
+ *   - describeRoute({ summary, tags, ... }) adds documentation
+ *
+ * Every operation also lists the standard problem+json error responses
+ * sent by the error handler.
+ *
+ * Usage:
+ *   const { describeRoute } = require('../core/openapi');
+ *
+ *   router.post('/',
+ *     describeRoute({ summary: 'Register a user', tags: ['Users'] }),
+ *     validate(userValidator.registerUser),
+ *     UserController.create
+ *   );
+ */
+
+const OPENAPI_VERSION = '3.0.3';
+
+// Methods documented (ALL, HEAD and OPTIONS routes are skipped)
+const DOCUMENTED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Standard error responses: component name -> status
+const ERROR_RESPONSES = {
+  BadRequest: 400,
+  Unauthorized: 401,
+  Forbidden: 403,
+  NotFound: 404,
+  InternalServerError: 500
+};
+
+/**
+ * Documentation middleware for a route
+ * Does nothing at runtime; its metadata is read by the generator.
+ * @param {Object} docs
+ * @param {string} [docs.summary]
+ * @param {string} [docs.description]
+ * @param {string[]} [docs.tags] - Defaults to the first path segment
+ * @param {string} [docs.operationId] - Defaults to one derived from the method and path
+ * @param {boolean} [docs.deprecated]
+ * @param {number} [docs.status] - Success status (default: 201 for POST, 204 for DELETE, else 200)
+ * @param {Object} [docs.response] - Joi schema of the response data
+ * @param {Object} [docs.responses] - Extra OpenAPI responses, by status
+ * @returns {Function}
+ */
+const describeRoute = (docs) => {
+  const middleware = function describeRoute(req, res, next) {
+    next();
+  };
+
+  middleware.openapi = docs;
+  return middleware;
+};
+
+/**
+ * Convert a regex string from Joi's describe() ('/^a+$/i') to a pattern
+ * @param {string} regex
+ * @returns {string}
+ */
+const toPattern = (regex) => {
+  const match = /^\/(.*)\/[a-z]*$/s.exec(regex);
+  return match ? match[1] : regex;
+};
+
+/**
+ * Apply a Joi rule to an OpenAPI schema
+ * @param {Object} schema - Schema being built (modified)
+ * @param {string} type - Joi type
+ * @param {Object} rule - { name, args }
+ */
+const applyRule = (schema, type, rule) => {
+  const args = rule.args || {};
+  const limitKey = { string: 'Length', array: 'Items', object: 'Properties' }[type];
+
+  switch (rule.name) {
+    case 'min':
+    case 'max':
+      if (typeof args.limit !== 'number') break;
+      if (limitKey) {
+        schema[`${rule.name}${limitKey}`] = args.limit;
+      } else {
+        schema[rule.name === 'min' ? 'minimum' : 'maximum'] = args.limit;
+      }
+      break;
+    case 'length':
+      if (limitKey && typeof args.limit === 'number') {
+        schema[`min${limitKey}`] = args.limit;
+        schema[`max${limitKey}`] = args.limit;
+      }
+      break;
+    case 'greater':
+    case 'less':
+      if (typeof args.limit !== 'number') break;
+      schema[rule.name === 'greater' ? 'minimum' : 'maximum'] = args.limit;
+      schema[rule.name === 'greater' ? 'exclusiveMinimum' : 'exclusiveMaximum'] = true;
+      break;
+    case 'integer':
+      schema.type = 'integer';
+      break;
+    case 'positive':
+      schema.minimum = 0;
+      schema.exclusiveMinimum = true;
+      break;
+    case 'pattern':
+      if (args.regex) schema.pattern = toPattern(args.regex);
+      break;
+    case 'alphanum':
+      schema.pattern = '^[a-zA-Z0-9]*$';
+      break;
+    case 'email':
+      schema.format = 'email';
+      break;
+    case 'uri':
+      schema.format = 'uri';
+      break;
+    case 'guid':
+      schema.format = 'uuid';
+      break;
+    case 'isoDate':
+      schema.format = 'date-time';
+      break;
+    case 'hostname':
+      schema.format = 'hostname';
+      break;
+    case 'ip':
+      schema.format = 'ip';
+      break;
+    case 'unique':
+      schema.uniqueItems = true;
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Convert a Joi description (schema.describe()) to an OpenAPI schema
+ * @param {Object} description
+ * @returns {Object}
+ */
+const describedToSchema = (description) => {
+  if (!description) {
+    return {};
+  }
+
+  const flags = description.flags || {};
+  const schema = {};
+
+  switch (description.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'object':
+    case 'array':
+      schema.type = description.type;
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'binary':
+      schema.type = 'string';
+      schema.format = 'binary';
+      break;
+    case 'alternatives': {
+      const matches = (description.matches || [])
+        .map((match) => match.schema || match.then)
+        .filter(Boolean)
+        .map(describedToSchema);
+      if (matches.length > 0) {
+        schema[flags.match === 'all' ? 'allOf' : 'anyOf'] = matches;
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  (description.rules || []).forEach((rule) => applyRule(schema, description.type, rule));
+
+  if (description.type === 'object' && description.keys) {
+    const keys = Object.entries(description.keys).filter(([, key]) => (key.flags || {}).presence !== 'forbidden');
+
+    schema.properties = Object.fromEntries(keys.map(([name, key]) => [name, describedToSchema(key)]));
+
+    const required = keys.filter(([, key]) => (key.flags || {}).presence === 'required').map(([name]) => name);
+    if (required.length > 0) {
+      schema.required = required;
+    }
+
+    if (flags.unknown === false || (description.preferences || {}).allowUnknown === false) {
+      schema.additionalProperties = false;
+    }
+  }
+
+  if (description.type === 'array' && description.items) {
+    schema.items = description.items.length === 1
+      ? describedToSchema(description.items[0])
+      : { anyOf: description.items.map(describedToSchema) };
+  }
+
+  // References (Joi.ref) can't be expressed as literal values
+  const allowed = (description.allow || []).filter((value) => value === null || typeof value !== 'object');
+
+  if (allowed.includes(null)) {
+    schema.nullable = true;
+  }
+
+  if (flags.only && allowed.length > 0) {
+    schema.enum = allowed.filter((value) => value !== null);
+  }
+
+  if (flags.default !== undefined && (flags.default === null || typeof flags.default !== 'object')) {
+    schema.default = flags.default;
+  }
+
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  if (description.examples && description.examples.length > 0) {
+    schema.example = description.examples[0];
+  }
+
+  return schema;
+};
+
+/**
+ * Convert a Joi schema to an OpenAPI schema
+ * @param {Object} joiSchema
+ * @returns {Object}
+ */
+const joiToSchema = (joiSchema) => describedToSchema(joiSchema.describe());
+
+/**
+ * Express path to OpenAPI path: /users/:id -> /users/{id}
+ * @param {string} routePath
+ * @returns {{ path: string, params: string[] }}
+ */
+const toOpenApiPath = (routePath) => {
+  const params = [];
+  const openApiPath = routePath.replace(/:(\w+)(\([^)]*\))?\??/g, (match, name) => {
+    params.push(name);
+    return `{${name}}`;
+  });
+
+  return { path: openApiPath, params };
+};
+
+/**
+ * Operation id from the method and path: GET /users/{id} -> getUsersById
+ * @param {string} method
+ * @param {string} openApiPath
+ * @returns {string}
+ */
+const toOperationId = (method, openApiPath) => {
+  const words = openApiPath.split('/').filter(Boolean).map((segment) => {
+    const param = /^\{(\w+)\}$/.exec(segment);
+    const word = param ? `by-${param[1]}` : segment;
+    return word.split(/[^A-Za-z0-9]+/).filter(Boolean)
+      .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('');
+  });
+
+  return `${method.toLowerCase()}${words.join('') || 'Root'}`;
+};
+
+/**
+ * Merge the schemas and docs attached to a route's middleware chain
+ * @param {Function[]} handlers
+ * @returns {{ schemas: Object, docs: Object }}
+ */
+const collectRouteMetadata = (handlers) => handlers.reduce((metadata, fn) => ({
+  schemas: { ...metadata.schemas, ...(fn && fn.schemas) },
+  docs: { ...metadata.docs, ...(fn && fn.openapi) }
+}), { schemas: {}, docs: {} });
+
+/**
+ * Parameters of one location from an object schema
+ * @param {Object} joiSchema - Joi object schema
+ * @param {string} location - query, header or path
+ * @returns {Array<Object>}
+ */
+const toParameters = (joiSchema, location) => {
+  const schema = joiToSchema(joiSchema);
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties || {}).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+
+    return {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      ...(description && { description }),
+      schema: propertySchema
+    };
+  });
+};
+
+/**
+ * Schema of the success envelope, following config/response.js
+ * @param {Object} [dataSchema]
+ * @returns {Object|null} null when a custom format makes the shape unknown
+ */
+const envelopeSchema = (dataSchema = {}) => {
+  if (typeof responseConfig.format === 'function') {
+    return null;
+  }
+
+  if (!responseConfig.envelope) {
+    return dataSchema;
+  }
+
+  const keys = { success: 'success', data: 'data', message: 'message', meta: 'meta', ...responseConfig.keys };
+
+  return {
+    type: 'object',
+    properties: {
+      [keys.success]: { type: 'boolean', example: true },
+      [keys.data]: dataSchema,
+      [keys.message]: { type: 'string' },
+      [keys.meta]: { type: 'object', additionalProperties: true }
+    }
+  };
+};
+
+/**
+ * Build the operation object of a route
+ * @param {Object} route - Route from listRoutes({ withHandlers: true })
+ * @param {string[]} pathParams
+ * @param {Object} config - config/openapi.js
+ * @returns {Object}
+ */
+const buildOperation = (route, pathParams, config) => {
+  const { schemas, docs } = collectRouteMetadata(route.handlers);
+  const names = [...route.middleware, route.handler];
+  const isAuthenticated = names.some((name) => config.authMiddleware.includes(name));
+  const checksPermissions = names.some((name) => config.permissionMiddleware.includes(name));
+
+  const pathParameters = schemas.params ? toParameters(schemas.params, 'path') : [];
+  const parameters = [
+    ...pathParams.map((name) => pathParameters.find((param) => param.name === name) ||
+      { name, in: 'path', required: true, schema: { type: 'string' } }),
+    ...(schemas.query ? toParameters(schemas.query, 'query') : []),
+    ...(schemas.headers ? toParameters(schemas.headers, 'header') : [])
+  ];
+
+  const successStatus = docs.status || { POST: 201, DELETE: 204 }[route.method] || 200;
+  const successSchema = successStatus === 204 ? null : envelopeSchema(docs.response ? joiToSchema(docs.response) : {});
+
+  const responses = {
+    [successStatus]: {
+      description: http.STATUS_CODES[successStatus],
+      ...(successSchema && { content: { 'application/json': { schema: successSchema } } })
+    }
+  };
+
+  const errors = [
+    Object.keys(schemas).length > 0 && 'BadRequest',
+    isAuthenticated && 'Unauthorized',
+    checksPermissions && 'Forbidden',
+    pathParams.length > 0 && 'NotFound',
+    'InternalServerError'
+  ].filter(Boolean);
+
+  errors.forEach((name) => {
+    responses[ERROR_RESPONSES[name]] = { $ref: `#/components/responses/${name}` };
+  });
+
+  const tag = route.path.split('/').filter(Boolean)[0];
+
+  return {
+    operationId: docs.operationId || toOperationId(route.method, toOpenApiPath(route.path).path),
+    ...(docs.summary && { summary: docs.summary }),
+    ...(docs.description && { description: docs.description }),
+    tags: docs.tags || (tag && !tag.startsWith(':') ? [tag] : ['default']),
+    ...(docs.deprecated && { deprecated: true }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(schemas.body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: joiToSchema(schemas.body) } }
+      }
+    }),
+    responses: { ...responses, ...docs.responses },
+    ...(isAuthenticated && { security: [{ bearerAuth: [] }] })
+  };
+};
+
+/**
+ * Shared components: the problem schema and standard error responses
+ * @returns {Object}
+ */
+const buildComponents = () => ({
+  schemas: {
+    Problem: {
+      type: 'object',
+      description: 'RFC 7807 problem details',
+      properties: {
+        type: { type: 'string', example: 'about:blank' },
+        title: { type: 'string', example: 'Bad Request' },
+        status: { type: 'integer', example: 400 },
+        detail: { type: 'string', example: 'Validation error' },
+        instance: { type: 'string', example: '/users' },
+        code: { type: 'string', example: 'VALIDATION_ERROR' },
+        requestId: { type: 'string' },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string' },
+              message: { type: 'string' },
+              type: { type: 'string' }
+            }
+          }
+        }
+      },
+      required: ['type', 'title', 'status', 'code']
+    }
+  },
+  responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, status]) => [name, {
+    description: http.STATUS_CODES[status],
+    content: { [PROBLEM_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Problem' } } }
+  }])),
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  }
+});
+
+/**
+ * Generate the OpenAPI document of an app
+ * Only routes loaded from routes/ are documented (not the homepage,
+ * health, metrics or documentation endpoints).
+ * @param {Express} app - App built by createApp()
+ * @param {Object} config - config/openapi.js
+ * @returns {Object}
+ */
+const buildOpenApiDocument = (app, config) => {
+  const paths = {};
+  const usedOperationIds = new Set();
+
+  listRoutes(app, { withHandlers: true })
+    .filter((route) => route.file && DOCUMENTED_METHODS.includes(route.method))
+    .filter((route) => !config.exclude.some((prefix) => route.path.startsWith(prefix)))
+    .forEach((route) => {
+      const { path: openApiPath, params } = toOpenApiPath(route.path);
+      const operation = buildOperation(route, params, config);
+
+      // Operation ids must be unique within the document
+      let operationId = operation.operationId;
+      for (let i = 2; usedOperationIds.has(operationId); i++) {
+        operationId = `${operation.operationId}${i}`;
+      }
+      usedOperationIds.add(operationId);
+
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][route.method.toLowerCase()] = { ...operation, operationId };
+    });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: Object.fromEntries(Object.entries(config.info).filter(([, value]) => value !== undefined)),
+    ...(config.servers.length > 0 && { servers: config.servers.map((url) => ({ url })) }),
+    paths,
+    components: buildComponents()
+  };
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Swagger UI page loading the document
+ * @param {Object} config - config/openapi.js
+ * @param {string} nonce - CSP nonce of the inline script
+ * @returns {string}
+ */
+const swaggerUiPage = (config, nonce) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(config.info.title)}</title>
+  <link rel="stylesheet" href="${config.ui.cdn}/swagger-ui.css" crossorigin="anonymous">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${config.ui.cdn}/swagger-ui-bundle.js" crossorigin="anonymous"></script>
+  <script nonce="${nonce}">
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(config.path)}, dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>`;
+
+/**
+ * Build the router serving the document and the optional Swagger UI
+ * The document is generated on the first request, once routes are loaded.
+ * @param {Express} app
+ * @param {Object} config - config/openapi.js
+ * @returns {Router}
+ */
+const createOpenApiRouter = (app, config) => {
+  const router = new Router();
+  let document = null;
+
+  router.get(config.path, (req, res) => {
+    document = document || buildOpenApiDocument(app, config);
+    res.json(document);
+  }).name('openapi');
+
+  if (config.ui.enabled) {
+    router.get(config.ui.path, (req, res) => {
+      const nonce = crypto.randomBytes(16).toString('base64');
+      // A self-hosted copy (e.g. '/swagger-ui') is covered by 'self'
+      const cdnOrigin = /^https?:\/\//.test(config.ui.cdn) ? new URL(config.ui.cdn).origin : '';
+
+      // The page loads Swagger UI from its CDN, which the default CSP blocks
+      res.set('Content-Security-Policy', [
+        "default-src 'self'",
+        `script-src 'self' ${cdnOrigin} 'nonce-${nonce}'`,
+        `style-src 'self' 'unsafe-inline' ${cdnOrigin}`,
+        "img-src 'self' data: https:",
+        "connect-src 'self'"
+      ].join('; '));
+      res.removeHeader('Cross-Origin-Embedder-Policy');
+      res.type('html').send(swaggerUiPage(config, nonce));
+    }).name('openapi.ui');
+  }
+
+  return router;
+};
+
+module.exports = {
+  describeRoute,
+  joiToSchema,
+  buildOpenApiDocument,
+  createOpenApiRouter
+};
@@ -0,0 +1,62 @@
+// core/problem.js
+const http = require('http');
+
+/**
+ * Problem Details (RFC 7807)
+ * Builds the application/problem+json body sent to API clients by the
+ * error handler:
+ *
+ *   { type: 'about:blank', title: 'Bad Request', status: 400,
+ *     detail: 'Validation error', instance: '/api/users',
+ *     code: 'VALIDATION_ERROR', requestId: '...',
+ *     errors: [{ field: 'email', message: '"email" is required', type: 'any.required' }] }
+ *
+ * `type` is 'about:blank' unless a base URL is configured
+ * (ERROR_TYPE_BASE_URL), in which case each code gets its own URL, e.g.
+ * https://docs.example.com/errors/validation-error.
+ */
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Problem type URL for an error code
+ * @param {string} code - e.g. 'VALIDATION_ERROR'
+ * @param {string} [baseUrl] - e.g. 'https://docs.example.com/errors'
+ * @returns {string}
+ */
+const problemType = (code, baseUrl) => {
+  if (!baseUrl || !code) {
+    return 'about:blank';
+  }
+
+  return `${baseUrl.replace(/\/+$/, '')}/${code.toLowerCase().replace(/_/g, '-')}`;
+};
+
+/**
+ * Build a problem details object
+ * @param {HttpError} error - Translated error (see core/errors.js)
+ * @param {Object} [options]
+ * @param {string} [options.detail] - Message sent to the client
+ * @param {string} [options.instance] - Request URL
+ * @param {string} [options.requestId]
+ * @param {string} [options.typeBaseUrl] - Base URL of the problem types
+ * @param {string} [options.stack] - Stack trace (development only)
+ * @returns {Object}
+ */
+const toProblem = (error, options = {}) => ({
+  type: problemType(error.code, options.typeBaseUrl),
+  title: http.STATUS_CODES[error.status] || 'Error',
+  status: error.status,
+  ...(options.detail && { detail: options.detail }),
+  ...(options.instance && { instance: options.instance }),
+  code: error.code,
+  ...(options.requestId && { requestId: options.requestId }),
+  ...(error.details && { errors: error.details }),
+  ...(options.stack && { stack: options.stack })
+});
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  problemType,
+  toProblem
+};
@@ -0,0 +1,170 @@
+// core/providers.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { withTimeout } = require('./shutdown');
+
+/**
+ * Provider System
+ * Lets features hook into application startup and shutdown without
+ * editing app.js. Providers are loaded from npm packages listed in
+ * config/providers.js and from the providers/ folder.
+ *
+ * A provider is an object (or a class, instantiated with no arguments)
+ * with a name and any of the lifecycle hooks below. Every hook receives
+ * the same context object: { app, logger, db, models, server, providers,
+ * health, container, events, cache, idempotency, queue, scheduler }.
+ *
+ *   module.exports = {
+ *     name: 'reports',
+ *     async afterModels({ models }) { ... },
+ *     async onShutdown() { ... }
+ *   };
+ */
+
+/**
+ * Lifecycle hooks, in the order they run
+ *   register        app created, before the middleware stack is applied
+ *   beforeDatabase  middleware applied, before connecting to the database
+ *   afterModels     database connected and models loaded
+ *   afterRoutes     routes loaded, before the 404 and error handlers
+ *   beforeListen    app.start() called, before the server listens
+ *   onShutdown      app.stop() called, after the server closed and before
+ *                   the database connection is closed (runs in reverse order)
+ */
+const HOOKS = ['register', 'beforeDatabase', 'afterModels', 'afterRoutes', 'beforeListen', 'onShutdown'];
+
+class ProviderManager {
+  constructor() {
+    this.providers = [];
+  }
+
+  /**
+   * Add a provider instance
+   * @param {Object|Function} provider - Provider object or class
+   * @param {string} [source] - Where the provider came from (for logging)
+   * @returns {ProviderManager}
+   */
+  add(provider, source = 'inline') {
+    const instance = typeof provider === 'function' ? new provider() : provider;
+
+    if (!instance || typeof instance !== 'object') {
+      throw new Error(`Invalid provider from ${source}: expected an object or class`);
+    }
+
+    const name = instance.name || (typeof provider === 'function' && provider.name) || source;
+    const hooks = HOOKS.filter((hook) => typeof instance[hook] === 'function');
+
+    if (hooks.length === 0) {
+      logger.warn(`Provider "${name}" (${source}) does not define any lifecycle hooks`);
+    }
+
+    this.providers.push({ name, source, instance });
+    logger.debug(`Registered provider: ${name} (${hooks.join(', ') || 'no hooks'})`);
+
+    return this;
+  }
+
+  /**
+   * Load providers from npm packages and the providers/ directory
+   * @param {Object} options
+   * @param {string} options.rootDir - Project root
+   * @param {string[]} [options.packages] - npm package names exporting providers
+   * @param {string[]} [options.disabled] - Provider names to skip
+   * @returns {ProviderManager}
+   */
+  load({ rootDir, packages = [], disabled = [] }) {
+    packages.forEach((packageName) => {
+      const modulePath = require.resolve(packageName, { paths: [rootDir] });
+      this.add(require(modulePath), packageName);
+    });
+
+    const providersDir = path.join(rootDir, 'providers');
+
+    if (fs.existsSync(providersDir)) {
+      fs.readdirSync(providersDir)
+        .filter((file) => file.endsWith('.js') && !file.startsWith('_') && !file.startsWith('.'))
+        .sort()
+        .forEach((file) => {
+          this.add(require(path.join(providersDir, file)), `providers/${file}`);
+        });
+    }
+
+    if (disabled.length > 0) {
+      this.providers = this.providers.filter((provider) => {
+        if (disabled.includes(provider.name)) {
+          logger.info(`Provider disabled: ${provider.name}`);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    if (this.providers.length > 0) {
+      logger.info(`Loaded ${this.providers.length} provider(s): ${this.names().join(', ')}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Run a lifecycle hook on every provider, one at a time
+   * Boot hooks fail fast; onShutdown runs in reverse order and only logs errors
+   * so one provider cannot prevent the others from shutting down.
+   * @param {string} hook - Hook name
+   * @param {Object} context - Context passed to each hook
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Time allowed for each provider's hook in ms
+   * @returns {Promise<Array<{ name: string, status: string, error?: string }>>} Outcome per provider
+   */
+  async run(hook, context, options = {}) {
+    if (!HOOKS.includes(hook)) {
+      throw new Error(`Unknown provider hook: ${hook}`);
+    }
+
+    const isShutdown = hook === 'onShutdown';
+    const providers = isShutdown ? [...this.providers].reverse() : this.providers;
+    const results = [];
+
+    for (const provider of providers) {
+      if (typeof provider.instance[hook] !== 'function') {
+        continue;
+      }
+
+      try {
+        logger.debug(`Running ${hook} for provider: ${provider.name}`);
+        const result = provider.instance[hook](context);
+        await (options.timeout ? withTimeout(result, options.timeout, `Provider "${provider.name}" ${hook}`) : result);
+        results.push({ name: provider.name, status: 'ok' });
+      } catch (error) {
+        if (isShutdown) {
+          logger.error(`Provider "${provider.name}" failed during ${hook}:`, error);
+          results.push({
+            name: provider.name,
+            status: error.code === 'ETIMEDOUT' ? 'timeout' : 'failed',
+            error: error.message
+          });
+          continue;
+        }
+
+        error.message = `Provider "${provider.name}" failed during ${hook}: ${error.message}`;
+        throw error;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Names of all registered providers
+   * @returns {string[]}
+   */
+  names() {
+    return this.providers.map((provider) => provider.name);
+  }
+}
+
+module.exports = {
+  ProviderManager,
+  HOOKS
+};
@@ -0,0 +1,353 @@
+// core/queue/drivers/database.js
+const PollingDriver = require('./polling');
+
+/**
+ * Database Driver
+ * Stores jobs in the database of the active ORM so every process sharing
+ * the database (app servers, queue:work) sees the same queues.
+ *
+ * Jobs are rows of a jobs table, failed jobs rows of a failed_jobs table.
+ * Sequelize creates both tables and Mongoose both collections on first use;
+ * Prisma needs the QueueJob and QueueFailedJob models from
+ * docs/QUEUE_GUIDE.md in schema.prisma.
+ *
+ * A worker reserves a job by setting reserved_at, guarded by the value it
+ * read, so two workers never run the same job. A reservation older than
+ * retryAfter ms is treated as abandoned (the worker died) and the job runs
+ * again.
+ */
+
+/**
+ * Table adapters
+ * Each one reads and writes rows shaped
+ *   { id, queue, name, data, availableAt, reservedAt }
+ * and failed rows shaped
+ *   { id, queue, name, data, error, failedAt }
+ * where data is the JSON encoded job record and times are epoch ms.
+ */
+const adapters = {
+  sequelize(sequelize, { table, failedTable }) {
+    const { DataTypes, Op } = require('sequelize');
+
+    const columns = {
+      id: { type: DataTypes.STRING(36), primaryKey: true },
+      queue: { type: DataTypes.STRING, allowNull: false },
+      name: { type: DataTypes.STRING, allowNull: false },
+      data: { type: DataTypes.TEXT, allowNull: false }
+    };
+
+    const Job = sequelize.define('QueueJob', {
+      ...columns,
+      availableAt: { type: DataTypes.BIGINT, allowNull: false },
+      reservedAt: { type: DataTypes.BIGINT, allowNull: true }
+    }, { tableName: table, timestamps: false, underscored: true, indexes: [{ fields: ['queue', 'available_at'] }] });
+
+    const FailedJob = sequelize.define('QueueFailedJob', {
+      ...columns,
+      error: { type: DataTypes.TEXT, allowNull: true },
+      failedAt: { type: DataTypes.BIGINT, allowNull: false }
+    }, { tableName: failedTable, timestamps: false, underscored: true });
+
+    // BIGINT columns come back as strings on some dialects
+    const toRow = (instance) => {
+      if (!instance) {
+        return null;
+      }
+
+      const row = instance.get({ plain: true });
+      ['availableAt', 'reservedAt', 'failedAt'].forEach((field) => {
+        if (row[field] !== null && row[field] !== undefined) {
+          row[field] = Number(row[field]);
+        }
+      });
+      return row;
+    };
+
+    return {
+      init: async () => {
+        await Job.sync();
+        await FailedJob.sync();
+      },
+      insert: (row) => Job.create(row),
+      candidate: async (queue, now, staleBefore) => toRow(await Job.findOne({
+        where: {
+          queue,
+          availableAt: { [Op.lte]: now },
+          [Op.or]: [{ reservedAt: null }, { reservedAt: { [Op.lt]: staleBefore } }]
+        },
+        order: [['availableAt', 'ASC']]
+      })),
+      claim: async (row, now) => {
+        const [count] = await Job.update({ reservedAt: now }, { where: { id: row.id, reservedAt: row.reservedAt } });
+        return count === 1;
+      },
+      update: (id, fields) => Job.update(fields, { where: { id } }),
+      remove: (id) => Job.destroy({ where: { id } }),
+      insertFailed: (row) => FailedJob.create(row),
+      listFailed: async (limit, offset = 0) =>
+        (await FailedJob.findAll({ order: [['failedAt', 'DESC']], limit, offset })).map(toRow),
+      findFailed: async (id) => toRow(await FailedJob.findByPk(id)),
+      removeFailed: async (ids) => FailedJob.destroy({ where: { id: ids } })
+    };
+  },
+
+  mongoose(mongoose, { table, failedTable }) {
+    const { Schema } = mongoose;
+
+    // modelEvents: false keeps the queue's own writes off the event bus
+    const options = { versionKey: false, modelEvents: false };
+    const fields = { _id: String, queue: String, name: String, data: String };
+
+    const Job = mongoose.models.QueueJob || mongoose.model('QueueJob', new Schema({
+      ...fields,
+      availableAt: { type: Number, index: true },
+      reservedAt: { type: Number, default: null }
+    }, { ...options, collection: table }));
+
+    const FailedJob = mongoose.models.QueueFailedJob || mongoose.model('QueueFailedJob', new Schema({
+      ...fields,
+      error: String,
+      failedAt: Number
+    }, { ...options, collection: failedTable }));
+
+    const toRow = (doc) => {
+      if (!doc) {
+        return null;
+      }
+
+      const { _id, ...row } = doc;
+      return { id: _id, ...row };
+    };
+
+    const toDoc = ({ id, ...row }) => ({ _id: id, ...row });
+
+    return {
+      init: async () => {},
+      insert: (row) => Job.create(toDoc(row)),
+      candidate: async (queue, now, staleBefore) => toRow(await Job.findOne({
+        queue,
+        availableAt: { $lte: now },
+        $or: [{ reservedAt: null }, { reservedAt: { $lt: staleBefore } }]
+      }).sort({ availableAt: 1 }).lean()),
+      claim: async (row, now) => {
+        const result = await Job.updateOne({ _id: row.id, reservedAt: row.reservedAt }, { $set: { reservedAt: now } });
+        return result.modifiedCount === 1;
+      },
+      update: (id, fields) => Job.updateOne({ _id: id }, { $set: fields }),
+      remove: (id) => Job.deleteOne({ _id: id }),
+      insertFailed: (row) => FailedJob.create(toDoc(row)),
+      listFailed: async (limit, offset = 0) =>
+        (await FailedJob.find().sort({ failedAt: -1 }).skip(offset).limit(limit).lean()).map(toRow),
+      findFailed: async (id) => toRow(await FailedJob.findById(id).lean()),
+      removeFailed: async (ids) => (await FailedJob.deleteMany({ _id: { $in: ids } })).deletedCount
+    };
+  },
+
+  prisma(prisma) {
+    if (!prisma.queueJob || !prisma.queueFailedJob) {
+      throw new Error('The database queue driver needs the QueueJob and QueueFailedJob models in schema.prisma (see docs/QUEUE_GUIDE.md)');
+    }
+
+    // BigInt columns come back as BigInt
+    const toRow = (record) => {
+      if (!record) {
+        return null;
+      }
+
+      const row = { ...record };
+      ['availableAt', 'reservedAt', 'failedAt'].forEach((field) => {
+        if (typeof row[field] === 'bigint') {
+          row[field] = Number(row[field]);
+        }
+      });
+      return row;
+    };
+
+    return {
+      init: async () => {},
+      insert: (row) => prisma.queueJob.create({ data: row }),
+      candidate: async (queue, now, staleBefore) => toRow(await prisma.queueJob.findFirst({
+        where: {
+          queue,
+          availableAt: { lte: now },
+          OR: [{ reservedAt: null }, { reservedAt: { lt: staleBefore } }]
+        },
+        orderBy: { availableAt: 'asc' }
+      })),
+      claim: async (row, now) => {
+        const { count } = await prisma.queueJob.updateMany({ where: { id: row.id, reservedAt: row.reservedAt }, data: { reservedAt: now } });
+        return count === 1;
+      },
+      update: (id, fields) => prisma.queueJob.update({ where: { id }, data: fields }),
+      remove: (id) => prisma.queueJob.deleteMany({ where: { id } }),
+      insertFailed: (row) => prisma.queueFailedJob.create({ data: row }),
+      listFailed: async (limit, offset = 0) =>
+        (await prisma.queueFailedJob.findMany({ orderBy: { failedAt: 'desc' }, take: limit, skip: offset })).map(toRow),
+      findFailed: async (id) => toRow(await prisma.queueFailedJob.findUnique({ where: { id } })),
+      removeFailed: async (ids) => (await prisma.queueFailedJob.deleteMany({ where: { id: { in: ids } } })).count
+    };
+  }
+};
+
+class DatabaseDriver extends PollingDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.orm - sequelize, mongoose or prisma
+   * @param {Function} options.getDb - Returns the connected database instance
+   * @param {string} [options.table='jobs']
+   * @param {string} [options.failedTable='failed_jobs']
+   * @param {number} [options.retryAfter=90000] - Age in ms after which a reservation is considered abandoned
+   * @param {number} [options.failedLimit=1000] - Failed jobs kept
+   */
+  constructor({ orm, getDb, table = 'jobs', failedTable = 'failed_jobs', retryAfter = 90000, failedLimit = 1000 }) {
+    super();
+
+    if (!adapters[orm]) {
+      throw new Error(`The database queue driver does not support the "${orm}" ORM`);
+    }
+
+    this.orm = orm;
+    this.getDb = getDb;
+    this.tables = { table, failedTable };
+    this.retryAfter = retryAfter;
+    this.failedLimit = failedLimit;
+    this.adapter = null;
+  }
+
+  /**
+   * Build the adapter on first use, once the database is connected
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async table() {
+    if (!this.adapter) {
+      const db = this.getDb();
+
+      if (!db) {
+        throw new Error('The database queue driver needs a database connection');
+      }
+
+      this.adapter = (async () => {
+        const adapter = adapters[this.orm](db, this.tables);
+        await adapter.init();
+        return adapter;
+      })();
+
+      // Let a failed setup (e.g. missing Prisma models) be retried
+      this.adapter.catch(() => {
+        this.adapter = null;
+      });
+    }
+
+    return this.adapter;
+  }
+
+  async push(record) {
+    const table = await this.table();
+    await table.insert({
+      id: record.id,
+      queue: record.queue,
+      name: record.name,
+      data: JSON.stringify(record),
+      availableAt: record.availableAt,
+      reservedAt: null
+    });
+    this.wake();
+  }
+
+  async reserve(queues) {
+    const table = await this.table();
+    const now = Date.now();
+
+    for (const queue of queues) {
+      let row = await table.candidate(queue, now, now - this.retryAfter);
+
+      // Another worker may claim the same row first, then look again
+      while (row) {
+        if (await table.claim(row, now)) {
+          return JSON.parse(row.data);
+        }
+        row = await table.candidate(queue, now, now - this.retryAfter);
+      }
+    }
+
+    return null;
+  }
+
+  async complete(record) {
+    const table = await this.table();
+    await table.remove(record.id);
+  }
+
+  async release(record, delay, error) {
+    const table = await this.table();
+    const data = { ...record, attempts: record.attempts + 1, availableAt: Date.now() + delay, lastError: error.message };
+
+    await table.update(record.id, { data: JSON.stringify(data), availableAt: data.availableAt, reservedAt: null });
+  }
+
+  async bury(record, error) {
+    const table = await this.table();
+
+    await table.insertFailed({
+      id: record.id,
+      queue: record.queue,
+      name: record.name,
+      data: JSON.stringify({ ...record, attempts: record.attempts + 1 }),
+      error: error.message,
+      failedAt: Date.now()
+    });
+    await table.remove(record.id);
+
+    // Drop the oldest failed jobs beyond the limit
+    const overflow = await table.listFailed(100, this.failedLimit);
+    if (overflow.length > 0) {
+      await table.removeFailed(overflow.map((row) => row.id));
+    }
+  }
+
+  async failed({ limit = 50 } = {}) {
+    const table = await this.table();
+    const rows = await table.listFailed(limit);
+
+    return rows.map((row) => ({ ...JSON.parse(row.data), error: row.error, failedAt: row.failedAt }));
+  }
+
+  async retry(id) {
+    const table = await this.table();
+    const row = await table.findFailed(id);
+
+    if (!row) {
+      return false;
+    }
+
+    await table.removeFailed([id]);
+    await this.push({ ...JSON.parse(row.data), attempts: 0, availableAt: Date.now() });
+
+    return true;
+  }
+
+  async forget(id) {
+    const table = await this.table();
+    return (await table.removeFailed([id])) > 0;
+  }
+
+  async flushFailed() {
+    const table = await this.table();
+    let count = 0;
+    let rows = await table.listFailed(500);
+
+    while (rows.length > 0) {
+      count += await table.removeFailed(rows.map((row) => row.id));
+      rows = await table.listFailed(500);
+    }
+
+    return count;
+  }
+
+  async close() {
+    this.wake();
+  }
+}
+
+module.exports = DatabaseDriver;
@@ -0,0 +1,111 @@
+// core/queue/drivers/memory.js
+const PollingDriver = require('./polling');
+const logger = require('../../../utils/logger').forModule('queue');
+
+/**
+ * Memory Driver
+ * Keeps jobs in the app process. Nothing survives a restart and other
+ * processes (queue:work) can't see the jobs, so the app runs its own
+ * worker (config/queue.js worker.inProcess). Meant for development and tests.
+ */
+class MemoryDriver extends PollingDriver {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failedLimit=1000] - Failed jobs kept
+   */
+  constructor({ failedLimit = 1000 } = {}) {
+    super();
+    this.jobs = [];
+    this.failedJobs = [];
+    this.failedLimit = failedLimit;
+  }
+
+  async push(record) {
+    this.jobs.push({ ...record, reserved: false });
+    this.wake();
+  }
+
+  async reserve(queues) {
+    const now = Date.now();
+
+    for (const queue of queues) {
+      const available = this.jobs
+        .filter((job) => job.queue === queue && !job.reserved && job.availableAt <= now)
+        .sort((a, b) => a.availableAt - b.availableAt);
+
+      if (available.length > 0) {
+        available[0].reserved = true;
+        return available[0];
+      }
+    }
+
+    return null;
+  }
+
+  async nextDueIn(queues) {
+    const due = this.jobs
+      .filter((job) => queues.includes(job.queue) && !job.reserved)
+      .map((job) => job.availableAt - Date.now());
+
+    return due.length > 0 ? Math.max(0, Math.min(...due)) : null;
+  }
+
+  async complete(record) {
+    this.jobs = this.jobs.filter((job) => job !== record);
+  }
+
+  async release(record, delay, error) {
+    record.attempts++;
+    record.availableAt = Date.now() + delay;
+    record.lastError = error.message;
+    record.reserved = false;
+  }
+
+  async bury(record, error) {
+    this.jobs = this.jobs.filter((job) => job !== record);
+
+    const { reserved, ...job } = record;
+    this.failedJobs.unshift({ ...job, attempts: job.attempts + 1, error: error.message, failedAt: Date.now() });
+    this.failedJobs.length = Math.min(this.failedJobs.length, this.failedLimit);
+  }
+
+  async failed({ limit = 50 } = {}) {
+    return this.failedJobs.slice(0, limit);
+  }
+
+  async retry(id) {
+    const job = this.failedJobs.find((failed) => failed.id === id);
+
+    if (!job) {
+      return false;
+    }
+
+    await this.forget(id);
+    const { error, failedAt, ...record } = job;
+    await this.push({ ...record, attempts: 0, availableAt: Date.now() });
+
+    return true;
+  }
+
+  async forget(id) {
+    const count = this.failedJobs.length;
+    this.failedJobs = this.failedJobs.filter((job) => job.id !== id);
+    return this.failedJobs.length < count;
+  }
+
+  async flushFailed() {
+    const count = this.failedJobs.length;
+    this.failedJobs = [];
+    return count;
+  }
+
+  async close() {
+    this.wake();
+
+    if (this.jobs.length > 0) {
+      logger.warn(`${this.jobs.length} job(s) left in the memory queue were not run`);
+    }
+  }
+}
+
+module.exports = MemoryDriver;
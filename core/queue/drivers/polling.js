@@ -0,0 +1,141 @@
+// core/queue/drivers/polling.js
+const logger = require('../../../utils/logger').forModule('queue');
+
+/**
+ * Polling Driver
+ * Base class of the drivers that store jobs themselves (memory, database).
+ * Workers reserve one job at a time, run it and report the outcome:
+ *
+ *   reserve(queues)               next available job of the first queue that has one, or null
+ *   complete(record)              job succeeded, remove it
+ *   release(record, delay, error) attempt failed, make it available again after delay ms
+ *   bury(record, error)           last attempt failed, move it to the dead-letter list
+ *
+ * Subclasses implement those plus push(), failed(), retry(), forget(),
+ * flushFailed() and close().
+ */
+class PollingDriver {
+  constructor() {
+    this.sleepers = new Set();
+  }
+
+  /**
+   * Wake idle workers, e.g. after a job was pushed
+   */
+  wake() {
+    this.sleepers.forEach((wake) => wake());
+  }
+
+  /**
+   * Wait until the poll interval passed or wake() was called
+   * @param {number} ms
+   * @returns {Promise<void>}
+   * @private
+   */
+  sleep(ms) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.sleepers.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.sleepers.add(done);
+    });
+  }
+
+  /**
+   * Time until the next delayed job is due, when the driver can tell cheaply
+   * @param {string[]} queues
+   * @returns {Promise<number|null>} ms, or null to wait the full poll interval
+   */
+  async nextDueIn() {
+    return null;
+  }
+
+  /**
+   * Run a reserved job and store its outcome
+   * @param {Object} record
+   * @param {Function} run - Resolves to { status: 'completed' | 'retry' | 'failed', delay, error }
+   * @private
+   */
+  async runReserved(record, run) {
+    const outcome = await run(record);
+
+    try {
+      if (outcome.status === 'completed') {
+        await this.complete(record);
+      } else if (outcome.status === 'retry') {
+        await this.release(record, outcome.delay, outcome.error);
+      } else {
+        await this.bury(record, outcome.error);
+      }
+    } catch (error) {
+      logger.error(`Could not store the outcome of job ${record.name} (${record.id}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Process jobs until stopped
+   * @param {string[]} queues - Queue names in priority order
+   * @param {Function} run - Runs one job, see runReserved()
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=1]
+   * @param {number} [options.pollInterval=1000] - Wait between checks when the queues are empty, in ms
+   * @returns {{ stop: Function }} stop() resolves once running jobs finished
+   */
+  work(queues, run, { concurrency = 1, pollInterval = 1000 } = {}) {
+    let stopping = false;
+
+    const loop = async () => {
+      while (!stopping) {
+        let record = null;
+
+        try {
+          record = await this.reserve(queues);
+        } catch (error) {
+          logger.error(`Could not reserve a job: ${error.message}`);
+        }
+
+        if (record) {
+          await this.runReserved(record, run);
+        } else if (!stopping) {
+          const dueIn = await this.nextDueIn(queues);
+          await this.sleep(dueIn === null ? pollInterval : Math.min(pollInterval, dueIn));
+        }
+      }
+    };
+
+    const loops = Array.from({ length: Math.max(1, concurrency) }, loop);
+
+    return {
+      stop: async () => {
+        stopping = true;
+        this.wake();
+        await Promise.all(loops);
+      }
+    };
+  }
+
+  /**
+   * Run the jobs that are available now, one at a time, then return
+   * Delayed jobs and retries scheduled for later are left in the queue.
+   * @param {string[]} queues
+   * @param {Function} run
+   * @returns {Promise<number>} Number of jobs run
+   */
+  async runPending(queues, run) {
+    let count = 0;
+    let record = await this.reserve(queues);
+
+    while (record) {
+      await this.runReserved(record, run);
+      count++;
+      record = await this.reserve(queues);
+    }
+
+    return count;
+  }
+}
+
+module.exports = PollingDriver;
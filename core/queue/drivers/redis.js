@@ -0,0 +1,174 @@
+// core/queue/drivers/redis.js
+
+/**
+ * Redis Driver
+ * One Bull queue per queue name. Bull handles delays, stalled jobs and
+ * concurrency; retries follow the same rules as the other drivers: a failed
+ * attempt is added again with the backoff delay, and the last failed
+ * attempt stays in Bull's failed set, which is the dead-letter list.
+ *
+ * Every queue named in queues is processed at the same time, so the order
+ * of queue:work --queue is not a priority with this driver.
+ */
+class RedisDriver {
+  /**
+   * @param {Object} options
+   * @param {Object} options.redis - { host, port, password }
+   * @param {string} [options.prefix='greycode'] - Key prefix
+   * @param {number} [options.failedLimit=1000] - Failed jobs kept per queue
+   */
+  constructor({ redis, prefix = 'greycode', failedLimit = 1000 }) {
+    this.Bull = require('bull');
+    this.options = { redis, prefix };
+    this.failedLimit = failedLimit;
+    this.queues = new Map();
+  }
+
+  /**
+   * Create a Bull queue
+   * @param {string} name
+   * @returns {Bull.Queue}
+   * @private
+   */
+  create(name) {
+    return new this.Bull(name, {
+      ...this.options,
+      defaultJobOptions: {
+        attempts: 1,
+        removeOnComplete: true,
+        removeOnFail: this.failedLimit
+      }
+    });
+  }
+
+  /**
+   * Bull queue used to add and inspect jobs
+   * @param {string} name
+   * @returns {Bull.Queue}
+   * @private
+   */
+  queue(name) {
+    if (!this.queues.has(name)) {
+      this.queues.set(name, this.create(name));
+    }
+    return this.queues.get(name);
+  }
+
+  async push(record) {
+    await this.queue(record.queue).add(record, {
+      // Every attempt is its own Bull job
+      jobId: `${record.id}:${record.attempts}`,
+      delay: Math.max(0, record.availableAt - Date.now())
+    });
+  }
+
+  /**
+   * Process jobs until stopped
+   * @param {string[]} queues
+   * @param {Function} run - Resolves to { status: 'completed' | 'retry' | 'failed', delay, error }
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=1] - Per queue
+   * @returns {{ stop: Function }}
+   */
+  work(queues, run, { concurrency = 1 } = {}) {
+    // Workers get their own connections: Bull allows one handler per queue instance
+    const workers = queues.map((name) => {
+      const worker = this.create(name);
+
+      worker.process(Math.max(1, concurrency), async (bullJob) => {
+        const record = bullJob.data;
+        const outcome = await run(record);
+
+        if (outcome.status === 'retry') {
+          await this.push({
+            ...record,
+            attempts: record.attempts + 1,
+            availableAt: Date.now() + outcome.delay,
+            lastError: outcome.error.message
+          });
+        } else if (outcome.status === 'failed') {
+          // Moves the job to the failed set
+          throw outcome.error;
+        }
+      });
+
+      return worker;
+    });
+
+    return {
+      // close() waits for the jobs being processed
+      stop: () => Promise.all(workers.map((worker) => worker.close()))
+    };
+  }
+
+  async runPending() {
+    throw new Error('The redis queue driver does not support runPending(), run queue:work instead');
+  }
+
+  /**
+   * Failed jobs of the given queues, newest first
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @param {string[]} [options.queues=[]]
+   * @returns {Promise<Object[]>}
+   */
+  async failed({ limit = 50, queues = [] } = {}) {
+    const jobs = await this.failedBullJobs(queues);
+
+    return jobs
+      .map((bullJob) => ({
+        ...bullJob.data,
+        attempts: bullJob.data.attempts + 1,
+        error: bullJob.failedReason,
+        failedAt: bullJob.finishedOn
+      }))
+      .sort((a, b) => b.failedAt - a.failedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * @param {string[]} queues
+   * @returns {Promise<Bull.Job[]>}
+   * @private
+   */
+  async failedBullJobs(queues) {
+    const lists = await Promise.all(queues.map((name) => this.queue(name).getFailed()));
+    return lists.flat().filter(Boolean);
+  }
+
+  async retry(id, { queues = [] } = {}) {
+    const bullJob = (await this.failedBullJobs(queues)).find((job) => job.data.id === id);
+
+    if (!bullJob) {
+      return false;
+    }
+
+    await bullJob.remove();
+    await this.push({ ...bullJob.data, attempts: 0, availableAt: Date.now() });
+
+    return true;
+  }
+
+  async forget(id, { queues = [] } = {}) {
+    const bullJob = (await this.failedBullJobs(queues)).find((job) => job.data.id === id);
+
+    if (!bullJob) {
+      return false;
+    }
+
+    await bullJob.remove();
+    return true;
+  }
+
+  async flushFailed({ queues = [] } = {}) {
+    const removed = await Promise.all(queues.map((name) => this.queue(name).clean(0, 'failed')));
+    return removed.flat().length;
+  }
+
+  async close() {
+    await Promise.all([...this.queues.values()].map((queue) => queue.close()));
+    this.queues.clear();
+  }
+}
+
+module.exports = RedisDriver;
@@ -0,0 +1,436 @@
+// core/queue/index.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger').forModule('queue');
+const { runWithContext, getPropagatedContext } = require('../context');
+const { withTimeout } = require('../shutdown');
+const { jobs: jobsMetric, jobDuration } = require('../metrics');
+
+/**
+ * Job Queue
+ * Runs work in the background, outside the request that asked for it:
+ *
+ *   await app.queue.dispatch(GenerateReport, { reportId: 42 });
+ *   await app.queue.dispatch('GenerateReport', { reportId: 42 }, { delay: 60000, queue: 'reports' });
+ *
+ * A job is a class in jobs/ (or an object with a name and handle()):
+ *
+ *   class GenerateReport {
+ *     static queue = 'reports';
+ *     static attempts = 5;
+ *     static backoff = { type: 'exponential', delay: 2000 };
+ *     static inject = ['models'];
+ *
+ *     constructor({ models }) { ... }
+ *     async handle(payload, job) { ... }
+ *     async failed(payload, error, job) { ... }   // optional, after the last attempt
+ *   }
+ *
+ * Payloads are stored as JSON, so pass ids rather than model instances.
+ * Jobs run in the context (request id, user) of the code that dispatched
+ * them. A job that keeps failing after its last attempt is moved to the
+ * failed (dead-letter) list, where it can be retried, and 'job.failed' is
+ * emitted on the event bus.
+ *
+ * Where jobs are stored depends on config.queue.driver, see drivers/.
+ * Every app has its own queue at app.queue, also bound in the container
+ * as 'queue'.
+ */
+
+class QueueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueueError';
+  }
+}
+
+/**
+ * Normalize a backoff setting
+ * @param {number|string|Object} backoff - Delay in ms (fixed), 'fixed'/'exponential', or { type, delay }
+ * @param {Object} defaults - { type, delay }
+ * @returns {{ type: string, delay: number }}
+ */
+const normalizeBackoff = (backoff, defaults) => {
+  if (typeof backoff === 'number') {
+    return { type: 'fixed', delay: backoff };
+  }
+  if (typeof backoff === 'string') {
+    return { type: backoff, delay: defaults.delay };
+  }
+  return { ...defaults, ...backoff };
+};
+
+/**
+ * Wait before the next attempt
+ * @param {{ type: string, delay: number }} backoff
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @returns {number} ms
+ */
+const backoffDelay = ({ type, delay }, attempt) =>
+  type === 'exponential' ? delay * 2 ** (attempt - 1) : delay;
+
+/**
+ * Create the storage driver of a queue configuration
+ * @param {Object} config - config.queue
+ * @param {Object} options
+ * @param {string} options.orm - Active ORM (database driver)
+ * @param {Function} options.getDb - Returns the database instance (database driver)
+ * @returns {Object} Driver
+ */
+const createDriver = (config, { orm, getDb }) => {
+  switch (config.driver) {
+    case 'memory': {
+      const MemoryDriver = require('./drivers/memory');
+      return new MemoryDriver({ failedLimit: config.failedLimit });
+    }
+    case 'database': {
+      const DatabaseDriver = require('./drivers/database');
+      return new DatabaseDriver({ orm, getDb, ...config.database, failedLimit: config.failedLimit });
+    }
+    case 'redis': {
+      const RedisDriver = require('./drivers/redis');
+      return new RedisDriver({ redis: config.redis, prefix: config.redis.prefix, failedLimit: config.failedLimit });
+    }
+    default:
+      throw new QueueError(`Unknown queue driver "${config.driver}". Use memory, database or redis`);
+  }
+};
+
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - config.queue
+   * @param {Container} options.container - Builds job classes
+   * @param {EventBus} [options.events] - Receives 'job.failed'
+   * @param {Object} [options.driver] - Storage driver (defaults to config.driver)
+   * @param {string} [options.orm] - Active ORM, for the database driver
+   * @param {Function} [options.getDb] - Returns the database instance, for the database driver
+   */
+  constructor({ config, container, events = null, driver = null, orm = null, getDb = () => null }) {
+    this.config = config;
+    this.container = container;
+    this.events = events;
+    this.driver = driver || createDriver(config, { orm, getDb });
+    this.jobs = new Map();
+    this.workers = new Set();
+    this.run = this.run.bind(this);
+  }
+
+  /**
+   * Register a job so workers can run it
+   * @param {Function|Object} job - Job class or { name, handle, queue, attempts, backoff, timeout, failed }
+   * @param {Object} [options]
+   * @param {string} [options.source] - Where the job came from (for errors)
+   * @returns {Object} Job definition
+   */
+  register(job, { source = 'inline' } = {}) {
+    const isClass = typeof job === 'function';
+    const name = job.name;
+
+    if (!name) {
+      throw new QueueError(`Job ${source} does not have a name`);
+    }
+    if (typeof (isClass ? job.prototype.handle : job.handle) !== 'function') {
+      throw new QueueError(`Job ${source} does not have a handle() method`);
+    }
+
+    const existing = this.jobs.get(name);
+    if (existing && existing.target !== job) {
+      throw new QueueError(`A job named ${name} is already registered (${existing.source})`);
+    }
+
+    const definition = existing || { name, target: job, isClass, source };
+    this.jobs.set(name, definition);
+
+    return definition;
+  }
+
+  /**
+   * Registered job by class, object or name
+   * @param {Function|Object|string} job
+   * @returns {Object} Job definition
+   * @private
+   */
+  resolve(job) {
+    if (typeof job !== 'string') {
+      return this.register(job);
+    }
+
+    if (!this.jobs.has(job)) {
+      const available = [...this.jobs.keys()].sort().join(', ');
+      throw new QueueError(`No job named ${job} is registered. Available jobs: ${available || 'none'}`);
+    }
+
+    return this.jobs.get(job);
+  }
+
+  /**
+   * Queue names known to this app: the default queue, the worker's queues
+   * and the queues set by registered jobs
+   * @returns {string[]}
+   */
+  queueNames() {
+    const names = [this.config.defaultQueue, ...this.config.worker.queues];
+    this.jobs.forEach(({ target }) => target.queue && names.push(target.queue));
+    return [...new Set(names)];
+  }
+
+  /**
+   * Add a job to its queue
+   * @param {Function|Object|string} job - Job class, object or registered name
+   * @param {Object} [payload={}] - JSON serializable data passed to handle()
+   * @param {Object} [options]
+   * @param {number} [options.delay=0] - Wait before the first attempt, in ms
+   * @param {number} [options.attempts] - Overrides the job's attempts
+   * @param {number|string|Object} [options.backoff] - Overrides the job's backoff
+   * @param {string} [options.queue] - Overrides the job's queue
+   * @param {number} [options.timeout] - Overrides the job's timeout, in ms
+   * @returns {Promise<string>} Job id
+   */
+  async dispatch(job, payload = {}, options = {}) {
+    const { name, target } = this.resolve(job);
+    const now = Date.now();
+    const pick = (key) => [options[key], target[key], this.config[key]].find((value) => value !== undefined);
+
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      queue: options.queue || target.queue || this.config.defaultQueue,
+      payload: JSON.parse(JSON.stringify(payload)),
+      attempts: 0,
+      maxAttempts: Math.max(1, pick('attempts')),
+      backoff: normalizeBackoff(pick('backoff'), this.config.backoff),
+      timeout: pick('timeout'),
+      context: getPropagatedContext(),
+      createdAt: now,
+      availableAt: now + (options.delay || 0)
+    };
+
+    await this.driver.push(record);
+    logger.debug(`Job ${name} dispatched to ${record.queue}`, { jobId: record.id, delay: options.delay || 0 });
+
+    return record.id;
+  }
+
+  /**
+   * Run one attempt of a job
+   * Called by the drivers, which store the outcome.
+   * @param {Object} record - Job record
+   * @returns {Promise<{ status: string, delay?: number, error?: Error }>}
+   *   completed, retry (after delay ms) or failed (no attempts left)
+   */
+  async run(record) {
+    const attempt = record.attempts + 1;
+    const job = { id: record.id, name: record.name, queue: record.queue, attempt, maxAttempts: record.maxAttempts };
+    const labels = { queue: record.queue, job: record.name };
+
+    return runWithContext({ ...record.context, jobId: record.id }, async () => {
+      const definition = this.jobs.get(record.name);
+      const endTimer = jobDuration.startTimer(labels);
+      let handler = null;
+
+      try {
+        if (!definition) {
+          throw new QueueError(`No job named ${record.name} is registered in this process`);
+        }
+
+        handler = definition.isClass ? this.container.make(definition.target) : definition.target;
+        const work = Promise.resolve().then(() => handler.handle(record.payload, job));
+        await (record.timeout > 0 ? withTimeout(work, record.timeout, `Job ${record.name}`) : work);
+
+        endTimer();
+        jobsMetric.inc({ ...labels, status: 'completed' });
+        logger.debug(`Job ${record.name} completed`, { jobId: record.id, attempt });
+
+        return { status: 'completed' };
+      } catch (error) {
+        endTimer();
+
+        if (attempt < record.maxAttempts) {
+          const delay = backoffDelay(record.backoff, attempt);
+
+          jobsMetric.inc({ ...labels, status: 'retried' });
+          logger.warn(`Job ${record.name} failed (attempt ${attempt}/${record.maxAttempts}), retrying in ${delay}ms: ${error.message}`, { jobId: record.id });
+
+          return { status: 'retry', delay, error };
+        }
+
+        jobsMetric.inc({ ...labels, status: 'failed' });
+        logger.error(`Job ${record.name} failed after ${attempt} attempt(s): ${error.message}`, { jobId: record.id, stack: error.stack });
+
+        await this.notifyFailed(record, handler, error, job);
+
+        return { status: 'failed', error };
+      }
+    });
+  }
+
+  /**
+   * Call the job's failed() hook and emit 'job.failed'
+   * Neither can fail the worker.
+   * @private
+   */
+  async notifyFailed(record, handler, error, job) {
+    if (handler && typeof handler.failed === 'function') {
+      try {
+        await handler.failed(record.payload, error, job);
+      } catch (hookError) {
+        logger.error(`failed() hook of job ${record.name} threw: ${hookError.message}`, { jobId: record.id });
+      }
+    }
+
+    if (this.events) {
+      await this.events.emit('job.failed', {
+        id: record.id,
+        job: record.name,
+        queue: record.queue,
+        payload: record.payload,
+        attempts: job.attempt,
+        error
+      });
+    }
+  }
+
+  /**
+   * Start processing jobs
+   * @param {Object} [options]
+   * @param {string[]} [options.queues] - In priority order (defaults to config.worker.queues)
+   * @param {number} [options.concurrency] - Defaults to config.worker.concurrency
+   * @param {number} [options.pollInterval] - Defaults to config.worker.pollInterval
+   * @returns {{ stop: Function }} stop() resolves once running jobs finished
+   */
+  work(options = {}) {
+    const {
+      queues = this.config.worker.queues,
+      concurrency = this.config.worker.concurrency,
+      pollInterval = this.config.worker.pollInterval
+    } = options;
+    const worker = this.driver.work(queues, this.run, { concurrency, pollInterval });
+    const handle = {
+      queues,
+      stop: async () => {
+        this.workers.delete(handle);
+        await worker.stop();
+        logger.info(`Queue worker stopped (${queues.join(', ')})`);
+      }
+    };
+
+    this.workers.add(handle);
+    logger.info(`Queue worker started on ${queues.join(', ')} (concurrency ${concurrency}, ${this.config.driver} driver)`);
+
+    return handle;
+  }
+
+  /**
+   * Run the jobs that are available now and return (memory and database drivers)
+   * Handy in tests and for `queue:work --stop-when-empty`.
+   * @param {Object} [options]
+   * @param {string[]} [options.queues] - Defaults to every known queue
+   * @returns {Promise<number>} Number of attempts run
+   */
+  runPending({ queues = this.queueNames() } = {}) {
+    return this.driver.runPending(queues, this.run);
+  }
+
+  /**
+   * Failed jobs, newest first
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @returns {Promise<Object[]>} Job records with error and failedAt
+   */
+  failed({ limit = 50 } = {}) {
+    return this.driver.failed({ limit, queues: this.queueNames() });
+  }
+
+  /**
+   * Move a failed job back to its queue with fresh attempts
+   * @param {string} id
+   * @returns {Promise<boolean>} false when no failed job has this id
+   */
+  retry(id) {
+    return this.driver.retry(id, { queues: this.queueNames() });
+  }
+
+  /**
+   * Retry every failed job
+   * @returns {Promise<number>}
+   */
+  async retryAll() {
+    let count = 0;
+    let batch = await this.failed({ limit: 100 });
+
+    while (batch.length > 0) {
+      const retried = (await Promise.all(batch.map((record) => this.retry(record.id)))).filter(Boolean).length;
+
+      if (retried === 0) {
+        break;
+      }
+
+      count += retried;
+      batch = await this.failed({ limit: 100 });
+    }
+
+    return count;
+  }
+
+  /**
+   * Delete a failed job
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  forget(id) {
+    return this.driver.forget(id, { queues: this.queueNames() });
+  }
+
+  /**
+   * Delete every failed job
+   * @returns {Promise<number>}
+   */
+  flushFailed() {
+    return this.driver.flushFailed({ queues: this.queueNames() });
+  }
+
+  /**
+   * Stop the workers (waiting for their running jobs) and close the driver
+   */
+  async close() {
+    await Promise.all([...this.workers].map((worker) => worker.stop()));
+    await this.driver.close();
+  }
+}
+
+/**
+ * Register every job in a directory
+ * Files starting with "_" or "." are ignored.
+ * @param {JobQueue} queue
+ * @param {string} jobsDir
+ * @returns {string[]} Loaded job files
+ */
+const loadJobs = (queue, jobsDir) => {
+  if (!fs.existsSync(jobsDir)) {
+    return [];
+  }
+
+  const files = fs.readdirSync(jobsDir)
+    .filter((file) => file.endsWith('.js') && !file.startsWith('_') && !file.startsWith('.'))
+    .sort();
+
+  files.forEach((file) => {
+    queue.register(require(path.join(jobsDir, file)), { source: `jobs/${file}` });
+  });
+
+  if (files.length > 0) {
+    logger.info(`Loaded ${files.length} job(s)`);
+  }
+
+  return files;
+};
+
+module.exports = {
+  JobQueue,
+  QueueError,
+  createDriver,
+  backoffDelay,
+  loadJobs
+};
@@ -0,0 +1,228 @@
+// core/response.js
+const { HttpError } = require('./errors');
+const { setValidators } = require('./conditional');
+const errorHandler = require('../middlewares/errorHandler');
+const responseConfig = require('../config/response');
+
+/**
+ * Response Helpers
+ * Methods added to `res` by createApp() so that every controller sends the
+ * same envelope (configured in config/response.js):
+ *
+ *   res.ok(user);                                  // 200 { success: true, data: user }
+ *   res.created(user, 'User created');             // 201 { success: true, data, message }
+ *   res.noContent();                               // 204
+ *   res.paginated(rows, { page, limit, total });   // 200 { success, data, meta } + Link
+ *   res.fail(409, 'Email taken', { code: 'EMAIL_TAKEN' });
+ *
+ * res.fail() responds exactly like a thrown HttpError: problem details for
+ * API clients, an error page for browsers (see middlewares/errorHandler.js).
+ *
+ * res.ok() and res.created() with a single record set its ETag and
+ * Last-Modified, so GETs can be answered 304 and updates checked with
+ * If-Match (see core/conditional.js).
+ *
+ * Usage:
+ *   const { parsePagination } = require('../core/response');
+ *
+ *   const getAll = async (req, res) => {
+ *     const { page, limit, offset } = parsePagination(req.query);
+ *     const { rows, count } = await Post.findAndCountAll({ limit, offset });
+ *     res.paginated(rows, { page, limit, total: count });
+ *   };
+ */
+
+const DEFAULT_KEYS = {
+  success: 'success',
+  data: 'data',
+  message: 'message',
+  meta: 'meta'
+};
+
+/**
+ * Normalize the options argument: a message string or { message, meta }
+ * @param {string|Object} [options]
+ * @returns {Object}
+ */
+const toOptions = (options) => (typeof options === 'string' ? { message: options } : options || {});
+
+/**
+ * What besides the record shapes a response body, hashed into its ETag so
+ * two renderings of the same record (a GET and a PUT's "Updated"
+ * response) never share a strong tag
+ * @param {Object} payload - { status, message, meta }
+ * @param {Object} config - config/response.js
+ * @returns {Array}
+ */
+const representation = ({ status, message, meta }, config) => [
+  typeof config.format === 'function' ? [String(config.format), status] : [config.envelope, config.keys],
+  message,
+  meta
+];
+
+/**
+ * Build the response body for a payload
+ * @param {Object} payload - { status, data, message, meta }
+ * @param {Object} config - config/response.js
+ * @returns {*}
+ */
+const formatBody = (payload, config) => {
+  if (typeof config.format === 'function') {
+    return config.format(payload);
+  }
+
+  const keys = { ...DEFAULT_KEYS, ...config.keys };
+
+  if (!config.envelope) {
+    return payload.data !== undefined ? payload.data : { [keys.message]: payload.message };
+  }
+
+  return {
+    [keys.success]: true,
+    ...(payload.data !== undefined && { [keys.data]: payload.data }),
+    ...(payload.message && { [keys.message]: payload.message }),
+    ...(payload.meta && { [keys.meta]: payload.meta })
+  };
+};
+
+/**
+ * Read page and limit from a query string, with defaults and bounds
+ * Invalid values fall back to the defaults instead of failing the request.
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {number} [options.defaultLimit] - Defaults to config.pagination.defaultLimit
+ * @param {number} [options.maxLimit] - Defaults to config.pagination.maxLimit
+ * @returns {Object} { page, limit, offset }
+ */
+const parsePagination = (query = {}, options = {}) => {
+  const defaultLimit = options.defaultLimit || responseConfig.pagination.defaultLimit;
+  const maxLimit = options.maxLimit || responseConfig.pagination.maxLimit;
+
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * URL of another page of the current request, relative to the host
+ * @param {Object} req
+ * @param {number} page
+ * @param {number} limit
+ * @returns {string}
+ */
+const pageUrl = (req, page, limit) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.set('page', page);
+  url.searchParams.set('limit', limit);
+  return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Link header (RFC 8288) for a page: first, prev, next and last
+ * @param {Object} req
+ * @param {Object} meta - { page, limit, totalPages }
+ * @returns {string}
+ */
+const buildLinkHeader = (req, { page, limit, totalPages }) => {
+  const links = { first: 1 };
+
+  if (page > 1) links.prev = Math.min(page - 1, Math.max(totalPages, 1));
+  if (page < totalPages) links.next = page + 1;
+  links.last = Math.max(totalPages, 1);
+
+  return Object.entries(links)
+    .map(([rel, target]) => `<${pageUrl(req, target, limit)}>; rel="${rel}"`)
+    .join(', ');
+};
+
+/**
+ * Create the helper methods for a config
+ * They are installed on the app's response prototype, so `this` is res.
+ * @param {Object} config - config/response.js
+ * @returns {Object}
+ */
+const createResponseHelpers = (config) => ({
+  /**
+   * 200 with data
+   * @param {*} [data]
+   * @param {string|Object} [options] - Message, or { message, meta, etag, lastModified }
+   */
+  ok(data, options) {
+    const { message, meta, ...validators } = toOptions(options);
+
+    if (config.recordValidators !== false) {
+      setValidators(this, data, { ...validators, representation: representation({ status: 200, message, meta }, config) });
+    }
+
+    return this.status(200).json(formatBody({ status: 200, data, message, meta }, config));
+  },
+
+  /**
+   * 201 with the created resource
+   * @param {*} [data]
+   * @param {string|Object} [options] - Message, or { message, meta, location, etag, lastModified }
+   */
+  created(data, options) {
+    const { message, meta, location, ...validators } = toOptions(options);
+
+    if (location) {
+      this.location(location);
+    }
+
+    if (config.recordValidators !== false) {
+      setValidators(this, data, { ...validators, representation: representation({ status: 201, message, meta }, config) });
+    }
+
+    return this.status(201).json(formatBody({ status: 201, data, message, meta }, config));
+  },
+
+  /**
+   * 204 without a body
+   */
+  noContent() {
+    return this.status(204).end();
+  },
+
+  /**
+   * 200 with one page of items, pagination meta, X-Total-Count and Link headers
+   * @param {Array} items
+   * @param {Object} pagination - { page, limit, total, message, meta }
+   */
+  paginated(items, pagination) {
+    const { page, limit, total, message } = pagination;
+    const totalPages = limit > 0 ? Math.ceil(total / limit) : 0;
+    const meta = { page, limit, total, totalPages, ...pagination.meta };
+
+    this.set('X-Total-Count', String(total));
+    this.set('Link', buildLinkHeader(this.req, meta));
+
+    return this.status(200).json(formatBody({ status: 200, data: items, message, meta }, config));
+  },
+
+  /**
+   * Error response without throwing, same format as a thrown HttpError
+   * @param {number} status
+   * @param {string} [message]
+   * @param {Object} [options] - HttpError options: { code, details, headers }
+   */
+  fail(status, message, options) {
+    errorHandler(new HttpError(status, message, options), this.req, this, (err) => this.req.next(err));
+    return this;
+  }
+});
+
+/**
+ * Add the response helpers to an app's responses
+ * @param {Object} app - Express app
+ * @param {Object} [config] - Defaults to config/response.js
+ */
+const installResponseHelpers = (app, config = responseConfig) => {
+  Object.assign(app.response, createResponseHelpers(config));
+};
+
+module.exports = {
+  installResponseHelpers,
+  parsePagination,
+  formatBody
+};
@@ -0,0 +1,152 @@
+// core/routeInspector.js
+const path = require('path');
+
+/**
+ * Route Inspector
+ * Walks an Express app's router stack and returns a flat route table:
+ * method, full path, source file and the middleware chain of every route.
+ * With `withHandlers`, routes also carry the functions of their chain, so
+ * metadata attached to them (e.g. validate()'s Joi schemas) can be read.
+ */
+
+/**
+ * Recover the mount path of a router layer from its compiled regexp
+ * e.g. /^\/posts(?:\/([^/]+?))\/comments\/?(?=\/|$)/i -> /posts/:id/comments
+ * @param {Layer} layer - Express router layer
+ * @returns {string}
+ */
+const getLayerPath = (layer) => {
+  if (!layer.regexp || layer.regexp.fast_slash) {
+    return '';
+  }
+
+  let keyIndex = 0;
+
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:(\\\/)?\(\[\^(?:\\)?\/\]\+\?\)\)(\?)?/g, (match, slash, optional) => {
+      const key = layer.keys[keyIndex++] || {};
+      return `${slash ? '/' : ''}:${key.name}${optional || ''}`;
+    })
+    .replace(/\\(.)/g, '$1');
+};
+
+/**
+ * Join path fragments into a normalized URL path
+ * @param {...string} parts
+ * @returns {string}
+ */
+const joinPaths = (...parts) => {
+  const joined = `/${parts.filter(Boolean).join('/')}`.replace(/\/+/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+};
+
+/**
+ * Readable name for a middleware or handler function
+ * @param {Function} fn
+ * @returns {string}
+ */
+const getHandlerName = (fn) => (fn && fn.name && fn.name !== 'bound dispatch' ? fn.name : '<anonymous>');
+
+/**
+ * Recursively collect routes from a router stack
+ * @param {Layer[]} stack - Router stack to walk
+ * @param {Object} context
+ * @param {string} context.prefix - Path the stack is mounted at
+ * @param {Function[]} context.middleware - Middleware inherited from parents
+ * @param {string|null} context.file - Source file of the current router
+ * @param {Map} context.files - express router -> manifest entry
+ * @param {boolean} context.isRoot - Whether this is the app-level stack
+ * @param {boolean} context.withHandlers - Include the chain's functions
+ * @returns {Object[]}
+ */
+const walkStack = (stack, context) => {
+  const routes = [];
+  let middleware = [...context.middleware];
+
+  stack.forEach((layer) => {
+    if (layer.route) {
+      const routePath = joinPaths(context.prefix, layer.route.path);
+      const chain = [...middleware, ...layer.route.stack.map((routeLayer) => routeLayer.handle)];
+      const names = chain.map(getHandlerName);
+      const methods = Object.keys(layer.route.methods)
+        .filter((method) => layer.route.methods[method])
+        .map((method) => (method === '_all' ? 'ALL' : method.toUpperCase()));
+
+      methods.forEach((method) => {
+        routes.push({
+          method,
+          path: routePath,
+          file: context.file,
+          middleware: names.slice(0, -1),
+          handler: names[names.length - 1],
+          ...(context.withHandlers && { handlers: chain })
+        });
+      });
+      return;
+    }
+
+    if (layer.handle && Array.isArray(layer.handle.stack)) {
+      const entry = context.files.get(layer.handle);
+
+      routes.push(...walkStack(layer.handle.stack, {
+        prefix: joinPaths(context.prefix, getLayerPath(layer)),
+        middleware: [...middleware, ...(entry ? entry.middleware : [])],
+        file: entry ? entry.file : context.file,
+        files: context.files,
+        isRoot: false,
+        withHandlers: context.withHandlers
+      }));
+      return;
+    }
+
+    // Router-level middleware applies to the routes registered after it.
+    // App-level middleware (helmet, cors, body parsers...) is global, so it
+    // is left out of every chain; mount middleware comes from the manifest.
+    if (!context.isRoot) {
+      middleware = [...middleware, layer.handle];
+    }
+  });
+
+  return routes;
+};
+
+/**
+ * List every route mounted on an Express app
+ * @param {Express} app - Express application instance
+ * @param {Object} [options]
+ * @param {Array} [options.manifest] - Route loader manifest (defaults to app.locals.routes)
+ * @param {string} [options.routesDir] - Routes directory, used to report file paths
+ * @param {boolean} [options.withHandlers] - Add `handlers`: the functions of each chain
+ * @returns {Array<{ method: string, path: string, file: string|null, middleware: string[], handler: string }>}
+ */
+const listRoutes = (app, options = {}) => {
+  const manifest = options.manifest || app.locals.routes || [];
+  const files = new Map();
+
+  manifest.forEach((entry) => {
+    const file = options.routesDir
+      ? path.join(path.basename(options.routesDir), entry.file)
+      : entry.file;
+    files.set(entry.router, { ...entry, file });
+  });
+
+  if (!app._router) {
+    return [];
+  }
+
+  return walkStack(app._router.stack, {
+    prefix: '',
+    middleware: [],
+    file: null,
+    files,
+    isRoot: true,
+    withHandlers: Boolean(options.withHandlers)
+  });
+};
+
+module.exports = {
+  listRoutes,
+  getLayerPath
+};
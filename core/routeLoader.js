@@ -1,58 +1,242 @@
 const fs = require('fs');
 const path = require('path');
 const { pluralize } = require('./utils');
+const Router = require('./router');
 const logger = require('../utils/logger');
 
+/**
+ * Route Loader
+ * Recursively discovers route files and mounts them by convention:
+ *
+ *   routes/user.js               -> /users
+ *   routes/index.js              -> /
+ *   routes/admin/users.js        -> /admin/users
+ *   routes/admin/index.js        -> /admin
+ *   routes/posts/[id]/comments.js -> /posts/:id/comments
+ *
+ * Only top-level file names are pluralized (the original behaviour);
+ * nested files are mounted under their literal names.
+ *
+ * Files and folders starting with "_" or "." are ignored, so helpers can
+ * live next to the routes that use them.
+ *
+ * A route file exports { router } (an express router or a core Router)
+ * and may also export:
+ *   - prefix:     explicit mount path, replaces the derived one
+ *   - middleware: function or array of functions run before the router
+ *   - pluralize:  override whether the file name is pluralized in the URL
+ */
+
+const PARAM_SEGMENT = /^\[([A-Za-z_$][\w$]*)\]$/;
+
+/**
+ * Recursively collect route files below a directory
+ * @param {string} dir - Directory to scan
+ * @param {string[]} segments - Folder names between routesDir and dir
+ * @returns {Array<{ file: string, segments: string[] }>}
+ */
+const collectRouteFiles = (dir, segments = []) => {
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  const files = [];
+
+  entries.forEach((entry) => {
+    if (entry.name.startsWith('_') || entry.name.startsWith('.')) {
+      return;
+    }
+
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...collectRouteFiles(fullPath, [...segments, entry.name]));
+    } else if (entry.isFile() && entry.name.endsWith('.js')) {
+      files.push({ file: fullPath, segments });
+    }
+  });
+
+  return files;
+};
+
+/**
+ * Convert a folder or file name into a URL segment
+ * "[id]" becomes ":id", everything else is kept as-is
+ * @param {string} segment
+ * @returns {string}
+ */
+const toUrlSegment = (segment) => {
+  const match = segment.match(PARAM_SEGMENT);
+  return match ? `:${match[1]}` : segment;
+};
+
+/**
+ * Normalize a mount path so it always starts with a single "/"
+ * and never ends with one (except for the root path)
+ * @param {string} mountPath
+ * @returns {string}
+ */
+const normalizeMountPath = (mountPath) => {
+  const cleaned = `/${mountPath}`.replace(/\/+/g, '/').replace(/\/$/, '');
+  return cleaned || '/';
+};
+
+/**
+ * Middleware recording the pattern a route file is mounted at, so
+ * metrics and logs can report /users/:userId/posts instead of req.baseUrl
+ * @param {string} mountPath
+ * @returns {Function}
+ */
+const recordMountPath = (mountPath) => function recordMountPath(req, res, next) {
+  req.routeMountPath = mountPath;
+  next();
+};
+
+/**
+ * Work out the mount path for a route file from its location
+ * @param {string[]} segments - Parent folder names
+ * @param {string} basename - File name without extension
+ * @param {boolean} [shouldPluralize] - Whether to pluralize the file name,
+ *   defaults to true for top-level files only
+ * @returns {string}
+ */
+const resolveMountPath = (segments, basename, shouldPluralize = segments.length === 0) => {
+  const parts = segments.map(toUrlSegment);
+
+  if (basename !== 'index') {
+    const isParam = PARAM_SEGMENT.test(basename);
+    parts.push(isParam || !shouldPluralize ? toUrlSegment(basename) : pluralize(basename));
+  }
+
+  return normalizeMountPath(parts.join('/'));
+};
+
+/**
+ * Extract the router from a route module
+ * Supports `module.exports = { router }` and `module.exports = router`,
+ * where router is either an express router or a core Router instance
+ * @param {*} route - Required route module
+ * @returns {Function|Router|null}
+ */
+const getRouter = (route) => {
+  const candidate = route && route.router && !(route instanceof Router) ? route.router : route;
+
+  if (candidate instanceof Router) {
+    return candidate;
+  }
+  if (typeof candidate === 'function' && Array.isArray(candidate.stack)) {
+    return candidate;
+  }
+  return null;
+};
+
+/**
+ * Sort routes so static paths are mounted before dynamic ones and
+ * deeper paths before their parents (e.g. /users/me before /users/:id)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+const bySpecificity = (a, b) => {
+  const paramsA = (a.mountPath.match(/:/g) || []).length;
+  const paramsB = (b.mountPath.match(/:/g) || []).length;
+
+  if (paramsA !== paramsB) {
+    return paramsA - paramsB;
+  }
+
+  const depthA = a.mountPath.split('/').filter(Boolean).length;
+  const depthB = b.mountPath.split('/').filter(Boolean).length;
+
+  if (depthA !== depthB) {
+    return depthB - depthA;
+  }
+
+  return a.mountPath.localeCompare(b.mountPath);
+};
+
+/**
+ * Load and mount all route files in a directory tree
+ * @param {Express} app - Express application instance
+ * @param {string} routesDir - Absolute path to the routes directory
+ * @returns {Array<{ mountPath: string, file: string, middleware: Function[], router: Function }>}
+ *   The routes that were mounted, in mount order
+ */
 const loadRoutes = (app, routesDir) => {
+  const mounted = [];
+
   try {
     // Check if routes directory exists
     if (!fs.existsSync(routesDir)) {
       logger.warn(`Routes directory does not exist: ${routesDir}`);
-      return;
+      return mounted;
     }
 
-    const routeFiles = fs.readdirSync(routesDir);
+    const routeFiles = collectRouteFiles(routesDir);
 
     if (routeFiles.length === 0) {
       logger.info('No route files found');
-      return;
+      return mounted;
     }
 
-    let loadedCount = 0;
-
-    routeFiles.forEach((file) => {
-      if (file.endsWith('.js')) {
-        try {
-          const routePath = path.join(routesDir, file);
-          
-          // Clear require cache to allow hot reloading
-          delete require.cache[require.resolve(routePath)];
-          
-          const route = require(routePath);
-
-          // Validate and mount the router
-          if (route && route.router) {
-            const routeName = `/${pluralize(file.split('.')[0])}`;
-            app.use(routeName, route.router);
-            logger.debug(`Loaded route: ${routeName} from ${file}`);
-            loadedCount++;
-          } else {
-            logger.warn(`Invalid route file: ${file}. Ensure it exports { router }.`);
-          }
-        } catch (error) {
-          // Don't crash if a single route fails to load
-          logger.error(`Error loading route ${file}:`, error.message);
+    const routes = [];
+
+    routeFiles.forEach(({ file, segments }) => {
+      const relativeFile = path.relative(routesDir, file);
+
+      try {
+        // Clear require cache to allow hot reloading
+        delete require.cache[require.resolve(file)];
+
+        const route = require(file);
+        const router = getRouter(route);
+
+        if (!router) {
+          logger.warn(`Invalid route file: ${relativeFile}. Ensure it exports { router }.`);
+          return;
         }
+
+        // Mount options only come from `{ router, ... }` style exports
+        const options = router === route ? {} : route;
+        const basename = path.basename(file, '.js');
+        const mountPath = typeof options.prefix === 'string'
+          ? normalizeMountPath(options.prefix)
+          : resolveMountPath(segments, basename, options.pluralize);
+
+        const middleware = options.middleware
+          ? [].concat(options.middleware).filter((fn) => typeof fn === 'function')
+          : [];
+
+        routes.push({ mountPath, file: relativeFile, middleware, router });
+      } catch (error) {
+        // Don't crash if a single route fails to load
+        logger.error(`Error loading route ${relativeFile}:`, error.message);
       }
     });
 
-    if (loadedCount > 0) {
-      logger.info(`Successfully loaded ${loadedCount} route file(s)`);
+    routes.sort(bySpecificity).forEach((route) => {
+      // Core Routers need to know where they live to generate named URLs
+      if (route.router instanceof Router) {
+        route.router = route.router.mountedAt(route.mountPath).use();
+      }
+
+      // Param folders like [id] only reach the handlers if the router merges
+      // its parent's params, so switch that on for dynamic mount paths
+      if (route.mountPath.includes(':') && route.router.mergeParams === undefined) {
+        route.router.mergeParams = true;
+      }
+
+      app.use(route.mountPath, recordMountPath(route.mountPath), ...route.middleware, route.router);
+      logger.debug(`Loaded route: ${route.mountPath} from ${route.file}`);
+      mounted.push(route);
+    });
+
+    if (mounted.length > 0) {
+      logger.info(`Successfully loaded ${mounted.length} route file(s)`);
     }
   } catch (error) {
     logger.error('Error loading routes:', error.message);
     // Don't throw - just log the error
   }
+
+  return mounted;
 };
 
-module.exports = loadRoutes;
\ No newline at end of file
+module.exports = loadRoutes;
@@ -1,22 +1,211 @@
 // core/router.js
 const express = require('express');
+const logger = require('../utils/logger');
 
+/**
+ * HTTP verbs supported by the Router, plus `all`
+ */
+const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all'];
+
+/**
+ * Named route registry shared by every Router instance
+ * name -> { path, router }
+ */
+const namedRoutes = new Map();
+
+/**
+ * Join URL path fragments into a single normalized path
+ * @param {...string} parts
+ * @returns {string}
+ */
+const joinPaths = (...parts) => {
+  const joined = `/${parts.filter(Boolean).join('/')}`.replace(/\/+/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+};
+
+/**
+ * Router
+ * Thin wrapper around express.Router that adds route groups,
+ * shared middleware stacks and named routes.
+ *
+ * Usage:
+ *   const router = new Router();
+ *
+ *   router.get('/', HomeController.index).name('home');
+ *
+ *   router.group({ prefix: '/users', as: 'users.', middleware: [authenticate] }, (users) => {
+ *     users.get('/', UserController.getAll).name('index');
+ *     users.get('/:id', UserController.getById).name('show');
+ *   });
+ *
+ *   route('users.show', { id: 42 }); // => '/users/42'
+ */
 class Router {
-  constructor() {
-    this.router = express.Router();
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Path prefix for every route in this router
+   * @param {Function[]} [options.middleware] - Middleware run before every route
+   * @param {string} [options.as] - Prefix added to every route name
+   * @param {Object} [options.express] - Options passed to express.Router()
+   */
+  constructor(options = {}) {
+    this.router = options.router || express.Router(options.express);
+    this.prefix = options.prefix || '';
+    this.middleware = options.middleware || [];
+    this.namePrefix = options.as || '';
+    this.root = options.root || this;
+    this.routes = this.root === this ? [] : this.root.routes;
+    this.lastRoute = null;
+
+    if (this.root === this) {
+      this.basePath = '';
+    }
   }
 
-  get(path, handler) {
-    this.router.get(path, handler);
+  /**
+   * Register a route for the given method
+   * @param {string} method - HTTP verb or 'all'
+   * @param {string} path - Route path relative to this router
+   * @param {...Function} handlers - Middleware and final handler
+   * @returns {Router}
+   */
+  addRoute(method, path, ...handlers) {
+    const fullPath = joinPaths(this.prefix, path);
+    const stack = [...this.middleware, ...handlers.flat()];
+
+    if (stack.length === 0) {
+      throw new Error(`No handler provided for ${method.toUpperCase()} ${fullPath}`);
+    }
+
+    this.router[method](fullPath, ...stack);
+
+    this.lastRoute = { method: method.toUpperCase(), path: fullPath, name: null };
+    this.routes.push(this.lastRoute);
+
+    return this;
+  }
+
+  /**
+   * Create a route group that shares a prefix, middleware and name prefix
+   * @param {Object|string} options - Group options, or just a prefix
+   * @param {Function} callback - Receives the group router
+   * @returns {Router}
+   */
+  group(options, callback) {
+    const groupOptions = typeof options === 'string' ? { prefix: options } : options;
+
+    const group = new Router({
+      router: this.router,
+      root: this.root,
+      prefix: joinPaths(this.prefix, groupOptions.prefix),
+      middleware: [...this.middleware, ...[].concat(groupOptions.middleware || [])],
+      as: `${this.namePrefix}${groupOptions.as || ''}`
+    });
+
+    callback(group);
+    return this;
+  }
+
+  /**
+   * Name the most recently registered route
+   * @param {string} name - Route name, prefixed with the group's `as` option
+   * @returns {Router}
+   */
+  name(name) {
+    if (!this.lastRoute) {
+      throw new Error(`Cannot name route "${name}": no route has been registered yet`);
+    }
+
+    const fullName = `${this.namePrefix}${name}`;
+
+    if (namedRoutes.has(fullName) && namedRoutes.get(fullName).router !== this.root) {
+      logger.debug(`Named route "${fullName}" redefined`);
+    }
+
+    this.lastRoute.name = fullName;
+    namedRoutes.set(fullName, { path: this.lastRoute.path, router: this.root });
+
+    return this;
   }
 
-  post(path, handler) {
-    this.router.post(path, handler);
+  /**
+   * Record the path this router is mounted at, so named routes
+   * generate full URLs. Called by the route loader.
+   * @param {string} basePath
+   * @returns {Router}
+   */
+  mountedAt(basePath) {
+    this.root.basePath = basePath === '/' ? '' : basePath;
+    return this;
   }
 
-  use() {
-    return this.router;
+  /**
+   * Without arguments, returns the underlying express router so it can
+   * be mounted with app.use(). With arguments, adds router-level middleware.
+   * @param {...*} args
+   * @returns {express.Router|Router}
+   */
+  use(...args) {
+    if (args.length === 0) {
+      return this.router;
+    }
+
+    this.router.use(...args);
+    return this;
   }
 }
 
+METHODS.forEach((method) => {
+  Router.prototype[method] = function (path, ...handlers) {
+    return this.addRoute(method, path, ...handlers);
+  };
+});
+
+/**
+ * Generate a URL for a named route
+ * Params that are not part of the path are appended as a query string.
+ * @param {string} name - Route name, e.g. 'users.show'
+ * @param {Object} [params] - Path and query parameters
+ * @returns {string}
+ */
+const route = (name, params = {}) => {
+  const definition = namedRoutes.get(name);
+
+  if (!definition) {
+    throw new Error(`Route "${name}" is not defined`);
+  }
+
+  const query = { ...params };
+
+  const path = definition.path.replace(/\/:(\w+)(\([^)]*\))?(\?)?/g, (match, key, pattern, optional) => {
+    const value = params[key];
+    delete query[key];
+
+    if (value === undefined || value === null) {
+      if (optional) {
+        return '';
+      }
+      throw new Error(`Missing parameter "${key}" for route "${name}"`);
+    }
+
+    return `/${encodeURIComponent(value)}`;
+  });
+
+  const url = joinPaths(definition.router.basePath, path);
+  const queryString = new URLSearchParams(query).toString();
+
+  return queryString ? `${url}?${queryString}` : url;
+};
+
+/**
+ * Check whether a named route exists
+ * @param {string} name
+ * @returns {boolean}
+ */
+const hasRoute = (name) => namedRoutes.has(name);
+
 module.exports = Router;
+module.exports.Router = Router;
+module.exports.route = route;
+module.exports.hasRoute = hasRoute;
+module.exports.METHODS = METHODS;
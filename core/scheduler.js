@@ -0,0 +1,325 @@
+// core/scheduler.js
+const logger = require('../utils/logger').forModule('scheduler');
+const { parseCron, nextRun, matches } = require('./cron');
+const { runWithContext } = require('./context');
+const { scheduledTasks } = require('./metrics');
+
+/**
+ * Task Scheduler
+ * Runs tasks on cron expressions, registered in code (usually in
+ * providers/schedule.js):
+ *
+ *   scheduler.task('reports:nightly', '0 2 * * *', async ({ container }) => {
+ *     await container.make('reportService').sendNightly();
+ *   });
+ *
+ *   scheduler.job('invoices:send', '0 9 1 * *', 'SendInvoices', { month: 'previous' });
+ *
+ * Every run of a task takes two locks:
+ *   - one for the scheduled minute, so each run happens once even when
+ *     several processes run the scheduler (cluster workers, servers)
+ *   - one while it runs, so a slow run is skipped rather than overlapped
+ *
+ * Tasks are shared across processes by default (onOneServer): their locks
+ * live in the shared store, Redis when config.schedule.lock is 'redis'.
+ * Tasks with onOneServer: false lock per host, e.g. to clean a local
+ * directory on every server.
+ *
+ * Every app has its own scheduler at app.scheduler, also bound in the
+ * container as 'scheduler'.
+ */
+
+// The lock for a scheduled minute only has to outlive the clock skew between processes
+const OCCURRENCE_TTL = 60 * 60 * 1000;
+
+class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - config.schedule
+   * @param {Container} options.container - Passed to task handlers
+   * @param {Object} options.locks - { local, shared } lock stores (see core/locks.js)
+   */
+  constructor({ config, container, locks }) {
+    this.config = config;
+    this.container = container;
+    this.locks = locks;
+    this.tasks = new Map();
+    this.runs = new Set();
+    this.timer = null;
+    this.started = false;
+  }
+
+  /**
+   * Register a task
+   * @param {string} name - Unique name, e.g. 'reports:nightly'
+   * @param {string} expression - Cron expression (see core/cron.js)
+   * @param {Function} handler - async ({ container, logger, name, scheduledAt }) => {}
+   * @param {Object} [options]
+   * @param {string} [options.timezone] - IANA time zone (defaults to config.schedule.timezone)
+   * @param {boolean} [options.onOneServer=true] - Run once across processes (false: once per host)
+   * @param {boolean} [options.withoutOverlapping=true] - Skip a run while the previous one is still running
+   * @param {number} [options.expiresAfter] - Time after which the overlap lock of a crashed run expires, in ms
+   * @param {string} [options.description] - Shown by schedule:list
+   * @returns {Scheduler}
+   * @throws {CronError|RangeError} When the expression or the time zone is invalid
+   */
+  task(name, expression, handler, options = {}) {
+    if (this.tasks.has(name)) {
+      throw new Error(`A scheduled task named "${name}" is already registered`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Scheduled task "${name}" needs a handler function`);
+    }
+
+    const task = {
+      name,
+      cron: parseCron(expression),
+      handler,
+      timezone: options.timezone || this.config.timezone,
+      onOneServer: options.onOneServer !== false,
+      withoutOverlapping: options.withoutOverlapping !== false,
+      expiresAfter: options.expiresAfter || this.config.lockTtl,
+      description: options.description || '',
+      running: false,
+      lastRun: null
+    };
+
+    // Fails early on expressions that never match and unknown time zones
+    task.nextRunAt = nextRun(task.cron, task.timezone);
+    this.tasks.set(name, task);
+
+    if (this.started) {
+      this.schedule();
+    }
+
+    return this;
+  }
+
+  /**
+   * Register a task that dispatches a job to the job queue
+   * @param {string} name
+   * @param {string} expression
+   * @param {Function|Object|string} job - Job class, object or registered name (see core/queue/)
+   * @param {Object} [payload={}]
+   * @param {Object} [options] - task() options, plus dispatch: dispatch() options
+   * @returns {Scheduler}
+   */
+  job(name, expression, job, payload = {}, options = {}) {
+    const { dispatch, ...taskOptions } = options;
+
+    return this.task(name, expression, async ({ container }) => {
+      await container.make('queue').dispatch(job, payload, dispatch);
+    }, {
+      description: `Dispatch ${typeof job === 'string' ? job : job.name}`,
+      ...taskOptions
+    });
+  }
+
+  /**
+   * Registered tasks with their next and last run
+   * @returns {Object[]}
+   */
+  list() {
+    return [...this.tasks.values()].map((task) => ({
+      name: task.name,
+      expression: task.cron.expression,
+      timezone: task.timezone,
+      description: task.description,
+      onOneServer: task.onOneServer,
+      withoutOverlapping: task.withoutOverlapping,
+      nextRunAt: task.nextRunAt,
+      running: task.running,
+      lastRun: task.lastRun
+    }));
+  }
+
+  /**
+   * Start running tasks when they are due
+   * @returns {Scheduler}
+   */
+  start() {
+    if (this.started) {
+      return this;
+    }
+
+    this.started = true;
+
+    const now = new Date();
+    this.tasks.forEach((task) => {
+      task.nextRunAt = nextRun(task.cron, task.timezone, now);
+    });
+
+    this.schedule();
+    logger.info(`Scheduler started with ${this.tasks.size} task(s)`);
+
+    return this;
+  }
+
+  /**
+   * Wake up at the next due task (at least once a minute, so clock changes are noticed)
+   * @private
+   */
+  schedule() {
+    clearTimeout(this.timer);
+
+    const next = Math.min(...[...this.tasks.values()].map((task) => task.nextRunAt.getTime()));
+    const delay = Math.max(0, Math.min(next - Date.now(), 60000));
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.runDue();
+      this.schedule();
+    }, delay);
+  }
+
+  /**
+   * Start every task that is due
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<Object[]>} Outcomes of the started runs
+   */
+  runDue(now = new Date()) {
+    const started = [];
+
+    this.tasks.forEach((task) => {
+      if (task.nextRunAt <= now) {
+        const scheduledAt = task.nextRunAt;
+        task.nextRunAt = nextRun(task.cron, task.timezone, now);
+        started.push(this.execute(task, scheduledAt));
+      }
+    });
+
+    return Promise.all(started);
+  }
+
+  /**
+   * Run the tasks scheduled for the current minute and wait for them
+   * For a system crontab calling `schedule:run --once` every minute.
+   * @param {Date} [date=new Date()]
+   * @returns {Promise<Object[]>} Outcomes
+   */
+  runMinute(date = new Date()) {
+    const minute = new Date(Math.floor(date.getTime() / 60000) * 60000);
+
+    return Promise.all([...this.tasks.values()]
+      .filter((task) => matches(task.cron, minute, task.timezone))
+      .map((task) => this.execute(task, minute)));
+  }
+
+  /**
+   * Run a task now, whatever its schedule (still skipped if it is running)
+   * @param {string} name
+   * @returns {Promise<Object>} Outcome: { name, status, duration, error }
+   */
+  run(name) {
+    const task = this.tasks.get(name);
+
+    if (!task) {
+      const available = [...this.tasks.keys()].sort().join(', ');
+      throw new Error(`No scheduled task named "${name}". Available tasks: ${available || 'none'}`);
+    }
+
+    return this.execute(task, new Date(), { once: false });
+  }
+
+  /**
+   * Run a task under its locks
+   * @param {Object} task
+   * @param {Date} scheduledAt
+   * @param {Object} [options]
+   * @param {boolean} [options.once=true] - Take the lock for the scheduled minute
+   * @returns {Promise<Object>} { name, status, duration, error }
+   * @private
+   */
+  execute(task, scheduledAt, { once = true } = {}) {
+    const run = this.attempt(task, scheduledAt, once).finally(() => this.runs.delete(run));
+    this.runs.add(run);
+    return run;
+  }
+
+  /**
+   * @private
+   */
+  async attempt(task, scheduledAt, once) {
+    const store = task.onOneServer ? this.locks.shared : this.locks.local;
+    const runningKey = `schedule:${task.name}:running`;
+    const outcome = { name: task.name, status: 'skipped', duration: 0 };
+
+    try {
+      if (once && !(await store.acquire(`schedule:${task.name}:${scheduledAt.getTime()}`, OCCURRENCE_TTL))) {
+        logger.debug(`Task ${task.name} already ran elsewhere for ${scheduledAt.toISOString()}`);
+        return outcome;
+      }
+
+      if (task.withoutOverlapping && !(await store.acquire(runningKey, task.expiresAfter))) {
+        logger.warn(`Task ${task.name} skipped: the previous run is still running`);
+        return outcome;
+      }
+    } catch (error) {
+      logger.error(`Task ${task.name} skipped: could not take its lock: ${error.message}`);
+      return { ...outcome, error };
+    }
+
+    const start = Date.now();
+    task.running = true;
+
+    try {
+      await runWithContext({ task: task.name }, () => task.handler({
+        container: this.container,
+        logger,
+        name: task.name,
+        scheduledAt
+      }));
+
+      outcome.status = 'completed';
+      logger.info(`Task ${task.name} completed in ${Date.now() - start}ms`);
+    } catch (error) {
+      outcome.status = 'failed';
+      outcome.error = error;
+      logger.error(`Task ${task.name} failed: ${error.message}`, { stack: error.stack });
+    } finally {
+      task.running = false;
+      outcome.duration = Date.now() - start;
+      task.lastRun = { at: new Date(start), status: outcome.status, duration: outcome.duration };
+      scheduledTasks.inc({ task: task.name, status: outcome.status });
+
+      if (task.withoutOverlapping) {
+        await store.release(runningKey).catch((error) => {
+          logger.error(`Could not release the lock of task ${task.name}: ${error.message}`);
+        });
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Stop scheduling and wait for running tasks
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.started) {
+      this.started = false;
+      logger.info('Scheduler stopped');
+    }
+
+    await Promise.all([...this.runs]);
+  }
+
+  /**
+   * Stop, then close the lock stores
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.stop();
+
+    const stores = new Set([this.locks.local, this.locks.shared]);
+    await Promise.all([...stores].map((store) => store.close()));
+  }
+}
+
+module.exports = {
+  Scheduler
+};
@@ -0,0 +1,200 @@
+// core/shutdown.js
+const logger = require('../utils/logger');
+
+/**
+ * Shutdown Helpers
+ * Connection tracking for draining the HTTP server, and a registry of
+ * shutdown tasks for module-level resources (queues, timers) that are
+ * created outside the app and would otherwise keep the process alive.
+ *
+ * Usage:
+ *   const { addShutdownTask } = require('../core/shutdown');
+ *
+ *   const timer = setInterval(poll, 60000);
+ *   addShutdownTask('poller', () => clearInterval(timer));
+ */
+
+const tasks = [];
+
+/**
+ * Register a task to run when the app stops
+ * Tasks run in reverse registration order and are removed once they ran.
+ * @param {string} name - Name used in the shutdown report
+ * @param {Function} task - Sync or async cleanup function
+ * @returns {Function} Unregisters the task
+ */
+const addShutdownTask = (name, task) => {
+  const entry = { name, task };
+  tasks.push(entry);
+
+  return () => {
+    const index = tasks.indexOf(entry);
+    if (index !== -1) {
+      tasks.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Await a promise, rejecting if it has not settled in time
+ * @param {Promise|*} promise
+ * @param {number} ms
+ * @param {string} label - Used in the timeout error message
+ * @returns {Promise<*>}
+ */
+const withTimeout = (promise, ms, label) => {
+  let timer = null;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} did not finish within ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run and clear every registered shutdown task
+ * A failing or hanging task is reported and does not stop the others.
+ * @param {number} timeout - Time allowed for each task in ms
+ * @returns {Promise<Array<{ name: string, status: string, error?: string }>>}
+ */
+const runShutdownTasks = async (timeout) => {
+  const pending = tasks.splice(0, tasks.length).reverse();
+  const results = [];
+
+  for (const { name, task } of pending) {
+    try {
+      await withTimeout(Promise.resolve().then(task), timeout, name);
+      results.push({ name, status: 'closed' });
+      logger.debug(`Shutdown task completed: ${name}`);
+    } catch (error) {
+      const status = error.code === 'ETIMEDOUT' ? 'timeout' : 'failed';
+      results.push({ name, status, error: error.message });
+      logger.error(`Shutdown task ${status}: ${name} - ${error.message}`);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Track the connections and in-flight requests of an HTTP server so it
+ * can be drained: new connections are refused, idle keep-alive sockets
+ * are closed, active requests get until the timeout to finish and the
+ * rest are destroyed.
+ * @param {http.Server} server
+ * @returns {{ drain: Function, stats: Function }}
+ */
+const trackConnections = (server) => {
+  // socket -> responses still in flight on it
+  const sockets = new Map();
+  let draining = false;
+
+  const track = (socket) => {
+    sockets.set(socket, new Set());
+    socket.once('close', () => sockets.delete(socket));
+  };
+
+  server.on('connection', track);
+  server.on('secureConnection', track);
+
+  server.on('request', (req, res) => {
+    const socket = req.socket;
+
+    if (!sockets.has(socket)) {
+      track(socket);
+    }
+
+    const responses = sockets.get(socket);
+    responses.add(res);
+
+    if (draining && !res.headersSent) {
+      res.setHeader('Connection', 'close');
+    }
+
+    const done = () => {
+      responses.delete(res);
+      if (draining && responses.size === 0 && !socket.destroyed) {
+        socket.end();
+      }
+    };
+
+    res.once('finish', done);
+    res.once('close', done);
+  });
+
+  /**
+   * Number of open connections and in-flight requests
+   * @returns {{ connections: number, requests: number }}
+   */
+  const stats = () => {
+    let requests = 0;
+    sockets.forEach((responses) => { requests += responses.size; });
+    return { connections: sockets.size, requests };
+  };
+
+  /**
+   * Stop accepting connections and wait for active requests
+   * @param {number} timeout - Time allowed for in-flight requests in ms
+   * @returns {Promise<Object>} { inFlight, forcedConnections, forcedRequests, duration }
+   */
+  const drain = (timeout) => new Promise((resolve) => {
+    const start = Date.now();
+    const { requests: inFlight } = stats();
+    let timer = null;
+    let settled = false;
+
+    const finish = (forced = { connections: 0, requests: 0 }) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({
+        inFlight,
+        forcedConnections: forced.connections,
+        forcedRequests: forced.requests,
+        duration: Date.now() - start
+      });
+    };
+
+    draining = true;
+
+    // Resolves once every connection has closed
+    server.close(() => finish());
+
+    sockets.forEach((responses, socket) => {
+      if (responses.size === 0) {
+        socket.destroy();
+        return;
+      }
+      // Ask clients not to reuse the connection once the response is sent
+      responses.forEach((res) => {
+        if (!res.headersSent) {
+          res.setHeader('Connection', 'close');
+        }
+      });
+    });
+
+    if (inFlight > 0) {
+      logger.info(`Waiting up to ${timeout}ms for ${inFlight} in-flight request(s)...`);
+    }
+
+    timer = setTimeout(() => {
+      const forced = stats();
+      sockets.forEach((responses, socket) => socket.destroy());
+      finish(forced);
+    }, timeout);
+  });
+
+  return { drain, stats };
+};
+
+module.exports = {
+  addShutdownTask,
+  runShutdownTasks,
+  trackConnections,
+  withTimeout
+};
@@ -0,0 +1,22 @@
+// listeners/SendWelcomeEmail.js
+
+/**
+ * SendWelcomeEmail
+ * Sends the welcome email when a user is created. Queued, so the request
+ * creating the user does not wait for the mail server.
+ */
+class SendWelcomeEmail {
+  static event = 'user.created';
+  static queued = true;
+  static inject = ['emailService'];
+
+  constructor({ emailService }) {
+    this.emailService = emailService;
+  }
+
+  async handle({ model: user }) {
+    await this.emailService.sendWelcomeEmail(user);
+  }
+}
+
+module.exports = SendWelcomeEmail;
@@ -0,0 +1,125 @@
+// middlewares/cache.js
+const crypto = require('crypto');
+const { getContext, getUserId } = require('../core/context');
+const logger = require('../utils/logger').forModule('cache');
+
+/**
+ * Response Cache Middleware
+ * Serves GET responses from app.cache (see core/cache/) for a while:
+ *
+ *   router.get('/', cacheResponse({ tags: ['user'] }), action(UserController, 'getAll'));
+ *
+ * Responses are keyed on the path, the query string (in any order) and
+ * the user, so users never see each other's responses. Put the middleware
+ * after authentication so the user is known.
+ *
+ * Only 200 responses with a string body (JSON, HTML, text) are stored,
+ * and not those setting cookies. The X-Cache header says HIT or MISS.
+ * ETag and Last-Modified are stored with the body, so conditional
+ * requests work the same on hits (see core/conditional.js).
+ *
+ * Tag responses with the models they show: with
+ * config.cache.invalidateOnModelEvents, creating, updating or deleting a
+ * User flushes the 'user' tag. Bulk writes emit no model events, flush
+ * the tag yourself after them.
+ *
+ * A cache that fails is logged and the route runs as if uncached.
+ */
+
+// Response headers stored with the body
+const STORED_HEADERS = ['ETag', 'Last-Modified'];
+
+/**
+ * Cache key of a request
+ * @param {Request} req
+ * @param {boolean} perUser
+ * @returns {string}
+ */
+const responseKey = (req, perUser) => {
+  const [pathname, search = ''] = req.originalUrl.split('?');
+  const query = new URLSearchParams(search);
+  query.sort();
+
+  const context = getContext() || {};
+  const parts = [pathname, query.toString(), perUser ? getUserId(req) || 'guest' : '*', context.tenantId || ''];
+
+  return `response:${crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex')}`;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.ttl=config.cache.responses.ttl] - ms
+ * @param {string[]|Function} [options.tags] - Tags, or (req) => tags
+ * @param {boolean} [options.perUser=true] - false shares responses between users (public data only)
+ * @param {Function} [options.key] - (req) => key, replaces the default key
+ * @returns {Function} Express middleware
+ */
+const cacheResponse = (options = {}) => {
+  const middleware = async (req, res, next) => {
+    const cache = req.app.cache;
+    const config = req.app.locals.config && req.app.locals.config.cache;
+
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || !cache || (config && !config.responses.enabled)) {
+      return next();
+    }
+
+    const ttl = options.ttl !== undefined ? options.ttl : config.responses.ttl;
+    const tags = typeof options.tags === 'function' ? options.tags(req) : options.tags || [];
+    const baseKey = options.key ? `response:${options.key(req)}` : responseKey(req, options.perUser !== false);
+
+    let key;
+    let cached;
+
+    try {
+      // Resolved once: a tag flushed while the route runs (e.g. by an update
+      // in another request) orphans the response stored below instead of
+      // letting it serve the stale body under the new tag versions
+      key = tags.length > 0 ? await cache.tags(tags).key(baseKey) : baseKey;
+      cached = await cache.get(key);
+    } catch (error) {
+      logger.warn(`Response cache lookup failed: ${error.message}`);
+      return next();
+    }
+
+    if (cached) {
+      res.set('X-Cache', 'HIT');
+      if (cached.type) {
+        res.type(cached.type);
+      }
+      res.set(cached.headers || {});
+      return res.status(cached.status).send(cached.body);
+    }
+
+    res.set('X-Cache', 'MISS');
+
+    const send = res.send;
+    res.send = function(body) {
+      res.send = send;
+
+      if (res.statusCode === 200 && typeof body === 'string' && !res.get('Set-Cookie')) {
+        const headers = {};
+        STORED_HEADERS.forEach((name) => {
+          if (res.get(name)) {
+            headers[name] = res.get(name);
+          }
+        });
+
+        cache.set(key, { status: res.statusCode, type: res.get('Content-Type'), headers, body }, ttl).catch((error) => {
+          logger.warn(`Response cache write failed: ${error.message}`);
+        });
+      }
+
+      return send.call(this, body);
+    };
+
+    next();
+  };
+
+  Object.defineProperty(middleware, 'name', { value: 'cacheResponse' });
+  return middleware;
+};
+
+module.exports = {
+  cacheResponse,
+  responseKey
+};
@@ -1,7 +1,10 @@
 // middlewares/email-queue.js
 const Bull = require('bull');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('email');
 const emailConfig = require('../config/email');
+const { emailJobs } = require('../core/metrics');
+const { addShutdownTask } = require('../core/shutdown');
+const { runWithContext, getPropagatedContext } = require('../core/context');
 
 /**
  * Email Queue System
@@ -35,8 +38,9 @@ function initializeQueue() {
       }
     });
 
-    // Process email jobs
-    emailQueue.process(async (job) => {
+    // Process email jobs in the context of the request that queued them,
+    // so their log lines carry the same request id
+    emailQueue.process((job) => runWithContext({ ...job.data.context, jobId: job.id }, async () => {
       const { type, data } = job.data;
       const EmailService = require('../services/EmailService');
 
@@ -71,14 +75,16 @@ function initializeQueue() {
         logger.error(`Email job failed: ${type}`, { jobId: job.id, error: error.message });
         throw error;
       }
-    });
+    }));
 
     // Queue event handlers
     emailQueue.on('completed', (job, result) => {
+      emailJobs.inc({ type: job.data.type, status: 'completed' });
       logger.debug(`Email job ${job.id} completed`, { result });
     });
 
     emailQueue.on('failed', (job, error) => {
+      emailJobs.inc({ type: job.data.type, status: 'failed' });
       logger.error(`Email job ${job.id} failed`, { 
         error: error.message,
         attempts: job.attemptsMade,
@@ -97,6 +103,9 @@ function initializeQueue() {
     isInitialized = true;
     logger.info('Email queue initialized successfully');
 
+    // Let active jobs finish and close the Redis connections on app.stop()
+    addShutdownTask('email queue', closeQueue);
+
     return emailQueue;
   } catch (error) {
     logger.error('Failed to initialize email queue:', error);
@@ -133,7 +142,7 @@ async function queueEmail(type, data, options = {}) {
 
   try {
     const job = await queue.add(
-      { type, data },
+      { type, data, context: getPropagatedContext() },
       {
         priority: options.priority || 10,
         delay: options.delay || 0,
@@ -1,26 +1,74 @@
 // middlewares/errorHandler.js
+const { translateError } = require('../core/errors');
+const { PROBLEM_CONTENT_TYPE, toProblem } = require('../core/problem');
+const { renderErrorPage, wantsHtml } = require('../core/errorPages');
+const appConfig = require('../config/app');
 const logger = require('../utils/logger');
 
+/**
+ * Error Handler
+ * The application's single error handler, mounted last by createApp().
+ * Translates the error (see core/errors.js), logs it and responds in the
+ * format the client asked for with its Accept header:
+ *
+ *   - API clients get application/problem+json (RFC 7807, see core/problem.js):
+ *       { type: 'about:blank', title: 'Conflict', status: 409,
+ *         detail: 'A record with this email already exists',
+ *         instance: '/api/users', code: 'UNIQUE_CONSTRAINT', errors: [...] }
+ *   - Browsers get the HTML page from templates/errors/ (see core/errorPages.js)
+ *
+ * Server errors are logged with their stack and request data (secrets are
+ * masked by the logger); their message is only sent outside production.
+ */
+
 module.exports = (err, req, res, next) => {
-  // Log the error
-  logger.error({
-    message: err.message,
-    stack: err.stack,
-    path: req.path,
-    method: req.method,
-    body: req.body,
-    params: req.params,
-    query: req.query
-  });
-
-  // Determine the response status code
-  const statusCode = err.statusCode || 500;
-  const message = statusCode === 500 ? 'Internal Server Error' : err.message;
-
-  // Send error response
-  res.status(statusCode).json({
-    success: false,
-    error: message,
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-};
\ No newline at end of file
+  // Loaded config (with config/env overrides) when mounted by createApp()
+  const { app: config } = req.app.locals.config || { app: appConfig };
+  const error = translateError(err);
+  const original = error.cause || err;
+  const isDevelopment = process.env.NODE_ENV !== 'production';
+
+  if (error.status >= 500) {
+    logger.error({
+      message: original.message,
+      stack: original.stack,
+      code: error.code,
+      path: req.path,
+      method: req.method,
+      body: req.body,
+      params: req.params,
+      query: req.query
+    });
+  } else {
+    logger.warn(`${error.status} ${error.code}: ${error.message}`, {
+      path: req.path,
+      method: req.method,
+      ...(error.details && { details: error.details })
+    });
+  }
+
+  // Too late to send an error response; let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (error.headers) {
+    res.set(error.headers);
+  }
+
+  const message = error.expose || isDevelopment ? logger.redact(error.message) : 'Internal Server Error';
+
+  res.status(error.status);
+
+  if (wantsHtml(req)) {
+    return renderErrorPage(req, res, error, { message, original, development: isDevelopment });
+  }
+
+  res.type(PROBLEM_CONTENT_TYPE).json(toProblem(error, {
+    detail: message,
+    instance: logger.redact(req.originalUrl),
+    requestId: req.id,
+    typeBaseUrl: config.errorTypeBaseUrl,
+    stack: isDevelopment && error.status >= 500 ? logger.redact(original.stack) : undefined
+  }));
+};
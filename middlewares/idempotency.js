@@ -0,0 +1,226 @@
+// middlewares/idempotency.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { getContext, getUserId } = require('../core/context');
+const { HttpError, BadRequestError, ConflictError } = require('../core/errors');
+const logger = require('../utils/logger').forModule('idempotency');
+
+/**
+ * Idempotency Middleware
+ * Lets clients retry POST, PUT, PATCH and DELETE requests safely. A
+ * request sent with an Idempotency-Key header runs once; retries with the
+ * same key get the first response again (with Idempotent-Replayed: true)
+ * instead of creating a second record:
+ *
+ *   router.post('/', validate(schema), idempotent(), action(OrderController, 'create'));
+ *
+ * Keys are scoped to the user, the method and the path, so two users (or
+ * two routes) never share a key. Put the middleware after authentication,
+ * validation and file uploads (multer): a retry must send the same body,
+ * query and files, or it is rejected with a 422. A retry arriving while
+ * the first request still runs gets a 409 with Retry-After.
+ *
+ * Responses below 500 are stored for config.idempotency.ttl, with the body
+ * as written (res.json(), res.end(buffer) or a piped stream). A 5xx, or a
+ * client that disconnects first, frees the key so the next retry runs
+ * again. Files uploaded by a replayed or rejected request are deleted.
+ *
+ * Requests without the header run as usual unless `required` is set. A
+ * store that fails is logged and the request runs without the guarantee.
+ */
+
+const HEADER = 'Idempotency-Key';
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Printable ASCII, e.g. a UUID generated by the client
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Response headers replayed with the body
+const STORED_HEADERS = ['Content-Type', 'Location', 'ETag', 'Last-Modified'];
+
+/**
+ * @param {*} value
+ * @returns {string} sha256 of its JSON
+ */
+const hash = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+/**
+ * Files multer stored for a request
+ * @param {Request} req
+ * @returns {Object[]}
+ */
+const uploadedFiles = (req) => {
+  const files = req.files ? [].concat(...Object.values(req.files)) : [];
+  return req.file ? [req.file, ...files] : files;
+};
+
+/**
+ * Delete the files of a request that won't run
+ * @param {Request} req
+ */
+const discardFiles = async (req) => {
+  await Promise.all(uploadedFiles(req)
+    .filter((file) => file.path)
+    .map((file) => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+/**
+ * Store key of a request: the idempotency key, user, method, path and tenant
+ * @param {Request} req
+ * @param {string} key - Idempotency-Key header
+ * @returns {string}
+ */
+const idempotencyKey = (req, key) => {
+  const context = getContext() || {};
+  return hash([key, getUserId(req) || 'guest', req.method, req.originalUrl.split('?')[0], context.tenantId || '']);
+};
+
+/**
+ * Hash of what a retry must send again: query, body and uploaded files
+ * @param {Request} req
+ * @returns {string}
+ */
+const requestFingerprint = (req) => hash([
+  req.query,
+  req.body === undefined ? null : req.body,
+  uploadedFiles(req).map(({ fieldname, originalname, mimetype, size }) => [fieldname, originalname, mimetype, size])
+]);
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - Reject requests without the header with a 400
+ * @param {number} [options.ttl=config.idempotency.ttl] - Time the response is replayed, in ms
+ * @returns {Function} Express middleware
+ */
+const idempotent = (options = {}) => {
+  const middleware = async (req, res, next) => {
+    const store = req.app.idempotency;
+    const config = req.app.locals.config && req.app.locals.config.idempotency;
+
+    if (!UNSAFE_METHODS.includes(req.method) || !store || (config && !config.enabled)) {
+      return next();
+    }
+
+    const header = req.get(HEADER);
+
+    if (header === undefined) {
+      if (options.required) {
+        await discardFiles(req);
+        return next(new BadRequestError(`The ${HEADER} header is required`, { code: 'IDEMPOTENCY_KEY_REQUIRED' }));
+      }
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(header)) {
+      await discardFiles(req);
+      return next(new BadRequestError(`The ${HEADER} header must be 1 to 255 printable characters`, { code: 'IDEMPOTENCY_KEY_INVALID' }));
+    }
+
+    const key = idempotencyKey(req, header);
+    const fingerprint = requestFingerprint(req);
+    let existing;
+
+    try {
+      existing = await store.begin(key, fingerprint);
+    } catch (error) {
+      logger.warn(`Idempotency key lookup failed: ${error.message}`);
+      return next();
+    }
+
+    if (existing) {
+      await discardFiles(req);
+
+      if (existing.fingerprint !== fingerprint) {
+        return next(new HttpError(422, `This ${HEADER} was already used with a different request`, { code: 'IDEMPOTENCY_KEY_REUSED' }));
+      }
+
+      if (existing.state !== 'completed') {
+        return next(new ConflictError(`A request with this ${HEADER} is still being processed`, {
+          code: 'IDEMPOTENCY_KEY_IN_USE',
+          headers: { 'Retry-After': '1' }
+        }));
+      }
+
+      const { status, headers, body, encoding } = existing.response;
+      logger.debug(`Replaying ${status} response to ${req.method} ${req.originalUrl}`);
+
+      res.set(headers);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(status).send(encoding === 'base64' ? Buffer.from(body, 'base64') : body);
+    }
+
+    // Record the body as it is written, so res.send(), res.json(), res.end()
+    // and streams piped into res are all replayed byte for byte
+    const chunks = [];
+    let binary = false;
+    const capture = (chunk, encoding) => {
+      if (typeof chunk === 'string') {
+        chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+      } else if (chunk) {
+        binary = true;
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }
+    };
+
+    const write = res.write;
+    const end = res.end;
+    res.write = function(chunk, encoding) {
+      capture(chunk, encoding);
+      return write.apply(this, arguments);
+    };
+    res.end = function(chunk, encoding) {
+      if (typeof chunk !== 'function') {
+        capture(chunk, encoding);
+      }
+      return end.apply(this, arguments);
+    };
+
+    let settled = false;
+    const settle = (write) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      write().catch((error) => logger.warn(`Idempotency key write failed: ${error.message}`));
+    };
+
+    res.on('finish', () => settle(() => {
+      if (res.statusCode >= 500) {
+        return store.release(key);
+      }
+
+      const headers = {};
+      STORED_HEADERS.forEach((name) => {
+        if (res.get(name)) {
+          headers[name] = res.get(name);
+        }
+      });
+
+      const body = Buffer.concat(chunks);
+      const response = binary
+        ? { status: res.statusCode, headers, body: body.toString('base64'), encoding: 'base64' }
+        : { status: res.statusCode, headers, body: body.toString('utf8') };
+
+      return store.complete(key, response, options.ttl);
+    }));
+
+    // The client went away before the response was sent
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        settle(() => store.release(key));
+      }
+    });
+
+    next();
+  };
+
+  Object.defineProperty(middleware, 'name', { value: 'idempotent' });
+  return middleware;
+};
+
+module.exports = {
+  idempotent,
+  idempotencyKey,
+  requestFingerprint
+};
@@ -0,0 +1,104 @@
+// middlewares/maintenance.js
+const { ServiceUnavailableError } = require('../core/errors');
+const { BYPASS_COOKIE } = require('../core/maintenance');
+const { PROBLEM_CONTENT_TYPE, toProblem } = require('../core/problem');
+const { renderErrorPage, wantsHtml } = require('../core/errorPages');
+const logger = require('../utils/logger');
+
+/**
+ * Maintenance Middleware
+ * While the app is down (`npm run cli -- down`, see core/maintenance.js),
+ * answers every request with a 503 and Retry-After: the maintenance page
+ * (templates/errors/503.ejs) for browsers, problem+json with the code
+ * MAINTENANCE for API clients.
+ *
+ * Allowed IPs go through. Visiting /<secret> sets a cookie that lets the
+ * browser through until it expires, then redirects to /.
+ *
+ * Mounted by applyMiddleware() (core/middleware.js) right after the
+ * security middleware, so CORS headers are still sent. Health, metrics and
+ * static files are served before it and stay reachable.
+ *
+ * The response is sent here rather than by the error handler, so a busy
+ * app in maintenance doesn't log every request as a server error.
+ */
+
+/**
+ * Read a cookie from the Cookie header
+ * @param {Request} req
+ * @param {string} name
+ * @returns {string|undefined} undefined when missing or malformed
+ */
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+
+  for (const cookie of cookies) {
+    const index = cookie.indexOf('=');
+    if (index > 0 && cookie.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(cookie.slice(index + 1).trim());
+      } catch (error) {
+        // Bad percent-encoding (%E0%A4%A): no valid cookie
+        return undefined;
+      }
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * @param {MaintenanceMode} maintenance - app.maintenance
+ * @returns {Function} Express middleware
+ */
+const maintenanceMode = (maintenance) => async function maintenanceMode(req, res, next) {
+  let state;
+
+  try {
+    state = await maintenance.read();
+  } catch (error) {
+    logger.forModule('maintenance').error(`Could not read the maintenance file: ${error.message}`);
+    return next();
+  }
+
+  try {
+    if (!state || maintenance.allows(req.ip)) {
+      return next();
+    }
+
+    if (req.method === 'GET' && maintenance.matchesSecret(state, req.path.slice(1))) {
+      const token = maintenance.createBypassToken(state);
+
+      res.cookie(BYPASS_COOKIE, token.value, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: token.maxAge });
+      return res.redirect('/');
+    }
+
+    if (maintenance.verifyBypassToken(state, readCookie(req, BYPASS_COOKIE))) {
+      return next();
+    }
+
+    const error = new ServiceUnavailableError(state.message, { code: 'MAINTENANCE' });
+
+    res.set({ 'Retry-After': String(state.retryAfter), 'Cache-Control': 'no-store' });
+    res.status(503);
+
+    if (wantsHtml(req)) {
+      return renderErrorPage(req, res, error, { message: state.message, development: false });
+    }
+
+    const { app: config } = req.app.locals.config || { app: {} };
+
+    res.type(PROBLEM_CONTENT_TYPE).json(toProblem(error, {
+      detail: state.message,
+      instance: logger.redact(req.originalUrl),
+      requestId: req.id,
+      typeBaseUrl: config.errorTypeBaseUrl
+    }));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  maintenanceMode
+};
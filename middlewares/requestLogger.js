@@ -1,8 +1,93 @@
 // middlewares/requestLogger.js
-const morgan = require('morgan');
-const logger = require('../utils/logger');
+const { getContext } = require('../core/context');
+const { getRouteLabel } = require('../core/metrics');
+const logger = require('../utils/logger').forModule('http');
 
-module.exports = morgan(
-  ':method :url :status :res[content-length] - :response-time ms',
-  { stream: logger.stream }
-);
\ No newline at end of file
+/**
+ * HTTP Access Log
+ * Writes one 'http' module entry per request once the response is sent
+ * (or the client disconnects), with the route pattern, status, response
+ * size, latency and user:
+ *
+ *   [info] [http] [req=5b8e... user=42]: GET /users/:id 200 512b 12ms
+ *
+ * Entries also go to logs/access.log unless LOG_ACCESS_FILE=false.
+ */
+
+/**
+ * Count the response body bytes written, including streamed responses
+ * without a Content-Length header
+ * @param {Response} res
+ * @returns {Function} Returns the bytes written so far
+ */
+const countBytes = (res) => {
+  const { write, end } = res;
+  let bytes = 0;
+
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+    }
+  };
+
+  res.write = function(chunk, encoding, ...args) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...args);
+  };
+
+  res.end = function(chunk, encoding, ...args) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...args);
+  };
+
+  return () => bytes;
+};
+
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const getBytes = countBytes(res);
+  let logged = false;
+
+  const log = () => {
+    if (logged) return;
+    logged = true;
+
+    const duration = Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+    const route = getRouteLabel(req);
+    const path = req.originalUrl.split('?')[0];
+    const aborted = !res.writableFinished;
+    const status = res.statusCode;
+    const bytes = getBytes();
+    const entry = {
+      method: req.method,
+      route,
+      path,
+      status,
+      bytes,
+      duration,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    // Auth middleware that doesn't call setContext() still sets req.user
+    const context = getContext() || {};
+    if (context.userId === undefined && req.user) {
+      entry.userId = req.user.userId !== undefined ? req.user.userId : req.user.id;
+    }
+
+    if (aborted) {
+      entry.aborted = true;
+    }
+
+    const level = status >= 500 ? 'warn' : 'info';
+    const target = route === 'unmatched' ? path : route;
+
+    logger.log(level, `${req.method} ${target} ${status} ${bytes}b ${duration}ms${aborted ? ' (aborted)' : ''}`, entry);
+  };
+
+  res.on('finish', log);
+  res.on('close', log);
+  next();
+};
+
+module.exports = requestLogger;
@@ -5,7 +5,7 @@ const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const hpp = require('hpp');
 const cors = require('cors');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('security');
 
 /**
  * Security Middleware Configuration
@@ -39,6 +39,8 @@ const configureCORS = () => {
     },
     methods: process.env.CORS_METHODS || 'GET,HEAD,PUT,PATCH,POST,DELETE',
     credentials: process.env.CORS_CREDENTIALS === 'true',
+    // Readable by browser clients (pagination, request tracing, validators and replays)
+    exposedHeaders: ['Link', 'X-Total-Count', 'X-Request-ID', 'ETag', 'Last-Modified', 'Idempotent-Replayed'],
     optionsSuccessStatus: 200,
     maxAge: 86400 // 24 hours
   };
@@ -3,7 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const uploadConfig = require('../config/upload');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('upload');
 const { validateFilename, sanitizeFilename } = require('../utils/file-validator');
 
 /**
@@ -421,9 +421,10 @@ const logUploadRequest = (req, res, next) => {
 
 /**
  * Temporary file cleanup utility
- * Call this periodically to remove old temp files
+ * Run hourly by the upload:clean-temp task (providers/schedule.js)
+ * @param {number} [maxAge] - Age in ms after which temp files are deleted
  */
-const cleanupTempFiles = async (maxAge = uploadConfig.temp.cleanupInterval || 3600000) => {
+const cleanupTempFiles = async (maxAge = uploadConfig.temp.maxAge || 3600000) => {
   const tempDir = path.resolve(process.cwd(), uploadConfig.temp.dir);
   
   try {
@@ -462,11 +463,52 @@ const cleanupTempFiles = async (maxAge = uploadConfig.temp.cleanupInterval || 36
   }
 };
 
-// Schedule periodic cleanup
-if (uploadConfig.temp.cleanupInterval) {
-  setInterval(cleanupTempFiles, uploadConfig.temp.cleanupInterval);
-  logger.debug('Scheduled temp file cleanup');
-}
+/**
+ * Delete stored uploads older than config.upload.cleanup.maxAge days
+ * Local storage only. Run daily by the upload:clean-old task when
+ * UPLOAD_CLEANUP_ENABLED=true (providers/schedule.js).
+ * @param {number} [maxAgeDays]
+ * @returns {Promise<number>} Number of files deleted
+ */
+const cleanupOldUploads = async (maxAgeDays = uploadConfig.cleanup.maxAge) => {
+  if (uploadConfig.provider !== 'local') {
+    logger.warn(`Old upload cleanup only supports local storage, skipping (${uploadConfig.provider})`);
+    return 0;
+  }
+
+  const uploadDir = path.resolve(process.cwd(), uploadConfig.local.uploadDir);
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  let cleaned = 0;
+
+  const sweep = async (dir) => {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+
+      try {
+        if (entry.isDirectory()) {
+          await sweep(entryPath);
+        } else if (entry.name !== '.gitkeep' && (await fs.promises.stat(entryPath)).mtimeMs < cutoff) {
+          await fs.promises.unlink(entryPath);
+          cleaned++;
+        }
+      } catch (error) {
+        logger.error('Error cleaning up upload:', { file: entryPath, error: error.message });
+      }
+    }
+  };
+
+  if (fs.existsSync(uploadDir)) {
+    await sweep(uploadDir);
+  }
+
+  if (cleaned > 0) {
+    logger.info(`Deleted ${cleaned} upload(s) older than ${maxAgeDays} day(s)`);
+  }
+
+  return cleaned;
+};
 
 /**
  * Export upload configurations and utilities
@@ -485,6 +527,7 @@ module.exports = {
   // Utilities
   logUploadRequest,
   cleanupTempFiles,
+  cleanupOldUploads,
   initializeDirectories,
   
   // Legacy export for backward compatibility
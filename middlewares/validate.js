@@ -1,26 +1,49 @@
 // middlewares/validate.js
 const Joi = require('joi');
+const { BadRequestError, ValidationError } = require('../core/errors');
 const logger = require('../utils/logger');
 
+/**
+ * Give a generated middleware a readable name (shown by `routes:list`)
+ * @param {Function} middleware
+ * @param {string} name
+ * @returns {Function}
+ */
+const nameMiddleware = (middleware, name) => {
+  Object.defineProperty(middleware, 'name', { value: name });
+  return middleware;
+};
+
+/**
+ * Attach the schemas a middleware validates, so the OpenAPI generator
+ * (core/openapi.js) can document the route's parameters and body
+ * @param {Function} middleware
+ * @param {Object} schemas - { body, query, params, headers }
+ * @returns {Function}
+ */
+const withSchemas = (middleware, schemas) => {
+  middleware.schemas = schemas;
+  return middleware;
+};
+
 /**
  * Validation Middleware Factory
- * Creates middleware that validates request data against a Joi schema
- * 
+ * Creates middleware that validates request data against a Joi schema.
+ * Invalid requests are passed on as a ValidationError, which the error
+ * handler sends as a 400 problem response listing the invalid fields.
+ *
  * @param {Joi.Schema} schema - Joi validation schema
  * @param {string} source - Where to validate ('body', 'query', 'params', 'headers')
  * @returns {Function} Express middleware function
  */
 const validate = (schema, source = 'body') => {
-  return (req, res, next) => {
+  return withSchemas(nameMiddleware((req, res, next) => {
     // Get the data to validate based on source
     const dataToValidate = req[source];
 
     if (!dataToValidate) {
       logger.warn(`Validation attempted on undefined req.${source}`);
-      return res.status(400).json({
-        success: false,
-        message: `No ${source} data provided for validation`
-      });
+      return next(new BadRequestError(`No ${source} data provided for validation`));
     }
 
     // Validate the data
@@ -37,25 +60,14 @@ const validate = (schema, source = 'body') => {
         type: detail.type
       }));
 
-      logger.warn('Validation failed:', {
-        source,
-        errors,
-        path: req.path,
-        method: req.method
-      });
-
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors
-      });
+      return next(new ValidationError('Validation error', errors));
     }
 
     // Replace request data with validated and sanitized data
     req[source] = value;
     
     next();
-  };
+  }, `validate(${source})`), { [source]: schema });
 };
 
 /**
@@ -64,7 +76,7 @@ const validate = (schema, source = 'body') => {
  * @returns {Function} Express middleware function
  */
 const validateMultiple = (schemas) => {
-  return (req, res, next) => {
+  return withSchemas(nameMiddleware((req, res, next) => {
     const errors = [];
 
     // Validate each source
@@ -90,21 +102,11 @@ const validateMultiple = (schemas) => {
     }
 
     if (errors.length > 0) {
-      logger.warn('Multi-source validation failed:', {
-        errors,
-        path: req.path,
-        method: req.method
-      });
-
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors
-      });
+      return next(new ValidationError('Validation error', errors));
     }
 
     next();
-  };
+  }, `validate(${Object.keys(schemas).join(',')})`), schemas);
 };
 
 /**
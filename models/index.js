@@ -1,25 +1,28 @@
 // models/index.js
 const { activeORM } = require('../config/orm');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('database');
 
 /**
  * Initialize models based on active ORM
  * @param {Object} dbInstance - Database instance (Sequelize/Mongoose/Prisma)
+ * @param {Object} [options]
+ * @param {EventBus} [options.events] - Bus receiving model lifecycle events
+ *   (user.created, user.updated, user.deleted), see core/modelEvents.js
  * @returns {Object} Object containing all loaded models
  */
-function initializeModels(dbInstance) {
+function initializeModels(dbInstance, options = {}) {
   try {
     logger.info(`Initializing models for ${activeORM.toUpperCase()}...`);
 
     switch (activeORM) {
       case 'sequelize':
-        return initializeSequelizeModels(dbInstance);
+        return initializeSequelizeModels(dbInstance, options);
       
       case 'mongoose':
-        return initializeMongooseModels(dbInstance);
+        return initializeMongooseModels(dbInstance, options);
       
       case 'prisma':
-        return initializePrismaModels(dbInstance);
+        return initializePrismaModels(dbInstance, options);
       
       default:
         throw new Error(`Unsupported ORM: ${activeORM}`);
@@ -33,9 +36,11 @@ function initializeModels(dbInstance) {
 /**
  * Initialize Sequelize models
  * @param {Sequelize} sequelize 
+ * @param {Object} options
+ * @param {EventBus} [options.events]
  * @returns {Object}
  */
-function initializeSequelizeModels(sequelize) {
+function initializeSequelizeModels(sequelize, { events } = {}) {
   const fs = require('fs');
   const path = require('path');
   const { Sequelize } = require('sequelize');
@@ -87,6 +92,11 @@ function initializeSequelizeModels(sequelize) {
     }
   });
 
+  if (events) {
+    const { attachSequelizeEvents } = require('../core/modelEvents');
+    attachSequelizeEvents(models, events);
+  }
+
   logger.info(`Successfully loaded ${Object.keys(models).length} Sequelize model(s)`);
   
   // Attach sequelize instance and Sequelize class
@@ -99,21 +109,23 @@ function initializeSequelizeModels(sequelize) {
 /**
  * Initialize Mongoose models
  * @param {mongoose} mongooseInstance 
+ * @param {Object} options
  * @returns {Object}
  */
-function initializeMongooseModels(mongooseInstance) {
+function initializeMongooseModels(mongooseInstance, options) {
   const mongooseLoader = require('./mongoose-loader');
-  return mongooseLoader(mongooseInstance);
+  return mongooseLoader(mongooseInstance, options);
 }
 
 /**
  * Initialize Prisma models
  * @param {PrismaClient} prismaInstance 
+ * @param {Object} options
  * @returns {Object}
  */
-function initializePrismaModels(prismaInstance) {
+function initializePrismaModels(prismaInstance, options) {
   const prismaLoader = require('./prisma-loader');
-  return prismaLoader(prismaInstance);
+  return prismaLoader(prismaInstance, options);
 }
 
 module.exports = initializeModels;
\ No newline at end of file
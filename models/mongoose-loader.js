@@ -2,18 +2,27 @@
 const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('database');
 
 /**
  * Initialize and load all Mongoose models
  * @param {mongoose} mongooseInstance - Mongoose instance
+ * @param {Object} [options]
+ * @param {EventBus} [options.events] - Bus receiving model lifecycle events
  * @returns {object} Object containing all loaded models
  */
-function initializeMongooseModels(mongooseInstance) {
+function initializeMongooseModels(mongooseInstance, { events } = {}) {
   const models = {};
   const modelsPath = __dirname;
   
   try {
+    // Global plugins only apply to schemas compiled after this point,
+    // so the hooks are added before the model files are loaded
+    if (events) {
+      const { mongooseEventsPlugin } = require('../core/modelEvents');
+      mongooseInstance.plugin(mongooseEventsPlugin(events));
+    }
+
     // Check if models directory exists
     if (!fs.existsSync(modelsPath)) {
       logger.warn(`Models directory does not exist: ${modelsPath}`);
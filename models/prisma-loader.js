@@ -1,15 +1,25 @@
 // models/prisma-loader.js
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('database');
 
 /**
  * Initialize and load Prisma client
  * @param {PrismaClient} prismaInstance - Prisma client instance
+ * @param {Object} [options]
+ * @param {EventBus} [options.events] - Bus receiving model lifecycle events
  * @returns {object} Object containing Prisma client and models
  */
-function initializePrismaModels(prismaInstance) {
+function initializePrismaModels(prismaInstance, { events } = {}) {
   try {
     logger.info('Initializing Prisma models...');
 
+    // Models come from an extended client so their writes emit events;
+    // model names are still read from prismaInstance, which owns the connection
+    let client = prismaInstance;
+    if (events) {
+      const { extendPrismaClient } = require('../core/modelEvents');
+      client = extendPrismaClient(prismaInstance, events);
+    }
+
     // Prisma doesn't use separate model files like Sequelize/Mongoose
     // The models are defined in prisma/schema.prisma and accessed via the client
     
@@ -17,7 +27,7 @@ function initializePrismaModels(prismaInstance) {
     const models = {
       // The Prisma client itself provides access to all models
       // Example: prismaInstance.user, prismaInstance.post, etc.
-      prisma: prismaInstance,
+      prisma: client,
       
       // Helper method to get all available models
       getModels: () => {
@@ -47,7 +57,7 @@ function initializePrismaModels(prismaInstance) {
       getModel: (modelName) => {
         const lowerModelName = modelName.toLowerCase();
         if (lowerModelName in prismaInstance) {
-          return prismaInstance[lowerModelName];
+          return client[lowerModelName];
         }
         throw new Error(`Model "${modelName}" not found in Prisma schema`);
       }
@@ -64,7 +74,7 @@ function initializePrismaModels(prismaInstance) {
       ) {
         // Capitalize first letter for consistency with Sequelize/Mongoose
         const modelName = key.charAt(0).toUpperCase() + key.slice(1);
-        models[modelName] = prismaInstance[key];
+        models[modelName] = client[key];
         logger.debug(`Loaded Prisma model: ${modelName}`);
       }
     }
@@ -0,0 +1,56 @@
+// providers/schedule.js
+
+/**
+ * Scheduled Tasks
+ * Registers the app's cron tasks. They run inside the app process, or in
+ * a separate `schedule:run` process when SCHEDULE_IN_PROCESS=false.
+ *
+ *   scheduler.task('reports:nightly', '0 2 * * *', async ({ container }) => {
+ *     await container.make('reportService').sendNightly();
+ *   });
+ *
+ *   scheduler.job('invoices:send', '0 9 1 * *', 'SendInvoices');
+ *
+ * List them with `npm run cli -- schedule:list`. See docs/SCHEDULER_GUIDE.md.
+ */
+module.exports = {
+  name: 'schedule',
+
+  register({ scheduler, container }) {
+    const config = container.make('config');
+
+    // Every server cleans its own temp directory
+    scheduler.task('upload:clean-temp', '0 * * * *', () => require('../middlewares/upload').cleanupTempFiles(), {
+      description: 'Delete temporary upload files older than UPLOAD_TEMP_MAX_AGE',
+      onOneServer: false
+    });
+
+    if (config.upload.cleanup.enabled) {
+      scheduler.task('upload:clean-old', '30 3 * * *', () => require('../middlewares/upload').cleanupOldUploads(), {
+        description: 'Delete uploads older than UPLOAD_CLEANUP_MAX_AGE days'
+      });
+    }
+
+    // The other drivers drop expired entries themselves
+    if (config.cache.driver === 'file') {
+      scheduler.task('cache:prune', '15 * * * *', () => container.make('cache').prune(), {
+        description: 'Delete expired cache files',
+        onOneServer: false
+      });
+    }
+
+    // Redis expires idempotency keys itself; memory keys belong to each process
+    if (config.idempotency.driver !== 'redis') {
+      scheduler.task('idempotency:prune', '45 * * * *', () => container.make('idempotency').prune(), {
+        description: 'Delete expired idempotency keys',
+        onOneServer: config.idempotency.driver === 'database'
+      });
+    }
+
+    if (config.email.queue.enabled) {
+      scheduler.task('email-queue:clean', '0 4 * * *', () => container.make('emailQueue').clean(), {
+        description: 'Remove finished email jobs from Redis'
+      });
+    }
+  }
+};
@@ -0,0 +1,21 @@
+// providers/services.js
+
+/**
+ * Service Bindings
+ * Binds application services in the container before the middleware,
+ * database and routes are set up. The framework already binds config,
+ * logger, models, db, emailService, uploadService, emailQueue, queue,
+ * events, cache and scheduler.
+ *
+ *   const ReportService = require('../services/ReportService');
+ *
+ *   container.singleton('reportService', ReportService);
+ *
+ * See docs/CONTAINER_GUIDE.md.
+ */
+module.exports = {
+  name: 'services',
+
+  register({ container }) {
+  }
+};
@@ -4,11 +4,13 @@ const multer = require('multer');
 const path = require('path');
 const uploadConfig = require('../config/upload');
 const UploadController = require('../controllers/UploadController');
+const { idempotent } = require('../middlewares/idempotency');
 const logger = require('../utils/logger');
 
 /**
  * Upload Routes
- * Handles file upload endpoints with multer middleware
+ * Handles file upload endpoints with multer middleware. Uploads honour the
+ * Idempotency-Key header, so a retried upload doesn't store the file twice.
  */
 
 // Configure multer for temporary storage
@@ -164,19 +166,12 @@ const handleMulterError = (err, req, res, next) => {
     
     logger.warn('Multer error:', { code: err.code, message });
     
-    return res.status(400).json({
-      success: false,
-      message,
-      code: err.code
-    });
+    return res.fail(400, message, { code: err.code });
   } else if (err) {
     // Other errors (from file filter, etc.)
     logger.error('Upload error:', err);
     
-    return res.status(400).json({
-      success: false,
-      message: err.message || 'File upload failed'
-    });
+    return res.fail(400, err.message || 'File upload failed');
   }
   
   next();
@@ -201,6 +196,7 @@ router.post(
   optionalAuth,
   uploads.single,
   handleMulterError,
+  idempotent(),
   UploadController.uploadSingle
 );
 
@@ -210,6 +206,7 @@ router.post(
   optionalAuth,
   uploads.multiple,
   handleMulterError,
+  idempotent(),
   UploadController.uploadMultiple
 );
 
@@ -219,6 +216,7 @@ router.post(
   optionalAuth,
   uploads.image,
   handleMulterError,
+  idempotent(),
   UploadController.uploadImage
 );
 
@@ -228,6 +226,7 @@ router.post(
   optionalAuth,
   uploads.avatar,
   handleMulterError,
+  idempotent(),
   UploadController.uploadAvatar
 );
 
@@ -237,6 +236,7 @@ router.post(
   optionalAuth,
   uploads.document,
   handleMulterError,
+  idempotent(),
   UploadController.uploadDocument
 );
 
@@ -287,6 +287,7 @@ router.post(
       next();
     });
   },
+  idempotent(),
   UploadController.uploadSingle
 );
 
@@ -357,23 +358,17 @@ router.get('/health', async (req, res) => {
 router.get('/config', (req, res) => {
   // Only show config in development
   if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({
-      success: false,
-      message: 'Config endpoint disabled in production'
-    });
+    return res.fail(403, 'Config endpoint disabled in production');
   }
 
-  return res.json({
-    success: true,
-    config: {
-      provider: uploadConfig.provider,
-      limits: uploadConfig.limits,
-      allowedTypes: Object.keys(uploadConfig.allowedTypes),
-      imageProcessing: {
-        enabled: uploadConfig.imageProcessing.enabled,
-        resize: uploadConfig.imageProcessing.resize.enabled,
-        thumbnails: uploadConfig.imageProcessing.thumbnails.enabled
-      }
+  return res.ok({
+    provider: uploadConfig.provider,
+    limits: uploadConfig.limits,
+    allowedTypes: Object.keys(uploadConfig.allowedTypes),
+    imageProcessing: {
+      enabled: uploadConfig.imageProcessing.enabled,
+      resize: uploadConfig.imageProcessing.resize.enabled,
+      thumbnails: uploadConfig.imageProcessing.thumbnails.enabled
     }
   });
 });
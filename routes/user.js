@@ -1,47 +1,40 @@
 const router = require('express').Router();
 const { validate, validateId } = require('../middlewares/validate');
+const { cacheResponse } = require('../middlewares/cache');
+const { idempotent } = require('../middlewares/idempotency');
 const userValidator = require('../validators/userValidator');
-
-// Import controller
-let UserController;
-try {
-  const controllerModule = require('../controllers/UserController');
-  UserController = controllerModule.UserController || controllerModule;
-} catch (error) {
-  console.error('Error importing UserController:', error.message);
-  UserController = {
-    getAll: (req, res) => res.status(501).json({ error: 'Controller not implemented' }),
-    getById: (req, res) => res.status(501).json({ error: 'Controller not implemented' }),
-    create: (req, res) => res.status(501).json({ error: 'Controller not implemented' }),
-    update: (req, res) => res.status(501).json({ error: 'Controller not implemented' }),
-    remove: (req, res) => res.status(501).json({ error: 'Controller not implemented' })
-  };
-}
+const { action } = require('../core/container');
+const UserController = require('../controllers/UserController');
 
 /**
  * User Routes with Validation
- * All routes are protected with validation middleware
+ * All routes are protected with validation middleware. Reads are cached
+ * under the 'user' tag, which is flushed whenever a User changes. Creating
+ * a user honours the Idempotency-Key header, so retries don't duplicate it.
  */
 
 // Get all users with query validation
 router.get(
   '/', 
   validate(userValidator.getUsersQuery, 'query'),
-  UserController.getAll
+  cacheResponse({ tags: ['user'] }),
+  action(UserController, 'getAll')
 );
 
 // Get user by ID with ID validation
 router.get(
   '/:id', 
   validateId('id'), 
-  UserController.getById
+  cacheResponse({ tags: ['user'] }),
+  action(UserController, 'getById')
 );
 
-// Create user with body validation
+// Create user with body validation, replayed on retries with the same Idempotency-Key
 router.post(
   '/', 
   validate(userValidator.registerUser),
-  UserController.create
+  idempotent(),
+  action(UserController, 'create')
 );
 
 // Update user with ID and body validation
@@ -49,14 +42,14 @@ router.put(
   '/:id', 
   validateId('id'),
   validate(userValidator.updateUser),
-  UserController.update
+  action(UserController, 'update')
 );
 
 // Delete user with ID validation
 router.delete(
   '/:id', 
   validateId('id'),
-  UserController.remove
+  action(UserController, 'remove')
 );
 
 module.exports = { router };
\ No newline at end of file
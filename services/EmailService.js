@@ -3,7 +3,7 @@ const nodemailer = require('nodemailer');
 const ejs = require('ejs');
 const path = require('path');
 const fs = require('fs');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('email');
 
 /**
  * EmailService
@@ -5,7 +5,8 @@ const path = require('path');
 const crypto = require('crypto');
 const sharp = require('sharp');
 const uploadConfig = require('../config/upload');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('upload');
+const { uploads, uploadBytes } = require('../core/metrics');
 
 /**
  * UploadService
@@ -157,10 +158,14 @@ class UploadService {
         result.thumbnails = await this.generateThumbnails(file, options);
       }
 
+      uploads.inc({ provider: this.provider, status: 'success' });
+      uploadBytes.inc({ provider: this.provider }, processedFile.size || file.size || 0);
+
       logger.info(`File uploaded successfully: ${result.filename}`);
       return result;
 
     } catch (error) {
+      uploads.inc({ provider: this.provider, status: 'failed' });
       logger.error('File upload failed:', error);
       throw error;
     }
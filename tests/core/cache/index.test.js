@@ -0,0 +1,113 @@
+// tests/core/cache/index.test.js
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const { Cache, CacheError, invalidateOnModelEvents } = require('../../../core/cache');
+const { EventBus, modelEventName } = require('../../../core/events');
+
+/**
+ * Cache and tags
+ * Uses the memory driver; Date.now is mocked where entries expire.
+ */
+
+const CONFIG = {
+  driver: 'memory',
+  ttl: 60000,
+  memory: { maxItems: 100 },
+  responses: { enabled: true, ttl: 60000 },
+  invalidateOnModelEvents: true
+};
+
+let cache;
+
+beforeEach(() => {
+  cache = new Cache({ config: CONFIG });
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await cache.close();
+});
+
+describe('Cache', () => {
+  test('stores JSON values until they expire', async () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    await cache.set('rates', { usd: 1.1 }, 1000);
+    expect(await cache.get('rates')).toEqual({ usd: 1.1 });
+
+    now += 1000;
+    expect(await cache.get('rates', 'fallback')).toBe('fallback');
+  });
+
+  test('forget() deletes and undefined is refused', async () => {
+    await cache.set('key', 0);
+
+    expect(await cache.has('key')).toBe(true);
+    expect(await cache.forget('key')).toBe(true);
+    expect(await cache.has('key')).toBe(false);
+    await expect(cache.set('key', undefined)).rejects.toThrow(CacheError);
+  });
+
+  test('remember() computes once for concurrent callers', async () => {
+    const compute = jest.fn(async () => ({ total: 3 }));
+
+    const results = await Promise.all([1, 2, 3].map(() => cache.remember('stats', 1000, compute)));
+
+    expect(results).toEqual([{ total: 3 }, { total: 3 }, { total: 3 }]);
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(await cache.remember('stats', 1000, compute)).toEqual({ total: 3 });
+    expect(compute).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('tags', () => {
+  test('flushing a tag drops the entries tagged with it', async () => {
+    await cache.tags('user').set('users:page:1', ['ada']);
+    await cache.tags(['user', 'post']).set('feed', ['hello']);
+    await cache.tags('post').set('posts:page:1', ['hello']);
+
+    await cache.tags('user').flush();
+
+    expect(await cache.tags('user').get('users:page:1')).toBeUndefined();
+    expect(await cache.tags(['user', 'post']).get('feed')).toBeUndefined();
+    expect(await cache.tags('post').get('posts:page:1')).toEqual(['hello']);
+  });
+
+  test('tagged and untagged keys do not collide', async () => {
+    await cache.set('list', 'plain');
+    await cache.tags('user').set('list', 'tagged');
+
+    expect(await cache.get('list')).toBe('plain');
+    expect(await cache.tags('user').get('list')).toBe('tagged');
+  });
+
+  test('a key resolved before a flush is never read after it', async () => {
+    const key = await cache.tags('user').key('users');
+
+    await cache.tags('user').flush();
+    await cache.set(key, ['stale']);
+
+    expect(await cache.tags('user').get('users')).toBeUndefined();
+  });
+
+  test('tags() needs a tag', () => {
+    expect(() => cache.tags([])).toThrow('tags() needs at least one tag');
+  });
+});
+
+describe('invalidateOnModelEvents', () => {
+  test('model writes flush the tag named after the model', async () => {
+    const events = new EventBus();
+    invalidateOnModelEvents(cache, events);
+
+    await cache.tags('blogPost').set('posts', ['a']);
+    await cache.tags('user').set('users', ['ada']);
+
+    await events.emit(modelEventName('BlogPost', 'updated'), {});
+
+    expect(await cache.tags('blogPost').get('posts')).toBeUndefined();
+    expect(await cache.tags('user').get('users')).toEqual(['ada']);
+  });
+});
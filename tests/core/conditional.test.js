@@ -0,0 +1,137 @@
+// tests/core/conditional.test.js
+const express = require('express');
+const request = require('supertest');
+
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const { entityTag, recordVersion, parseETags, checkPreconditions } = require('../../core/conditional');
+const { installResponseHelpers } = require('../../core/response');
+const { PreconditionFailedError } = require('../../core/errors');
+const errorHandler = require('../../middlewares/errorHandler');
+
+/**
+ * Conditional requests
+ * The validators on their own, then a small posts API on a bare express
+ * app with the response helpers and the error handler, as in createApp().
+ */
+
+const UPDATED_AT = new Date('2026-10-19T10:00:00.500Z');
+
+/**
+ * A request with these headers, as checkPreconditions() reads it
+ * @param {Object} headers
+ * @returns {Object}
+ */
+const fakeRequest = (headers) => ({ get: (name) => headers[name] });
+
+describe('entityTag', () => {
+  test('is a strong tag of the record version and the representation', () => {
+    const record = { id: 1, updatedAt: UPDATED_AT };
+    const tag = entityTag(record);
+
+    expect(tag).toMatch(/^"[\w-]{27}\.[\w-]{11}"$/);
+    expect(tag.startsWith(`"${recordVersion(record)}.`)).toBe(true);
+    expect(entityTag(record, ['Updated'])).not.toBe(tag);
+    expect(entityTag({ ...record, updatedAt: new Date(UPDATED_AT.getTime() + 1) })).not.toBe(tag);
+  });
+
+  test('reads Sequelize-style get() and Mongoose __v', () => {
+    const instance = { get: (field) => ({ id: 1, updatedAt: UPDATED_AT })[field] };
+
+    expect(entityTag(instance)).toBe(entityTag({ id: 1, updatedAt: UPDATED_AT }));
+    expect(entityTag({ _id: 'a', __v: 0 })).not.toBe(entityTag({ _id: 'a', __v: 1 }));
+  });
+
+  test('is null for lists and records without updatedAt or a version', () => {
+    expect(entityTag([{ id: 1, updatedAt: UPDATED_AT }])).toBeNull();
+    expect(entityTag({ id: 1 })).toBeNull();
+    expect(entityTag(null)).toBeNull();
+  });
+});
+
+describe('parseETags', () => {
+  test('keeps weak prefixes and wildcards', () => {
+    expect(parseETags('"a", W/"b" ,"c"')).toEqual(['"a"', 'W/"b"', '"c"']);
+    expect(parseETags('*')).toEqual(['*']);
+  });
+});
+
+describe('checkPreconditions', () => {
+  const record = { id: 1, updatedAt: UPDATED_AT };
+
+  test('If-Match passes with a tag of any representation of the current version', () => {
+    expect(() => checkPreconditions(fakeRequest({ 'If-Match': entityTag(record) }), record)).not.toThrow();
+    expect(() => checkPreconditions(fakeRequest({ 'If-Match': entityTag(record, ['Updated']) }), record)).not.toThrow();
+    expect(() => checkPreconditions(fakeRequest({ 'If-Match': `"x.y", ${entityTag(record)}` }), record)).not.toThrow();
+    expect(() => checkPreconditions(fakeRequest({ 'If-Match': '*' }), record)).not.toThrow();
+  });
+
+  test('If-Match fails with a stale or weak tag', () => {
+    const stale = entityTag({ ...record, updatedAt: new Date('2026-10-18T10:00:00Z') });
+
+    expect(() => checkPreconditions(fakeRequest({ 'If-Match': stale }), record)).toThrow(PreconditionFailedError);
+    expect(() => checkPreconditions(fakeRequest({ 'If-Match': `W/${entityTag(record)}` }), record)).toThrow(PreconditionFailedError);
+    expect(() => checkPreconditions(fakeRequest({ 'If-Match': '"anything"' }), { id: 1 })).toThrow(PreconditionFailedError);
+  });
+
+  test('If-Unmodified-Since compares to the second', () => {
+    const check = (date) => () => checkPreconditions(fakeRequest({ 'If-Unmodified-Since': date }), record);
+
+    expect(check('Mon, 19 Oct 2026 10:00:00 GMT')).not.toThrow();
+    expect(check('Mon, 19 Oct 2026 09:59:59 GMT')).toThrow(PreconditionFailedError);
+    expect(check('not a date')).not.toThrow();
+  });
+
+  test('requests without preconditions are not checked', () => {
+    expect(() => checkPreconditions(fakeRequest({}), record)).not.toThrow();
+  });
+});
+
+describe('conditional requests', () => {
+  let app;
+  let post;
+
+  beforeEach(() => {
+    post = { id: 1, title: 'Hello', updatedAt: UPDATED_AT };
+
+    app = express();
+    app.use(express.json());
+    installResponseHelpers(app, { envelope: true });
+    app.get('/posts/1', (req, res) => res.ok(post));
+    app.put('/posts/1', (req, res) => {
+      checkPreconditions(req, post);
+      post = { ...post, ...req.body, updatedAt: new Date(post.updatedAt.getTime() + 1000) };
+      res.ok(post, 'Post updated');
+    });
+    app.use(errorHandler);
+  });
+
+  test('a GET with the current ETag or date gets a 304', async () => {
+    const res = await request(app).get('/posts/1').expect(200).expect('Last-Modified', UPDATED_AT.toUTCString());
+
+    await request(app).get('/posts/1').set('If-None-Match', res.headers.etag).expect(304);
+    await request(app).get('/posts/1').set('If-Modified-Since', UPDATED_AT.toUTCString()).expect(304);
+  });
+
+  test('GET and PUT responses of the same version have different ETags', async () => {
+    const get = await request(app).get('/posts/1');
+    const put = await request(app).put('/posts/1').set('If-Match', get.headers.etag).send({ title: 'Bye' }).expect(200);
+    const again = await request(app).get('/posts/1');
+
+    expect(put.headers.etag).not.toBe(again.headers.etag);
+    await request(app).get('/posts/1').set('If-None-Match', put.headers.etag).expect(200);
+    await request(app).get('/posts/1').set('If-None-Match', again.headers.etag).expect(304);
+  });
+
+  test('a PUT with the tag of the last PUT passes, a stale one gets a 412', async () => {
+    const get = await request(app).get('/posts/1');
+    const put = await request(app).put('/posts/1').set('If-Match', get.headers.etag).send({ title: 'Second' });
+
+    await request(app).put('/posts/1').set('If-Match', put.headers.etag).send({ title: 'Third' }).expect(200);
+
+    const res = await request(app).put('/posts/1').set('If-Match', get.headers.etag).send({ title: 'Lost' }).expect(412);
+    expect(res.body.code).toBe('PRECONDITION_FAILED');
+    expect(post.title).toBe('Third');
+  });
+});
@@ -0,0 +1,159 @@
+// tests/core/container.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const { Container, ContainerError, action } = require('../../core/container');
+const { createApp } = require('../../core/application');
+
+/**
+ * Service container
+ * Bindings, scopes and injection on a bare Container, then action()
+ * resolving a controller from an app built by createApp() with a fake
+ * service bound in its place.
+ */
+
+class Clock {
+  now() {
+    return 1000;
+  }
+}
+
+class Greeter {
+  static inject = ['clock', 'greeting'];
+
+  constructor({ clock, greeting }) {
+    this.clock = clock;
+    this.greeting = greeting;
+  }
+
+  greet(name) {
+    return `${this.greeting}, ${name} (${this.clock.now()})`;
+  }
+}
+
+describe('Container', () => {
+  test('builds classes with their static inject dependencies', () => {
+    const container = new Container()
+      .singleton('clock', Clock)
+      .instance('greeting', 'Hello')
+      .singleton('greeter', Greeter);
+
+    expect(container.make('greeter').greet('Ada')).toBe('Hello, Ada (1000)');
+  });
+
+  test('singletons are built once, transients on every make()', () => {
+    const container = new Container()
+      .singleton('clock', Clock)
+      .transient('stamp', () => ({}));
+
+    expect(container.make('clock')).toBe(container.make('clock'));
+    expect(container.make('stamp')).not.toBe(container.make('stamp'));
+  });
+
+  test('factories receive the container', () => {
+    const container = new Container()
+      .instance('config', { prefix: 'Hi' })
+      .singleton('prefix', (c) => c.make('config').prefix);
+
+    expect(container.make('prefix')).toBe('Hi');
+  });
+
+  test('unbound classes are built with their injections', () => {
+    const container = new Container().singleton('clock', Clock).instance('greeting', 'Hey');
+
+    expect(container.make(Greeter).greet('Bo')).toBe('Hey, Bo (1000)');
+  });
+
+  test('instance() replaces a binding and reset() rebuilds singletons', () => {
+    const container = new Container().singleton('clock', Clock);
+    const first = container.make('clock');
+
+    container.reset();
+    expect(container.make('clock')).not.toBe(first);
+
+    const fake = { now: () => 0 };
+    container.instance('clock', fake);
+    container.reset();
+    expect(container.make('clock')).toBe(fake);
+  });
+
+  test('unknown names, circular dependencies and bad bindings throw', () => {
+    class A {
+      static inject = ['b'];
+    }
+    class B {
+      static inject = ['a'];
+    }
+
+    const container = new Container().singleton('a', A).singleton('b', B);
+
+    expect(() => container.make('missing')).toThrow('Nothing bound as "missing". Available bindings: a, b');
+    expect(() => container.make('a')).toThrow('Circular dependency: a -> b -> a');
+    expect(() => container.bind('value', 42)).toThrow(ContainerError);
+    expect(() => container.bind('clock', Clock, { scope: 'request' })).toThrow('Unknown scope "request"');
+  });
+});
+
+describe('action()', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'greycode-routes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('resolves the controller from the app container on each request', async () => {
+    fs.writeFileSync(path.join(dir, 'greeting.js'), `
+const router = require(${JSON.stringify(require.resolve('express'))}).Router();
+const { action } = require(${JSON.stringify(require.resolve('../../core/container'))});
+
+class GreetingController {
+  static inject = ['greeter'];
+
+  constructor({ greeter }) {
+    this.greeter = greeter;
+  }
+
+  async show(req, res) {
+    if (req.params.name === 'nobody') {
+      throw new Error('No one to greet');
+    }
+    res.ok({ text: this.greeter.greet(req.params.name) });
+  }
+}
+
+router.get('/:name', action(GreetingController, 'show'));
+
+module.exports = { router };
+`);
+
+    const app = await createApp({
+      models: {},
+      routesDir: dir,
+      loadProviders: false,
+      loadListeners: false,
+      loadJobs: false,
+      bindings: { greeter: { greet: (name) => `Hi ${name}` } }
+    });
+
+    const res = await request(app).get('/greetings/Ada').expect(200);
+    expect(res.body.data).toEqual({ text: 'Hi Ada' });
+
+    // Rejections reach the error handler
+    await request(app).get('/greetings/nobody').expect(500);
+  });
+
+  test('throws when the controller has no such method', () => {
+    class PostController {}
+
+    expect(() => action(PostController, 'show')).toThrow('PostController has no method "show"');
+  });
+});
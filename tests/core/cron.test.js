@@ -0,0 +1,140 @@
+// tests/core/cron.test.js
+const { CronError, parseCron, matches, nextRun } = require('../../core/cron');
+
+/**
+ * Cron expressions
+ * Daylight saving cases use Europe/Berlin, which moved its clocks forward
+ * on 2026-03-29 at 02:00 and back on 2026-10-25 at 03:00.
+ */
+
+/**
+ * Next run of an expression after an instant, as an ISO string
+ * @param {string} expression
+ * @param {string} timeZone
+ * @param {string} from - ISO instant
+ * @returns {string}
+ */
+const next = (expression, timeZone, from) => nextRun(parseCron(expression), timeZone, new Date(from)).toISOString();
+
+/**
+ * The next runs of an expression, one after the other
+ * @returns {string[]}
+ */
+const runs = (expression, timeZone, from, count) => {
+  const cron = parseCron(expression);
+  const result = [];
+  let date = new Date(from);
+
+  for (let i = 0; i < count; i++) {
+    date = nextRun(cron, timeZone, date);
+    result.push(date.toISOString());
+  }
+
+  return result;
+};
+
+describe('parseCron', () => {
+  test('parses lists, ranges, steps, names and macros', () => {
+    const cron = parseCron('*/15 8-18/2 1,15 jan-mar mon-fri');
+
+    expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hour]).toEqual([8, 10, 12, 14, 16, 18]);
+    expect([...cron.dayOfMonth]).toEqual([1, 15]);
+    expect([...cron.month]).toEqual([1, 2, 3]);
+    expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(parseCron('@daily').expression).toBe('@daily');
+    expect([...parseCron('@hourly').minute]).toEqual([0]);
+  });
+
+  test('7 is Sunday too', () => {
+    expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+  });
+
+  test('only day fields starting with * are unrestricted', () => {
+    expect(parseCron('0 0 * * 1')).toMatchObject({ dayOfMonthRestricted: false, dayOfWeekRestricted: true });
+    expect(parseCron('0 0 */2 * 1')).toMatchObject({ dayOfMonthRestricted: false, dayOfWeekRestricted: true });
+    expect(parseCron('0 0 1-31/2 * 1')).toMatchObject({ dayOfMonthRestricted: true, dayOfWeekRestricted: true });
+  });
+
+  test.each([
+    ['* * * *', 'expected 5 fields, got 4'],
+    ['60 * * * *', 'Invalid minute "60" (allowed 0-59)'],
+    ['* * * foo *', 'Invalid month "foo"'],
+    ['*/0 * * * *', 'Invalid step "0"'],
+    ['* 5-2 * * *', 'Invalid range "5-2" in hour']
+  ])('rejects %s', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(CronError);
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+});
+
+describe('nextRun', () => {
+  test('runs in the given time zone', () => {
+    expect(next('0 9 * * *', 'UTC', '2026-10-19T08:59:00Z')).toBe('2026-10-19T09:00:00.000Z');
+    expect(next('0 9 * * *', 'Europe/Berlin', '2026-10-19T08:00:00Z')).toBe('2026-10-20T07:00:00.000Z');
+    expect(next('0 9 * * *', 'Asia/Tokyo', '2026-10-19T08:00:00Z')).toBe('2026-10-20T00:00:00.000Z');
+  });
+
+  test('starts from the next whole minute', () => {
+    expect(next('* * * * *', 'UTC', '2026-10-19T10:00:00Z')).toBe('2026-10-19T10:01:00.000Z');
+    expect(next('* * * * *', 'UTC', '2026-10-19T10:00:59.999Z')).toBe('2026-10-19T10:01:00.000Z');
+  });
+
+  test('a day matching either restricted day field counts', () => {
+    // The 1st of the month or any Monday
+    expect(runs('0 0 1 * 1', 'UTC', '2026-10-19T12:00:00Z', 3)).toEqual([
+      '2026-10-26T00:00:00.000Z',
+      '2026-11-01T00:00:00.000Z',
+      '2026-11-02T00:00:00.000Z'
+    ]);
+  });
+
+  test('a * step in the day of month narrows the day of week instead', () => {
+    // Mondays that are odd days of the month
+    expect(runs('0 0 */2 * 1', 'UTC', '2026-10-01T00:00:00Z', 4)).toEqual([
+      '2026-10-05T00:00:00.000Z',
+      '2026-10-19T00:00:00.000Z',
+      '2026-11-09T00:00:00.000Z',
+      '2026-11-23T00:00:00.000Z'
+    ]);
+  });
+
+  test('times skipped by the spring forward jump do not run', () => {
+    expect(runs('30 2 * * *', 'Europe/Berlin', '2026-03-27T12:00:00Z', 2)).toEqual([
+      '2026-03-28T01:30:00.000Z',
+      '2026-03-30T00:30:00.000Z'
+    ]);
+  });
+
+  test('times repeated by the fall back jump run once', () => {
+    expect(runs('30 2 * * *', 'Europe/Berlin', '2026-10-24T12:00:00Z', 2)).toEqual([
+      '2026-10-25T01:30:00.000Z',
+      '2026-10-26T01:30:00.000Z'
+    ]);
+  });
+
+  test('hourly runs stay an hour apart across a jump', () => {
+    expect(runs('0 * * * *', 'Europe/Berlin', '2026-03-29T00:00:00Z', 2)).toEqual([
+      '2026-03-29T01:00:00.000Z',
+      '2026-03-29T02:00:00.000Z'
+    ]);
+  });
+
+  test('expressions that never match throw', () => {
+    expect(() => next('0 0 30 2 *', 'UTC', '2026-10-19T00:00:00Z')).toThrow('never matches');
+  });
+
+  test('unknown time zones throw', () => {
+    expect(() => next('* * * * *', 'Mars/Olympus', '2026-10-19T00:00:00Z')).toThrow(RangeError);
+  });
+});
+
+describe('matches', () => {
+  test('compares the wall clock time in the time zone', () => {
+    const cron = parseCron('0 9 * * mon');
+    const instant = new Date('2026-10-19T07:00:00Z');
+
+    expect(matches(cron, instant, 'Europe/Berlin')).toBe(true);
+    expect(matches(cron, instant, 'UTC')).toBe(false);
+  });
+});
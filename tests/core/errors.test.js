@@ -0,0 +1,156 @@
+// tests/core/errors.test.js
+const Joi = require('joi');
+
+const {
+  HttpError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  translateError,
+  asyncHandler
+} = require('../../core/errors');
+
+/**
+ * Error translation
+ * ORM errors are matched by name and shape, so plain Errors with the same
+ * name and fields stand in for them.
+ */
+
+/**
+ * An Error with the name and fields of a library error
+ * @param {string} name
+ * @param {Object} [fields]
+ * @returns {Error}
+ */
+const libraryError = (name, fields = {}) => Object.assign(new Error(`${name} message`), { name }, fields);
+
+describe('HttpError', () => {
+  test('defaults the message and code to the status text', () => {
+    const error = new HttpError(422);
+
+    expect(error.message).toBe('Unprocessable Entity');
+    expect(error.code).toBe('UNPROCESSABLE_ENTITY');
+    expect(error.status).toBe(422);
+    expect(error.statusCode).toBe(422);
+    expect(error.expose).toBe(true);
+  });
+
+  test('server errors are not exposed unless asked', () => {
+    expect(new HttpError(500).expose).toBe(false);
+    expect(new HttpError(503, 'Down', { expose: true }).expose).toBe(true);
+  });
+
+  test('subclasses carry their status and name', () => {
+    const error = new NotFoundError('User not found');
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.name).toBe('NotFoundError');
+    expect(error.status).toBe(404);
+    expect(error.code).toBe('NOT_FOUND');
+  });
+});
+
+describe('translateError', () => {
+  test('returns HttpErrors as they are', () => {
+    const error = new ConflictError();
+
+    expect(translateError(error)).toBe(error);
+  });
+
+  test('unique constraints become 409 with the fields', () => {
+    const errors = [
+      libraryError('SequelizeUniqueConstraintError', { errors: [{ path: 'email' }] }),
+      libraryError('MongoServerError', { code: 11000, keyValue: { email: 'a@example.com' } }),
+      libraryError('PrismaClientKnownRequestError', { code: 'P2002', meta: { target: ['email'] } })
+    ];
+
+    errors.forEach((cause) => {
+      const error = translateError(cause);
+
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.code).toBe('UNIQUE_CONSTRAINT');
+      expect(error.message).toBe('A record with this email already exists');
+      expect(error.details).toEqual([{ field: 'email', message: 'email must be unique', type: 'unique' }]);
+      expect(error.cause).toBe(cause);
+    });
+  });
+
+  test('ORM validation errors become 400 with per-field details', () => {
+    const sequelize = translateError(libraryError('SequelizeValidationError', {
+      errors: [{ path: 'name', message: 'name cannot be null', validatorKey: 'is_null' }]
+    }));
+    const mongoose = translateError(libraryError('ValidationError', {
+      errors: { age: { path: 'age', message: 'age is too low', kind: 'min' } }
+    }));
+
+    expect(sequelize).toBeInstanceOf(ValidationError);
+    expect(sequelize.details).toEqual([{ field: 'name', message: 'name cannot be null', type: 'is_null' }]);
+    expect(mongoose).toBeInstanceOf(ValidationError);
+    expect(mongoose.details).toEqual([{ field: 'age', message: 'age is too low', type: 'min' }]);
+  });
+
+  test('missing records, bad ids and foreign keys get their own status', () => {
+    expect(translateError(libraryError('PrismaClientKnownRequestError', { code: 'P2025' })).status).toBe(404);
+    expect(translateError(libraryError('SequelizeEmptyResultError')).status).toBe(404);
+
+    const cast = translateError(libraryError('CastError', { path: '_id', kind: 'ObjectId' }));
+    expect(cast.status).toBe(400);
+    expect(cast.code).toBe('INVALID_ID');
+
+    const foreignKey = translateError(libraryError('SequelizeForeignKeyConstraintError', { fields: ['authorId'] }));
+    expect(foreignKey.status).toBe(409);
+    expect(foreignKey.code).toBe('FOREIGN_KEY_CONSTRAINT');
+  });
+
+  test('lost database connections become a 503 with a safe message', () => {
+    const error = translateError(libraryError('SequelizeConnectionRefusedError'));
+
+    expect(error.status).toBe(503);
+    expect(error.code).toBe('DATABASE_UNAVAILABLE');
+    expect(error.expose).toBe(true);
+    expect(error.message).not.toContain('SequelizeConnectionRefusedError');
+  });
+
+  test('Joi errors become 400 with dotted field paths', () => {
+    const { error: joiError } = Joi.object({ user: Joi.object({ email: Joi.string().email() }) })
+      .validate({ user: { email: 'nope' } });
+
+    const error = translateError(joiError);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual([{ field: 'user.email', message: '"user.email" must be a valid email', type: 'string.email' }]);
+  });
+
+  test('malformed JSON bodies become 400 INVALID_JSON', () => {
+    const error = translateError(Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed', status: 400 }));
+
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('INVALID_JSON');
+  });
+
+  test('errors with a status keep it; anything else is an unexposed 500', () => {
+    const tooLarge = translateError(Object.assign(new Error('request entity too large'), { status: 413 }));
+    const unknown = translateError(new TypeError('x is not a function'));
+
+    expect(tooLarge.status).toBe(413);
+    expect(tooLarge.expose).toBe(true);
+    expect(unknown.status).toBe(500);
+    expect(unknown.expose).toBe(false);
+    expect(translateError('thrown string').status).toBe(500);
+  });
+});
+
+describe('asyncHandler', () => {
+  test('passes rejections to next() and keeps the handler name', async () => {
+    const error = new Error('boom');
+    const next = jest.fn();
+    const handler = asyncHandler(async function getUsers() {
+      throw error;
+    });
+
+    await handler({}, {}, next);
+
+    expect(next).toHaveBeenCalledWith(error);
+    expect(handler.name).toBe('getUsers');
+  });
+});
@@ -0,0 +1,107 @@
+// tests/core/maintenance.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MaintenanceMode, isIpOrRange } = require('../../core/maintenance');
+
+/**
+ * Maintenance mode
+ * Each test gets its own flag file in a temporary directory.
+ */
+
+let dir;
+let maintenance;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'greycode-maintenance-'));
+  maintenance = new MaintenanceMode({ file: path.join(dir, 'maintenance.json'), allowedIps: ['10.0.0.0/8'], checkInterval: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('MaintenanceMode', () => {
+  test('down() writes the flag file and up() removes it', async () => {
+    expect(await maintenance.read()).toBeNull();
+
+    await maintenance.down({ message: 'Upgrading', retryAfter: 120, secret: 'let-me-in' });
+    const state = await maintenance.read();
+
+    expect(state).toMatchObject({ message: 'Upgrading', retryAfter: 120, allowed: [] });
+    expect(JSON.stringify(state)).not.toContain('let-me-in');
+
+    expect(await maintenance.up()).toBe(true);
+    expect(await maintenance.read()).toBeNull();
+    expect(await maintenance.up()).toBe(false);
+  });
+
+  test('down() rejects entries that are not IPs or ranges', async () => {
+    await expect(maintenance.down({ allowed: ['1.2.3.4', 'example.com'] })).rejects.toThrow('Not an IP address or CIDR range: example.com');
+  });
+
+  test('allows configured and `down --allow` addresses and ranges', async () => {
+    await maintenance.down({ allowed: ['203.0.113.7', '2001:db8::/32'] });
+    await maintenance.read();
+
+    expect(maintenance.allows('10.1.2.3')).toBe(true);
+    expect(maintenance.allows('::ffff:10.1.2.3')).toBe(true);
+    expect(maintenance.allows('203.0.113.7')).toBe(true);
+    expect(maintenance.allows('2001:db8::1')).toBe(true);
+    expect(maintenance.allows('203.0.113.8')).toBe(false);
+    expect(maintenance.allows('11.0.0.1')).toBe(false);
+    expect(maintenance.allows(undefined)).toBe(false);
+  });
+
+  test('the state is cached for checkInterval', async () => {
+    const cached = new MaintenanceMode({ file: maintenance.file, checkInterval: 60000 });
+
+    expect(await cached.read()).toBeNull();
+    await maintenance.down();
+
+    expect(await cached.read()).toBeNull();
+    expect(await cached.read({ fresh: true })).not.toBeNull();
+  });
+
+  test('bypass tokens are valid until they expire or `down` runs again', async () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const state = await maintenance.down({ secret: 'let-me-in' });
+    const token = maintenance.createBypassToken(state);
+
+    expect(maintenance.matchesSecret(state, 'let-me-in')).toBe(true);
+    expect(maintenance.matchesSecret(state, 'guess')).toBe(false);
+    expect(maintenance.verifyBypassToken(state, token.value)).toBe(true);
+    expect(maintenance.verifyBypassToken(state, `${token.value}x`)).toBe(false);
+    expect(maintenance.verifyBypassToken(state, 'garbage')).toBe(false);
+    expect(maintenance.verifyBypassToken({ ...state, since: '2000-01-01T00:00:00.000Z' }, token.value)).toBe(false);
+
+    now += token.maxAge;
+    expect(maintenance.verifyBypassToken(state, token.value)).toBe(false);
+  });
+
+  test('without a secret there is no bypass', async () => {
+    const state = await maintenance.down();
+
+    expect(maintenance.matchesSecret(state, '')).toBe(false);
+    expect(maintenance.verifyBypassToken(state, '1.abc')).toBe(false);
+  });
+});
+
+describe('isIpOrRange', () => {
+  test.each([
+    ['192.168.0.1', true],
+    ['192.168.0.0/16', true],
+    ['::1', true],
+    ['fd00::/8', true],
+    ['192.168.0.0/33', false],
+    ['192.168.0.0/x', false],
+    ['1.2.3.4/8/8', false],
+    ['localhost', false]
+  ])('%s -> %s', (value, expected) => {
+    expect(isIpOrRange(value)).toBe(expected);
+  });
+});
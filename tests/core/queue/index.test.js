@@ -0,0 +1,197 @@
+// tests/core/queue/index.test.js
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const { JobQueue, QueueError, backoffDelay } = require('../../../core/queue');
+const { Container } = require('../../../core/container');
+const { EventBus } = require('../../../core/events');
+
+/**
+ * Job queue
+ * Runs jobs through the memory driver with runPending(), so every attempt
+ * happens inside the test. Date.now is mocked where backoff delays matter.
+ */
+
+const CONFIG = {
+  driver: 'memory',
+  defaultQueue: 'default',
+  attempts: 3,
+  backoff: { type: 'exponential', delay: 0 },
+  timeout: 0,
+  worker: { queues: ['default'], concurrency: 1, pollInterval: 10, inProcess: false },
+  failedLimit: 10
+};
+
+let queue;
+let events;
+
+/**
+ * Job object whose handle() fails a number of times, then succeeds
+ * @param {string} name
+ * @param {number} failures - Use Infinity for a job that never succeeds
+ * @param {Object} [options] - Extra job properties (attempts, backoff, failed...)
+ * @returns {Object}
+ */
+const flakyJob = (name, failures, options = {}) => {
+  const job = {
+    name,
+    calls: [],
+    handle: async (payload, info) => {
+      job.calls.push(info.attempt);
+      if (job.calls.length <= failures) {
+        throw new Error(`attempt ${info.attempt} failed`);
+      }
+    },
+    ...options
+  };
+  return job;
+};
+
+beforeEach(() => {
+  events = new EventBus();
+  queue = new JobQueue({ config: CONFIG, container: new Container(), events });
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await queue.close();
+});
+
+describe('JobQueue', () => {
+  test('runs dispatched jobs with their payload', async () => {
+    const handled = [];
+    queue.register({ name: 'SendReceipt', handle: async (payload, job) => handled.push([payload, job.attempt]) });
+
+    await queue.dispatch('SendReceipt', { orderId: 7 });
+
+    expect(await queue.runPending()).toBe(1);
+    expect(handled).toEqual([[{ orderId: 7 }, 1]]);
+  });
+
+  test('job classes are built from the container', async () => {
+    const sent = [];
+
+    class NotifyUser {
+      static inject = ['mailer'];
+
+      constructor({ mailer }) {
+        this.mailer = mailer;
+      }
+
+      async handle({ userId }) {
+        this.mailer.send(userId);
+      }
+    }
+
+    queue.container.instance('mailer', { send: (userId) => sent.push(userId) });
+    await queue.dispatch(NotifyUser, { userId: 3 });
+    await queue.runPending();
+
+    expect(sent).toEqual([3]);
+  });
+
+  test('failed attempts are retried until one succeeds', async () => {
+    const job = flakyJob('Flaky', 2);
+
+    await queue.dispatch(job);
+    await queue.runPending();
+
+    expect(job.calls).toEqual([1, 2, 3]);
+    expect(await queue.failed()).toEqual([]);
+  });
+
+  test('retries wait for the backoff delay', async () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const job = flakyJob('Backoff', Infinity, { attempts: 3, backoff: { type: 'exponential', delay: 1000 } });
+    await queue.dispatch(job);
+
+    expect(await queue.runPending()).toBe(1);
+    expect(queue.driver.jobs[0].availableAt).toBe(now + 1000);
+
+    now += 999;
+    expect(await queue.runPending()).toBe(0);
+
+    now += 1;
+    expect(await queue.runPending()).toBe(1);
+    expect(queue.driver.jobs[0].availableAt).toBe(now + 2000);
+  });
+
+  test('backoffDelay() doubles exponential delays and keeps fixed ones', () => {
+    expect([1, 2, 3].map((attempt) => backoffDelay({ type: 'exponential', delay: 500 }, attempt))).toEqual([500, 1000, 2000]);
+    expect([1, 2, 3].map((attempt) => backoffDelay({ type: 'fixed', delay: 500 }, attempt))).toEqual([500, 500, 500]);
+  });
+
+  test('jobs out of attempts move to the failed list, call failed() and emit job.failed', async () => {
+    const hook = jest.fn();
+    const emitted = [];
+    events.on('job.failed', (event) => emitted.push(event));
+
+    const job = flakyJob('Doomed', Infinity, { attempts: 2, failed: hook });
+    const id = await queue.dispatch(job, { reportId: 1 });
+    await queue.runPending();
+
+    const [failed] = await queue.failed();
+
+    expect(job.calls).toEqual([1, 2]);
+    expect(failed).toMatchObject({ id, name: 'Doomed', attempts: 2, error: 'attempt 2 failed', payload: { reportId: 1 } });
+    expect(hook).toHaveBeenCalledWith({ reportId: 1 }, expect.objectContaining({ message: 'attempt 2 failed' }), expect.objectContaining({ attempt: 2 }));
+    expect(emitted).toEqual([expect.objectContaining({ id, job: 'Doomed', attempts: 2 })]);
+  });
+
+  test('retry() puts a failed job back with fresh attempts', async () => {
+    const job = flakyJob('Recovers', 2, { attempts: 2 });
+    const id = await queue.dispatch(job);
+    await queue.runPending();
+
+    expect(await queue.retry(id)).toBe(true);
+    expect(await queue.failed()).toEqual([]);
+
+    await queue.runPending();
+
+    expect(job.calls).toEqual([1, 2, 1]);
+    expect(await queue.retry(id)).toBe(false);
+  });
+
+  test('forget() and flushFailed() delete failed jobs', async () => {
+    const job = flakyJob('Broken', Infinity, { attempts: 1 });
+    const first = await queue.dispatch(job);
+    await queue.dispatch(job);
+    await queue.runPending();
+
+    expect(await queue.forget(first)).toBe(true);
+    expect(await queue.failed()).toHaveLength(1);
+    expect(await queue.flushFailed()).toBe(1);
+    expect(await queue.failed()).toEqual([]);
+  });
+
+  test('jobs running longer than their timeout fail', async () => {
+    queue.register({ name: 'Slow', attempts: 1, timeout: 20, handle: () => new Promise((resolve) => setTimeout(resolve, 200)) });
+
+    await queue.dispatch('Slow');
+    await queue.runPending();
+
+    const [failed] = await queue.failed();
+    expect(failed.name).toBe('Slow');
+    expect(failed.error).toMatch(/Slow/);
+  });
+
+  test('workers pick up jobs as they are dispatched', async () => {
+    let done;
+    const handled = new Promise((resolve) => {
+      done = resolve;
+    });
+    queue.register({ name: 'Ping', handle: async (payload) => done(payload) });
+
+    queue.work();
+    await queue.dispatch('Ping', { n: 1 });
+
+    await expect(handled).resolves.toEqual({ n: 1 });
+  });
+
+  test('unknown job names and jobs without handle() are rejected', async () => {
+    await expect(queue.dispatch('Missing')).rejects.toThrow(QueueError);
+    expect(() => queue.register({ name: 'NoHandle' })).toThrow('does not have a handle() method');
+  });
+});
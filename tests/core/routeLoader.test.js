@@ -0,0 +1,126 @@
+// tests/core/routeLoader.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const loadRoutes = require('../../core/routeLoader');
+
+/**
+ * Route discovery
+ * Writes route files to a temporary routes directory, mounts them on a
+ * bare express app and checks where each one answers.
+ */
+
+let dir;
+
+/**
+ * Write a route file answering GET / with its name and req.params
+ * @param {string} file - Path below the routes directory
+ * @param {string} [exports] - module.exports expression, `router` by default
+ */
+const writeRoute = (file, exports = '{ router }') => {
+  const target = path.join(dir, file);
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, `
+const router = require(${JSON.stringify(require.resolve('express'))}).Router();
+router.get('/', (req, res) => res.json({ file: ${JSON.stringify(file)}, params: req.params }));
+module.exports = ${exports};
+`);
+};
+
+/**
+ * Mount the routes directory on a new app
+ * @returns {{ app: Express, mounted: Object[] }}
+ */
+const mount = () => {
+  const app = express();
+  const mounted = loadRoutes(app, dir);
+  return { app, mounted };
+};
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'greycode-routes-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadRoutes', () => {
+  test('mounts files by their location, pluralizing top-level names', async () => {
+    writeRoute('user.js');
+    writeRoute('index.js');
+    writeRoute('admin/users.js');
+    writeRoute('admin/index.js');
+
+    const { app } = mount();
+
+    await request(app).get('/users').expect(200, { file: 'user.js', params: {} });
+    await request(app).get('/').expect(200, { file: 'index.js', params: {} });
+    await request(app).get('/admin/users').expect(200, { file: 'admin/users.js', params: {} });
+    await request(app).get('/admin').expect(200, { file: 'admin/index.js', params: {} });
+  });
+
+  test('[param] folders become route params the handlers can read', async () => {
+    writeRoute('posts/[id]/comments.js');
+
+    const { app } = mount();
+
+    await request(app).get('/posts/42/comments').expect(200, { file: 'posts/[id]/comments.js', params: { id: '42' } });
+  });
+
+  test('static paths are mounted before dynamic ones', async () => {
+    writeRoute('users/[id].js');
+    writeRoute('users/me.js');
+
+    const { app, mounted } = mount();
+
+    expect(mounted.map((route) => route.mountPath)).toEqual(['/users/me', '/users/:id']);
+    await request(app).get('/users/me').expect(200, { file: 'users/me.js', params: {} });
+    await request(app).get('/users/7').expect(200, { file: 'users/[id].js', params: { id: '7' } });
+  });
+
+  test('prefix, pluralize and middleware exports change how a file is mounted', async () => {
+    writeRoute('auth.js', "{ router, prefix: '/session' }");
+    writeRoute('status.js', '{ router, pluralize: false }');
+    writeRoute('secret.js', "{ router, middleware: (req, res) => res.status(401).end() }");
+
+    const { app } = mount();
+
+    await request(app).get('/session').expect(200);
+    await request(app).get('/auths').expect(404);
+    await request(app).get('/status').expect(200);
+    await request(app).get('/secrets').expect(401);
+  });
+
+  test('a bare router export is mounted too', async () => {
+    writeRoute('tag.js', 'router');
+
+    const { app } = mount();
+
+    await request(app).get('/tags').expect(200, { file: 'tag.js', params: {} });
+  });
+
+  test('helpers, invalid files and files that throw are skipped', async () => {
+    writeRoute('user.js');
+    writeRoute('_helpers.js');
+    fs.writeFileSync(path.join(dir, 'broken.js'), "throw new Error('boom');");
+    fs.writeFileSync(path.join(dir, 'empty.js'), 'module.exports = {};');
+
+    const { mounted } = mount();
+
+    expect(mounted.map((route) => route.file)).toEqual(['user.js']);
+  });
+
+  test('a missing routes directory mounts nothing', () => {
+    const app = express();
+
+    expect(loadRoutes(app, path.join(dir, 'missing'))).toEqual([]);
+  });
+});
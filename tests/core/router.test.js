@@ -0,0 +1,99 @@
+// tests/core/router.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const Router = require('../../core/router');
+const { route, hasRoute } = require('../../core/router');
+const loadRoutes = require('../../core/routeLoader');
+
+/**
+ * Router groups and named routes
+ * Named routes live in one registry per process, so every test uses names
+ * of its own.
+ */
+
+const reply = (name) => (req, res) => res.json({ name, params: req.params });
+
+describe('Router', () => {
+  test('groups share a prefix, middleware and a name prefix', async () => {
+    const calls = [];
+    const tag = (label) => (req, res, next) => {
+      calls.push(label);
+      next();
+    };
+
+    const router = new Router();
+    router.group({ prefix: '/users', as: 'users.', middleware: [tag('users')] }, (users) => {
+      users.get('/', reply('index')).name('index');
+      users.group({ prefix: '/:id', as: 'posts.', middleware: tag('posts') }, (posts) => {
+        posts.get('/posts', reply('posts')).name('index');
+      });
+    });
+
+    const app = express();
+    app.use(router.use());
+
+    await request(app).get('/users').expect(200, { name: 'index', params: {} });
+    await request(app).get('/users/3/posts').expect(200, { name: 'posts', params: { id: '3' } });
+    expect(calls).toEqual(['users', 'users', 'posts']);
+    expect(router.routes.map(({ method, path: routePath, name }) => [method, routePath, name])).toEqual([
+      ['GET', '/users', 'users.index'],
+      ['GET', '/users/:id/posts', 'users.posts.index']
+    ]);
+  });
+
+  test('name() without a route and routes without a handler throw', () => {
+    const router = new Router();
+
+    expect(() => router.name('orphan')).toThrow('no route has been registered yet');
+    expect(() => router.get('/')).toThrow('No handler provided for GET /');
+  });
+});
+
+describe('route()', () => {
+  test('fills path params and appends the rest as a query string', () => {
+    const router = new Router();
+    router.get('/articles/:slug/comments/:page?', reply('comments')).name('articles.comments');
+
+    expect(route('articles.comments', { slug: 'hello world' })).toBe('/articles/hello%20world/comments');
+    expect(route('articles.comments', { slug: 'a', page: 2, sort: 'new' })).toBe('/articles/a/comments/2?sort=new');
+    expect(() => route('articles.comments')).toThrow('Missing parameter "slug" for route "articles.comments"');
+  });
+
+  test('unknown names throw and hasRoute() reports them', () => {
+    const router = new Router();
+    router.get('/known', reply('known')).name('known');
+
+    expect(hasRoute('known')).toBe(true);
+    expect(hasRoute('unknown')).toBe(false);
+    expect(() => route('unknown')).toThrow('Route "unknown" is not defined');
+  });
+
+  test('routes of a loaded route file include its mount path', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'greycode-routes-'));
+
+    try {
+      fs.writeFileSync(path.join(dir, 'invoice.js'), `
+const Router = require(${JSON.stringify(require.resolve('../../core/router'))});
+const router = new Router();
+router.get('/:id', (req, res) => res.json({ url: req.app.locals.route('invoices.show', { id: req.params.id }) })).name('invoices.show');
+module.exports = { router };
+`);
+
+      const app = express();
+      app.locals.route = route;
+      loadRoutes(app, dir);
+
+      expect(route('invoices.show', { id: 9 })).toBe('/invoices/9');
+      await request(app).get('/invoices/9').expect(200, { url: '/invoices/9' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,134 @@
+// tests/middlewares/cache.test.js
+const express = require('express');
+const request = require('supertest');
+
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const { cacheResponse } = require('../../middlewares/cache');
+const { Cache } = require('../../core/cache');
+
+/**
+ * Response cache
+ * A bare express app with a memory cache at app.cache, as createApp()
+ * sets it up. Each route counts how often its handler ran.
+ */
+
+const CONFIG = {
+  driver: 'memory',
+  ttl: 60000,
+  memory: { maxItems: 100 },
+  responses: { enabled: true, ttl: 60000 },
+  invalidateOnModelEvents: true
+};
+
+let app;
+let runs;
+
+beforeEach(() => {
+  app = express();
+  app.cache = new Cache({ config: CONFIG });
+  app.locals.config = { cache: CONFIG };
+  runs = 0;
+
+  // Fake authentication: ?user=<id>
+  app.use((req, res, next) => {
+    if (req.query.user) {
+      req.user = { id: req.query.user };
+    }
+    next();
+  });
+});
+
+afterEach(async () => {
+  await app.cache.close();
+});
+
+/**
+ * Mount GET /users, cached with the given options
+ * @param {Object} [options] - cacheResponse() options
+ * @param {Function} [before] - Awaited by the handler before it responds
+ */
+const mountUsers = (options = {}, before = async () => {}) => {
+  app.get('/users', cacheResponse(options), async (req, res) => {
+    runs++;
+    await before();
+    res.set('ETag', `"v${runs}"`).json({ run: runs });
+  });
+};
+
+describe('cacheResponse', () => {
+  test('serves repeated requests from the cache with their ETag', async () => {
+    mountUsers();
+
+    await request(app).get('/users').expect(200).expect('X-Cache', 'MISS');
+    const res = await request(app).get('/users').expect(200).expect('X-Cache', 'HIT').expect('ETag', '"v1"');
+
+    expect(res.body).toEqual({ run: 1 });
+    expect(res.headers['content-type']).toMatch(/application\/json/);
+    await request(app).get('/users').set('If-None-Match', '"v1"').expect(304);
+  });
+
+  test('keys on the query string in any order and on the user', async () => {
+    mountUsers();
+
+    await request(app).get('/users?a=1&b=2').expect('X-Cache', 'MISS');
+    await request(app).get('/users?b=2&a=1').expect('X-Cache', 'HIT');
+    await request(app).get('/users?a=1&b=2&user=7').expect('X-Cache', 'MISS');
+    await request(app).get('/users?a=1&b=2&user=8').expect('X-Cache', 'MISS');
+    expect(runs).toBe(3);
+  });
+
+  test('flushing a tag drops the cached responses', async () => {
+    mountUsers({ tags: ['user'] });
+
+    await request(app).get('/users').expect('X-Cache', 'MISS');
+    await request(app).get('/users').expect('X-Cache', 'HIT');
+
+    await app.cache.tags('user').flush();
+
+    const res = await request(app).get('/users').expect('X-Cache', 'MISS');
+    expect(res.body).toEqual({ run: 2 });
+  });
+
+  test('a tag flushed while the route runs is not undone by its response', async () => {
+    mountUsers({ tags: ['user'] }, async () => {
+      if (runs === 1) {
+        // An update in another request, after this one read the old data
+        await app.cache.tags('user').flush();
+      }
+    });
+
+    await request(app).get('/users').expect('X-Cache', 'MISS');
+    const res = await request(app).get('/users').expect('X-Cache', 'MISS');
+
+    expect(res.body).toEqual({ run: 2 });
+    await request(app).get('/users').expect('X-Cache', 'HIT');
+  });
+
+  test('errors, cookies and unsafe methods are not cached', async () => {
+    app.get('/missing', cacheResponse(), (req, res) => res.status(404).json({ error: 'nope' }));
+    app.get('/login', cacheResponse(), (req, res) => res.cookie('session', 'abc').json({ ok: true }));
+    app.post('/users', cacheResponse(), (req, res) => res.json({ ok: true }));
+
+    await request(app).get('/missing').expect(404);
+    await request(app).get('/missing').expect('X-Cache', 'MISS');
+    await request(app).get('/login');
+    await request(app).get('/login').expect('X-Cache', 'MISS');
+
+    const res = await request(app).post('/users').expect(200);
+    expect(res.headers['x-cache']).toBeUndefined();
+  });
+
+  test('a failing cache lets the route run uncached', async () => {
+    mountUsers();
+    app.cache.get = async () => {
+      throw new Error('connection lost');
+    };
+
+    const res = await request(app).get('/users').expect(200);
+
+    expect(res.body).toEqual({ run: 1 });
+    expect(res.headers['x-cache']).toBeUndefined();
+  });
+});
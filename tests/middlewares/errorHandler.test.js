@@ -0,0 +1,124 @@
+// tests/middlewares/errorHandler.test.js
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const errorHandler = require('../../middlewares/errorHandler');
+const { NotFoundError, TooManyRequestsError } = require('../../core/errors');
+const { problemType } = require('../../core/problem');
+
+/**
+ * Error responses
+ * Routes throw on a bare express app with the error handler mounted last,
+ * as createApp() does, and the tests check what the client receives.
+ */
+
+let env;
+
+/**
+ * App whose GET /fail passes an error to next()
+ * @param {Error} error
+ * @param {Object} [appConfig] - config.app (errorTypeBaseUrl)
+ * @returns {Express}
+ */
+const appFailingWith = (error, appConfig = {}) => {
+  const app = express();
+
+  app.locals.config = { app: appConfig };
+  app.set('view engine', 'ejs');
+  app.set('views', path.resolve(__dirname, '../../templates'));
+  app.get('/fail', (req, res, next) => next(error));
+  app.use(errorHandler);
+
+  return app;
+};
+
+beforeEach(() => {
+  env = { ...process.env };
+});
+
+afterEach(() => {
+  process.env = env;
+});
+
+describe('errorHandler', () => {
+  test('API clients get application/problem+json', async () => {
+    const res = await request(appFailingWith(new NotFoundError('User not found')))
+      .get('/fail?token=abc')
+      .set('Accept', 'application/json')
+      .expect(404)
+      .expect('Content-Type', /application\/problem\+json/);
+
+    expect(res.body).toEqual({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'User not found',
+      instance: '/fail?token=[REDACTED]',
+      code: 'NOT_FOUND'
+    });
+  });
+
+  test('ORM errors are translated and field details listed', async () => {
+    const error = Object.assign(new Error('Validation error'), {
+      name: 'SequelizeUniqueConstraintError',
+      errors: [{ path: 'email' }]
+    });
+
+    const res = await request(appFailingWith(error, { errorTypeBaseUrl: 'https://docs.example.com/errors/' }))
+      .get('/fail')
+      .expect(409);
+
+    expect(res.body.type).toBe('https://docs.example.com/errors/unique-constraint');
+    expect(res.body.code).toBe('UNIQUE_CONSTRAINT');
+    expect(res.body.errors).toEqual([{ field: 'email', message: 'email must be unique', type: 'unique' }]);
+  });
+
+  test('error headers are sent with the response', async () => {
+    await request(appFailingWith(new TooManyRequestsError(undefined, { headers: { 'Retry-After': '60' } })))
+      .get('/fail')
+      .expect(429)
+      .expect('Retry-After', '60');
+  });
+
+  test('server errors hide their message and stack in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const res = await request(appFailingWith(new Error('connect ECONNREFUSED 10.0.0.5:5432')))
+      .get('/fail')
+      .expect(500);
+
+    expect(res.body.detail).toBe('Internal Server Error');
+    expect(res.body.stack).toBeUndefined();
+    expect(JSON.stringify(res.body)).not.toContain('10.0.0.5');
+  });
+
+  test('server errors include the stack outside production', async () => {
+    process.env.NODE_ENV = 'test';
+
+    const res = await request(appFailingWith(new Error('boom'))).get('/fail').expect(500);
+
+    expect(res.body.detail).toBe('boom');
+    expect(res.body.stack).toContain('Error: boom');
+  });
+
+  test('browsers get an HTML error page', async () => {
+    const res = await request(appFailingWith(new NotFoundError()))
+      .get('/fail')
+      .set('Accept', 'text/html,application/xhtml+xml')
+      .expect(404)
+      .expect('Content-Type', /text\/html/);
+
+    expect(res.text).toContain('404');
+  });
+});
+
+describe('problemType', () => {
+  test('is about:blank without a base URL, one URL per code with one', () => {
+    expect(problemType('VALIDATION_ERROR')).toBe('about:blank');
+    expect(problemType('VALIDATION_ERROR', 'https://docs.example.com/errors')).toBe('https://docs.example.com/errors/validation-error');
+  });
+});
@@ -0,0 +1,178 @@
+// tests/middlewares/idempotency.test.js
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const { idempotent } = require('../../middlewares/idempotency');
+const { IdempotencyStore } = require('../../core/idempotency');
+const errorHandler = require('../../middlewares/errorHandler');
+
+/**
+ * Idempotency-Key
+ * A bare express app with a memory store at app.idempotency and the error
+ * handler, as createApp() sets them up. Handlers count their runs.
+ */
+
+const CONFIG = {
+  enabled: true,
+  driver: 'memory',
+  ttl: 60000,
+  lockTimeout: 60000
+};
+
+let app;
+let runs;
+
+beforeEach(() => {
+  app = express();
+  app.use(express.json());
+  app.idempotency = new IdempotencyStore({ config: CONFIG });
+  app.locals.config = { app: {}, idempotency: CONFIG };
+  runs = 0;
+});
+
+afterEach(async () => {
+  await app.idempotency.close();
+});
+
+/**
+ * Mount a route and the error handler after it
+ * @param {string} method
+ * @param {string} path
+ * @param {Function} handler - (req, res) => {}, runs counted
+ * @param {Object} [options] - idempotent() options
+ */
+const mount = (method, path, handler, options) => {
+  app[method](path, idempotent(options), (req, res, next) => {
+    runs++;
+    return Promise.resolve(handler(req, res)).catch(next);
+  });
+  app.use(errorHandler);
+};
+
+const createOrder = (req, res) => res.status(201).location(`/orders/${runs}`).json({ id: runs, ...req.body });
+
+describe('idempotent', () => {
+  test('a retry with the same key replays the first response', async () => {
+    mount('post', '/orders', createOrder);
+
+    const first = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ item: 'book' }).expect(201);
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ item: 'book' }).expect(201);
+
+    expect(runs).toBe(1);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers.location).toBe('/orders/1');
+    expect(retry.headers['content-type']).toMatch(/application\/json/);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('reusing a key with a different body gets a 422', async () => {
+    mount('post', '/orders', createOrder);
+
+    await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ item: 'book' }).expect(201);
+    const res = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ item: 'pen' }).expect(422);
+
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(runs).toBe(1);
+  });
+
+  test('a retry while the first request runs gets a 409', async () => {
+    let finish;
+    let started;
+    const running = new Promise((resolve) => {
+      started = resolve;
+    });
+
+    mount('post', '/orders', (req, res) => {
+      started();
+      return new Promise((resolve) => {
+        finish = () => resolve(createOrder(req, res));
+      });
+    });
+
+    const first = request(app).post('/orders').set('Idempotency-Key', 'k1').send({}).then((res) => res);
+    await running;
+
+    try {
+      const retry = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({}).expect(409).expect('Retry-After', '1');
+      expect(retry.body.code).toBe('IDEMPOTENCY_KEY_IN_USE');
+    } finally {
+      finish();
+    }
+
+    expect((await first).status).toBe(201);
+  });
+
+  test('a 5xx frees the key for the next retry', async () => {
+    mount('post', '/orders', (req, res) => (runs === 1 ? res.status(503).json({ error: 'busy' }) : createOrder(req, res)));
+
+    await request(app).post('/orders').set('Idempotency-Key', 'k1').send({}).expect(503);
+    await request(app).post('/orders').set('Idempotency-Key', 'k1').send({}).expect(201);
+    await request(app).post('/orders').set('Idempotency-Key', 'k1').send({}).expect(201).expect('Idempotent-Replayed', 'true');
+
+    expect(runs).toBe(2);
+  });
+
+  test('binary and streamed bodies are replayed byte for byte', async () => {
+    const bytes = Buffer.from([0, 255, 1, 254, 10]);
+
+    mount('post', '/binary', (req, res) => res.type('application/octet-stream').end(bytes));
+    mount('post', '/stream', (req, res) => {
+      res.type('text/plain');
+      Readable.from(['line 1\n', 'line 2\n']).pipe(res);
+    });
+
+    const parse = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    await request(app).post('/binary').set('Idempotency-Key', 'b').buffer(true).parse(parse);
+    const binary = await request(app).post('/binary').set('Idempotency-Key', 'b').buffer(true).parse(parse).expect('Idempotent-Replayed', 'true');
+    expect(Buffer.compare(binary.body, bytes)).toBe(0);
+
+    await request(app).post('/stream').set('Idempotency-Key', 's');
+    const streamed = await request(app).post('/stream').set('Idempotency-Key', 's').expect('Idempotent-Replayed', 'true');
+    expect(streamed.text).toBe('line 1\nline 2\n');
+
+    expect(runs).toBe(2);
+  });
+
+  test('keys are scoped to the method and path', async () => {
+    mount('post', '/orders', createOrder);
+    mount('post', '/carts', createOrder);
+
+    await request(app).post('/orders').set('Idempotency-Key', 'k1').send({}).expect(201);
+    await request(app).post('/carts').set('Idempotency-Key', 'k1').send({}).expect(201);
+
+    expect(runs).toBe(2);
+  });
+
+  test('invalid keys are rejected and required keys enforced', async () => {
+    mount('post', '/orders', createOrder, { required: true });
+
+    const missing = await request(app).post('/orders').send({}).expect(400);
+    const invalid = await request(app).post('/orders').set('Idempotency-Key', 'ünïcode').send({}).expect(400);
+
+    expect(missing.body.code).toBe('IDEMPOTENCY_KEY_REQUIRED');
+    expect(invalid.body.code).toBe('IDEMPOTENCY_KEY_INVALID');
+    expect(runs).toBe(0);
+  });
+
+  test('safe methods and requests without a key run every time', async () => {
+    mount('get', '/orders', (req, res) => res.json({ run: runs }));
+    mount('post', '/orders', createOrder);
+
+    await request(app).get('/orders').set('Idempotency-Key', 'k1').expect(200, { run: 1 });
+    await request(app).get('/orders').set('Idempotency-Key', 'k1').expect(200, { run: 2 });
+    await request(app).post('/orders').send({}).expect(201);
+    await request(app).post('/orders').send({}).expect(201);
+
+    expect(runs).toBe(4);
+  });
+});
@@ -0,0 +1,112 @@
+// tests/middlewares/maintenance.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+process.env.LOG_CONSOLE = 'false';
+process.env.LOG_DIR = '';
+
+const { maintenanceMode } = require('../../middlewares/maintenance');
+const { MaintenanceMode, BYPASS_COOKIE } = require('../../core/maintenance');
+
+/**
+ * Maintenance middleware
+ * A bare express app trusting X-Forwarded-For, so tests can pick the
+ * client IP, with the middleware in front of one route.
+ */
+
+let dir;
+let maintenance;
+let app;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'greycode-maintenance-'));
+  maintenance = new MaintenanceMode({ file: path.join(dir, 'maintenance.json'), allowedIps: ['10.0.0.0/8'], checkInterval: 0 });
+
+  app = express();
+  app.set('trust proxy', true);
+  app.set('view engine', 'ejs');
+  app.set('views', path.resolve(__dirname, '../../templates'));
+  app.locals.config = { app: {} };
+  app.use(maintenanceMode(maintenance));
+  app.get('/', (req, res) => res.json({ up: true }));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('maintenanceMode', () => {
+  test('requests pass while the app is up', async () => {
+    await request(app).get('/').expect(200, { up: true });
+  });
+
+  test('API clients get a 503 problem with Retry-After', async () => {
+    await maintenance.down({ message: 'Upgrading the database', retryAfter: 300 });
+
+    const res = await request(app)
+      .get('/')
+      .set('X-Forwarded-For', '203.0.113.9')
+      .expect(503)
+      .expect('Retry-After', '300')
+      .expect('Cache-Control', 'no-store')
+      .expect('Content-Type', /application\/problem\+json/);
+
+    expect(res.body).toMatchObject({ status: 503, code: 'MAINTENANCE', detail: 'Upgrading the database' });
+  });
+
+  test('browsers get the maintenance page', async () => {
+    await maintenance.down({ message: 'Back at noon' });
+
+    const res = await request(app).get('/').set('Accept', 'text/html').expect(503).expect('Content-Type', /text\/html/);
+
+    expect(res.text).toContain('Back at noon');
+  });
+
+  test('allowed IPs and ranges go through', async () => {
+    await maintenance.down({ allowed: ['203.0.113.7'] });
+
+    await request(app).get('/').set('X-Forwarded-For', '203.0.113.7').expect(200);
+    await request(app).get('/').set('X-Forwarded-For', '10.20.30.40').expect(200);
+    await request(app).get('/').set('X-Forwarded-For', '203.0.113.8').expect(503);
+  });
+
+  test('visiting the secret sets a cookie that lets the browser through', async () => {
+    await maintenance.down({ secret: 'let-me-in' });
+
+    const visit = await request(app).get('/let-me-in').expect(302).expect('Location', '/');
+    const cookie = visit.headers['set-cookie'][0];
+
+    expect(cookie).toMatch(new RegExp(`^${BYPASS_COOKIE}=`));
+    expect(cookie).toMatch(/HttpOnly/);
+
+    await request(app).get('/').set('Cookie', cookie.split(';')[0]).expect(200);
+    await request(app).get('/wrong-secret').expect(503);
+  });
+
+  test('running down again invalidates the cookie', async () => {
+    await maintenance.down({ secret: 'let-me-in' });
+    const visit = await request(app).get('/let-me-in');
+    const cookie = visit.headers['set-cookie'][0].split(';')[0];
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await maintenance.down({ secret: 'let-me-in' });
+
+    await request(app).get('/').set('Cookie', cookie).expect(503);
+  });
+
+  test('malformed and forged cookies get the 503, not an error', async () => {
+    await maintenance.down({ secret: 'let-me-in' });
+
+    await request(app).get('/').set('Cookie', `${BYPASS_COOKIE}=%E0%A4%A`).expect(503);
+    await request(app).get('/').set('Cookie', `${BYPASS_COOKIE}=${Date.now() + 60000}.forged`).expect(503);
+  });
+
+  test('an unreadable flag file lets requests through', async () => {
+    fs.writeFileSync(maintenance.file, '{ not json');
+
+    await request(app).get('/').expect(200);
+  });
+});
@@ -1,43 +1,374 @@
-// core/logger.js
+// utils/logger.js
+const cluster = require('cluster');
+const path = require('path');
 const winston = require('winston');
-const { combine, timestamp, printf, colorize } = winston.format;
+const DailyRotateFile = require('winston-daily-rotate-file');
+const { getContext, requestContext } = require('../core/context');
+const { createRedactor } = require('./redact');
+const loggingConfig = require('../config/logging');
+const { combine, timestamp, printf, colorize, json, errors, splat } = winston.format;
 
-// Custom log format
-const logFormat = printf(({ level, message, timestamp, stack }) => {
-  return `${timestamp} [${level}]: ${stack || message}`;
-});
+/**
+ * Logger
+ * Single Winston logger for the framework and the app.
+ *
+ *   - text (colored on the console) or JSON lines, see config/logging.js
+ *   - error.log, combined.log and access.log, rotated by date and size
+ *   - per-module levels: logger.forModule('database') logs at the level
+ *     configured for 'database', or at the global level
+ *   - secrets are masked in every entry (see utils/redact.js)
+ *
+ * Usage:
+ *   const logger = require('../utils/logger').forModule('billing');
+ *
+ *   logger.info('Invoice sent', { invoiceId });
+ */
 
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: combine(
-    colorize(),
-    timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-    winston.format.errors({ stack: true }),
-    logFormat
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ 
-      filename: 'logs/error.log', 
-      level: 'error' 
-    }),
-    new winston.transports.File({ 
-      filename: 'logs/combined.log' 
-    })
-  ],
-  exitOnError: false
+const LEVEL = Symbol.for('level');
+const SPLAT = Symbol.for('splat');
+const LEVELS = winston.config.npm.levels;
+
+// Tag lines with the worker id in cluster mode (greycodejs run --cluster)
+const workerId = cluster.isWorker ? cluster.worker.id : undefined;
+const processTag = workerId !== undefined ? ` [worker ${workerId}]` : '';
+
+// Request context fields copied onto every log entry
+const CONTEXT_FIELDS = ['requestId', 'userId', 'tenantId', 'jobId', 'task'];
+
+// Fields printed by the text format itself rather than as trailing metadata
+const TEXT_FIELDS = new Set(['level', 'message', 'timestamp', 'stack', 'module', 'worker', ...CONTEXT_FIELDS]);
+
+// Levels in effect, set by applyConfig()
+let globalLevel = loggingConfig.level;
+let moduleLevels = {};
+let appliedConfig = null;
+let redactor = null;
+
+// Drop entries below the level of their module (or the global level)
+const levelFilter = winston.format((info) => {
+  const threshold = (info.module && moduleLevels[info.module]) || globalLevel;
+  return LEVELS[info[LEVEL]] <= LEVELS[threshold] ? info : false;
 });
 
-// Add logger to all HTTP requests
-logger.addRequestLogger = function(app) {
-  app.use((req, res, next) => {
-    req.logger = logger.child({
-      requestId: req.id,
-      path: req.path,
-      method: req.method
+// Attach the current request/job context (see core/context.js)
+const contextFormat = winston.format((info) => {
+  const context = getContext();
+
+  if (context) {
+    CONTEXT_FIELDS.forEach((field) => {
+      if (context[field] !== undefined && info[field] === undefined) {
+        info[field] = context[field];
+      }
     });
+  }
+
+  if (workerId !== undefined) {
+    info.worker = workerId;
+  }
+
+  return info;
+});
+
+// logger.error('Failed:', error.message) - splat() copies string arguments
+// onto the entry as { 0: 'C', 1: 'a', ... }; append them to the message
+// instead, like console.log. Messages with %s tokens are left to splat().
+const stringArgsFormat = winston.format((info) => {
+  const args = info[SPLAT];
+  const isText = (arg) => typeof arg === 'string' || typeof arg === 'number';
+
+  if (!args || !args.some(isText) || /%[scdjifoO]/.test(info.message)) {
+    return info;
+  }
+
+  info.message = [info.message, ...args.filter(isText)].join(' ');
+  info[SPLAT] = args.filter((arg) => !isText(arg));
+
+  return info;
+});
+
+// Mask secrets in the message, metadata and stack
+// A copy is returned: objects passed to the logger (e.g. req.body) are not modified
+const redactFormat = winston.format((info) => {
+  if (!redactor) {
+    return info;
+  }
+
+  const fields = {};
+  Object.keys(info).forEach((key) => {
+    if (key !== 'level') {
+      fields[key] = info[key];
+    }
+  });
+
+  return Object.assign({ ...info }, redactor(fields));
+});
+
+/**
+ * Short context tag for text logs, e.g. " [req=3f2a... user=42]"
+ * @param {Object} info
+ * @returns {string}
+ */
+const formatContextTag = (info) => {
+  const parts = [
+    info.requestId && `req=${info.requestId}`,
+    info.jobId && `job=${info.jobId}`,
+    info.task && `task=${info.task}`,
+    info.userId !== undefined && `user=${info.userId}`,
+    info.tenantId !== undefined && `tenant=${info.tenantId}`
+  ].filter(Boolean);
+
+  return parts.length > 0 ? ` [${parts.join(' ')}]` : '';
+};
+
+/**
+ * Metadata passed with the message, e.g. logger.info('Sent', { id: 1 }) -> ' {"id":1}'
+ * @param {Object} info
+ * @returns {string}
+ */
+const formatMeta = (info) => {
+  const meta = {};
+
+  Object.keys(info).forEach((key) => {
+    if (!TEXT_FIELDS.has(key) && info[key] !== undefined) {
+      meta[key] = info[key];
+    }
+  });
+
+  if (Object.keys(meta).length === 0) {
+    return '';
+  }
+
+  try {
+    return ` ${JSON.stringify(meta)}`;
+  } catch (error) {
+    return ' [unserializable metadata]';
+  }
+};
+
+// Human readable format
+const textFormat = printf((info) => {
+  const { level, message, timestamp, stack } = info;
+  const moduleTag = info.module ? ` [${info.module}]` : '';
+  // logger.error('Failed to connect:', error) keeps both the message and the stack
+  const body = stack && !stack.includes(message) ? `${message}\n${stack}` : (stack || message);
+
+  return `${timestamp}${processTag} [${level}]${moduleTag}${formatContextTag(info)}: ${body}${formatMeta(info)}`;
+});
+
+/**
+ * Output format of one transport
+ * @param {string} format - 'text' or 'json'
+ * @param {boolean} [colors] - Colorize text output (console only)
+ * @returns {Format}
+ */
+const createFormat = (format, colors = false) => {
+  if (format === 'json') {
+    return combine(timestamp(), json());
+  }
+
+  return combine(
+    ...(colors ? [colorize()] : []),
+    timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    textFormat
+  );
+};
+
+/**
+ * File transport for <dir>/<name>.log
+ * With rotation, writes <name>-<date>.log (plus .1, .2... when maxSize is
+ * reached) and keeps <name>.log as a symlink to the current file.
+ * @param {string} name - File name without extension
+ * @param {Object} config - Logging config
+ * @param {Object} [options] - Extra transport options (level, format)
+ * @returns {Transport}
+ */
+const createFileTransport = (name, config, options = {}) => {
+  const rotation = config.rotation || {};
+
+  if (!rotation.enabled) {
+    return new winston.transports.File({ filename: path.join(config.dir, `${name}.log`), ...options });
+  }
+
+  return new DailyRotateFile({
+    dirname: config.dir,
+    filename: `${name}-%DATE%.log`,
+    datePattern: rotation.datePattern,
+    maxSize: rotation.maxSize,
+    maxFiles: rotation.maxFiles,
+    zippedArchive: rotation.compress,
+    createSymlink: true,
+    symlinkName: `${name}.log`,
+    auditFile: path.join(config.dir, `.${name}-audit.json`),
+    ...options
+  });
+};
+
+/**
+ * Transports for a logging config
+ * @param {Object} config
+ * @returns {Transport[]}
+ */
+const createTransports = (config) => {
+  const transports = [];
+
+  if (config.console) {
+    transports.push(new winston.transports.Console({ format: createFormat(config.format, config.format !== 'json') }));
+  }
+
+  if (config.dir) {
+    const format = createFormat(config.format);
+
+    transports.push(createFileTransport('error', config, { level: 'error', format }));
+    transports.push(createFileTransport('combined', config, { format }));
+
+    if (config.access && config.access.enabled && config.access.file) {
+      const onlyAccess = winston.format((info) => (info.module === 'http' ? info : false));
+      transports.push(createFileTransport('access', config, { format: combine(onlyAccess(), format) }));
+    }
+  }
+
+  return transports;
+};
+
+/**
+ * Most verbose of the global and module levels
+ * Transports let everything up to it through; levelFilter does the rest.
+ * @param {Object} config
+ * @returns {string}
+ */
+const lowestLevel = (config) => [config.level, ...Object.values(config.modules || {})]
+  .reduce((lowest, level) => (LEVELS[level] > LEVELS[lowest] ? level : lowest));
+
+const logger = winston.createLogger({ exitOnError: false });
+
+/**
+ * (Re)configure levels, format and transports
+ * Called with config/logging.js on load and again by createApp() with the
+ * resolved config, so config/env overrides apply. Does nothing when the
+ * config is unchanged.
+ * @param {Object} config - Logging config (see config/logging.js)
+ */
+logger.applyConfig = function(config) {
+  const snapshot = JSON.stringify(config, (key, value) => (value instanceof RegExp ? String(value) : value));
+
+  if (snapshot === appliedConfig) {
+    return;
+  }
+
+  const previous = logger.transports.slice();
+  const transports = createTransports(config);
+
+  globalLevel = config.level;
+  moduleLevels = { ...config.modules };
+  redactor = config.redaction && config.redaction.enabled ? createRedactor(config.redaction) : null;
+  appliedConfig = snapshot;
+
+  logger.configure({
+    level: lowestLevel(config),
+    format: combine(levelFilter(), contextFormat(), errors({ stack: true }), stringArgsFormat(), splat(), redactFormat()),
+    transports,
+    exitOnError: false,
+    // Console and files both disabled: nothing to write to
+    silent: transports.length === 0 || logger.silent
+  });
+
+  previous.forEach((transport) => transport.close && transport.close());
+};
+
+/**
+ * Mask secrets in a value with the configured redaction rules
+ * For error reports and payloads sent outside the logger (error trackers,
+ * webhooks...).
+ * @param {*} value
+ * @returns {*} Redacted copy
+ */
+logger.redact = function(value) {
+  return redactor ? redactor(value) : value;
+};
+
+const moduleLoggers = new Map();
+
+/**
+ * Logger for one module, filtered by its level in config/logging.js
+ * Entries carry { module: name }, shown as "[name]" in text output.
+ * @param {string} name - e.g. 'database', 'email', 'http'
+ * @returns {Logger}
+ */
+logger.forModule = function(name) {
+  if (!moduleLoggers.has(name)) {
+    moduleLoggers.set(name, logger.child({ module: name }));
+  }
+
+  return moduleLoggers.get(name);
+};
+
+// Stream for libraries that write log lines, e.g. morgan({ stream: logger.stream })
+logger.stream = {
+  write: (message) => logger.info(message.trim())
+};
+
+/**
+ * Add the request context and req.logger to all HTTP requests
+ * Log lines written anywhere while a request is handled (controllers,
+ * services, ORM queries) are tagged with its request id, user and tenant.
+ * @param {Express} app
+ * @param {Object} [options] - See requestContext() in core/context.js
+ */
+logger.addRequestLogger = function(app, options = {}) {
+  app.use(requestContext(options));
+  app.use(function attachLogger(req, res, next) {
+    req.logger = logger;
     next();
   });
 };
 
-module.exports = logger;
\ No newline at end of file
+/**
+ * Flush pending log writes before the process exits
+ * Ends the logger, so call it only right before process.exit().
+ * @param {number} [timeout] - Maximum time to wait in ms
+ * @returns {Promise<void>}
+ */
+logger.flush = function(timeout = 2000) {
+  return new Promise((resolve) => {
+    const fileTransports = logger.transports.filter(
+      (transport) => transport instanceof winston.transports.File || transport instanceof DailyRotateFile
+    );
+    let pending = fileTransports.length;
+    const timer = setTimeout(resolve, timeout);
+
+    if (pending === 0) {
+      clearTimeout(timer);
+      logger.end();
+      resolve();
+      return;
+    }
+
+    const done = () => {
+      pending -= 1;
+      if (pending === 0) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+
+    // Winston's own 'finish' fires before file transports have written.
+    // Rotating transports write through a file stream of their own, which
+    // close() ends, emitting 'finish' again once it is flushed.
+    fileTransports.forEach((transport) => {
+      transport.once('finish', () => {
+        if (transport instanceof DailyRotateFile) {
+          transport.once('finish', done);
+          transport.close();
+        } else {
+          done();
+        }
+      });
+    });
+
+    logger.end();
+  });
+};
+
+logger.applyConfig(loggingConfig);
+
+module.exports = logger;
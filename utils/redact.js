@@ -0,0 +1,185 @@
+// utils/redact.js
+
+/**
+ * Redaction
+ * Masks secrets (passwords, tokens, cookies, card numbers...) in values
+ * before they are written anywhere. The logger runs every entry through
+ * a redactor built from config/logging.js, so logged request bodies,
+ * headers and error reports never contain them.
+ *
+ * A value is masked when:
+ *   - its key contains one of `keys` (case-insensitive, '-' and '_'
+ *     ignored, so 'apikey' matches apiKey, api_key and X-Api-Key)
+ *   - its path matches one of `paths`, e.g. 'body.user.ssn' ('*' matches
+ *     any single key or array index)
+ *   - it is a string containing a card number, bearer/basic credentials,
+ *     a JWT, a `key=value` or `"key": "value"` pair with a secret key,
+ *     or a match of one of `patterns`
+ *
+ * Usage:
+ *   const { createRedactor } = require('../utils/redact');
+ *
+ *   const redact = createRedactor({ keys: ['password'] });
+ *   redact({ email: 'a@b.c', password: 'hunter2' });
+ *   // { email: 'a@b.c', password: '[REDACTED]' }
+ */
+
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+// Deeper values are replaced rather than walked
+const MAX_DEPTH = 10;
+
+// 13-19 digits, optionally grouped by spaces or dashes
+const CARD_NUMBER_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+// Authorization header values
+const CREDENTIALS_PATTERN = /\b(Bearer|Basic)\s+[\w.~+/-]+=*/gi;
+
+// JSON Web Tokens
+const JWT_PATTERN = /\beyJ[\w-]*\.[\w-]+\.[\w-]*/g;
+
+// key=value in URLs, query strings, cookies and messages
+const PAIR_PATTERN = /([\w.-]+)=([^&\s;,"']+)/g;
+
+// "key": "value" in serialized JSON
+const JSON_PAIR_PATTERN = /"([^"\\]+)"(\s*:\s*)"(?:[^"\\]|\\.)*"/g;
+
+/**
+ * Normalize a key for matching: lowercase without '-' and '_'
+ * @param {string} key
+ * @returns {string}
+ */
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[-_]/g, '');
+
+/**
+ * Luhn checksum, so that ids and timestamps are not taken for card numbers
+ * @param {string} digits
+ * @returns {boolean}
+ */
+const passesLuhn = (digits) => {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+};
+
+/**
+ * Compile a pattern from config (RegExp or string) as a global regex
+ * @param {RegExp|string} pattern
+ * @returns {RegExp}
+ */
+const toGlobalRegExp = (pattern) => {
+  if (pattern instanceof RegExp) {
+    return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+  }
+
+  return new RegExp(pattern, 'gi');
+};
+
+/**
+ * Create a redaction function
+ * @param {Object} [options]
+ * @param {string[]} [options.keys] - Key names (or parts of them) whose values are masked
+ * @param {string[]} [options.paths] - Dot paths whose values are masked
+ * @param {Array<RegExp|string>} [options.patterns] - Extra patterns masked inside strings
+ * @param {string} [options.replacement] - Mask, defaults to '[REDACTED]'
+ * @returns {Function} (value) => redacted copy; the input is never modified
+ */
+const createRedactor = (options = {}) => {
+  const replacement = options.replacement || DEFAULT_REPLACEMENT;
+  const keys = (options.keys || []).map(normalizeKey).filter(Boolean);
+  const paths = (options.paths || []).map((path) => path.split('.').map(normalizeKey));
+  const patterns = (options.patterns || []).map(toGlobalRegExp);
+
+  const isSecretKey = (key) => {
+    const normalized = normalizeKey(key);
+    return keys.some((secretKey) => normalized.includes(secretKey));
+  };
+
+  const isSecretPath = (path) => paths.some((secretPath) =>
+    secretPath.length === path.length &&
+    secretPath.every((segment, i) => segment === '*' || segment === normalizeKey(path[i]))
+  );
+
+  const redactString = (value) => {
+    let result = value
+      .replace(CREDENTIALS_PATTERN, (match, scheme) => `${scheme} ${replacement}`)
+      .replace(JWT_PATTERN, replacement)
+      .replace(PAIR_PATTERN, (match, key) => (isSecretKey(key) ? `${key}=${replacement}` : match))
+      .replace(JSON_PAIR_PATTERN, (match, key, separator) =>
+        (isSecretKey(key) ? `"${key}"${separator}"${replacement}"` : match))
+      .replace(CARD_NUMBER_PATTERN, (match) => (passesLuhn(match.replace(/\D/g, '')) ? replacement : match));
+
+    patterns.forEach((pattern) => {
+      result = result.replace(pattern, replacement);
+    });
+
+    return result;
+  };
+
+  const redactValue = (value, path, ancestors) => {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+
+    if (value === null || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+      return value;
+    }
+
+    if (ancestors.has(value)) {
+      return '[Circular]';
+    }
+
+    if (path.length >= MAX_DEPTH) {
+      return '[Object]';
+    }
+
+    // Model instances, ObjectIds... serialize themselves
+    if (typeof value.toJSON === 'function' && !(value instanceof Error)) {
+      return redactValue(value.toJSON(), path, ancestors);
+    }
+
+    ancestors.add(value);
+
+    const redactEntry = (key, entry) => {
+      const entryPath = [...path, String(key)];
+      return isSecretKey(key) || isSecretPath(entryPath) ? replacement : redactValue(entry, entryPath, ancestors);
+    };
+
+    let result;
+
+    if (Array.isArray(value)) {
+      result = value.map((entry, index) => redactValue(entry, [...path, String(index)], ancestors));
+    } else {
+      result = {};
+
+      // Error message and stack are not enumerable
+      if (value instanceof Error) {
+        result.name = value.name;
+        result.message = redactString(value.message);
+        result.stack = value.stack && redactString(value.stack);
+      }
+
+      Object.keys(value).forEach((key) => {
+        result[key] = redactEntry(key, value[key]);
+      });
+    }
+
+    ancestors.delete(value);
+    return result;
+  };
+
+  return (value) => redactValue(value, [], new Set());
+};
+
+module.exports = {
+  createRedactor
+};